@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+
+require('dotenv').config({ quiet: true });
+
+const MercuryCli = require('../src/cli/mercury-cli');
+
+new MercuryCli()
+    .run(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error(error);
+        process.exit(MercuryCli.EXIT_CODES.ERROR);
+    });
@@ -45,9 +45,69 @@ document.addEventListener('DOMContentLoaded', function() {
         stopBtn.addEventListener('click', stopAnalysis);
     }
 
+    loadDevices();
+    loadAuthProfiles();
+    loadArchives();
+
     console.log('Event listeners initialized');
 });
 
+// Device emulation presets (Playwright device descriptors)
+function loadDevices() {
+    const deviceSelect = document.getElementById('device-select');
+    if (!deviceSelect) return;
+
+    fetch('/api/web/devices')
+        .then(response => response.json())
+        .then(data => {
+            if (!data.success) return;
+            data.devices.forEach(device => {
+                const option = document.createElement('option');
+                option.value = device.name;
+                option.textContent = `${device.name} (${device.width}x${device.height})`;
+                deviceSelect.appendChild(option);
+            });
+        })
+        .catch(error => console.error('Device list error:', error));
+}
+
+// Login profiles for pages behind authentication (auth-profiles.json)
+function loadAuthProfiles() {
+    const authSelect = document.getElementById('auth-profile');
+    if (!authSelect) return;
+
+    fetch('/api/web/auth/profiles')
+        .then(response => response.json())
+        .then(data => {
+            if (!data.success) return;
+            data.profiles.forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile.name;
+                option.textContent = profile.description ? `${profile.name} (${profile.description})` : profile.name;
+                authSelect.appendChild(option);
+            });
+        })
+        .catch(error => console.error('Auth profile list error:', error));
+}
+
+// Recorded network archives that can be replayed (data/archives)
+function loadArchives() {
+    const archiveList = document.getElementById('archive-list');
+    if (!archiveList) return;
+
+    fetch('/api/web/archives')
+        .then(response => response.json())
+        .then(data => {
+            if (!data.success) return;
+            data.archives.forEach(archive => {
+                const option = document.createElement('option');
+                option.value = archive.name;
+                archiveList.appendChild(option);
+            });
+        })
+        .catch(error => console.error('Archive list error:', error));
+}
+
 // Browser selection
 function selectBrowser(browser) {
     selectedBrowser = browser;
@@ -74,6 +134,13 @@ function startBrowserAnalysis() {
         showErrorModal('Please enter a valid URL (must start with http:// or https://)!');
         return;
     }
+
+    const archiveMode = document.getElementById('archive-mode').value;
+    const archiveName = document.getElementById('archive-name').value.trim();
+    if (archiveMode && !archiveName) {
+        showErrorModal('Please enter a network archive name!');
+        return;
+    }
     
     console.log('=== Starting Browser Analysis ===');
     console.log('Browser:', selectedBrowser);
@@ -91,7 +158,19 @@ function startBrowserAnalysis() {
         },
         body: JSON.stringify({
             url: url,
-            browser: selectedBrowser
+            browser: selectedBrowser,
+            device: document.getElementById('device-select').value,
+            network: document.getElementById('network-profile').value,
+            cpuSlowdown: document.getElementById('cpu-slowdown').value,
+            recordVideo: document.getElementById('record-video').checked,
+            trace: document.getElementById('record-trace').checked,
+            heapSnapshots: document.getElementById('heap-snapshots').checked,
+            auth: document.getElementById('auth-profile').value,
+            block: document.getElementById('block-patterns').value,
+            overrides: document.getElementById('response-overrides').value,
+            record: archiveMode === 'record' ? archiveName : '',
+            replay: archiveMode === 'replay' ? archiveName : '',
+            overwriteArchive: archiveMode === 'record' && document.getElementById('archive-overwrite').checked
         })
     })
     .then(response => response.json())
@@ -240,17 +319,66 @@ function stopAnalysis() {
                                     <div class="detail-item">• First paint: ${performanceMetrics.firstPaint || 0}ms</div>
                                 </div>
                             </div>
+                            
+                            ${reportData.budget && reportData.budget.violations ? `
+                            <div class="result-card">
+                                <div class="result-title">💰 Performance Budget</div>
+                                <div class="result-value ${reportData.budget.status === 'fail' ? 'error' : 'success'}">${reportData.budget.status.toUpperCase()}</div>
+                                <div class="result-details">
+                                    ${reportData.budget.violations.slice(0, 3).map(violation => `
+                                        <div class="detail-item">• ${violation.label}: ${violation.actual}${violation.unit} / ${violation.limit}${violation.unit}</div>
+                                    `).join('')}
+                                    ${reportData.budget.violations.length > 3 ? `<div class="detail-item">... and ${reportData.budget.violations.length - 3} more</div>` : ''}
+                                    ${reportData.budget.violations.length === 0 ? '<div class="detail-item success">✅ All limits met</div>' : ''}
+                                </div>
+                            </div>
+                            ` : ''}
                         </div>
                         
                         <div class="download-section">
                             <button class="btn btn-primary" onclick="downloadReport('${reportData.sessionId}', 'html')">
                                 <i class="fas fa-download"></i> Download Mercury Report
                             </button>
-                            ${reportData.pagespeed ? `
+                            ${reportData.reports && reportData.reports.pagespeed ? `
                             <button class="btn btn-success" onclick="downloadReport('${reportData.sessionId}', 'pagespeed')">
                                 <i class="fas fa-chart-line"></i> Download PageSpeed Report
                             </button>
                             ` : ''}
+                            ${reportData.reports && reportData.reports.gemini ? `
+                            <button class="btn btn-success" onclick="downloadReport('${reportData.sessionId}', 'gemini')">
+                                <i class="fas fa-robot"></i> Download AI Analysis
+                            </button>
+                            ` : ''}
+                            ${reportData.reports && reportData.reports.csv ? `
+                            <button class="btn btn-secondary" onclick="downloadReport('${reportData.sessionId}', 'csv')">
+                                <i class="fas fa-file-csv"></i> Download CSV
+                            </button>
+                            ` : ''}
+                            ${reportData.reports && reportData.reports.har ? `
+                            <button class="btn btn-secondary" onclick="downloadReport('${reportData.sessionId}', 'har')">
+                                <i class="fas fa-network-wired"></i> Download HAR
+                            </button>
+                            ` : ''}
+                            ${reportData.reports && reportData.reports.video ? `
+                            <button class="btn btn-secondary" onclick="downloadReport('${reportData.sessionId}', 'video')">
+                                <i class="fas fa-video"></i> Download Video
+                            </button>
+                            ` : ''}
+                            ${reportData.reports && reportData.reports.trace ? `
+                            <button class="btn btn-secondary" onclick="downloadReport('${reportData.sessionId}', 'trace')">
+                                <i class="fas fa-microchip"></i> Download Trace
+                            </button>
+                            ` : ''}
+                            ${reportData.reports && reportData.reports['heap-end'] ? `
+                            <button class="btn btn-secondary" onclick="downloadReport('${reportData.sessionId}', 'heap-end')">
+                                <i class="fas fa-memory"></i> Download Heap Snapshot
+                            </button>
+                            ` : ''}
+                            ${reportData.reports && reportData.reports.json ? `
+                            <button class="btn btn-secondary" onclick="downloadReport('${reportData.sessionId}', 'json')">
+                                <i class="fas fa-file-code"></i> Download JSON
+                            </button>
+                            ` : ''}
                         </div>
                     </div>
                 `;
@@ -462,6 +590,10 @@ function displayReports(reports) {
         </div>
                     </div>
                     <div class="reports-actions">
+                        <button class="btn btn-secondary btn-sm" id="compare-reports-btn" onclick="compareSelectedReports()" disabled>
+                            <i class="fas fa-exchange-alt"></i>
+                            <span>Compare (0/2)</span>
+                        </button>
                         <button class="btn btn-danger btn-sm" onclick="deleteAllReports()">
                             <i class="fas fa-trash-alt"></i>
                             <span>Delete All</span>
@@ -474,6 +606,7 @@ function displayReports(reports) {
                         <div class="report-card" data-session-id="${report.id}">
                             <div class="report-card-header">
                                 <div class="report-main-info">
+                                    <input type="checkbox" class="compare-checkbox" value="${report.id}" data-start-time="${report.startTime}" onchange="updateCompareButton()" title="Select for comparison">
                                     <div class="report-url">
                                         <i class="fas fa-link"></i>
                                         <span class="url-text">${report.url}</span>
@@ -482,6 +615,21 @@ function displayReports(reports) {
                                         <i class="fas fa-browser"></i>
                                         <span>${report.browserType}</span>
                                     </div>
+                                    ${report.device ? `
+                                    <div class="report-browser-badge" title="Emulated device">
+                                        <i class="fas fa-mobile-alt"></i>
+                                        <span>${report.device.name === 'custom' ? `${report.device.viewport.width}x${report.device.viewport.height}` : report.device.name}</span>
+                                    </div>` : ''}
+                                    ${report.networkProfile ? `
+                                    <div class="report-browser-badge" title="Network throttling">
+                                        <i class="fas fa-signal"></i>
+                                        <span>${report.networkProfile.label}</span>
+                                    </div>` : ''}
+                                    ${report.cpuSlowdown > 1 ? `
+                                    <div class="report-browser-badge" title="CPU slowdown">
+                                        <i class="fas fa-microchip"></i>
+                                        <span>${report.cpuSlowdown}x CPU</span>
+                                    </div>` : ''}
                                 </div>
                                 <div class="report-timestamp">
                                     <i class="fas fa-calendar-alt"></i>
@@ -549,6 +697,200 @@ function displayReports(reports) {
     modal.classList.add('show');
 };
 
+// Performance history
+const HISTORY_METRICS = {
+    loadTime: { label: 'Load Time', unit: 'ms' },
+    fcp: { label: 'First Contentful Paint', unit: 'ms' },
+    lcp: { label: 'Largest Contentful Paint', unit: 'ms' },
+    cls: { label: 'Cumulative Layout Shift', unit: '' },
+    transferSize: { label: 'Transfer Size', unit: 'KB', scale: 1 / 1024 },
+    errorCount: { label: 'Errors', unit: '' }
+};
+let historyCharts = [];
+
+window.showHistory = function() {
+    fetch('/api/history')
+        .then(response => response.json())
+        .then(data => {
+            if (data.success) {
+                displayHistory(data.urls);
+            } else {
+                showErrorModal('Error loading history: ' + data.message);
+            }
+        })
+        .catch(error => {
+            console.error('History loading error:', error);
+            showErrorModal('Error occurred while loading history!');
+        });
+};
+
+function displayHistory(urls) {
+    const modal = document.getElementById('modal');
+    const modalTitle = document.getElementById('modal-title');
+    const modalBody = document.getElementById('modal-body');
+
+    modalTitle.textContent = '📈 Performance History';
+
+    if (urls.length === 0) {
+        modalBody.innerHTML = `
+            <div class="no-reports">
+                <div class="no-reports-icon">
+                    <i class="fas fa-chart-line"></i>
+                </div>
+                <div class="no-reports-content">
+                    <h3>No History Yet</h3>
+                    <p>Completed analyses are tracked per URL and browser.</p>
+                    <p>Run the same URL a few times to see its trend!</p>
+                </div>
+            </div>
+        `;
+    } else {
+        modalBody.innerHTML = `
+            <div class="reports-container">
+                <div class="history-controls">
+                    <select id="history-url" class="history-select" onchange="loadHistoryTrend()"></select>
+                    <select id="history-browser" class="history-select" onchange="renderHistoryTrend()"></select>
+                </div>
+                <div id="history-regressions"></div>
+                <div id="history-charts" class="history-charts"></div>
+            </div>
+        `;
+
+        const select = document.getElementById('history-url');
+        urls.forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.url;
+            option.textContent = `${entry.url} (${entry.runs} run${entry.runs > 1 ? 's' : ''})`;
+            select.appendChild(option);
+        });
+        loadHistoryTrend();
+    }
+
+    modal.classList.add('show');
+}
+
+window.loadHistoryTrend = function() {
+    const url = document.getElementById('history-url').value;
+
+    fetch(`/api/history?url=${encodeURIComponent(url)}`)
+        .then(response => response.json())
+        .then(data => {
+            if (!data.success) {
+                showErrorModal('Error loading history: ' + data.message);
+                return;
+            }
+
+            window.historyTrends = data.trends;
+            const browserSelect = document.getElementById('history-browser');
+            browserSelect.innerHTML = '';
+            data.trends.forEach((trend, index) => {
+                const option = document.createElement('option');
+                option.value = index;
+                option.textContent = `${trend.browserType}${trend.network !== 'none' ? ` · ${trend.network}` : ''}${trend.cpuSlowdown > 1 ? ` · ${trend.cpuSlowdown}x CPU` : ''}${trend.device !== 'desktop' ? ` · ${trend.device}` : ''} (${trend.runs})`;
+                browserSelect.appendChild(option);
+            });
+            renderHistoryTrend();
+        })
+        .catch(error => {
+            console.error('History trend error:', error);
+            showErrorModal('Error occurred while loading history!');
+        });
+};
+
+window.renderHistoryTrend = function() {
+    const trend = (window.historyTrends || [])[document.getElementById('history-browser').value];
+    const chartsContainer = document.getElementById('history-charts');
+    const regressionsContainer = document.getElementById('history-regressions');
+
+    historyCharts.forEach(chart => chart.destroy());
+    historyCharts = [];
+    chartsContainer.innerHTML = '';
+    if (!trend) return;
+
+    const latest = trend.latestRegressions;
+    regressionsContainer.innerHTML = latest.length > 0 ? `
+        <div class="history-alert regression">
+            <i class="fas fa-exclamation-triangle"></i>
+            <span>Latest run regressed: ${latest.map(r => `${HISTORY_METRICS[r.metric].label} +${Math.round(r.changePercent)}% (z=${r.zScore.toFixed(1)})`).join(', ')}</span>
+        </div>
+    ` : `
+        <div class="history-alert">
+            <i class="fas fa-check-circle"></i>
+            <span>${trend.runs} runs, ${trend.regressions.length} regression${trend.regressions.length === 1 ? '' : 's'} flagged against a rolling baseline</span>
+        </div>
+    `;
+
+    Object.entries(HISTORY_METRICS).forEach(([metric, meta]) => {
+        const points = trend.series[metric] || [];
+        if (!points.some(point => point.value !== null)) return;
+
+        const scale = meta.scale || 1;
+        const card = document.createElement('div');
+        card.className = 'history-chart';
+        card.innerHTML = `<h4>${meta.label}${meta.unit ? ` (${meta.unit})` : ''}</h4><canvas></canvas>`;
+        chartsContainer.appendChild(card);
+
+        const baseline = trend.baseline[metric];
+        const datasets = [{
+            label: meta.label,
+            data: points.map(point => point.value === null ? null : Math.round(point.value * scale * 1000) / 1000),
+            borderColor: '#667eea',
+            backgroundColor: 'rgba(102, 126, 234, 0.1)',
+            pointBackgroundColor: points.map(point => point.regression ? '#e53e3e' : '#667eea'),
+            pointRadius: points.map(point => point.regression ? 6 : 3),
+            spanGaps: true,
+            tension: 0.2
+        }];
+        if (baseline) {
+            datasets.push({
+                label: 'Baseline',
+                data: points.map(() => Math.round(baseline.mean * scale * 1000) / 1000),
+                borderColor: '#a0aec0',
+                borderDash: [6, 4],
+                pointRadius: 0
+            });
+        }
+
+        historyCharts.push(new Chart(card.querySelector('canvas'), {
+            type: 'line',
+            data: {
+                labels: points.map(point => new Date(point.timestamp).toLocaleString('en-US', {
+                    month: 'short',
+                    day: 'numeric',
+                    hour: '2-digit',
+                    minute: '2-digit'
+                })),
+                datasets
+            },
+            options: {
+                responsive: true,
+                plugins: { legend: { display: false } },
+                scales: { y: { beginAtZero: true } }
+            }
+        }));
+    });
+};
+
+// Compare two reports (older one is the baseline)
+window.updateCompareButton = function() {
+    const selected = document.querySelectorAll('.compare-checkbox:checked');
+    const button = document.getElementById('compare-reports-btn');
+
+    document.querySelectorAll('.compare-checkbox:not(:checked)').forEach(checkbox => {
+        checkbox.disabled = selected.length >= 2;
+    });
+    button.disabled = selected.length !== 2;
+    button.querySelector('span').textContent = `Compare (${selected.length}/2)`;
+};
+
+window.compareSelectedReports = function() {
+    const selected = Array.from(document.querySelectorAll('.compare-checkbox:checked'))
+        .sort((a, b) => Number(a.dataset.startTime) - Number(b.dataset.startTime));
+    if (selected.length !== 2) return;
+
+    window.open(`/api/reports/compare?a=${selected[0].value}&b=${selected[1].value}&format=html`, '_blank');
+};
+
 // Modern Modal Functions
 window.showConfirmModal = function(title, message, description, actionText, onConfirm) {
     document.getElementById('confirm-title').innerHTML = `<i class="fas fa-exclamation-triangle"></i> ${title}`;
@@ -0,0 +1,673 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { parseArgs } = require('util');
+const NetworkThrottler = require('../web/network-throttler');
+const CpuThrottler = require('../web/cpu-throttler');
+const DeviceEmulator = require('../web/device-emulator');
+const RunStatistics = require('../web/run-statistics');
+const TraceRecorder = require('../web/trace-recorder');
+const RequestBlocker = require('../web/request-blocker');
+const ResponseOverrider = require('../web/response-overrider');
+const NetworkArchive = require('../web/network-archive');
+
+// CI pipeline'larının ayırt edebilmesi için çıkış kodları
+const EXIT_CODES = {
+    OK: 0,
+    FAILED: 1, // Analiz tamamlandı ama kontrol başarısız (hata, başarısız journey adımı)
+    USAGE: 2, // Hatalı komut, argüman veya girdi dosyası
+    ERROR: 3, // Tarayıcı, adb veya dosya sistemi gibi çalışma zamanı hataları
+    BUDGET: 4 // budgets.json limitlerinden en az biri aşıldı
+};
+
+const REPORT_FORMATS = ['html', 'json', 'csv', 'pdf', 'har'];
+
+const USAGE = `Usage: mercury <command> [options]
+
+Commands:
+  analyze <url>                 Headless page load analysis (WebPerformanceAnalyzer)
+      --format json|csv         Report format (default: json)
+      --output <dir>            Report directory (default: ./reports)
+      --budgets <file>          Budget file (default: budgets.json)
+      --network <profile>       slow-3g, fast-3g, 4g, cable or none (default: none)
+      --cpu-slowdown <rate>     CPU throttling rate, e.g. 4 or 4x (default: 1)
+      --device <name>           Playwright device to emulate, e.g. "Pixel 7" (default: desktop)
+      --runs <n>                Fresh page loads to measure, reports the median run (default: 1)
+      --repeat-view             Load the page a second time with a warm cache and compare both views
+      --block <patterns>        Comma-separated domains or URL patterns to block; compares a baseline and a blocked load
+      --overrides <file>        JSON/YAML response override rules (local files, mock bodies, status codes, delays)
+      --record <name|file.har>  Save the page load's traffic to a network archive
+      --replay <name|file.har>  Serve all requests from a network archive, without network access
+      --replay-latency <ms>     Delay per replayed request in ms, or "recorded" (default: network profile or 0)
+
+  journey <file>                Run a JSON/YAML journey headlessly and generate reports
+      --browser <name>          chrome, firefox, safari or edge (default: journey's browser or chrome)
+      --headed                  Show the browser window
+      --budgets <file>          Budget file (default: budgets.json)
+      --network <profile>       slow-3g, fast-3g, 4g, cable or none (default: journey's network or none)
+      --cpu-slowdown <rate>     CPU throttling rate, chrome and edge only (default: journey's cpuSlowdown or 1)
+      --device <name>           Playwright device to emulate (default: journey's device or desktop)
+      --trace                   Record a Chromium performance trace (trace.json) and report main-thread activity
+      --auth <profile>          Log in with a profile from auth-profiles.json first (default: journey's auth)
+      --block <patterns>        Comma-separated domains or URL patterns to block during the journey
+      --overrides <file>        JSON/YAML response override rules (default: journey's overrides)
+      --record <name|file.har>  Save the journey's traffic to a network archive
+      --replay <name|file.har>  Serve all requests from a network archive, without network access
+      --replay-latency <ms>     Delay per replayed request in ms, or "recorded" (default: network profile or 0)
+
+  report <session.json>         Render a saved session (reports/<sessionId>/session.json)
+      --format html|json|csv|pdf|har  Output format (default: html)
+      --output <file|dir>       Output path (default: ./mercury-report-<sessionId>.<format>)
+      --bodies                  Include captured response bodies in the HAR
+
+  android monitor <package>     Monitor an Android app via adb and write a report
+      --device <id>             Device ID (default: first connected device)
+      --duration <seconds>      Monitoring duration (default: 60)
+      --format json|csv         Report format (default: json)
+      --skip-launch             Do not launch the app before monitoring
+
+Exit codes: 0 ok, 1 check failed, 2 usage error, 3 runtime error, 4 budget exceeded`;
+
+class UsageError extends Error {}
+
+class MercuryCli {
+    constructor(options = {}) {
+        this.stdout = options.stdout || console.log;
+        this.stderr = options.stderr || console.error;
+    }
+
+    async run(argv) {
+        const [command, ...rest] = argv;
+
+        try {
+            switch (command) {
+                case 'analyze':
+                    return await this.analyze(rest);
+
+                case 'journey':
+                    return await this.journey(rest);
+
+                case 'report':
+                    return await this.report(rest);
+
+                case 'android':
+                    return await this.android(rest);
+
+                case undefined:
+                case 'help':
+                case '--help':
+                case '-h':
+                    this.stdout(USAGE);
+                    return command === undefined ? EXIT_CODES.USAGE : EXIT_CODES.OK;
+
+                default:
+                    throw new UsageError(`Unknown command: ${command}`);
+            }
+        } catch (error) {
+            if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ||
+                error.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE' || error.code === 'ERR_PARSE_ARGS_UNEXPECTED_POSITIONAL') {
+                this.stderr(`Error: ${error.message}`);
+                this.stderr('Run "mercury help" for usage.');
+                return EXIT_CODES.USAGE;
+            }
+
+            this.stderr(`Error: ${error.message}`);
+            return EXIT_CODES.ERROR;
+        }
+    }
+
+    parse(args, options, positionalNames) {
+        const { values, positionals } = parseArgs({ args, options, allowPositionals: true, strict: true });
+        if (positionals.length !== positionalNames.length) {
+            throw new UsageError(`Expected ${positionalNames.map(name => `<${name}>`).join(' ')}`);
+        }
+        return { values, positionals };
+    }
+
+    oneOf(value, allowed, name) {
+        if (!allowed.includes(value)) {
+            throw new UsageError(`--${name} must be one of: ${allowed.join(', ')}`);
+        }
+        return value;
+    }
+
+    // Sadece isimli profiller; özel değerler API üzerinden verilir
+    networkProfile(name) {
+        if (name === undefined) return undefined;
+        try {
+            new NetworkThrottler().resolve(name);
+        } catch (error) {
+            throw new UsageError(`--network: ${error.message}`);
+        }
+        return name;
+    }
+
+    device(name) {
+        if (name === undefined) return undefined;
+        try {
+            return new DeviceEmulator().resolve(name);
+        } catch (error) {
+            throw new UsageError(`--device: ${error.message}`);
+        }
+    }
+
+    runs(value) {
+        if (value === undefined) return undefined;
+        try {
+            return new RunStatistics().resolveRuns(value);
+        } catch (error) {
+            throw new UsageError(`--runs: ${error.message}`);
+        }
+    }
+
+    cpuSlowdown(value, browserType) {
+        if (value === undefined) return undefined;
+        try {
+            return new CpuThrottler().resolve(value, browserType);
+        } catch (error) {
+            throw new UsageError(`--cpu-slowdown: ${error.message}`);
+        }
+    }
+
+    block(value) {
+        try {
+            return new RequestBlocker().resolve(value);
+        } catch (error) {
+            throw new UsageError(`--block: ${error.message}`);
+        }
+    }
+
+    // Kurallardaki dosya yolları kural dosyasının dizinine göredir; analizci kuralları bu dizinle tekrar okur
+    async overrides(file) {
+        if (file === undefined) return {};
+        const filePath = path.resolve(file);
+        let content;
+        try {
+            content = await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            throw new UsageError(`--overrides: ${file} could not be read: ${error.message}`);
+        }
+        try {
+            await new ResponseOverrider().resolve(content, { baseDir: path.dirname(filePath) });
+        } catch (error) {
+            throw new UsageError(`--overrides: ${error.message}`);
+        }
+        return { overrides: content, overridesDir: path.dirname(filePath) };
+    }
+
+    // Arşiv adları data/archives altındadır; CLI .har dosya yolu da kabul eder.
+    // Journey'de --record/--replay verilmemişse journey dosyasındakiler kullanılır
+    async archive(values, definition = {}) {
+        const source = values.record !== undefined || values.replay !== undefined ? values : definition;
+        const latency = values['replay-latency'] !== undefined ? values['replay-latency'] : source.replayLatency;
+        try {
+            await new NetworkArchive().resolve({ record: source.record, replay: source.replay, latency }, { allowPaths: true });
+        } catch (error) {
+            const flag = ['record', 'replay', 'replay-latency'].find(name => values[name] !== undefined);
+            throw new UsageError(`${flag ? `--${flag}` : 'Journey could not be loaded'}: ${error.message}`);
+        }
+        return { record: values.record, replay: values.replay, replayLatency: values['replay-latency'], archivePaths: true };
+    }
+
+    trace(enabled, browserType) {
+        try {
+            return new TraceRecorder().resolve(enabled, browserType);
+        } catch (error) {
+            throw new UsageError(`--trace: ${error.message}`);
+        }
+    }
+
+    // Profil adı doğrulanır; login ve state yenileme journey başlarken yapılır
+    async auth(name, authManager) {
+        try {
+            return await authManager.resolve(name);
+        } catch (error) {
+            throw new UsageError(`--auth: ${error.message}`);
+        }
+    }
+
+    // --budgets verilmişse dosya mevcut ve geçerli olmalı; verilmemişse varsayılan dosya opsiyoneldir
+    async createBudgetEvaluator(budgetsPath) {
+        const BudgetEvaluator = require('../web/budget-evaluator');
+        const evaluator = new BudgetEvaluator(budgetsPath ? { configPath: path.resolve(budgetsPath) } : {});
+
+        let budgets;
+        try {
+            budgets = await evaluator.load();
+        } catch (error) {
+            throw new UsageError(`Budget file could not be loaded: ${error.message}`);
+        }
+        if (budgetsPath && !budgets) {
+            throw new UsageError(`Budget file not found: ${budgetsPath}`);
+        }
+        return evaluator;
+    }
+
+    printBudget(budget) {
+        if (!budget || budget.status === 'skipped') return;
+
+        if (budget.status === 'error') {
+            this.stderr(`Budget could not be evaluated: ${budget.error}`);
+            return;
+        }
+
+        this.stdout(`Budget: ${budget.status} (${budget.passed} passed, ${budget.failed} exceeded)`);
+        budget.violations.forEach(violation => {
+            this.stdout(`  ✗ ${violation.label}: ${violation.actual}${violation.unit} > ${violation.limit}${violation.unit} (${violation.url})`);
+        });
+    }
+
+    // Çoklu run özeti; aşağıdaki metrikler medyan run'a aittir
+    printRuns(runs) {
+        if (!runs) return;
+
+        this.stdout(`Runs: ${runs.successful}/${runs.count} successful${runs.medianRun ? `, median run #${runs.medianRun}` : ''}`);
+        ['firstContentfulPaint', 'largestContentfulPaint', 'pageLoad'].forEach(metric => {
+            const stats = runs.statistics[metric];
+            if (!stats) return;
+            this.stdout(`  ${stats.label}: median ${stats.median}${stats.unit}  p75 ${stats.p75}${stats.unit}  p95 ${stats.p95}${stats.unit}  CV ${stats.cv}%`);
+        });
+        if (runs.highVariance.length > 0) {
+            this.stderr(`Warning: high variance (CV > ${runs.varianceThreshold}%) in ${runs.highVariance.map(item => `${item.label} ${item.cv}%`).join(', ')}`);
+        }
+    }
+
+    printRepeatView(results) {
+        if (!results.repeatView) return;
+
+        const percent = (ratio) => `${Math.round(ratio * 1000) / 10}%`;
+        this.stdout(`Cache hit ratio: first view ${percent(results.cache.hitRatio)}, repeat view ${percent(results.repeatView.cache.hitRatio)}`);
+        Object.entries(results.repeatView.comparison).forEach(([metric, values]) => {
+            const change = values.changePercent !== null ? ` (${values.changePercent > 0 ? '+' : ''}${values.changePercent}%)` : '';
+            this.stdout(`  ${metric}: ${values.firstView}ms -> ${values.repeatView}ms${change}`);
+        });
+    }
+
+    // Trace'ten çıkan ana thread özeti; en uzun long task'ın en çok CPU harcayan script'i ile
+    printMainThread(mainThread) {
+        if (!mainThread) return;
+
+        const { breakdown } = mainThread;
+        this.stdout(`Main thread: ${Math.round(mainThread.busyTime)}ms busy (scripting ${Math.round(breakdown.scripting)}ms, rendering ${Math.round(breakdown.rendering)}ms, painting ${Math.round(breakdown.painting)}ms, GC ${Math.round(breakdown.gc)}ms)`);
+        this.stdout(`  Long tasks: ${mainThread.longTaskCount}  TBT: ${Math.round(mainThread.totalBlockingTime)}ms`);
+        const longest = mainThread.longTasks[0];
+        if (longest && longest.urls.length > 0) {
+            this.stdout(`  Longest task: ${Math.round(longest.duration)}ms in ${longest.urls[0].url}`);
+        }
+    }
+
+    // Baseline -> bloklu yükleme farkı; alan adı satırları tek başına bloklandığındaki farktır.
+    // Journey'de baseline yüklemesi olmadığı için sadece bloklanan istekler yazılır
+    printBlocking(blocking) {
+        if (!blocking) return;
+
+        const format = (values) => `${values.baseline} -> ${values.blocked}${values.unit === 'bytes' ? ' bytes' : values.unit}${values.changePercent !== null ? ` (${values.changePercent > 0 ? '+' : ''}${values.changePercent}%)` : ''}`;
+        this.stdout(`Blocked: ${blocking.blockedRequests} requests matching ${blocking.patterns.join(', ')}`);
+        Object.values(blocking.delta || {}).forEach(values => this.stdout(`  ${values.label}: ${format(values)}`));
+        blocking.domains.forEach(domain => {
+            const parts = [`${domain.blockedRequests} blocked`];
+            if (domain.baseline) {
+                parts.push(`${Math.round(domain.baseline.transferredBytes / 1024)}KB`, `${Math.round(domain.baseline.mainThreadTime)}ms scripting`);
+            }
+            if (domain.delta) {
+                ['pageLoad', 'largestContentfulPaint'].filter(key => domain.delta[key]).forEach(key => {
+                    parts.push(`${domain.delta[key].label} ${domain.delta[key].change > 0 ? '+' : ''}${domain.delta[key].change}ms`);
+                });
+            }
+            this.stdout(`  ${domain.domain} (${domain.party === 'thirdParty' ? 'third-party' : 'first-party'}): ${parts.join(', ')}`);
+        });
+    }
+
+    printOverrides(overrides) {
+        if (!overrides) return;
+
+        this.stdout(`Overrides: ${overrides.hits} requests overridden by ${overrides.rules.length} rule(s)`);
+        overrides.rules.forEach(rule => this.stdout(`  ${ResponseOverrider.describeRule(rule)}: ${rule.hits} hit(s)`));
+    }
+
+    printArchive(archive) {
+        if (!archive) return;
+
+        if (archive.mode === 'record') {
+            this.stdout(`Network archive: ${archive.entries} requests saved to ${archive.name}`);
+            return;
+        }
+        this.stdout(`Network: ${NetworkArchive.describe(archive)}, ${archive.requests} requests`);
+        if (archive.missedRequests > 0) {
+            this.stderr(`Warning: ${archive.missedRequests} requests were not in the archive and were aborted (e.g. ${archive.missedUrls[0]})`);
+        }
+    }
+
+    printCoverage(coverage) {
+        if (!coverage) return;
+
+        const kb = (bytes) => `${Math.round(bytes / 1024)}KB`;
+        const { js, css } = coverage.totals;
+        this.stdout(`Unused code: JS ${kb(js.unusedBytes)} of ${kb(js.totalBytes)} (${js.unusedPercent}%), CSS ${kb(css.unusedBytes)} of ${kb(css.totalBytes)} (${css.unusedPercent}%), third-party ${kb(coverage.thirdParty.all.unusedBytes)}`);
+    }
+
+    async analyze(args) {
+        const { values, positionals: [url] } = this.parse(args, {
+            format: { type: 'string', default: 'json' },
+            output: { type: 'string' },
+            budgets: { type: 'string' },
+            network: { type: 'string' },
+            'cpu-slowdown': { type: 'string' },
+            device: { type: 'string' },
+            runs: { type: 'string' },
+            'repeat-view': { type: 'boolean', default: false },
+            block: { type: 'string' },
+            overrides: { type: 'string' },
+            record: { type: 'string' },
+            replay: { type: 'string' },
+            'replay-latency': { type: 'string' }
+        }, ['url']);
+        const format = this.oneOf(values.format, ['json', 'csv'], 'format');
+        const networkProfile = this.networkProfile(values.network);
+        const cpuSlowdown = this.cpuSlowdown(values['cpu-slowdown']);
+        const device = this.device(values.device);
+        const runs = this.runs(values.runs);
+        const repeatView = values['repeat-view'];
+        if (repeatView && runs > 1) {
+            throw new UsageError('--repeat-view cannot be combined with --runs');
+        }
+        const block = this.block(values.block);
+        if (block && (runs > 1 || repeatView)) {
+            throw new UsageError('--block cannot be combined with --runs or --repeat-view');
+        }
+        const overrides = await this.overrides(values.overrides);
+        const archive = await this.archive(values);
+        if (values.record !== undefined && (runs > 1 || repeatView || block)) {
+            throw new UsageError('--record cannot be combined with --runs, --repeat-view or --block');
+        }
+        const budgetEvaluator = await this.createBudgetEvaluator(values.budgets);
+
+        const WebPerformanceAnalyzer = require('../web/performance-analyzer');
+        const analyzer = new WebPerformanceAnalyzer();
+
+        if (!await analyzer.initialize()) {
+            throw new Error('Browser could not be started (is Playwright Chromium installed?)');
+        }
+
+        try {
+            const results = await analyzer.analyzePerformance(url, { networkProfile, cpuSlowdown, device, runs, repeatView, block, ...overrides, ...archive });
+            if (results.errors.length === 0) {
+                results.budget = await budgetEvaluator.evaluateAnalysis(results);
+            }
+            const reportPath = await analyzer.generateReport(results, format, values.output ? path.resolve(values.output) : undefined);
+            const lighthouse = results.lighthouseMetrics || {};
+
+            this.stdout(`\nURL: ${url}`);
+            if (results.device) this.stdout(`Device: ${DeviceEmulator.describe(results.device)}`);
+            if (results.networkProfile) this.stdout(`Network: ${NetworkThrottler.describe(results.networkProfile)}`);
+            if (results.cpuSlowdown > 1) this.stdout(`CPU: ${CpuThrottler.describe(results.cpuSlowdown)}`);
+            this.printRuns(results.runs);
+            this.stdout(`Performance score: ${lighthouse.performanceScore !== undefined ? lighthouse.performanceScore : 'N/A'}`);
+            this.stdout(`LCP: ${lighthouse.largestContentfulPaint || 0}ms  CLS: ${lighthouse.cumulativeLayoutShift || 0}  TBT: ${lighthouse.totalBlockingTime || 0}ms`);
+            if (lighthouse.speedIndex !== null && lighthouse.speedIndex !== undefined) {
+                this.stdout(`Speed Index: ${lighthouse.speedIndex}ms  Visually complete: ${lighthouse.visuallyComplete}ms  Last visual change: ${lighthouse.lastVisualChange}ms`);
+            }
+            this.printRepeatView(results);
+            this.printBlocking(results.blocking);
+            this.printOverrides(results.overrides);
+            this.printArchive(results.archive);
+            this.printCoverage(results.coverage);
+            this.stdout(`Report: ${reportPath}`);
+            this.printBudget(results.budget);
+
+            if (results.errors.length > 0) {
+                this.stderr(`Analysis failed: ${results.errors.join('; ')}`);
+                return EXIT_CODES.FAILED;
+            }
+            return results.budget && results.budget.status === 'fail' ? EXIT_CODES.BUDGET : EXIT_CODES.OK;
+        } finally {
+            await analyzer.close();
+        }
+    }
+
+    async journey(args) {
+        const { values, positionals: [file] } = this.parse(args, {
+            browser: { type: 'string' },
+            headed: { type: 'boolean', default: false },
+            budgets: { type: 'string' },
+            network: { type: 'string' },
+            'cpu-slowdown': { type: 'string' },
+            device: { type: 'string' },
+            trace: { type: 'boolean', default: false },
+            auth: { type: 'string' },
+            block: { type: 'string' },
+            overrides: { type: 'string' },
+            record: { type: 'string' },
+            replay: { type: 'string' },
+            'replay-latency': { type: 'string' }
+        }, ['file']);
+        const networkProfile = this.networkProfile(values.network);
+        const device = this.device(values.device);
+        const block = this.block(values.block);
+        let overrides = await this.overrides(values.overrides);
+
+        const BrowserAnalyzer = require('../web/browser-analyzer');
+        const analyzer = new BrowserAnalyzer({ budgetEvaluator: await this.createBudgetEvaluator(values.budgets) });
+
+        let definition;
+        try {
+            definition = await analyzer.journeyRunner.loadFile(file);
+        } catch (error) {
+            throw new UsageError(`Journey could not be loaded: ${error.message}`);
+        }
+        // Tarayıcı verilmemişse journey'nin tarayıcısı; CPU throttling ve trace sadece Chromium'da
+        const cpuSlowdown = this.cpuSlowdown(values['cpu-slowdown'], values.browser || definition.browser);
+        const trace = this.trace(values.trace, values.browser || definition.browser);
+        await this.auth(values.auth !== undefined ? values.auth : definition.auth, analyzer.authManager);
+        // Journey içindeki override'ların dosya yolları journey dosyasının dizinine göredir
+        if (values.overrides === undefined && definition.overrides) {
+            overrides = { overridesDir: path.dirname(path.resolve(file)) };
+            try {
+                await new ResponseOverrider().resolve(definition.overrides, { baseDir: overrides.overridesDir });
+            } catch (error) {
+                throw new UsageError(`Journey could not be loaded: ${error.message}`);
+            }
+        }
+        const archive = await this.archive(values, definition);
+
+        try {
+            const results = await analyzer.runJourney(definition, {
+                browserType: values.browser,
+                headless: !values.headed,
+                networkProfile,
+                cpuSlowdown,
+                device,
+                trace,
+                auth: values.auth,
+                block,
+                ...overrides,
+                ...archive,
+                onStep: (step) => {
+                    const label = step.target || step.selector || step.name || step.text || '';
+                    this.stdout(`  [${step.status}] ${step.index + 1}. ${step.action} ${label} (${step.duration}ms)${step.error ? ` - ${step.error}` : ''}`);
+                }
+            });
+
+            const { journey } = results;
+            this.stdout(`\nJourney "${journey.name}": ${journey.status} (${journey.passed} passed, ${journey.failed} failed, ${journey.skipped} skipped, ${journey.duration}ms)`);
+            this.printMainThread(results.metrics.mainThread);
+            this.printBlocking(results.metrics.blocking);
+            this.printOverrides(results.metrics.overrides);
+            this.printArchive(results.metrics.archive);
+            this.printCoverage(results.metrics.coverage);
+            Object.entries(results.reports || {})
+                .filter(([, reportPath]) => reportPath)
+                .forEach(([type, reportPath]) => this.stdout(`  ${type}: ${reportPath}`));
+            this.printBudget(results.budget);
+
+            if (journey.status !== 'passed') {
+                return EXIT_CODES.FAILED;
+            }
+            return results.budget && results.budget.status === 'fail' ? EXIT_CODES.BUDGET : EXIT_CODES.OK;
+        } finally {
+            await analyzer.close();
+        }
+    }
+
+    async report(args) {
+        const { values, positionals: [file] } = this.parse(args, {
+            format: { type: 'string', default: 'html' },
+            output: { type: 'string' },
+            bodies: { type: 'boolean', default: false }
+        }, ['session.json']);
+        const format = this.oneOf(values.format, REPORT_FORMATS, 'format');
+
+        let reportData;
+        try {
+            reportData = JSON.parse(await fs.readFile(path.resolve(file), 'utf8'));
+        } catch (error) {
+            throw new UsageError(`Session file could not be read: ${error.message}`);
+        }
+        if (!reportData || !reportData.metrics) {
+            throw new UsageError('Session file has no metrics (expected reports/<sessionId>/session.json)');
+        }
+
+        const sessionData = {
+            sessionId: reportData.sessionId,
+            browserType: reportData.browserType,
+            networkProfile: reportData.networkProfile || null,
+            cpuSlowdown: reportData.cpuSlowdown || 1,
+            device: reportData.device || null,
+            url: reportData.url,
+            startTime: reportData.startTime,
+            endTime: reportData.endTime,
+            duration: reportData.duration
+        };
+
+        const outputPath = await this.resolveOutputPath(values.output, `mercury-report-${sessionData.sessionId || 'session'}.${format}`);
+
+        const LighthouseCIReport = require('../web/lighthouse-ci-report');
+        const lighthouseCIReport = new LighthouseCIReport();
+
+        switch (format) {
+            case 'html':
+                // Session raporlarıyla aynı dizindeki filmstrip.json varsa kareler rapora eklenir
+                reportData.filmstrip = await this.readFilmstrip(path.join(path.dirname(path.resolve(file)), 'filmstrip.json'));
+                await lighthouseCIReport.generateHTMLReport(sessionData, reportData, {
+                    outputDir: path.dirname(outputPath),
+                    filename: path.basename(outputPath)
+                });
+                break;
+
+            case 'json': {
+                const processedData = lighthouseCIReport.processMetrics(reportData.metrics);
+                await fs.writeFile(outputPath, JSON.stringify({
+                    session: sessionData,
+                    journey: reportData.journey || null,
+                    budget: reportData.budget || null,
+                    ...processedData
+                }, null, 2));
+                break;
+            }
+
+            case 'csv':
+                await fs.writeFile(outputPath, lighthouseCIReport.generateCSV(reportData));
+                break;
+
+            case 'pdf': {
+                const PdfReport = require('../web/pdf-report');
+                await new PdfReport().generatePDFReport(sessionData, reportData, outputPath);
+                break;
+            }
+
+            case 'har': {
+                const HarExporter = require('../web/har-exporter');
+                const har = new HarExporter().export(reportData, { includeBodies: values.bodies });
+                await fs.writeFile(outputPath, JSON.stringify(har, null, 2));
+                break;
+            }
+        }
+
+        this.stdout(`Report: ${outputPath}`);
+        return EXIT_CODES.OK;
+    }
+
+    // --output bir dizinse varsayılan dosya adı onun içine yazılır
+    async resolveOutputPath(output, defaultName) {
+        if (!output) {
+            return path.resolve(defaultName);
+        }
+
+        const resolved = path.resolve(output);
+        const isDirectory = output.endsWith('/') || await fs.stat(resolved).then(stat => stat.isDirectory()).catch(() => false);
+        const outputPath = isDirectory ? path.join(resolved, defaultName) : resolved;
+        await fs.mkdir(path.dirname(outputPath), { recursive: true });
+        return outputPath;
+    }
+
+    // Yoksa veya okunamazsa rapor filmstrip karesiz oluşturulur
+    async readFilmstrip(filmstripPath) {
+        try {
+            return JSON.parse(await fs.readFile(filmstripPath, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async android(args) {
+        const [subcommand, ...rest] = args;
+        if (subcommand !== 'monitor') {
+            throw new UsageError(`Unknown android command: ${subcommand || '(none)'}`);
+        }
+
+        const { values, positionals: [packageName] } = this.parse(rest, {
+            device: { type: 'string' },
+            duration: { type: 'string', default: '60' },
+            format: { type: 'string', default: 'json' },
+            'skip-launch': { type: 'boolean', default: false }
+        }, ['package']);
+        const format = this.oneOf(values.format, ['json', 'csv'], 'format');
+        const durationSeconds = Number(values.duration);
+        if (!Number.isFinite(durationSeconds) || durationSeconds <= 0) {
+            throw new UsageError('--duration must be a positive number of seconds');
+        }
+
+        const AndroidPerformanceAnalyzer = require('../mobile/android-analyzer');
+        if (!AndroidPerformanceAnalyzer.isValidPackageName(packageName)) {
+            throw new UsageError(`Invalid package name: ${packageName}`);
+        }
+        const analyzer = new AndroidPerformanceAnalyzer();
+
+        if (!await analyzer.initialize()) {
+            throw new Error('adb is not available');
+        }
+        await analyzer.selectDevice(values.device || null);
+
+        if (!values['skip-launch'] && !await analyzer.launchApp(packageName)) {
+            throw new Error(`App could not be launched: ${packageName}`);
+        }
+
+        const duration = Math.round(durationSeconds * 1000);
+        await analyzer.startMonitoring(packageName, duration);
+
+        // Süre dolana kadar veya Ctrl+C ile durdurulana kadar bekle
+        await new Promise(resolve => {
+            const finish = () => {
+                clearInterval(poll);
+                process.removeListener('SIGINT', finish);
+                resolve();
+            };
+            const poll = setInterval(() => {
+                if (!analyzer.monitoring) finish();
+            }, 250);
+            process.once('SIGINT', finish);
+        });
+        await analyzer.stopMonitoring();
+
+        const reportPath = await analyzer.generateReport(packageName, format);
+        const summary = analyzer.calculateSummary();
+        this.stdout(`\n${packageName} on ${analyzer.currentDevice.id}`);
+        this.stdout(`CPU avg: ${summary.averageCPU}%  Memory avg: ${summary.averageMemory}MB  FPS avg: ${summary.averageFPS}`);
+        this.stdout(`Report: ${reportPath}`);
+        return EXIT_CODES.OK;
+    }
+}
+
+MercuryCli.EXIT_CODES = EXIT_CODES;
+MercuryCli.UsageError = UsageError;
+
+module.exports = MercuryCli;
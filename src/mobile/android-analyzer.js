@@ -1,15 +1,26 @@
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
 const { promisify } = require('util');
 const fs = require('fs').promises;
 const path = require('path');
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+// Paket adı adb shell komutlarına ve rapor dosya adına girer; sadece Android paket karakterleri
+const PACKAGE_NAME = /^[a-zA-Z0-9._]+$/;
+const REPORT_FORMATS = ['json', 'csv'];
+
+function isValidPackageName(packageName) {
+    return typeof packageName === 'string' && PACKAGE_NAME.test(packageName);
+}
 
 class AndroidPerformanceAnalyzer {
     constructor() {
+        this.adbPath = process.env.ADB_PATH || 'adb';
         this.devices = [];
         this.currentDevice = null;
         this.monitoring = false;
+        this.monitoringTimer = null;
+        this.monitoringIntervals = [];
         this.metrics = {
             cpu: [],
             memory: [],
@@ -37,7 +48,7 @@ class AndroidPerformanceAnalyzer {
 
     async checkADB() {
         try {
-            const { stdout } = await execAsync('adb version');
+            const { stdout } = await this.execAdb(['version']);
             console.log('ADB bulundu:', stdout.split('\n')[0]);
             return true;
         } catch (error) {
@@ -47,7 +58,7 @@ class AndroidPerformanceAnalyzer {
 
     async refreshDevices() {
         try {
-            const { stdout } = await execAsync('adb devices');
+            const { stdout } = await this.execAdb(['devices']);
             const lines = stdout.trim().split('\n').slice(1); // İlk satırı atla (List of devices attached)
             
             this.devices = lines
@@ -87,13 +98,29 @@ class AndroidPerformanceAnalyzer {
         throw new Error('Bağlı cihaz bulunamadı');
     }
 
+    // Argümanlar kabuktan geçmeden adb'ye verilir; adb çağrı anındaki PATH'te aranır
+    async execAdb(args) {
+        return execFileAsync(this.adbPath, args, { env: process.env });
+    }
+
+    // Seçili cihazda adb komutu
+    async adb(args) {
+        return this.execAdb(['-s', this.currentDevice.id, ...args]);
+    }
+
+    assertPackageName(packageName) {
+        if (!isValidPackageName(packageName)) {
+            throw new Error(`Geçersiz paket adı: ${packageName}`);
+        }
+    }
+
     async getInstalledApps() {
         if (!this.currentDevice) {
             throw new Error('Cihaz seçilmemiş');
         }
 
         try {
-            const { stdout } = await execAsync(`adb -s ${this.currentDevice.id} shell pm list packages -3`);
+            const { stdout } = await this.adb(['shell', 'pm', 'list', 'packages', '-3']);
             const packages = stdout
                 .split('\n')
                 .filter(line => line.startsWith('package:'))
@@ -110,10 +137,11 @@ class AndroidPerformanceAnalyzer {
         if (!this.currentDevice) {
             throw new Error('Cihaz seçilmemiş');
         }
+        this.assertPackageName(packageName);
 
         try {
             // Uygulamayı başlat
-            await execAsync(`adb -s ${this.currentDevice.id} shell monkey -p ${packageName} -c android.intent.category.LAUNCHER 1`);
+            await this.adb(['shell', 'monkey', '-p', packageName, '-c', 'android.intent.category.LAUNCHER', '1']);
             console.log(`Uygulama başlatıldı: ${packageName}`);
             
             // Uygulamanın başlaması için bekle
@@ -130,6 +158,7 @@ class AndroidPerformanceAnalyzer {
         if (!this.currentDevice) {
             throw new Error('Cihaz seçilmemiş');
         }
+        this.assertPackageName(packageName);
 
         this.monitoring = true;
         const startTime = Date.now();
@@ -170,8 +199,11 @@ class AndroidPerformanceAnalyzer {
             await this.collectFPSMetrics();
         }, 500);
 
+        // stopMonitoring bir sonraki tick'i beklemeden temizler
+        this.monitoringIntervals = [cpuInterval, memoryInterval, batteryInterval, fpsInterval];
+
         // Süre dolduğunda izlemeyi durdur
-        setTimeout(() => {
+        this.monitoringTimer = setTimeout(() => {
             this.stopMonitoring();
             clearInterval(cpuInterval);
             clearInterval(memoryInterval);
@@ -188,7 +220,12 @@ class AndroidPerformanceAnalyzer {
 
     async collectCPUMetrics(packageName) {
         try {
-            const { stdout } = await execAsync(`adb -s ${this.currentDevice.id} shell top -n 1 -p $(adb -s ${this.currentDevice.id} shell pidof ${packageName})`);
+            const { stdout: pidOutput } = await this.adb(['shell', 'pidof', packageName]);
+            const pid = pidOutput.trim().split(/\s+/)[0];
+            if (!/^\d+$/.test(pid)) {
+                return;
+            }
+            const { stdout } = await this.adb(['shell', 'top', '-n', '1', '-p', pid]);
             
             const lines = stdout.split('\n');
             const cpuLine = lines.find(line => line.includes(packageName));
@@ -211,7 +248,7 @@ class AndroidPerformanceAnalyzer {
 
     async collectMemoryMetrics(packageName) {
         try {
-            const { stdout } = await execAsync(`adb -s ${this.currentDevice.id} shell dumpsys meminfo ${packageName}`);
+            const { stdout } = await this.adb(['shell', 'dumpsys', 'meminfo', packageName]);
             
             const lines = stdout.split('\n');
             const totalPssLine = lines.find(line => line.includes('TOTAL PSS'));
@@ -234,7 +271,7 @@ class AndroidPerformanceAnalyzer {
 
     async collectBatteryMetrics() {
         try {
-            const { stdout } = await execAsync(`adb -s ${this.currentDevice.id} shell dumpsys battery`);
+            const { stdout } = await this.adb(['shell', 'dumpsys', 'battery']);
             
             const lines = stdout.split('\n');
             const levelLine = lines.find(line => line.includes('level:'));
@@ -256,7 +293,7 @@ class AndroidPerformanceAnalyzer {
     async collectFPSMetrics() {
         try {
             // SurfaceFlinger'dan FPS bilgisi al
-            const { stdout } = await execAsync(`adb -s ${this.currentDevice.id} shell dumpsys SurfaceFlinger --latency`);
+            const { stdout } = await this.adb(['shell', 'dumpsys', 'SurfaceFlinger', '--latency']);
             
             // Basit FPS hesaplama (gerçek uygulamada daha karmaşık olabilir)
             const lines = stdout.split('\n');
@@ -277,6 +314,12 @@ class AndroidPerformanceAnalyzer {
 
     async stopMonitoring() {
         this.monitoring = false;
+        if (this.monitoringTimer) {
+            clearTimeout(this.monitoringTimer);
+            this.monitoringTimer = null;
+        }
+        this.monitoringIntervals.forEach(clearInterval);
+        this.monitoringIntervals = [];
         console.log('Performans izleme durduruldu');
     }
 
@@ -290,6 +333,10 @@ class AndroidPerformanceAnalyzer {
     }
 
     async generateReport(packageName, format = 'json') {
+        this.assertPackageName(packageName);
+        if (!REPORT_FORMATS.includes(String(format).toLowerCase())) {
+            throw new Error(`Desteklenmeyen format: ${format}`);
+        }
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
         const filename = `android-performance-${packageName}-${timestamp}`;
 
@@ -303,6 +350,8 @@ class AndroidPerformanceAnalyzer {
             summary: this.calculateSummary()
         };
 
+        await fs.mkdir(path.join(process.cwd(), 'reports'), { recursive: true });
+
         switch (format.toLowerCase()) {
             case 'json':
                 const jsonPath = path.join(process.cwd(), 'reports', `${filename}.json`);
@@ -388,4 +437,7 @@ class AndroidPerformanceAnalyzer {
     }
 }
 
+AndroidPerformanceAnalyzer.REPORT_FORMATS = REPORT_FORMATS;
+AndroidPerformanceAnalyzer.isValidPackageName = isValidPackageName;
+
 module.exports = AndroidPerformanceAnalyzer; 
\ No newline at end of file
@@ -0,0 +1,130 @@
+const path = require('path');
+const { JsonLinesSessionStore, MemorySessionStore } = require('./session-store');
+const WebVitalsCollector = require('../web/web-vitals-collector');
+const { loadTimeOf, transferSizeOf } = require('../web/session-metrics');
+
+const DEFAULT_HISTORY_PATH = path.join(__dirname, '../../data/history.jsonl');
+
+// Trend grafiklerinde izlenen metrikler (hepsinde yüksek değer daha kötü)
+const HISTORY_METRICS = ['loadTime', 'fcp', 'lcp', 'cls', 'transferSize', 'errorCount'];
+
+// Her tamamlanan session'dan tek satırlık metrik özeti; normalize URL + tarayıcıya göre sorgulanır.
+// Rapor dosyaları silinse de trend verisi korunur.
+class HistoryStore {
+    constructor(options = {}) {
+        this.records = options.records || (options.type === 'memory'
+            ? new MemorySessionStore()
+            : new JsonLinesSessionStore(options.path || process.env.HISTORY_PATH || DEFAULT_HISTORY_PATH));
+        this.webVitalsCollector = new WebVitalsCollector();
+    }
+
+    // Query string sırası, hash, utm_* parametreleri ve sondaki / farklı kayıt oluşturmasın
+    normalizeUrl(url) {
+        try {
+            const parsed = new URL(url);
+            parsed.hash = '';
+            const params = Array.from(parsed.searchParams.entries())
+                .filter(([key]) => !/^utm_|^fbclid$|^gclid$/i.test(key))
+                .sort(([a], [b]) => a.localeCompare(b));
+            parsed.search = new URLSearchParams(params).toString();
+            const pathname = parsed.pathname.length > 1 ? parsed.pathname.replace(/\/+$/, '') : '';
+            return `${parsed.protocol}//${parsed.host.toLowerCase()}${pathname}${parsed.search}`;
+        } catch (error) {
+            return String(url || '').trim();
+        }
+    }
+
+    extractMetrics(reportData) {
+        const metrics = reportData.metrics || {};
+        const vitals = this.webVitalsCollector.summarize(metrics.webVitals || []);
+        // Budget ile aynı yükleme süresi ve transfer boyutu
+        const pageLoads = (metrics.navigationEvents || [])
+            .map(loadTimeOf)
+            .filter(time => time !== null);
+
+        const transferSize = (metrics.networkRequests || []).reduce((sum, request) => sum + transferSizeOf(request), 0);
+
+        return {
+            loadTime: pageLoads.length > 0 ? Math.round(pageLoads.reduce((sum, time) => sum + time, 0) / pageLoads.length) : null,
+            fcp: vitals.fcp,
+            lcp: vitals.lcp,
+            cls: vitals.cls,
+            transferSize,
+            errorCount: (metrics.errors || []).length + (metrics.networkErrors || []).length,
+            requestCount: (metrics.networkRequests || []).length
+        };
+    }
+
+    async record(reportData) {
+        if (!reportData.sessionId || !reportData.url) return null;
+
+        return this.records.save(String(reportData.sessionId), {
+            url: this.normalizeUrl(reportData.url),
+            rawUrl: reportData.url,
+            browserType: (reportData.browserType || 'unknown').toLowerCase(),
+            mode: reportData.mode || 'interactive',
+            network: reportData.networkProfile ? reportData.networkProfile.name : 'none',
+            cpuSlowdown: reportData.cpuSlowdown || 1,
+            device: this.deviceKey(reportData.device),
+            startTime: reportData.startTime,
+            duration: reportData.duration || 0,
+            budgetStatus: reportData.budget ? reportData.budget.status : null,
+            metrics: this.extractMetrics(reportData)
+        });
+    }
+
+    // Özel cihazlar boyutlarıyla ayrışır, aksi halde farklı ekranlar aynı seriye düşer
+    deviceKey(device) {
+        if (!device) return 'desktop';
+        if (device.name !== 'custom') return device.name;
+        return `custom ${device.viewport.width}x${device.viewport.height}@${device.deviceScaleFactor}x`;
+    }
+
+    // Geçmişi tutulmaya başlamadan önce tamamlanmış session'ları da indeksle
+    async backfill(sessionStore) {
+        const sessions = await sessionStore.list();
+        let added = 0;
+        for (const session of sessions) {
+            if (session.status !== 'completed' || !session.metrics) continue;
+            if (await this.records.get(String(session.sessionId))) continue;
+            await this.record(session);
+            added++;
+        }
+        return added;
+    }
+
+    // En eskiden en yeniye sıralı çalıştırmalar
+    async query({ url, browserType, network, cpuSlowdown, device, limit } = {}) {
+        const normalized = url ? this.normalizeUrl(url) : null;
+        const runs = (await this.records.list())
+            .filter(run => !normalized || run.url === normalized)
+            .filter(run => !browserType || run.browserType === browserType.toLowerCase())
+            .filter(run => !network || (run.network || 'none') === network.toLowerCase())
+            .filter(run => !cpuSlowdown || (run.cpuSlowdown || 1) === cpuSlowdown)
+            .filter(run => !device || (run.device || 'desktop').toLowerCase() === device.toLowerCase())
+            .sort((a, b) => (a.startTime || 0) - (b.startTime || 0));
+
+        return limit ? runs.slice(-limit) : runs;
+    }
+
+    // İzlenen URL'lerin listesi (son çalıştırma tarihine göre)
+    async listUrls() {
+        const byUrl = new Map();
+        (await this.records.list()).forEach(run => {
+            const entry = byUrl.get(run.url) || { url: run.url, runs: 0, browsers: [], lastRun: 0 };
+            entry.runs++;
+            if (!entry.browsers.includes(run.browserType)) entry.browsers.push(run.browserType);
+            entry.lastRun = Math.max(entry.lastRun, run.startTime || 0);
+            byUrl.set(run.url, entry);
+        });
+        return Array.from(byUrl.values()).sort((a, b) => b.lastRun - a.lastRun);
+    }
+
+    async remove(sessionId) {
+        return this.records.delete(String(sessionId));
+    }
+}
+
+HistoryStore.METRICS = HISTORY_METRICS;
+
+module.exports = HistoryStore;
@@ -0,0 +1,160 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_REPORTS_DIR = path.join(__dirname, '../../reports');
+const MANIFEST_FILE = 'manifest.json';
+
+const CONTENT_TYPES = {
+    '.html': 'text/html',
+    '.json': 'application/json',
+    '.csv': 'text/csv',
+    '.har': 'application/json',
+    '.pdf': 'application/pdf',
+    '.webm': 'video/webm',
+    '.heapsnapshot': 'application/json'
+};
+
+// Manifest yolu -> son bekleyen güncelleme. Aynı session'a paralel eklenen artifact'lar
+// (ör. HTML ve CSV raporu) birbirinin kaydını ezmesin diye güncellemeler sırayla yapılır;
+// aynı dizini kullanan tüm ReportManifest örnekleri bu kuyruğu paylaşır
+const pendingUpdates = new Map();
+
+function serialize(key, task) {
+    const previous = pendingUpdates.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    pendingUpdates.set(key, next);
+    const release = () => {
+        if (pendingUpdates.get(key) === next) pendingUpdates.delete(key);
+    };
+    next.then(release, release);
+    return next;
+}
+
+// Her session'ın raporları reports/<sessionId>/ altında tutulur,
+// manifest.json hangi artifact tipinin hangi dosyada olduğunu listeler
+class ReportManifest {
+    constructor(reportsDir = DEFAULT_REPORTS_DIR) {
+        this.reportsDir = reportsDir;
+    }
+
+    // Session ID dosya yolu olarak kullanıldığı için dizin dışına çıkmasına izin verme
+    isValidSessionId(sessionId) {
+        const id = String(sessionId || '');
+        return /^[\w.-]+$/.test(id) && id !== '.' && id !== '..';
+    }
+
+    sessionDir(sessionId) {
+        if (!this.isValidSessionId(sessionId)) {
+            throw new Error(`Geçersiz session ID: ${sessionId}`);
+        }
+        return path.join(this.reportsDir, String(sessionId));
+    }
+
+    async ensureSessionDir(sessionId) {
+        const dir = this.sessionDir(sessionId);
+        await fs.mkdir(dir, { recursive: true });
+        return dir;
+    }
+
+    async read(sessionId) {
+        if (!this.isValidSessionId(sessionId)) return null;
+        try {
+            const content = await fs.readFile(path.join(this.sessionDir(sessionId), MANIFEST_FILE), 'utf8');
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async write(sessionId, manifest) {
+        const dir = await this.ensureSessionDir(sessionId);
+        const manifestPath = path.join(dir, MANIFEST_FILE);
+        const tempPath = `${manifestPath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(manifest, null, 2));
+        await fs.rename(tempPath, manifestPath);
+        return manifestPath;
+    }
+
+    // Session dizininde oluşturulmuş bir dosyayı manifest'e kaydet (aynı tip varsa üzerine yazar)
+    async addArtifact(sessionId, type, filePath, extra = {}) {
+        const dir = this.sessionDir(sessionId);
+        const filename = path.relative(dir, filePath);
+        if (filename.startsWith('..') || path.isAbsolute(filename)) {
+            throw new Error(`Artifact session dizininde değil: ${filePath}`);
+        }
+
+        const stat = await fs.stat(filePath);
+        return serialize(path.join(dir, MANIFEST_FILE), async () => {
+            const now = Date.now();
+            const manifest = await this.read(sessionId) || {
+                sessionId: String(sessionId),
+                createdAt: now,
+                artifacts: {}
+            };
+
+            manifest.artifacts[type] = {
+                type,
+                filename,
+                contentType: CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream',
+                size: stat.size,
+                createdAt: now,
+                ...extra
+            };
+            manifest.updatedAt = now;
+
+            await this.write(sessionId, manifest);
+            return manifest.artifacts[type];
+        });
+    }
+
+    // İçeriği session dizinine yaz ve manifest'e ekle
+    async writeArtifact(sessionId, type, filename, content, extra = {}) {
+        const dir = await this.ensureSessionDir(sessionId);
+        const filePath = path.join(dir, filename);
+        await fs.writeFile(filePath, content);
+        await this.addArtifact(sessionId, type, filePath, extra);
+        return filePath;
+    }
+
+    // İstenen artifact'ın mutlak yolunu döndür; manifest'te yoksa veya dosya silinmişse null
+    async resolve(sessionId, type) {
+        const manifest = await this.read(sessionId);
+        const artifact = manifest && Object.prototype.hasOwnProperty.call(manifest.artifacts, type) ? manifest.artifacts[type] : null;
+        if (!artifact) return null;
+
+        const filePath = path.join(this.sessionDir(sessionId), artifact.filename);
+        try {
+            await fs.access(filePath);
+        } catch (error) {
+            return null;
+        }
+
+        return { ...artifact, path: filePath };
+    }
+
+    async remove(sessionId) {
+        if (!this.isValidSessionId(sessionId)) return false;
+        const dir = this.sessionDir(sessionId);
+        try {
+            await fs.access(dir);
+        } catch (error) {
+            return false;
+        }
+        await fs.rm(dir, { recursive: true, force: true });
+        return true;
+    }
+
+    // reports/ altındaki her şeyi (session dizinleri ve eski düz dosyalar) sil
+    async removeAll() {
+        const entries = await fs.readdir(this.reportsDir).catch(() => []);
+        for (const entry of entries) {
+            await fs.rm(path.join(this.reportsDir, entry), { recursive: true, force: true });
+        }
+        return entries;
+    }
+}
+
+ReportManifest.MANIFEST_FILE = MANIFEST_FILE;
+
+module.exports = ReportManifest;
@@ -0,0 +1,174 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_STORE_PATH = path.join(__dirname, '../../data/sessions.jsonl');
+
+// Sadece süreç ömrü boyunca tutulan store (testler ve geçici kullanım için)
+class MemorySessionStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async save(sessionId, record) {
+        const now = Date.now();
+        const previous = this.records.get(sessionId);
+        const saved = {
+            ...record,
+            sessionId,
+            createdAt: previous ? previous.createdAt : now,
+            updatedAt: now
+        };
+        this.records.set(sessionId, saved);
+        return saved;
+    }
+
+    async update(sessionId, patch) {
+        const current = await this.get(sessionId);
+        if (!current) {
+            throw new Error(`Session bulunamadı: ${sessionId}`);
+        }
+        return this.save(sessionId, { ...current, ...patch });
+    }
+
+    async get(sessionId) {
+        return this.records.get(sessionId) || null;
+    }
+
+    async list() {
+        return Array.from(this.records.values())
+            .sort((a, b) => (b.startTime || 0) - (a.startTime || 0));
+    }
+
+    async delete(sessionId) {
+        return this.records.delete(sessionId);
+    }
+
+    async clear() {
+        this.records.clear();
+    }
+}
+
+// Append-only JSON-lines dosyası; her satır bir put/delete kaydı, son kayıt geçerlidir
+class JsonLinesSessionStore extends MemorySessionStore {
+    constructor(filePath = DEFAULT_STORE_PATH) {
+        super();
+        this.filePath = filePath;
+        this.loaded = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        if (!this.loaded) {
+            this.loaded = this.readFile();
+        }
+        return this.loaded;
+    }
+
+    async readFile() {
+        let content = '';
+        try {
+            content = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return;
+        }
+
+        let lineCount = 0;
+        content.split('\n').forEach(line => {
+            if (!line.trim()) return;
+            lineCount++;
+            try {
+                const entry = JSON.parse(line);
+                if (entry.op === 'delete') {
+                    this.records.delete(entry.sessionId);
+                } else if (entry.op === 'clear') {
+                    this.records.clear();
+                } else if (entry.record) {
+                    this.records.set(entry.sessionId, entry.record);
+                }
+            } catch (error) {
+                console.warn('Session store satırı okunamadı:', error.message);
+            }
+        });
+
+        // Eski kayıtlar birikmişse dosyayı sıkıştır
+        if (lineCount > this.records.size * 2 + 10) {
+            await this.compact();
+        }
+    }
+
+    append(entry) {
+        this.writeQueue = this.writeQueue.then(async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.appendFile(this.filePath, JSON.stringify(entry) + '\n');
+        });
+        return this.writeQueue;
+    }
+
+    async compact() {
+        this.writeQueue = this.writeQueue.then(async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            const lines = Array.from(this.records.values())
+                .map(record => JSON.stringify({ op: 'put', sessionId: record.sessionId, record }));
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.writeFile(tempPath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+            await fs.rename(tempPath, this.filePath);
+        });
+        return this.writeQueue;
+    }
+
+    async save(sessionId, record) {
+        await this.load();
+        const saved = await super.save(sessionId, record);
+        await this.append({ op: 'put', sessionId, record: saved });
+        return saved;
+    }
+
+    async get(sessionId) {
+        await this.load();
+        return super.get(sessionId);
+    }
+
+    async list() {
+        await this.load();
+        return super.list();
+    }
+
+    async delete(sessionId) {
+        await this.load();
+        const deleted = await super.delete(sessionId);
+        if (deleted) {
+            await this.append({ op: 'delete', sessionId });
+        }
+        return deleted;
+    }
+
+    async clear() {
+        await this.load();
+        await super.clear();
+        await this.append({ op: 'clear' });
+    }
+}
+
+// SESSION_STORE=memory|jsonl ve SESSION_STORE_PATH ile yapılandırılır
+function createSessionStore(options = {}) {
+    const type = (options.type || process.env.SESSION_STORE || 'jsonl').toLowerCase();
+
+    switch (type) {
+        case 'memory':
+            return new MemorySessionStore();
+
+        case 'jsonl':
+        case 'file':
+            return new JsonLinesSessionStore(options.path || process.env.SESSION_STORE_PATH || DEFAULT_STORE_PATH);
+
+        default:
+            throw new Error(`Unsupported session store: ${type}`);
+    }
+}
+
+module.exports = {
+    createSessionStore,
+    MemorySessionStore,
+    JsonLinesSessionStore
+};
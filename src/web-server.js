@@ -9,6 +9,22 @@ const fs = require('fs').promises;
 
 const WebPerformanceAnalyzer = require('./web/performance-analyzer');
 const InteractivePerformanceAnalyzer = require('./web/interactive-analyzer');
+const AndroidPerformanceAnalyzer = require('./mobile/android-analyzer');
+const { createSessionStore } = require('./storage/session-store');
+const ReportManifest = require('./storage/report-manifest');
+const HistoryStore = require('./storage/history-store');
+const TrendAnalyzer = require('./web/trend-analyzer');
+const ComparisonReport = require('./web/comparison-report');
+const NetworkThrottler = require('./web/network-throttler');
+const CpuThrottler = require('./web/cpu-throttler');
+const DeviceEmulator = require('./web/device-emulator');
+const RunStatistics = require('./web/run-statistics');
+const TraceRecorder = require('./web/trace-recorder');
+const MemoryMonitor = require('./web/memory-monitor');
+const AuthManager = require('./web/auth-manager');
+const RequestBlocker = require('./web/request-blocker');
+const ResponseOverrider = require('./web/response-overrider');
+const NetworkArchive = require('./web/network-archive');
 
 class PerformanceMonitorServer {
     constructor(port = process.env.PORT || 3000) {
@@ -25,6 +41,27 @@ class PerformanceMonitorServer {
 
         this.webAnalyzer = new WebPerformanceAnalyzer();
         this.interactiveAnalyzer = new InteractivePerformanceAnalyzer();
+        this.androidAnalyzer = new AndroidPerformanceAnalyzer();
+        this.sessionStore = createSessionStore();
+        this.reportManifest = new ReportManifest(path.join(__dirname, '../reports'));
+        this.history = new HistoryStore();
+        this.trendAnalyzer = new TrendAnalyzer();
+        this.comparisonReport = new ComparisonReport();
+        this.networkThrottler = new NetworkThrottler();
+        this.cpuThrottler = new CpuThrottler();
+        this.deviceEmulator = new DeviceEmulator();
+        this.runStatistics = new RunStatistics();
+        this.traceRecorder = new TraceRecorder();
+        this.memoryMonitor = new MemoryMonitor();
+        this.authManager = new AuthManager();
+        this.requestBlocker = new RequestBlocker();
+        this.responseOverrider = new ResponseOverrider();
+        this.networkArchive = new NetworkArchive();
+        this.historyBackfill = null;
+        this.browserAnalyzer = null;
+        this.mobileSession = null;
+        this.mobileStarting = false;
+        this.mobileMetricsInterval = null;
 
         this.setupMiddleware();
         this.setupRoutes();
@@ -135,11 +172,45 @@ class PerformanceMonitorServer {
         this.app.post('/api/web/analyze', async (req, res) => {
             try {
                 const { url } = req.body;
+                const network = req.body.networkProfile !== undefined ? req.body.networkProfile : req.body.network;
                 if (!url) {
                     return res.status(400).json({ error: 'URL gerekli' });
                 }
+
+                let networkProfile, cpuSlowdown, device, runs, varianceThreshold, block, overrides, archive;
+                try {
+                    networkProfile = this.networkThrottler.resolve(network);
+                    cpuSlowdown = this.cpuThrottler.resolve(req.body.cpuSlowdown);
+                    device = this.deviceEmulator.resolve(req.body.device);
+                    runs = this.runStatistics.resolveRuns(req.body.runs);
+                    varianceThreshold = this.runStatistics.resolveThreshold(req.body.varianceThreshold);
+                    block = this.requestBlocker.resolve(req.body.block);
+                    // Dosyalar sadece OVERRIDES_DIR altından verilebilir
+                    overrides = await this.responseOverrider.resolve(req.body.overrides);
+                    archive = await this.networkArchive.resolve({ record: req.body.record, replay: req.body.replay, latency: req.body.replayLatency });
+                } catch (error) {
+                    return res.status(400).json({ error: error.message });
+                }
+                if (!req.body.overwriteArchive && await this.networkArchive.exists(archive)) {
+                    return res.status(409).json({ error: `Network archive "${archive.name}" already exists; set overwriteArchive to replace it` });
+                }
+
+                const repeatView = Boolean(req.body.repeatView);
+                if (repeatView && runs > 1) {
+                    return res.status(400).json({ error: 'Repeat view cannot be combined with multiple runs' });
+                }
+                if (block && (runs > 1 || repeatView)) {
+                    return res.status(400).json({ error: 'Request blocking cannot be combined with multiple runs or repeat view' });
+                }
+                if (archive && archive.mode === 'record' && (runs > 1 || repeatView || block)) {
+                    return res.status(400).json({ error: 'Recording cannot be combined with multiple runs, repeat view or request blocking' });
+                }
+
+                if (!this.webAnalyzer.page && !await this.webAnalyzer.initialize()) {
+                    return res.status(500).json({ error: 'Web analyzer başlatılamadı' });
+                }
                 
-                const results = await this.webAnalyzer.analyze(url);
+                const results = await this.webAnalyzer.analyzePerformance(url, { networkProfile, cpuSlowdown, device, runs, varianceThreshold, repeatView, block, overrides: overrides ? req.body.overrides : null, record: req.body.record, replay: req.body.replay, replayLatency: req.body.replayLatency });
                 res.json(results);
             } catch (error) {
                 console.error('Web analiz hatası:', error);
@@ -147,22 +218,96 @@ class PerformanceMonitorServer {
             }
         });
 
+        // Emülasyon için seçilebilecek Playwright cihazları
+        this.app.get('/api/web/devices', (req, res) => {
+            res.json({
+                success: true,
+                devices: this.deviceEmulator.list()
+            });
+        });
+
+        // Login gerektiren sayfalar için auth-profiles.json'daki profiller (selector ve kimlik bilgisi içermez)
+        this.app.get('/api/web/auth/profiles', async (req, res) => {
+            try {
+                res.json({
+                    success: true,
+                    profiles: await this.authManager.list()
+                });
+            } catch (error) {
+                res.status(500).json({ 
+                    success: false, 
+                    message: error.message 
+                });
+            }
+        });
+
+        // Kayıt/replay için data/archives altındaki HAR arşivleri
+        this.app.get('/api/web/archives', async (req, res) => {
+            try {
+                res.json({
+                    success: true,
+                    archives: await this.networkArchive.list()
+                });
+            } catch (error) {
+                res.status(500).json({ 
+                    success: false, 
+                    message: error.message 
+                });
+            }
+        });
+
         // Browser Analysis API
         this.app.post('/api/web/browser/start', async (req, res) => {
             try {
                 const { url, browser } = req.body;
+                const network = req.body.networkProfile !== undefined ? req.body.networkProfile : req.body.network;
                 if (!url || !browser) {
                     return res.status(400).json({ 
                         success: false, 
                         message: 'URL ve tarayıcı seçimi gerekli' 
                     });
                 }
+
+                let networkProfile, cpuSlowdown, device, trace, heapSnapshots, block, overrides, archive, auth;
+                try {
+                    networkProfile = this.networkThrottler.resolve(network);
+                    cpuSlowdown = this.cpuThrottler.resolve(req.body.cpuSlowdown, browser);
+                    device = this.deviceEmulator.resolve(req.body.device);
+                    trace = this.traceRecorder.resolve(req.body.trace, browser);
+                    heapSnapshots = this.memoryMonitor.resolveSnapshots(req.body.heapSnapshots, browser);
+                    block = this.requestBlocker.resolve(req.body.block);
+                    overrides = await this.responseOverrider.resolve(req.body.overrides);
+                    archive = await this.networkArchive.resolve({ record: req.body.record, replay: req.body.replay, latency: req.body.replayLatency });
+                    auth = await this.authManager.resolve(req.body.auth);
+                } catch (error) {
+                    return res.status(400).json({ 
+                        success: false, 
+                        message: error.message 
+                    });
+                }
+                if (!req.body.overwriteArchive && await this.networkArchive.exists(archive)) {
+                    return res.status(409).json({
+                        success: false,
+                        message: `Network archive "${archive.name}" already exists; set overwriteArchive to replace it`
+                    });
+                }
                 
-                const sessionId = await this.startBrowserAnalysis(url, browser);
+                const recordVideo = Boolean(req.body.recordVideo);
+                const sessionId = await this.startBrowserAnalysis(url, browser, { networkProfile, cpuSlowdown, device, trace, heapSnapshots, recordVideo, block, overrides: overrides ? req.body.overrides : null, record: req.body.record, replay: req.body.replay, replayLatency: req.body.replayLatency, auth: auth ? auth.name : null });
                 res.json({
                     success: true,
                     sessionId: sessionId,
-                    message: `${browser} browser opened. You can start navigating the site.`
+                    networkProfile,
+                    cpuSlowdown,
+                    device,
+                    trace,
+                    heapSnapshots,
+                    recordVideo,
+                    block,
+                    overrides: overrides ? overrides.length : 0,
+                    archive: archive ? { mode: archive.mode, name: archive.name, latency: archive.latency } : null,
+                    auth: auth ? auth.name : null,
+                    message: `${browser} browser opened${device ? ` as ${device.name === 'custom' ? 'a custom device' : device.name}` : ''}${networkProfile ? ` with ${networkProfile.label} throttling` : ''}${cpuSlowdown > 1 ? ` (${CpuThrottler.describe(cpuSlowdown)})` : ''}${trace ? ', recording a performance trace' : ''}${heapSnapshots ? ', taking heap snapshots' : ''}${recordVideo ? ', recording video' : ''}${block ? `, blocking ${block.length} pattern(s)` : ''}${overrides ? `, overriding responses with ${overrides.length} rule(s)` : ''}${archive ? `, ${archive.mode === 'record' ? 'recording to' : 'replaying'} the ${archive.name} archive` : ''}${auth ? `, logged in with the ${auth.name} profile` : ''}. You can start navigating the site.`
                 });
             } catch (error) {
                 console.error('Tarayıcı analizi başlatma hatası:', error);
@@ -198,6 +343,52 @@ class PerformanceMonitorServer {
             }
         });
 
+        // Scripted journey: adımlar headless çalıştırılır, sonuç raporlarla birlikte döner
+        this.app.post('/api/web/journey/run', async (req, res) => {
+            const { journey, browser, cpuSlowdown, device, trace, block, overrides, record, replay, replayLatency, auth } = req.body;
+            const network = req.body.networkProfile !== undefined ? req.body.networkProfile : req.body.network;
+            let definition, archive;
+            try {
+                definition = await this.getBrowserAnalyzer().journeyRunner.load(journey);
+                this.networkThrottler.resolve(network !== undefined ? network : definition.network);
+                this.cpuThrottler.resolve(cpuSlowdown !== undefined ? cpuSlowdown : definition.cpuSlowdown, browser || definition.browser || 'chrome');
+                this.deviceEmulator.resolve(device !== undefined ? device : definition.device);
+                this.traceRecorder.resolve(trace, browser || definition.browser || 'chrome');
+                this.requestBlocker.resolve(block !== undefined ? block : definition.block);
+                await this.responseOverrider.resolve(overrides !== undefined ? overrides : definition.overrides);
+                const archiveSource = record !== undefined || replay !== undefined ? req.body : definition;
+                archive = await this.networkArchive.resolve({ record: archiveSource.record, replay: archiveSource.replay, latency: replayLatency !== undefined ? replayLatency : archiveSource.replayLatency });
+                await this.authManager.resolve(auth !== undefined ? auth : definition.auth);
+            } catch (error) {
+                return res.status(400).json({ 
+                    success: false, 
+                    message: `Geçersiz journey: ${error.message}` 
+                });
+            }
+            if (!req.body.overwriteArchive && await this.networkArchive.exists(archive)) {
+                return res.status(409).json({
+                    success: false,
+                    message: `Network archive "${archive.name}" already exists; set overwriteArchive to replace it`
+                });
+            }
+
+            try {
+                const results = await this.runJourney(definition, browser, { networkProfile: network, cpuSlowdown, device, trace, block, overrides, record, replay, replayLatency, auth });
+                res.json({
+                    success: true,
+                    sessionId: results.sessionId,
+                    message: `Journey ${results.journey.status}`,
+                    data: results
+                });
+            } catch (error) {
+                console.error('Journey çalıştırma hatası:', error);
+                res.status(500).json({ 
+                    success: false, 
+                    message: error.message 
+                });
+            }
+        });
+
         this.app.get('/api/web/browser/status/:sessionId', async (req, res) => {
             try {
                 const { sessionId } = req.params;
@@ -234,36 +425,16 @@ class PerformanceMonitorServer {
                 const { sessionId } = req.params;
                 const { type = 'html' } = req.query;
                 
-                const reportsDir = path.join(__dirname, '../reports');
-                const files = await fs.readdir(reportsDir);
+                // Sadece istenen session'ın manifest'indeki artifact servis edilir
+                const artifact = await this.reportManifest.resolve(sessionId, type);
                 
-                let targetFile = null;
-                
-                if (type === 'pagespeed') {
-                    // Find the most recent pagespeed report
-                    const pagespeedFiles = files
-                        .filter(file => file.includes('pagespeed-performance') && file.endsWith('.html'))
-                        .sort()
-                        .reverse();
-                    targetFile = pagespeedFiles[0];
-                } else {
-                    // Find the most recent mercury performance report
-                    const mercuryFiles = files
-                        .filter(file => file.includes('mercury-performance') && file.endsWith('.html'))
-                        .sort()
-                        .reverse();
-                    targetFile = mercuryFiles[0];
-                }
-                
-                if (!targetFile) {
+                if (!artifact) {
                     return res.status(404).json({ 
                         success: false, 
                         message: `Report not found for session ${sessionId} and type ${type}` 
                     });
                 }
                 
-                const filePath = path.join(reportsDir, targetFile);
-                
                 // Add cache control headers to prevent browser caching
                 res.set({
                     'Cache-Control': 'no-cache, no-store, must-revalidate',
@@ -271,7 +442,7 @@ class PerformanceMonitorServer {
                     'Expires': '0'
                 });
                 
-                res.download(filePath);
+                res.download(artifact.path, `${sessionId}-${path.basename(artifact.filename)}`);
                 
             } catch (error) {
                 console.error('Browser analysis download error:', error);
@@ -282,82 +453,193 @@ class PerformanceMonitorServer {
             }
         });
 
-        // Raporları listele
-        this.app.get('/api/reports', async (req, res) => {
+        // Session'ın network kayıtları HAR 1.2 olarak (DevTools ve diğer HAR görüntüleyicilerde açılır)
+        this.app.get('/api/web/browser/har/:sessionId', async (req, res) => {
             try {
-                const reportsDir = path.join(__dirname, '../reports');
-                const files = await fs.readdir(reportsDir);
+                const { sessionId } = req.params;
+                const includeBodies = req.query.bodies === 'true' || req.query.bodies === '1';
                 
-                const reports = [];
-                for (const file of files) {
-                    if (file.includes('mercury-performance') && file.endsWith('.html')) {
-                        try {
-                            // Extract date from filename
-                            const dateMatch = file.match(/mercury-performance-(\d{2}-\w+-\d{4}-\d{2}-\d{2})/);
-                            if (dateMatch) {
-                                const dateStr = dateMatch[1];
-                                const [day, month, year, hours, minutes] = dateStr.split('-');
-                                
-                                // Convert English month names to numbers
-                                const months = {
-                                    'Jan': 0, 'Feb': 1, 'Mar': 2, 'Apr': 3, 'May': 4, 'Jun': 5,
-                                    'Jul': 6, 'Aug': 7, 'Sep': 8, 'Oct': 9, 'Nov': 10, 'Dec': 11
-                                };
-                                
-                                const timestamp = new Date(parseInt(year), months[month], parseInt(day), parseInt(hours), parseInt(minutes)).getTime();
-                                
-                                // Try to find corresponding JSON file for real data
-                                const jsonFilename = file.replace('.html', '.json');
-                                const jsonPath = path.join(reportsDir, jsonFilename);
-                                
-                                let reportData = {
-                                    url: 'Analyzed Website',
-                                    browserType: 'Browser',
-                                    metrics: {
-                                        pages: 1,
-                                        resources: 50,
-                                        errors: 0
-                                    }
-                                };
-                                
-                                try {
-                                    const jsonContent = await fs.readFile(jsonPath, 'utf8');
-                                    const sessionData = JSON.parse(jsonContent);
-                                    
-                                    if (sessionData.url) {
-                                        reportData.url = sessionData.url;
-                                    }
-                                    if (sessionData.browserType) {
-                                        reportData.browserType = sessionData.browserType;
-                                    }
-                                    if (sessionData.metrics) {
-                                        reportData.metrics = {
-                                            pages: sessionData.metrics.pageLoadTimes ? sessionData.metrics.pageLoadTimes.length : 1,
-                                            resources: sessionData.metrics.totalResources || 50,
-                                            errors: sessionData.metrics.totalErrors || 0
-                                        };
-                                    }
-                                } catch (jsonError) {
-                                    console.warn('JSON file not found or invalid:', jsonFilename);
-                                }
-                                
-                                reports.push({
-                                    id: timestamp.toString(),
-                                    filename: file,
-                                    url: reportData.url,
-                                    browserType: reportData.browserType,
-                                    startTime: timestamp,
-                                    endTime: timestamp + 60000, // Assume 1 minute duration
-                                    duration: 60000,
-                                    metrics: reportData.metrics
-                                });
-                            }
-                        } catch (error) {
-                            console.warn('Rapor dosyası okunamadı:', file, error.message);
+                // Devam eden session'lar da o ana kadarki istekleriyle export edilebilir
+                const session = (this.browserAnalyzer && this.browserAnalyzer.sessions.get(sessionId)) || await this.sessionStore.get(sessionId);
+                
+                if (!session || !session.metrics) {
+                    return res.status(404).json({
+                        success: false,
+                        message: `Session ${sessionId} not found`
+                    });
+                }
+                
+                const har = this.getBrowserAnalyzer().harExporter.export({ ...session, sessionId }, { includeBodies });
+                
+                res.set({
+                    'Content-Type': 'application/json; charset=utf-8',
+                    'Content-Disposition': `attachment; filename="${sessionId}.har"`,
+                    'Cache-Control': 'no-cache, no-store, must-revalidate'
+                });
+                res.send(JSON.stringify(har, null, 2));
+                
+            } catch (error) {
+                console.error('HAR export hatası:', error);
+                res.status(500).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        });
+
+        // Mobile Performance API
+        this.app.get('/api/mobile/devices', async (req, res) => {
+            try {
+                await this.androidAnalyzer.checkADB();
+                const devices = await this.androidAnalyzer.refreshDevices();
+                res.json({
+                    success: true,
+                    devices: devices,
+                    currentDevice: this.androidAnalyzer.currentDevice
+                });
+            } catch (error) {
+                console.error('Android cihaz listesi hatası:', error);
+                res.status(500).json({ 
+                    success: false, 
+                    message: error.message 
+                });
+            }
+        });
+
+        this.app.get('/api/mobile/apps', async (req, res) => {
+            try {
+                const { deviceId } = req.query;
+                const device = await this.selectAndroidDevice(deviceId);
+                const apps = await this.androidAnalyzer.getInstalledApps();
+                res.json({
+                    success: true,
+                    device: device,
+                    apps: apps
+                });
+            } catch (error) {
+                console.error('Android uygulama listesi hatası:', error);
+                res.status(500).json({ 
+                    success: false, 
+                    message: error.message 
+                });
+            }
+        });
+
+        this.app.post('/api/mobile/monitor/start', async (req, res) => {
+            try {
+                const { packageName, deviceId, duration, launch } = req.body;
+                if (!packageName) {
+                    return res.status(400).json({ 
+                        success: false, 
+                        message: 'Paket adı gerekli' 
+                    });
+                }
+                if (!AndroidPerformanceAnalyzer.isValidPackageName(packageName)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Geçersiz paket adı: ${packageName}`
+                    });
+                }
+
+                if (this.androidAnalyzer.monitoring || this.mobileStarting) {
+                    return res.status(409).json({
+                        success: false,
+                        message: `${this.mobileSession ? this.mobileSession.packageName : 'Başka bir uygulama'} için izleme zaten çalışıyor`
+                    });
+                }
+
+                // Uygulama açılışı birkaç saniye sürer; ikinci bir istek o sırada başlatamasın
+                this.mobileStarting = true;
+                try {
+                    if (deviceId) {
+                        await this.androidAnalyzer.refreshDevices();
+                        if (!this.androidAnalyzer.devices.some(device => device.id === deviceId)) {
+                            return res.status(400).json({
+                                success: false,
+                                message: `Bilinmeyen cihaz: ${deviceId}`
+                            });
                         }
                     }
+
+                    const session = await this.startMobileMonitoring(packageName, { deviceId, duration, launch });
+                    res.json({
+                        success: true,
+                        message: `${packageName} için izleme başlatıldı`,
+                        data: session
+                    });
+                } finally {
+                    this.mobileStarting = false;
+                }
+            } catch (error) {
+                console.error('Android izleme başlatma hatası:', error);
+                res.status(500).json({ 
+                    success: false, 
+                    message: error.message 
+                });
+            }
+        });
+
+        this.app.post('/api/mobile/monitor/stop', async (req, res) => {
+            try {
+                const { format = 'json' } = req.body;
+                if (!this.mobileSession) {
+                    return res.status(400).json({ 
+                        success: false, 
+                        message: 'Aktif mobil izleme yok' 
+                    });
+                }
+                // Format izleme durdurulmadan doğrulanır; rapor aşamasında hata session'ı yarıda bırakırdı
+                if (!AndroidPerformanceAnalyzer.REPORT_FORMATS.includes(String(format).toLowerCase())) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Desteklenmeyen rapor formatı: ${format}`
+                    });
                 }
                 
+                const results = await this.stopMobileMonitoring(format);
+                res.json({
+                    success: true,
+                    message: 'Mobil izleme durduruldu',
+                    data: results
+                });
+            } catch (error) {
+                console.error('Android izleme durdurma hatası:', error);
+                res.status(500).json({ 
+                    success: false, 
+                    message: error.message 
+                });
+            }
+        });
+
+        // Raporları listele
+        this.app.get('/api/reports', async (req, res) => {
+            try {
+                const sessions = await this.sessionStore.list();
+                
+                const reports = sessions
+                    .filter(session => session.status === 'completed')
+                    .map(session => {
+                        const metrics = session.metrics || {};
+                        return {
+                            id: session.sessionId,
+                            filename: session.reports && session.reports.html ? path.basename(session.reports.html) : null,
+                            artifacts: Object.keys(session.reports || {}).filter(type => session.reports[type]),
+                            url: session.url,
+                            browserType: session.browserType,
+                            networkProfile: session.networkProfile || null,
+                            cpuSlowdown: session.cpuSlowdown || 1,
+                            device: session.device || null,
+                            startTime: session.startTime,
+                            endTime: session.endTime,
+                            duration: session.duration || 0,
+                            metrics: {
+                                pages: metrics.navigationEvents ? metrics.navigationEvents.filter(e => e.type !== 'dom_content_loaded').length : 0,
+                                resources: metrics.resourceTiming ? metrics.resourceTiming.length : 0,
+                                errors: metrics.errors ? metrics.errors.length : 0
+                            }
+                        };
+                    });
+                
                 // Tarihe göre sırala (en yeni önce)
                 reports.sort((a, b) => b.startTime - a.startTime);
                 
@@ -374,11 +656,194 @@ class PerformanceMonitorServer {
             }
         });
 
-        // Delete single report by timestamp
+        // İki session'ı karşılaştır (a = baseline, b = yeni); format=html ile rapor döner
+        // :sessionId route'undan önce tanımlanmalı
+        this.app.get('/api/reports/compare', async (req, res) => {
+            try {
+                const { a, b, format = 'json' } = req.query;
+
+                if (!a || !b) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'a ve b session ID\'leri gerekli'
+                    });
+                }
+
+                if (!['json', 'html'].includes(format)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Unsupported format: ${format}`
+                    });
+                }
+
+                const [baseline, candidate] = await Promise.all([this.sessionStore.get(String(a)), this.sessionStore.get(String(b))]);
+                const missing = [[a, baseline], [b, candidate]].find(([, session]) => !session || session.status !== 'completed');
+                if (missing) {
+                    return res.status(404).json({
+                        success: false,
+                        message: `Completed session ${missing[0]} not found`
+                    });
+                }
+
+                const comparison = this.comparisonReport.compare(baseline, candidate);
+
+                if (format === 'html') {
+                    return res.type('html').send(this.comparisonReport.generateHTML(comparison));
+                }
+
+                res.json({
+                    success: true,
+                    comparison
+                });
+            } catch (error) {
+                console.error('Karşılaştırma hatası:', error);
+                res.status(500).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        });
+
+        // Tek session'ın kaydı ve manifest'i
+        this.app.get('/api/reports/:sessionId', async (req, res) => {
+            try {
+                const { sessionId } = req.params;
+                const record = await this.sessionStore.get(sessionId);
+                const manifest = await this.reportManifest.read(sessionId);
+                
+                if (!record && !manifest) {
+                    return res.status(404).json({
+                        success: false,
+                        message: `Session ${sessionId} not found`
+                    });
+                }
+                
+                const artifacts = manifest ? Object.values(manifest.artifacts).map(artifact => ({
+                    ...artifact,
+                    downloadUrl: `/api/web/browser/download/${sessionId}?type=${artifact.type}`
+                })) : [];
+                
+                res.json({
+                    success: true,
+                    report: {
+                        id: sessionId,
+                        url: record ? record.url : null,
+                        browserType: record ? record.browserType : null,
+                        status: record ? record.status : 'completed',
+                        startTime: record ? record.startTime : null,
+                        endTime: record ? record.endTime : null,
+                        duration: record ? record.duration || 0 : 0,
+                        artifacts
+                    }
+                });
+            } catch (error) {
+                console.error('Rapor detayı hatası:', error);
+                res.status(500).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        });
+
+        // URL bazlı metrik geçmişi ve regresyonlar (url verilmezse izlenen URL'ler listelenir)
+        this.app.get('/api/history', async (req, res) => {
+            try {
+                const { url, browser, network } = req.query;
+                const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+                const cpuSlowdown = req.query.cpu ? Number(String(req.query.cpu).replace(/x$/i, '')) : undefined;
+                const { device } = req.query;
+
+                if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'limit pozitif bir sayı olmalı'
+                    });
+                }
+
+                if (cpuSlowdown !== undefined && !(cpuSlowdown >= 1)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'cpu 1 veya daha büyük bir sayı olmalı'
+                    });
+                }
+
+                // Geçmiş modülünden önce tamamlanmış session'lar da grafikte görünsün
+                if (!this.historyBackfill) {
+                    this.historyBackfill = this.history.backfill(this.sessionStore).catch(error => {
+                        this.historyBackfill = null;
+                        throw error;
+                    });
+                }
+                await this.historyBackfill;
+
+                if (!url) {
+                    return res.json({
+                        success: true,
+                        urls: await this.history.listUrls()
+                    });
+                }
+
+                const runs = await this.history.query({ url, browserType: browser, network, cpuSlowdown, device, limit });
+                const groups = new Map();
+                runs.forEach(run => {
+                    const key = `${run.browserType}|${run.network || 'none'}|${run.cpuSlowdown || 1}|${run.device || 'desktop'}`;
+                    if (!groups.has(key)) groups.set(key, []);
+                    groups.get(key).push(run);
+                });
+
+                // Tarayıcı, network profili, CPU yavaşlatması ve cihaz farkları regresyon gibi görünmesin diye her kombinasyon ayrı seri
+                const trends = Array.from(groups.values()).map(browserRuns => {
+                    return {
+                        browserType: browserRuns[0].browserType,
+                        network: browserRuns[0].network || 'none',
+                        cpuSlowdown: browserRuns[0].cpuSlowdown || 1,
+                        device: browserRuns[0].device || 'desktop',
+                        ...this.trendAnalyzer.analyze(browserRuns),
+                        sessions: browserRuns.map(run => ({
+                            sessionId: run.sessionId,
+                            startTime: run.startTime,
+                            mode: run.mode,
+                            budgetStatus: run.budgetStatus,
+                            metrics: run.metrics
+                        }))
+                    };
+                });
+
+                res.json({
+                    success: true,
+                    url: this.history.normalizeUrl(url),
+                    metrics: HistoryStore.METRICS,
+                    trends
+                });
+            } catch (error) {
+                console.error('Geçmiş sorgu hatası:', error);
+                res.status(500).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        });
+
+        // Delete single report by session ID (older reports: by timestamp)
         this.app.delete('/api/reports/:timestamp', async (req, res) => {
             try {
                 const { timestamp } = req.params;
                 const reportsDir = path.join(__dirname, '../reports');
+                
+                const record = await this.sessionStore.get(timestamp);
+                const manifest = await this.reportManifest.read(timestamp);
+                if (record || manifest) {
+                    const deletedFiles = manifest ? Object.values(manifest.artifacts).map(artifact => artifact.filename) : [];
+                    await this.reportManifest.remove(timestamp);
+                    await this.sessionStore.delete(timestamp);
+                    
+                    return res.json({
+                        success: true,
+                        message: `Deleted session ${timestamp} and ${deletedFiles.length} report(s)`,
+                        deletedFiles
+                    });
+                }
+                
                 const files = await fs.readdir(reportsDir);
                 
                 // Convert timestamp to date and find matching files
@@ -432,8 +897,11 @@ class PerformanceMonitorServer {
         // Tüm raporları sil
         this.app.delete('/api/reports', async (req, res) => {
             try {
-                const reportsDir = path.join(__dirname, '../reports');
-                const files = await fs.readdir(reportsDir);
+                // Session dizinleri ve eski düz rapor dosyaları birlikte silinir
+                const files = await this.reportManifest.removeAll();
+                
+                // Kayıtlı session'ları da temizle
+                await this.sessionStore.clear();
                 
                 if (files.length === 0) {
                     return res.json({
@@ -442,12 +910,6 @@ class PerformanceMonitorServer {
                     });
                 }
                 
-                // Tüm dosyaları sil
-                for (const file of files) {
-                    const filePath = path.join(reportsDir, file);
-                    await fs.unlink(filePath);
-                }
-                
                 res.json({
                     success: true,
                     message: `Deleted all ${files.length} report(s)`,
@@ -533,6 +995,15 @@ class PerformanceMonitorServer {
 
 
 
+            // İstek üzerine anlık mobil metrikler (canlı güncellemeler 'mobile-metrics' olarak yayınlanır)
+            socket.on('mobile-metrics-request', async () => {
+                try {
+                    socket.emit('mobile-metrics', await this.getMobileMetricsPayload());
+                } catch (error) {
+                    socket.emit('mobile-metrics-error', { error: error.message });
+                }
+            });
+
             socket.on('disconnect', () => {
                 console.log('Bağlantı kesildi:', socket.id);
             });
@@ -575,6 +1046,11 @@ class PerformanceMonitorServer {
 
     async stop() {
         try {
+            this.stopMobileMetricsStream();
+            await this.androidAnalyzer.stopMonitoring();
+            if (this.browserAnalyzer) {
+                await this.browserAnalyzer.close();
+            }
             await this.webAnalyzer.close();
             this.server.close(() => {
                 console.log('☿ Mercury Performance Tools Server stopped');
@@ -584,16 +1060,20 @@ class PerformanceMonitorServer {
         }
     }
 
-    async startBrowserAnalysis(url, browser) {
+    // Browser analyzer session store'u sunucu ile paylaşır, böylece yeniden başlatma sonrası da raporlar okunabilir
+    getBrowserAnalyzer() {
+        if (!this.browserAnalyzer) {
+            const BrowserAnalyzer = require('./web/browser-analyzer');
+            this.browserAnalyzer = new BrowserAnalyzer({ store: this.sessionStore, reportManifest: this.reportManifest, history: this.history, authManager: this.authManager });
+        }
+        return this.browserAnalyzer;
+    }
+
+    async startBrowserAnalysis(url, browser, options = {}) {
         try {
             console.log(`Starting analysis with ${browser} browser:`, url);
             
-            // Initialize browser analyzer
-            if (!this.browserAnalyzer) {
-                this.browserAnalyzer = new (require('./web/browser-analyzer'))();
-            }
-            
-            const sessionId = await this.browserAnalyzer.startAnalysis(url, browser);
+            const sessionId = await this.getBrowserAnalyzer().startAnalysis(url, browser, options);
             return sessionId;
         } catch (error) {
             console.error('Browser analysis start error:', error);
@@ -605,11 +1085,7 @@ class PerformanceMonitorServer {
         try {
             console.log('Stopping browser analysis:', sessionId);
             
-            if (!this.browserAnalyzer) {
-                throw new Error('Browser analyzer not found');
-            }
-            
-            const results = await this.browserAnalyzer.stopAnalysis(sessionId);
+            const results = await this.getBrowserAnalyzer().stopAnalysis(sessionId);
             return results;
         } catch (error) {
             console.error('Browser analysis stop error:', error);
@@ -617,13 +1093,24 @@ class PerformanceMonitorServer {
         }
     }
 
-    async getBrowserAnalysisStatus(sessionId) {
+    async runJourney(definition, browser, options = {}) {
         try {
-            if (!this.browserAnalyzer) {
-                return { status: 'error', message: 'Browser analyzer not found' };
-            }
+            console.log('Running journey:', definition.name);
             
-            const status = await this.browserAnalyzer.getStatus(sessionId);
+            return await this.getBrowserAnalyzer().runJourney(definition, {
+                ...options,
+                browserType: browser,
+                onStep: (step) => this.io.emit('journey-step', step)
+            });
+        } catch (error) {
+            console.error('Journey run error:', error);
+            throw error;
+        }
+    }
+
+    async getBrowserAnalysisStatus(sessionId) {
+        try {
+            const status = await this.getBrowserAnalyzer().getStatus(sessionId);
             return status;
         } catch (error) {
             console.error('Browser analysis status error:', error);
@@ -633,11 +1120,7 @@ class PerformanceMonitorServer {
 
     async getBrowserAnalysisReport(sessionId) {
         try {
-            if (!this.browserAnalyzer) {
-                throw new Error('Browser analyzer not found');
-            }
-            
-            const report = await this.browserAnalyzer.getReport(sessionId);
+            const report = await this.getBrowserAnalyzer().getReport(sessionId);
             return report;
         } catch (error) {
             console.error('Browser analysis report error:', error);
@@ -647,17 +1130,112 @@ class PerformanceMonitorServer {
 
     async generateBrowserAnalysisReport(sessionId) {
         try {
-            if (!this.browserAnalyzer) {
-                throw new Error('Browser analyzer not found');
-            }
-            
-            const reportPath = await this.browserAnalyzer.generateReport(sessionId);
+            const reportPath = await this.getBrowserAnalyzer().generateReport(sessionId);
             return reportPath;
         } catch (error) {
             console.error('Browser analysis report generation error:', error);
             throw error;
         }
     }
+    async selectAndroidDevice(deviceId) {
+        await this.androidAnalyzer.checkADB();
+        await this.androidAnalyzer.refreshDevices();
+        return await this.androidAnalyzer.selectDevice(deviceId || null);
+    }
+
+    async startMobileMonitoring(packageName, options = {}) {
+        try {
+            const { deviceId, duration = 60000, launch = true } = options;
+            console.log(`Starting Android monitoring: ${packageName}`);
+
+            const device = await this.selectAndroidDevice(deviceId);
+            await this.androidAnalyzer.clearMetrics();
+
+            if (launch) {
+                const launched = await this.androidAnalyzer.launchApp(packageName);
+                if (!launched) {
+                    throw new Error(`Uygulama başlatılamadı: ${packageName}`);
+                }
+            }
+
+            const monitoring = await this.androidAnalyzer.startMonitoring(packageName, parseInt(duration) || 60000);
+            this.mobileSession = {
+                ...monitoring,
+                device: device
+            };
+
+            this.startMobileMetricsStream();
+            return this.mobileSession;
+        } catch (error) {
+            console.error('Android monitoring start error:', error);
+            throw error;
+        }
+    }
+
+    async stopMobileMonitoring(format = 'json') {
+        try {
+            const session = this.mobileSession;
+            console.log('Stopping Android monitoring:', session.packageName);
+
+            await this.androidAnalyzer.stopMonitoring();
+            this.stopMobileMetricsStream();
+            this.mobileSession = null;
+
+            const reportPath = await this.androidAnalyzer.generateReport(session.packageName, format);
+            const results = {
+                ...session,
+                endTime: Date.now(),
+                summary: this.androidAnalyzer.calculateSummary(),
+                reportPath: reportPath
+            };
+
+            this.io.emit('mobile-monitor-complete', results);
+            return results;
+        } catch (error) {
+            console.error('Android monitoring stop error:', error);
+            throw error;
+        }
+    }
+
+    async getMobileMetricsPayload() {
+        return {
+            packageName: this.mobileSession ? this.mobileSession.packageName : null,
+            device: this.androidAnalyzer.currentDevice,
+            monitoring: this.androidAnalyzer.monitoring,
+            timestamp: Date.now(),
+            metrics: await this.androidAnalyzer.getCurrentMetrics()
+        };
+    }
+
+    // getCurrentMetrics() sonuçlarını tüm bağlı istemcilere yayınla
+    startMobileMetricsStream(interval = 1000) {
+        this.stopMobileMetricsStream();
+
+        this.mobileMetricsInterval = setInterval(async () => {
+            try {
+                this.io.emit('mobile-metrics', await this.getMobileMetricsPayload());
+
+                // Süre dolduğunda analyzer izlemeyi kendisi durdurur
+                if (!this.androidAnalyzer.monitoring) {
+                    this.stopMobileMetricsStream();
+                    this.io.emit('mobile-monitor-complete', {
+                        ...this.mobileSession,
+                        endTime: Date.now(),
+                        summary: this.androidAnalyzer.calculateSummary()
+                    });
+                }
+            } catch (error) {
+                console.error('Mobile metrics stream error:', error);
+            }
+        }, interval);
+    }
+
+    stopMobileMetricsStream() {
+        if (this.mobileMetricsInterval) {
+            clearInterval(this.mobileMetricsInterval);
+            this.mobileMetricsInterval = null;
+        }
+    }
 }
 
 // If this file is run directly
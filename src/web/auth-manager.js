@@ -0,0 +1,227 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_PROFILES_PATH = path.join(__dirname, '../../auth-profiles.json');
+const DEFAULT_STATE_DIR = path.join(__dirname, '../../data/auth');
+const DEFAULT_LOGIN_TIMEOUT = 30000;
+
+// Login akışında zorunlu alanlar; kullanıcı adı ve şifre dosyada değil ortam değişkenlerinde tutulur
+const LOGIN_FIELDS = ['url', 'usernameSelector', 'passwordSelector', 'usernameEnv', 'passwordEnv'];
+
+// auth-profiles.json içindeki isimli profillerle context'e Playwright storageState uygular.
+// Profil ya içe aktarılmış bir storageState dosyası ya da scriptli bir login akışıdır (ikisi birden de olabilir).
+// Login sonrası state data/auth/<profil>.json'a yazılır ve süresi dolunca login tekrar çalıştırılır.
+class AuthManager {
+    constructor(options = {}) {
+        this.configPath = options.configPath || process.env.AUTH_PROFILES_PATH || DEFAULT_PROFILES_PATH;
+        this.stateDir = options.stateDir || process.env.AUTH_STATE_DIR || DEFAULT_STATE_DIR;
+        // Aynı profil için eş zamanlı session'lar tek bir login bekler
+        this.refreshing = new Map();
+    }
+
+    // Dosya yoksa profil yok sayılır
+    async load() {
+        let content;
+        try {
+            content = await fs.readFile(this.configPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+
+        let config;
+        try {
+            config = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`${this.configPath} geçerli JSON değil: ${error.message}`);
+        }
+
+        const profiles = config.profiles || {};
+        if (typeof profiles !== 'object' || Array.isArray(profiles)) {
+            throw new Error(`${this.configPath} bir "profiles" objesi içermeli`);
+        }
+
+        const normalized = {};
+        Object.entries(profiles).forEach(([name, profile]) => {
+            normalized[name] = this.normalize(name, profile);
+        });
+        return normalized;
+    }
+
+    normalize(name, profile) {
+        // Profil adı state dosyasının adı olur
+        if (!/^[\w.-]+$/.test(name) || name === '.' || name === '..') {
+            throw new Error(`Geçersiz auth profil adı: ${name}`);
+        }
+        if (!profile || typeof profile !== 'object' || (!profile.storageState && !profile.login)) {
+            throw new Error(`Auth profili "${name}": storageState veya login tanımlanmalı`);
+        }
+        if (profile.login) {
+            const missing = LOGIN_FIELDS.filter(field => !profile.login[field]);
+            if (missing.length > 0) {
+                throw new Error(`Auth profili "${name}": login için ${missing.join(', ')} gerekli`);
+            }
+        }
+
+        return {
+            name,
+            description: profile.description || null,
+            // Göreli yollar profil dosyasının dizinine göredir
+            storageState: profile.storageState ? path.resolve(path.dirname(this.configPath), profile.storageState) : null,
+            login: profile.login ? { timeout: DEFAULT_LOGIN_TIMEOUT, ...profile.login } : null,
+            maxAge: Number(profile.maxAge) > 0 ? Number(profile.maxAge) : null,
+            cookies: Array.isArray(profile.cookies) ? profile.cookies : null
+        };
+    }
+
+    // UI ve API için; selector ve ortam değişkeni adları dışarı verilmez
+    async list() {
+        const profiles = await this.load();
+        return Object.values(profiles).map(profile => ({
+            name: profile.name,
+            description: profile.description,
+            type: profile.login ? (profile.storageState ? 'storageState+login' : 'login') : 'storageState',
+            loginUrl: profile.login ? profile.login.url : null
+        }));
+    }
+
+    // Verilmezse null (login'siz analiz); bilinmeyen profil reddedilir
+    async resolve(value) {
+        if (value === undefined || value === null || value === '' || value === 'none') {
+            return null;
+        }
+
+        const profiles = await this.load();
+        const profile = profiles[String(value)];
+        if (!profile) {
+            const available = Object.keys(profiles);
+            throw new Error(`Unknown auth profile "${value}"${available.length > 0 ? `. Available: ${available.join(', ')}` : ` (no profiles in ${path.basename(this.configPath)})`}`);
+        }
+        return profile;
+    }
+
+    // Context'e verilecek storageState; kayıtlı state yoksa veya süresi dolduysa login çalıştırılır
+    async storageState(browser, profile, contextOptions = {}) {
+        const candidates = await Promise.all([
+            this.readState(this.statePath(profile.name)),
+            profile.storageState ? this.readState(profile.storageState) : null
+        ]);
+        // Kaydedilen ve içe aktarılan state'ten yenisi kullanılır (dosya yeniden export edilmiş olabilir)
+        const current = candidates
+            .filter(Boolean)
+            .sort((a, b) => b.savedAt - a.savedAt)[0];
+
+        if (current && !this.isExpired(current, profile)) {
+            return current.state;
+        }
+
+        if (!profile.login) {
+            throw new Error(current
+                ? `Auth profile "${profile.name}": storage state has expired and no login flow is configured to refresh it`
+                : `Auth profile "${profile.name}": storage state file ${profile.storageState} not found`);
+        }
+
+        return this.refresh(browser, profile, contextOptions);
+    }
+
+    async refresh(browser, profile, contextOptions = {}) {
+        if (!this.refreshing.has(profile.name)) {
+            const pending = this.login(browser, profile, contextOptions)
+                .finally(() => this.refreshing.delete(profile.name));
+            this.refreshing.set(profile.name, pending);
+        }
+        return this.refreshing.get(profile.name);
+    }
+
+    // Login ayrı bir context'te yapılır; ölçülen session'ın metriklerine karışmaz
+    async login(browser, profile, contextOptions = {}) {
+        const { login } = profile;
+        const username = process.env[login.usernameEnv];
+        const password = process.env[login.passwordEnv];
+        const missing = [[login.usernameEnv, username], [login.passwordEnv, password]]
+            .filter(([, value]) => !value)
+            .map(([name]) => name);
+        if (missing.length > 0) {
+            throw new Error(`Auth profile "${profile.name}": environment variable${missing.length > 1 ? 's' : ''} ${missing.join(', ')} ${missing.length > 1 ? 'are' : 'is'} not set`);
+        }
+
+        console.log(`Auth profili "${profile.name}" için login yapılıyor: ${login.url}`);
+        const context = await browser.newContext({ ignoreHTTPSErrors: true, ...contextOptions });
+        try {
+            const page = await context.newPage();
+            const timeout = Number(login.timeout) || DEFAULT_LOGIN_TIMEOUT;
+            await page.goto(login.url, { waitUntil: 'domcontentloaded', timeout });
+            const loginUrl = page.url();
+
+            await page.locator(login.usernameSelector).first().fill(username, { timeout });
+            await page.locator(login.passwordSelector).first().fill(password, { timeout });
+            if (login.submitSelector) {
+                await page.locator(login.submitSelector).first().click({ timeout });
+            } else {
+                await page.locator(login.passwordSelector).first().press('Enter', { timeout });
+            }
+
+            // Başarı: verilen selector görünür, verilen URL'ye gelindi ya da login sayfasından çıkıldı
+            if (login.successSelector) {
+                await page.waitForSelector(login.successSelector, { state: 'visible', timeout });
+            } else if (login.successUrl) {
+                await page.waitForURL(url => url.href.includes(login.successUrl), { timeout });
+            } else {
+                await page.waitForURL(url => url.href !== loginUrl, { timeout });
+            }
+
+            const state = await context.storageState();
+            await this.writeState(profile.name, state);
+            return state;
+        } catch (error) {
+            // Playwright mesajının ilk satırı yeterli; şifre mesaja girmez
+            throw new Error(`Auth profile "${profile.name}": login failed: ${error.message.split('\n')[0]}`);
+        } finally {
+            await context.close().catch(() => {});
+        }
+    }
+
+    // maxAge (saniye) aşıldıysa veya izlenen cookie'lerden biri eksik/süresi dolmuşsa state geçersizdir.
+    // cookies verilmezse kalıcı cookie'lerin hepsine bakılır; oturum cookie'lerinin (expires -1) süresi yoktur
+    isExpired({ state, savedAt }, profile, now = Date.now()) {
+        if (profile.maxAge && now - savedAt > profile.maxAge * 1000) {
+            return true;
+        }
+
+        const cookies = state.cookies || [];
+        if (profile.cookies) {
+            return profile.cookies.some(name => {
+                const cookie = cookies.find(item => item.name === name);
+                return !cookie || (cookie.expires > 0 && cookie.expires * 1000 <= now);
+            });
+        }
+        return cookies.some(cookie => cookie.expires > 0 && cookie.expires * 1000 <= now);
+    }
+
+    statePath(name) {
+        return path.join(this.stateDir, `${name}.json`);
+    }
+
+    // State ve kaydedilme zamanı (dosyanın değişme zamanı); dosya yoksa null
+    async readState(filePath) {
+        try {
+            const [content, stat] = await Promise.all([fs.readFile(filePath, 'utf8'), fs.stat(filePath)]);
+            return { state: JSON.parse(content), savedAt: stat.mtimeMs };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw new Error(`${filePath} okunamadı: ${error.message}`);
+        }
+    }
+
+    // Session cookie'leri içerdiği için sadece sahibi okuyabilir
+    async writeState(name, state) {
+        await fs.mkdir(this.stateDir, { recursive: true });
+        const filePath = this.statePath(name);
+        const tempPath = `${filePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(state, null, 2), { mode: 0o600 });
+        await fs.rename(tempPath, filePath);
+        return filePath;
+    }
+}
+
+module.exports = AuthManager;
@@ -1,97 +1,113 @@
 const { chromium, firefox, webkit } = require('playwright');
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const LighthouseCIReport = require('./lighthouse-ci-report');
 const PageSpeedAnalyzer = require('./pagespeed-analyzer');
 const PageSpeedReport = require('./pagespeed-report');
+const GeminiAnalyzer = require('./gemini-analyzer');
+const GeminiReport = require('./gemini-report');
+const HarExporter = require('./har-exporter');
+const NetworkThrottler = require('./network-throttler');
+const CpuThrottler = require('./cpu-throttler');
+const DeviceEmulator = require('./device-emulator');
+const FilmstripRecorder = require('./filmstrip-recorder');
+const TraceRecorder = require('./trace-recorder');
+const CoverageCollector = require('./coverage-collector');
+const MemoryMonitor = require('./memory-monitor');
+const WebVitalsCollector = require('./web-vitals-collector');
+const JourneyRunner = require('./journey-runner');
+const BudgetEvaluator = require('./budget-evaluator');
+const AuthManager = require('./auth-manager');
+const RequestBlocker = require('./request-blocker');
+const ResponseOverrider = require('./response-overrider');
+const NetworkArchive = require('./network-archive');
+const { createSessionStore } = require('../storage/session-store');
+const ReportManifest = require('../storage/report-manifest');
+const HistoryStore = require('../storage/history-store');
+
+// İlk yüklemenin filmstrip'i en fazla bu kadar kaydedilir (ms)
+const FILMSTRIP_TIMEOUT = 15000;
+
+// recordVideo ile kaydedilen ana sayfa videosu session'ın rapor dizinine bu adla taşınır
+const VIDEO_FILE = 'session.webm';
 
 class BrowserAnalyzer {
-    constructor() {
+    constructor(options = {}) {
         this.sessions = new Map();
+        this.store = options.store || createSessionStore();
+        this.reportManifest = options.reportManifest || new ReportManifest();
         this.browsers = new Map();
         this.lighthouseCIReport = new LighthouseCIReport();
         this.pageSpeedAnalyzer = new PageSpeedAnalyzer();
         this.pageSpeedReport = new PageSpeedReport();
+        this.geminiAnalyzer = options.geminiAnalyzer || new GeminiAnalyzer();
+        this.geminiReport = new GeminiReport();
+        this.harExporter = new HarExporter();
+        this.networkThrottler = new NetworkThrottler();
+        this.cpuThrottler = new CpuThrottler();
+        this.deviceEmulator = new DeviceEmulator();
+        this.filmstripRecorder = new FilmstripRecorder();
+        this.traceRecorder = new TraceRecorder();
+        this.coverageCollector = new CoverageCollector();
+        this.requestBlocker = new RequestBlocker();
+        this.responseOverrider = new ResponseOverrider();
+        // archiveDir verilirse arşivler oradan okunur/yazılır (ör. testlerde sabit kayıtlarla offline çalışmak için)
+        this.networkArchive = options.networkArchive || new NetworkArchive({ archiveDir: options.archiveDir });
+        const memoryInterval = options.memoryInterval || parseInt(process.env.MEMORY_SAMPLE_INTERVAL, 10);
+        this.memoryMonitor = new MemoryMonitor(memoryInterval ? { interval: memoryInterval } : {});
+        this.responseBodyLimit = options.responseBodyLimit || parseInt(process.env.RESPONSE_BODY_LIMIT, 10) || 1000;
+        this.webVitalsCollector = new WebVitalsCollector();
+        this.journeyRunner = new JourneyRunner({ webVitalsCollector: this.webVitalsCollector });
+        this.budgetEvaluator = options.budgetEvaluator || new BudgetEvaluator();
+        this.authManager = options.authManager || new AuthManager();
+        this.history = options.history || new HistoryStore();
     }
 
-    async startAnalysis(url, browserType) {
+    async startAnalysis(url, browserType, options = {}) {
+        const sessionId = crypto.randomUUID();
+        // Geçersiz profil, oran veya cihaz tarayıcı açılmadan reddedilsin
+        const networkProfile = this.networkThrottler.resolve(options.networkProfile);
+        const cpuSlowdown = this.cpuThrottler.resolve(options.cpuSlowdown, browserType);
+        const device = this.deviceEmulator.resolve(options.device);
+        const trace = this.traceRecorder.resolve(options.trace, browserType);
+        const heapSnapshots = this.memoryMonitor.resolveSnapshots(options.heapSnapshots, browserType);
+        const block = this.requestBlocker.resolve(options.block);
+        const overrides = await this.responseOverrider.resolve(options.overrides, { baseDir: options.overridesDir });
+        const archive = await this.networkArchive.resolve({ record: options.record, replay: options.replay, latency: options.replayLatency }, { allowPaths: options.archivePaths });
+        const auth = await this.authManager.resolve(options.auth);
+
         try {
-    
-            
-            const sessionId = Date.now().toString();
-            const browser = await this.launchBrowser(browserType);
-            
-            if (!browser) {
-                throw new Error(`${browserType} tarayıcısı başlatılamadı`);
-            }
-            
-            const context = await browser.newContext({
-                viewport: null, // Tam ekran için viewport'u kaldır
-                userAgent: this.getUserAgent(browserType),
-                ignoreHTTPSErrors: true,
-                // Bot tespiti önleme için gelişmiş ayarlar
-                extraHTTPHeaders: {
-                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
-                    'Accept-Encoding': 'gzip, deflate, br',
-                    'Accept-Language': 'tr-TR,tr;q=0.9,en;q=0.8',
-                    'Cache-Control': 'no-cache',
-                    'Pragma': 'no-cache',
-                    'Sec-Ch-Ua': '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
-                    'Sec-Ch-Ua-Mobile': '?0',
-                    'Sec-Ch-Ua-Platform': '"Windows"',
-                    'Sec-Fetch-Dest': 'document',
-                    'Sec-Fetch-Mode': 'navigate',
-                    'Sec-Fetch-Site': 'none',
-                    'Sec-Fetch-User': '?1',
-                    'Upgrade-Insecure-Requests': '1'
-                }
-            });
-            
-            const page = await context.newPage();
-            
-            // Network traffic listeners ekle (önce network, sonra performance)
-            await this.setupNetworkListeners(page);
-            
-            // Performance listeners ekle
-            await this.setupPerformanceListeners(page);
-            
-            // Session bilgilerini kaydet
-            this.sessions.set(sessionId, {
-                browserType,
-                browser,
-                context,
-                page,
-                url,
-                startTime: Date.now(),
-                status: 'active',
-                metrics: {
-                    navigationEvents: [],
-                    resourceTiming: [],
-                    errors: [],
-                    userInteractions: [],
-                    consoleLogs: [],
-                    clicks: [],
-                    memoryUsage: [],
-                    cpuUsage: [],
-                    pageLoadTimes: [],
-                    totalResources: 0,
-                    totalErrors: 0,
-                    totalSize: 0,
-                    networkRequests: [],
-                    networkResponses: [],
-                    networkErrors: []
-                }
+            const page = await this.openSession(sessionId, url, browserType, {
+                networkProfile,
+                cpuSlowdown,
+                device,
+                trace,
+                heapSnapshots,
+                block,
+                overrides,
+                archive,
+                auth,
+                recordVideo: Boolean(options.recordVideo)
             });
+            const userAgent = (device && device.userAgent) || this.getUserAgent(browserType);
+            const spoof = {
+                connection: this.networkThrottler.connectionInfo(networkProfile),
+                userAgent,
+                platform: this.deviceEmulator.platformFor(userAgent)
+            };
             
             // Sayfayı aç (daha güvenli timeout ile)
             try {
+                await this.startFilmstrip(sessionId);
                 await page.goto(url, { 
                     waitUntil: 'domcontentloaded', 
                     timeout: 30000 
                 });
+                this.finishFilmstrip(sessionId);
 
                 // Bot tespiti önleme için JavaScript kodları
-                await page.evaluate(() => {
+                await page.evaluate((spoof) => {
                     // WebDriver özelliğini gizle
                     Object.defineProperty(navigator, 'webdriver', {
                         get: () => undefined,
@@ -117,9 +133,9 @@ class BrowserAnalyzer {
                         delete window.chrome.runtime;
                     }
 
-                    // User agent string'ini gerçek Chrome gibi yap
+                    // User agent string'ini context'in UA'sı ile aynı yap (masaüstü veya emüle edilen cihaz)
                     Object.defineProperty(navigator, 'userAgent', {
-                        get: () => 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+                        get: () => spoof.userAgent,
                     });
 
                     // Language özelliğini ayarla
@@ -129,7 +145,7 @@ class BrowserAnalyzer {
 
                     // Platform özelliğini ayarla
                     Object.defineProperty(navigator, 'platform', {
-                        get: () => 'Win32',
+                        get: () => spoof.platform,
                     });
 
                     // Hardware concurrency özelliğini ayarla
@@ -142,16 +158,11 @@ class BrowserAnalyzer {
                         get: () => 8,
                     });
 
-                    // Connection özelliğini ayarla
+                    // Connection özelliğini ayarla (seçilen network profiliyle tutarlı)
                     Object.defineProperty(navigator, 'connection', {
-                        get: () => ({
-                            effectiveType: '4g',
-                            rtt: 50,
-                            downlink: 10,
-                            saveData: false
-                        }),
+                        get: () => spoof.connection,
                     });
-                });
+                }, spoof);
         
                 
                 // Make fullscreen (safer)
@@ -181,9 +192,17 @@ class BrowserAnalyzer {
 
                 // Collect additional data after page loads
                 await this.collectAdditionalData(page, sessionId);
+
+                // Başlangıç heap snapshot'ı ilk sayfa yüklendikten sonra
+                try {
+                    await this.takeHeapSnapshot(sessionId, 'start');
+                } catch (snapshotError) {
+                    console.warn('Heap snapshot alınamadı:', snapshotError.message);
+                }
                 
             } catch (navigationError) {
                 console.warn('Sayfa yükleme hatası, devam ediliyor:', navigationError.message);
+                this.finishFilmstrip(sessionId);
                 // Hata olsa bile devam et
             }
             
@@ -207,12 +226,218 @@ class BrowserAnalyzer {
         }
     }
 
-    async launchBrowser(browserType) {
+    // Adımları headless çalıştır, ardından normal analiz gibi durdurup raporla
+    async runJourney(definition, options = {}) {
+        const journey = await this.journeyRunner.load(definition);
+        const browserType = options.browserType || journey.browser || 'chrome';
+        const networkProfile = this.networkThrottler.resolve(options.networkProfile !== undefined ? options.networkProfile : journey.network);
+        const cpuSlowdown = this.cpuThrottler.resolve(options.cpuSlowdown !== undefined ? options.cpuSlowdown : journey.cpuSlowdown, browserType);
+        const device = this.deviceEmulator.resolve(options.device !== undefined ? options.device : journey.device);
+        const trace = this.traceRecorder.resolve(options.trace, browserType);
+        const block = this.requestBlocker.resolve(options.block !== undefined ? options.block : journey.block);
+        const overrides = await this.responseOverrider.resolve(options.overrides !== undefined ? options.overrides : journey.overrides, { baseDir: options.overridesDir });
+        // Kayıt/replay seçeneği verilmemişse journey dosyasındaki kullanılır
+        const archiveSource = options.record !== undefined || options.replay !== undefined ? options : journey;
+        const archive = await this.networkArchive.resolve({
+            record: archiveSource.record,
+            replay: archiveSource.replay,
+            latency: options.replayLatency !== undefined ? options.replayLatency : archiveSource.replayLatency
+        }, { allowPaths: options.archivePaths });
+        const auth = await this.authManager.resolve(options.auth !== undefined ? options.auth : journey.auth);
+        const sessionId = crypto.randomUUID();
+
+        try {
+            const page = await this.openSession(sessionId, journey.url, browserType, {
+                headless: options.headless !== false,
+                mode: 'journey',
+                networkProfile,
+                cpuSlowdown,
+                device,
+                trace,
+                block,
+                overrides,
+                archive,
+                auth
+            });
+
+            const session = this.sessions.get(sessionId);
+            session.journey = await this.journeyRunner.run(page, session, journey, options.onStep);
+
+            return await this.stopAnalysis(sessionId);
+
+        } catch (error) {
+            console.error('Journey run error:', error);
+
+            try {
+                const session = this.sessions.get(sessionId);
+                if (session && session.context) await session.context.close();
+                const browser = this.browsers.get(sessionId);
+                if (browser) await browser.close();
+                this.browsers.delete(sessionId);
+                this.sessions.delete(sessionId);
+            } catch (cleanupError) {
+                console.error('Cleanup error:', cleanupError);
+            }
+
+            throw error;
+        }
+    }
+
+    // Tarayıcı, context ve sayfayı açıp session'ı listener'larıyla birlikte kaydet
+    async openSession(sessionId, url, browserType, options = {}) {
+        const browser = await this.launchBrowser(browserType, { headless: options.headless });
+        
+        if (!browser) {
+            throw new Error(`${browserType} tarayıcısı başlatılamadı`);
+        }
+        this.browsers.set(sessionId, browser);
+        
+        const device = options.device || null;
+        // Login state'i ilk navigation'dan önce context'e yüklenir; kayıtlı state yoksa veya süresi dolduysa önce login yapılır
+        const storageState = options.auth
+            ? await this.authManager.storageState(browser, options.auth, { userAgent: this.getUserAgent(browserType) })
+            : null;
+        const context = await browser.newContext({
+            viewport: options.headless ? { width: 1920, height: 1080 } : null, // Headless'ta sabit, aksi halde tam ekran
+            userAgent: this.getUserAgent(browserType),
+            // Cihaz seçildiyse viewport, DPR, touch, isMobile ve UA descriptor'dan gelir
+            ...(device ? this.deviceEmulator.contextOptions(device, browserType) : {}),
+            ignoreHTTPSErrors: true,
+            ...(storageState ? { storageState } : {}),
+            // Kayıt modunda tüm trafik context kapanınca HAR arşivine yazılır
+            ...await this.networkArchive.contextOptions(options.archive),
+            // Video session'ın rapor dizinine kaydedilir, durdurulurken VIDEO_FILE adını alır
+            ...(options.recordVideo ? { recordVideo: { dir: await this.reportManifest.ensureSessionDir(sessionId) } } : {}),
+            // Bot tespiti önleme için gelişmiş ayarlar
+            extraHTTPHeaders: {
+                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
+                'Accept-Encoding': 'gzip, deflate, br',
+                'Accept-Language': 'tr-TR,tr;q=0.9,en;q=0.8',
+                'Cache-Control': 'no-cache',
+                'Pragma': 'no-cache',
+                'Sec-Ch-Ua': '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
+                'Sec-Ch-Ua-Mobile': device && device.isMobile ? '?1' : '?0',
+                'Sec-Ch-Ua-Platform': `"${this.deviceEmulator.clientHintPlatform(device)}"`,
+                'Sec-Fetch-Dest': 'document',
+                'Sec-Fetch-Mode': 'navigate',
+                'Sec-Fetch-Site': 'none',
+                'Sec-Fetch-User': '?1',
+                'Upgrade-Insecure-Requests': '1'
+            }
+        });
+        
+        // Core Web Vitals (LCP, CLS, INP, long tasks) her navigation için ayrı toplanır
+        await this.webVitalsCollector.attach(context, (vitalsPage, vitals) => {
+            const session = this.getSessionByPage(vitalsPage);
+            if (session) {
+                this.webVitalsCollector.record(session.metrics.webVitals, vitals);
+            }
+        });
+        
+        const page = await context.newPage();
+        // Video kaydı sayfa açıldığında başlar; rapordaki zaman damgaları buna göre videoya bağlanır
+        const videoStartTime = options.recordVideo ? Date.now() : null;
+        
+        // Throttling route'u ilk kaydedilen olmalı; sonradan eklenen route'lar fallback ile ona düşer
+        const networkProfile = await this.networkThrottler.apply(context, page, browserType, options.networkProfile);
+        const cpuSlowdown = await this.cpuThrottler.apply(context, page, options.cpuSlowdown);
+        const emulatedDevice = this.deviceEmulator.applied(device, browserType);
+        // Replay: istekler arşivden karşılanır; override ve bloklama route'ları ondan önce çalışır
+        const archiveReplay = options.archive ? await this.networkArchive.apply(context, options.archive, { networkProfile }) : null;
+        // Override route'u throttling'den sonra kaydedilir; eşleşmeyen istekler ona düşer
+        const overriding = options.overrides
+            ? await this.responseOverrider.apply(context, options.overrides, { networkProfile })
+            : null;
+        // Bloklama route'u en son kaydedilir, önce çalışır
+        const blocking = options.block ? await this.requestBlocker.apply(context, options.block) : null;
+        // Trace ilk navigation'dan önce başlar ve session durdurulana kadar sürer
+        const traceRecording = options.trace ? await this.traceRecorder.start(browser, page) : null;
+        const coverageRecording = await this.startCoverage(page, browserType);
+        
+        // Session bilgilerini kaydet (listener'lar session'ı sayfa üzerinden bulur)
+        this.sessions.set(sessionId, {
+            browserType,
+            mode: options.mode || 'interactive',
+            networkProfile,
+            cpuSlowdown,
+            device: emulatedDevice,
+            auth: options.auth ? options.auth.name : null,
+            block: options.block || null,
+            blocking,
+            overriding,
+            archive: options.archive || null,
+            archiveReplay,
+            browser,
+            context,
+            page,
+            url,
+            videoStartTime,
+            traceRecording,
+            coverageRecording,
+            heapSnapshots: Boolean(options.heapSnapshots),
+            snapshots: {},
+            startTime: Date.now(),
+            status: 'active',
+            metrics: {
+                navigationEvents: [],
+                resourceTiming: [],
+                errors: [],
+                userInteractions: [],
+                consoleLogs: [],
+                clicks: [],
+                memoryUsage: [],
+                cpuUsage: [],
+                pageLoadTimes: [],
+                totalResources: 0,
+                totalErrors: 0,
+                totalSize: 0,
+                networkRequests: [],
+                networkResponses: [],
+                networkErrors: [],
+                webVitals: []
+            }
+        });
+        
+        await this.store.save(sessionId, {
+            browserType,
+            mode: options.mode || 'interactive',
+            networkProfile,
+            cpuSlowdown,
+            device: emulatedDevice,
+            auth: options.auth ? options.auth.name : null,
+            url,
+            startTime: this.sessions.get(sessionId).startTime,
+            status: 'active'
+        });
+        
+        // JS heap, DOM node ve listener sayısı session boyunca örneklenir
+        const session = this.sessions.get(sessionId);
+        try {
+            session.memoryMonitoring = await this.memoryMonitor.start(context, page, browserType, (sample) => {
+                if (sample.url !== 'about:blank') session.metrics.memoryUsage.push(sample);
+            });
+        } catch (error) {
+            console.warn('Bellek izleme başlatılamadı:', error.message);
+        }
+
+        // Network traffic listeners ekle (önce network, sonra performance)
+        await this.setupNetworkListeners(page);
+        
+        // Performance listeners ekle
+        await this.setupPerformanceListeners(page);
+        
+        return page;
+    }
+
+    async launchBrowser(browserType, options = {}) {
+        // Journey modu ekransız (CI) ortamda çalışır
+        const headless = options.headless === true;
+
         try {
             switch (browserType.toLowerCase()) {
                 case 'chrome':
                     return await chromium.launch({
-                        headless: false,
+                        headless,
                         // channel: 'chrome', // Sistem Chrome'u kullanmayı kapat
                         args: [
                             '--no-sandbox',
@@ -286,7 +511,7 @@ class BrowserAnalyzer {
                 
                 case 'firefox':
                     return await firefox.launch({
-                        headless: false,
+                        headless,
                         args: [
                             '--no-sandbox',
                             '--disable-dev-shm-usage',
@@ -303,7 +528,7 @@ class BrowserAnalyzer {
                 
                 case 'safari':
                     return await webkit.launch({
-                        headless: false,
+                        headless,
                         args: [
                             '--disable-background-timer-throttling',
                             '--disable-backgrounding-occluded-windows',
@@ -318,7 +543,7 @@ class BrowserAnalyzer {
                 
                 case 'edge':
                     return await chromium.launch({
-                        headless: false,
+                        headless,
                         // channel: 'msedge', // Sistem Edge'ini kullanmayı kapat
                         args: [
                             '--no-sandbox',
@@ -352,7 +577,7 @@ class BrowserAnalyzer {
             // Fallback to Chromium
     
             return await chromium.launch({
-                headless: false,
+                headless,
                 args: [
                     '--no-sandbox',
                     '--disable-setuid-sandbox',
@@ -390,15 +615,16 @@ class BrowserAnalyzer {
 
     async setupNetworkListeners(page) {
         try {
-            // Request-response mapping için Map
+            // Request-response mapping için Map (aynı URL'ye paralel istekler karışmasın diye Request nesnesiyle)
             const requestMap = new Map();
+            let requestSequence = 0;
             
             // Network request listeners (Postman proxy benzeri)
             page.on('request', request => {
                 const session = this.getSessionByPage(page);
                 if (session) {
-                    const requestId = request.url() + '_' + Date.now();
                     const startTime = Date.now();
+                    const requestId = `${startTime}-${++requestSequence}`;
                     
                     const requestData = {
                         id: requestId,
@@ -410,11 +636,12 @@ class BrowserAnalyzer {
                         startTime: startTime,
                         timestamp: startTime,
                         frame: request.frame().name(),
+                        navigation: request.isNavigationRequest() && request.frame() === page.mainFrame(),
                         size: request.postData() ? request.postData().length : 0
                     };
                     
                     // Request'i Map'e kaydet
-                    requestMap.set(request.url(), {
+                    requestMap.set(request, {
                         request: requestData,
                         startTime: startTime
                     });
@@ -434,7 +661,7 @@ class BrowserAnalyzer {
                 const session = this.getSessionByPage(page);
                 if (session) {
                     const endTime = Date.now();
-                    const requestInfo = requestMap.get(response.url());
+                    const requestInfo = requestMap.get(response.request());
                     const duration = requestInfo ? endTime - requestInfo.startTime : 0;
                     
                     let responseBody = '';
@@ -445,6 +672,7 @@ class BrowserAnalyzer {
                     }
                     
                     const responseData = {
+                        requestId: requestInfo ? requestInfo.request.id : null,
                         url: response.url(),
                         status: response.status(),
                         statusText: response.statusText(),
@@ -454,7 +682,8 @@ class BrowserAnalyzer {
                         timestamp: endTime,
                         resourceType: response.request().resourceType(),
                         responseSize: responseBody.length,
-                        responseBody: responseBody.substring(0, 1000) // İlk 1000 karakter
+                        responseBody: responseBody.substring(0, this.responseBodyLimit), // İlk RESPONSE_BODY_LIMIT karakter
+                        bodyTruncated: responseBody.length > this.responseBodyLimit
                     };
                     
                     if (!session.metrics.networkResponses) {
@@ -470,21 +699,26 @@ class BrowserAnalyzer {
                     if (responseBody.length > 0 && responseBody.length < 500) {
                         console.log(`   📄 Response: ${responseBody.substring(0, 200)}${responseBody.length > 200 ? '...' : ''}`);
                     }
-                    
-                    // Request'i Map'ten temizle
-                    requestMap.delete(response.url());
                 }
             });
 
             // Network error listeners
             page.on('requestfailed', request => {
                 const session = this.getSessionByPage(page);
+                // Bilerek bloklanan istekler network hatası sayılmaz
+                if (session && session.blocking && session.blocking.isBlocked(request)) {
+                    const requestInfo = requestMap.get(request);
+                    if (requestInfo) requestInfo.request.blocked = true;
+                    requestMap.delete(request);
+                    return;
+                }
                 if (session) {
                     const endTime = Date.now();
-                    const requestInfo = requestMap.get(request.url());
+                    const requestInfo = requestMap.get(request);
                     const duration = requestInfo ? endTime - requestInfo.startTime : 0;
                     
                     const errorData = {
+                        requestId: requestInfo ? requestInfo.request.id : null,
                         url: request.url(),
                         method: request.method(),
                         error: request.failure().errorText,
@@ -498,19 +732,27 @@ class BrowserAnalyzer {
                         session.metrics.networkErrors = [];
                     }
                     session.metrics.networkErrors.push(errorData);
-                    
 
+                    if (requestInfo) {
+                        requestInfo.request.timing = request.timing();
+                    }
                     
                     // Request'i Map'ten temizle
-                    requestMap.delete(request.url());
+                    requestMap.delete(request);
                 }
             });
 
-            // Ek network event'leri
-            page.on('requestfinished', request => {
-                const session = this.getSessionByPage(page);
-                if (session) {
-                    // Request finished
+            // Timing fazları ve gerçek header/body boyutları (HAR export) istek bitince belli olur
+            page.on('requestfinished', async request => {
+                const requestInfo = requestMap.get(request);
+                if (!requestInfo) return;
+                requestMap.delete(request);
+
+                requestInfo.request.timing = request.timing();
+                try {
+                    requestInfo.request.sizes = await request.sizes();
+                } catch (error) {
+                    // Sayfa kapandıysa boyutlar alınamaz
                 }
             });
 
@@ -693,7 +935,7 @@ class BrowserAnalyzer {
         });
 
         // SPA navigation için history API değişikliklerini dinle
-        await page.evaluateOnNewDocument(() => {
+        await page.addInitScript(() => {
             const originalPushState = history.pushState;
             const originalReplaceState = history.replaceState;
             
@@ -763,7 +1005,7 @@ class BrowserAnalyzer {
         });
 
         // Link tıklamalarını takip et
-        await page.evaluateOnNewDocument(() => {
+        await page.addInitScript(() => {
             document.addEventListener('click', (event) => {
                 const link = event.target.closest('a');
                 if (link && link.href) {
@@ -904,8 +1146,12 @@ class BrowserAnalyzer {
             }
         });
 
-        // URL değişikliklerini sürekli takip et
-        setInterval(async () => {
+        // URL değişikliklerini sayfa kapanana kadar takip et
+        const urlWatcher = setInterval(async () => {
+            if (page.isClosed()) {
+                clearInterval(urlWatcher);
+                return;
+            }
             try {
                 const currentUrl = page.url();
                 const lastNavigation = session.metrics.navigationEvents[session.metrics.navigationEvents.length - 1];
@@ -934,6 +1180,118 @@ class BrowserAnalyzer {
         });
     }
 
+    // İlk sayfa yüklemesinin filmstrip'i; kayıt başlamazsa analiz filmstrip'siz devam eder
+    async startFilmstrip(sessionId) {
+        const session = this.sessions.get(sessionId);
+        try {
+            session.filmstripRecording = await this.filmstripRecorder.start(session.context, session.page, session.browserType);
+        } catch (error) {
+            console.warn('Filmstrip kaydı başlatılamadı:', error.message);
+        }
+    }
+
+    // Kullanıcı etkileşimleri filmstrip'e girmesin diye kayıt ağ boşalınca durdurulur
+    finishFilmstrip(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session || !session.filmstripRecording) return;
+
+        session.page.waitForLoadState('networkidle', { timeout: FILMSTRIP_TIMEOUT })
+            .catch(() => {})
+            .then(() => this.stopFilmstrip(session))
+            .catch(error => console.warn('Filmstrip kaydı durdurulamadı:', error.message));
+    }
+
+    async stopFilmstrip(session) {
+        if (!session.filmstripRecording) return null;
+
+        const filmstrip = await session.filmstripRecording.stop();
+        session.metrics.visualMetrics = filmstrip.metrics;
+        return filmstrip;
+    }
+
+    // JS/CSS coverage sadece Chromium'da; başlamazsa session coverage'sız devam eder
+    async startCoverage(page, browserType) {
+        if (!this.coverageCollector.isSupported(browserType)) return null;
+
+        try {
+            return await this.coverageCollector.start(page);
+        } catch (error) {
+            console.warn('Coverage başlatılamadı:', error.message);
+            return null;
+        }
+    }
+
+    async stopCoverage(session) {
+        if (!session.coverageRecording) return null;
+
+        const entries = await session.coverageRecording.stop();
+        session.metrics.coverage = this.coverageCollector.summarize(entries, session.url);
+        return session.metrics.coverage;
+    }
+
+    // Son snapshot ve son örnek alınır, örnekler sayfa ziyaretlerine göre sızıntı için değerlendirilir
+    async stopMemoryMonitor(sessionId, session) {
+        try {
+            await this.takeHeapSnapshot(sessionId, 'end');
+        } catch (snapshotError) {
+            console.warn('Heap snapshot alınamadı:', snapshotError.message);
+        }
+        if (session.memoryMonitoring) {
+            await session.memoryMonitoring.stop();
+        }
+
+        const memory = this.memoryMonitor.analyze(session.metrics.memoryUsage);
+        if (memory && session.heapSnapshots) {
+            const { start = null, end = null } = session.snapshots;
+            memory.snapshots = {
+                start,
+                end,
+                growth: start && end && start.heapAfterGc !== null && end.heapAfterGc !== null ? end.heapAfterGc - start.heapAfterGc : null
+            };
+        }
+        session.metrics.memory = memory;
+        return memory;
+    }
+
+    // heapSnapshots açıksa session dizinine heap-<label>.heapsnapshot yazılır (DevTools Memory panelinde açılır)
+    async takeHeapSnapshot(sessionId, label) {
+        const session = this.sessions.get(sessionId);
+        if (!session || !session.heapSnapshots) return null;
+
+        const filename = `heap-${label}.heapsnapshot`;
+        const filePath = path.join(await this.reportManifest.ensureSessionDir(sessionId), filename);
+        const snapshot = await this.memoryMonitor.takeSnapshot(session.context, session.page, filePath);
+        await this.reportManifest.addArtifact(sessionId, `heap-${label}`, filePath);
+        session.snapshots[label] = { ...snapshot, filename };
+        return session.snapshots[label];
+    }
+
+    // Ham trace DevTools'ta açılmak üzere trace.json'a yazılır, session'a sadece özeti girer
+    async stopTrace(sessionId, session) {
+        if (!session.traceRecording) return null;
+
+        const trace = await session.traceRecording.stop();
+        await this.reportManifest.writeArtifact(sessionId, 'trace', 'trace.json', trace);
+        session.metrics.mainThread = this.traceRecorder.analyze(JSON.parse(trace.toString('utf8')));
+        return session.metrics.mainThread;
+    }
+
+    async saveVideo(sessionId, session) {
+        const video = session.videoStartTime ? session.page.video() : null;
+        if (!video) return null;
+
+        const videoPath = path.join(this.reportManifest.sessionDir(sessionId), VIDEO_FILE);
+        await video.saveAs(videoPath);
+        await video.delete();
+        await this.reportManifest.addArtifact(sessionId, 'video', videoPath);
+
+        return {
+            filename: VIDEO_FILE,
+            startTime: session.videoStartTime,
+            duration: session.endTime - session.videoStartTime
+        };
+    }
+
     getSessionByPage(page) {
         for (const [sessionId, session] of this.sessions) {
             if (session.page === page) {
@@ -1105,46 +1463,94 @@ class BrowserAnalyzer {
 
             session.metrics.performanceMetrics = performanceMetrics;
 
+            // Sayfa henüz boşalmadıysa filmstrip kaydı burada biter
+            let filmstrip = null;
+            try {
+                filmstrip = await this.stopFilmstrip(session);
+            } catch (filmstripError) {
+                console.warn('Filmstrip kaydı durdurulamadı:', filmstripError.message);
+            }
+
+            // Trace ve coverage tarayıcı kapanmadan alınmalı
+            try {
+                await this.stopTrace(sessionId, session);
+            } catch (traceError) {
+                console.warn('Performance trace kaydedilemedi:', traceError.message);
+            }
+            try {
+                await this.stopCoverage(session);
+            } catch (coverageError) {
+                console.warn('Coverage alınamadı:', coverageError.message);
+            }
+            try {
+                await this.stopMemoryMonitor(sessionId, session);
+            } catch (memoryError) {
+                console.warn('Bellek izleme durdurulamadı:', memoryError.message);
+            }
+
+            // Son sayfanın Web Vitals değerlerini kapatmadan önce al
+            const finalVitals = await this.webVitalsCollector.collect(session.page);
+            this.webVitalsCollector.record(session.metrics.webVitals, finalVitals);
+
             // Browser'ı kapat
             await session.context.close();
+
+            // Video dosyası context kapanınca tamamlanır; artifact tarayıcıya bağlı olduğu için
+            // tarayıcı kapanmadan kaydedilmeli
+            session.video = null;
+            try {
+                session.video = await this.saveVideo(sessionId, session);
+            } catch (videoError) {
+                console.warn('Video kaydedilemedi:', videoError.message);
+            }
+
             await session.browser.close();
+            this.browsers.delete(sessionId);
+
+            // Son adımlardan sonra gelen yanıtlar ve boyutlar adımlarına eklensin
+            if (session.journey) {
+                this.journeyRunner.summarizeNetwork(session.journey, session.metrics);
+            }
+            // Tarayıcı kapandıktan sonra bloklanan istek listesi kesinleşir
+            if (session.blocking) {
+                session.metrics.blocking = this.requestBlocker.summarize(session.block, session.blocking.blocked(), session.url);
+            }
+            // Sonuçların değiştirilmiş yanıtlarla ölçüldüğü rapora ve session'a kaydedilir
+            if (session.overriding) {
+                session.metrics.overrides = session.overriding.summary();
+            }
+            // Kayıt modunda arşiv context kapanınca yazılmış olur
+            if (session.archive) {
+                try {
+                    session.metrics.archive = await this.networkArchive.summarize(session.archive, session.archiveReplay);
+                } catch (archiveError) {
+                    console.warn('Network arşivi okunamadı:', archiveError.message);
+                }
+            }
 
             console.log('Analiz tamamlandı:', sessionId);
             
-            // Session verilerini hazırla
-            const reportData = {
-                sessionId,
-                browserType: session.browserType,
-                url: session.url,
-                startTime: session.startTime,
-                endTime: session.endTime,
-                duration: session.duration,
-                metrics: {
-                    ...session.metrics,
-                    networkSummary: {
-                        totalRequests: session.metrics.networkRequests ? session.metrics.networkRequests.length : 0,
-                        totalResponses: session.metrics.networkResponses ? session.metrics.networkResponses.length : 0,
-                        totalErrors: session.metrics.networkErrors ? session.metrics.networkErrors.length : 0,
-                        apiCalls: session.metrics.networkRequests ? session.metrics.networkRequests.filter(req => 
-                            req.url.includes('/api/') || req.url.includes('api.') || req.url.includes('rest.')
-                        ).length : 0,
-                        externalCalls: session.metrics.networkRequests ? session.metrics.networkRequests.filter(req => {
-                            try {
-                                const url = new URL(req.url);
-                                return !url.hostname.includes('localhost') && !url.hostname.includes('127.0.0.1');
-                            } catch {
-                                return true; // Invalid URL, consider as external
-                            }
-                        }).length : 0
-                    }
-                }
-            };
+            const reportData = await this.buildReportData(sessionId, session);
 
-            // Session'ı silmeden önce raporu oluştur
+            // Session'ı silmeden önce raporu oluştur; kareler session kaydına değil filmstrip.json'a yazılır
             try {
-                await this.generateReportWithData(reportData);
+                reportData.reports = await this.generateReportWithData({ ...reportData, filmstrip });
             } catch (reportError) {
                 console.warn('Rapor oluşturma hatası (ignored):', reportError.message);
+                reportData.reports = {};
+            }
+
+            // Metadata, ham metrikler ve rapor yolları sunucu yeniden başlasa da erişilebilir kalsın
+            await this.store.save(sessionId, {
+                ...reportData,
+                status: 'completed'
+            });
+
+            // Trend grafiği ve regresyon tespiti için metrik özetini geçmişe ekle
+            try {
+                await this.history.record(reportData);
+            } catch (historyError) {
+                console.warn('Geçmiş kaydı yapılamadı:', historyError.message);
             }
             
             // Session'ı temizle
@@ -1159,7 +1565,7 @@ class BrowserAnalyzer {
     }
 
     async getStatus(sessionId) {
-        const session = this.sessions.get(sessionId);
+        const session = this.sessions.get(sessionId) || await this.store.get(sessionId);
         if (!session) {
             return { status: 'not_found', message: 'Session bulunamadı' };
         }
@@ -1175,63 +1581,36 @@ class BrowserAnalyzer {
 
     async getReport(sessionId) {
         const session = this.sessions.get(sessionId);
-        if (!session) {
-            // Session bulunamadıysa, rapor dosyalarından oku
-            try {
-                const reportsDir = path.join(__dirname, '../../reports');
-                const files = await fs.readdir(reportsDir);
-                const sessionFile = files.find(file => file.includes(`browser-analysis-${sessionId}`));
-                
-                if (sessionFile) {
-                    const filePath = path.join(reportsDir, sessionFile);
-                    const data = await fs.readFile(filePath, 'utf8');
-                    return JSON.parse(data);
-                }
-            } catch (error) {
-                console.warn('Rapor dosyası okunamadı:', error.message);
-            }
-            
+        if (session) {
+            return session.metrics;
+        }
+
+        // Session bellekte yoksa kalıcı store'dan oku
+        const record = await this.store.get(sessionId);
+        if (!record || !record.metrics) {
             throw new Error('Session bulunamadı');
         }
 
-        return session.metrics;
+        return record.metrics;
     }
 
     async generateReport(sessionId) {
         try {
             const session = this.sessions.get(sessionId);
             if (!session) {
-                // Session memory'de yoksa, kaydedilmiş rapor dosyasından oku
-                console.log('Session memory\'de bulunamadı, kaydedilmiş rapor aranıyor...');
-                const reportsDir = path.join(__dirname, '../../reports');
-                const files = await fs.readdir(reportsDir);
-                
-                const sessionFiles = files.filter(file => 
-                    file.includes(`browser-analysis-${sessionId}`) && file.endsWith('.json')
-                );
-                
-                if (sessionFiles.length > 0) {
-                    const latestFile = sessionFiles.sort().pop();
-                    const filePath = path.join(reportsDir, latestFile);
-                    const data = await fs.readFile(filePath, 'utf8');
-                    const reportData = JSON.parse(data);
-                    return await this.generateReportWithData(reportData);
+                // Session memory'de yoksa, kaydedilmiş session verisinden oluştur
+                console.log('Session memory\'de bulunamadı, kayıtlı session aranıyor...');
+                const record = await this.store.get(sessionId);
+                if (!record || !record.metrics) {
+                    throw new Error('Session bulunamadı');
                 }
-                
-                throw new Error('Session bulunamadı');
-            }
 
-            const reportData = {
-                sessionId,
-                browserType: session.browserType,
-                url: session.url,
-                startTime: session.startTime,
-                endTime: session.endTime,
-                duration: session.duration,
-                metrics: session.metrics
-            };
+                const reports = await this.generateReportWithData(record);
+                await this.store.update(sessionId, { reports });
+                return reports;
+            }
 
-            return await this.generateReportWithData(reportData);
+            return await this.generateReportWithData(await this.buildReportData(sessionId, session));
 
         } catch (error) {
             console.error('Report generation error:', error);
@@ -1239,46 +1618,173 @@ class BrowserAnalyzer {
         }
     }
 
+    // stopAnalysis ve bellekteki session için generateReport aynı rapor verisini kullanır
+    async buildReportData(sessionId, session) {
+        const reportData = {
+            sessionId,
+            browserType: session.browserType,
+            mode: session.mode,
+            networkProfile: session.networkProfile || null,
+            cpuSlowdown: session.cpuSlowdown || 1,
+            device: session.device || null,
+            auth: session.auth || null,
+            url: session.url,
+            startTime: session.startTime,
+            endTime: session.endTime,
+            duration: session.duration,
+            journey: session.journey || null,
+            video: session.video || null,
+            metrics: {
+                ...session.metrics,
+                networkSummary: {
+                    totalRequests: session.metrics.networkRequests ? session.metrics.networkRequests.length : 0,
+                    totalResponses: session.metrics.networkResponses ? session.metrics.networkResponses.length : 0,
+                    totalErrors: session.metrics.networkErrors ? session.metrics.networkErrors.length : 0,
+                    apiCalls: session.metrics.networkRequests ? session.metrics.networkRequests.filter(req => 
+                        req.url.includes('/api/') || req.url.includes('api.') || req.url.includes('rest.')
+                    ).length : 0,
+                    externalCalls: session.metrics.networkRequests ? session.metrics.networkRequests.filter(req => {
+                        try {
+                            const url = new URL(req.url);
+                            return !url.hostname.includes('localhost') && !url.hostname.includes('127.0.0.1');
+                        } catch {
+                            return true; // Invalid URL, consider as external
+                        }
+                    }).length : 0
+                }
+            }
+        };
+
+        // budgets.json limitleriyle karşılaştır (rapor ve CLI çıkış kodu bu sonucu kullanır)
+        try {
+            reportData.budget = await this.budgetEvaluator.evaluateSession(reportData);
+        } catch (budgetError) {
+            console.warn('Budget kontrolü yapılamadı:', budgetError.message);
+            reportData.budget = { status: 'error', error: budgetError.message, pages: [], violations: [] };
+        }
+
+        return reportData;
+    }
+
     async generateReportWithData(reportData) {
         try {
             const { sessionId } = reportData;
-            const reportsDir = path.join(__dirname, '../../reports');
-            await fs.mkdir(reportsDir, { recursive: true });
+            // Her session'ın raporları kendi dizininde; aynı dakikadaki analizler birbirini ezmez
+            const outputDir = await this.reportManifest.ensureSessionDir(sessionId);
 
             // Session data'yı hazırla
             const sessionData = {
                 sessionId: reportData.sessionId,
                 browserType: reportData.browserType,
+                networkProfile: reportData.networkProfile || null,
+                cpuSlowdown: reportData.cpuSlowdown || 1,
+                device: reportData.device || null,
+                auth: reportData.auth || null,
                 url: reportData.url,
                 startTime: reportData.startTime,
                 endTime: reportData.endTime,
                 duration: reportData.duration
             };
 
+            // Filmstrip kareleri; rapor kayıtlı session'dan yeniden oluşturulurken daha önce yazılan dosya kullanılır
+            let filmstripPath = null;
+            let filmstrip = reportData.filmstrip || null;
+            if (filmstrip && filmstrip.frames.length > 0) {
+                filmstripPath = await this.reportManifest.writeArtifact(sessionId, 'filmstrip', 'filmstrip.json',
+                    JSON.stringify(filmstrip));
+            } else {
+                filmstrip = await this.readFilmstrip(sessionId);
+                filmstripPath = filmstrip ? filmstrip.path : null;
+            }
+
+            // Video ve trace stopAnalysis'te kaydedilir; yeniden oluşturulan raporlar aynı dosyalara bağlanır
+            const videoArtifact = reportData.video ? await this.reportManifest.resolve(sessionId, 'video') : null;
+            const traceArtifact = reportData.metrics.mainThread !== undefined ? await this.reportManifest.resolve(sessionId, 'trace') : null;
+            const snapshots = reportData.metrics.memory && reportData.metrics.memory.snapshots;
+            const heapStartArtifact = snapshots ? await this.reportManifest.resolve(sessionId, 'heap-start') : null;
+            const heapEndArtifact = snapshots ? await this.reportManifest.resolve(sessionId, 'heap-end') : null;
+
             // Lighthouse CI HTML raporu oluştur
-            const htmlReportPath = await this.lighthouseCIReport.generateHTMLReport(sessionData, reportData);
+            const htmlReportPath = await this.lighthouseCIReport.generateHTMLReport(sessionData, { ...reportData, filmstrip }, {
+                outputDir,
+                filename: 'mercury-performance.html'
+            });
+            await this.reportManifest.addArtifact(sessionId, 'html', htmlReportPath);
+            console.log('Mercury Performance HTML raporu oluşturuldu:', htmlReportPath);
+
+            // Ham metrikler ve network istekleri
+            const jsonReportPath = await this.reportManifest.writeArtifact(sessionId, 'json', 'session.json',
+                JSON.stringify({
+                    ...sessionData,
+                    journey: reportData.journey || null,
+                    video: reportData.video || null,
+                    budget: reportData.budget || null,
+                    metrics: reportData.metrics
+                }, null, 2));
+            const csvReportPath = await this.reportManifest.writeArtifact(sessionId, 'csv', 'network-requests.csv',
+                this.lighthouseCIReport.generateCSV(reportData));
+            // Gövdesiz HAR; gövdeli hali /api/web/browser/har/:sessionId?bodies=true ile alınır
+            const harReportPath = await this.reportManifest.writeArtifact(sessionId, 'har', 'session.har',
+                JSON.stringify(this.harExporter.export(reportData), null, 2));
 
             // PageSpeed Insights raporu oluştur (timeout ile)
             let pageSpeedReportPath = null;
             let pageSpeedData = null;
             try {
                 const pageSpeedPromise = this.pageSpeedAnalyzer.generatePageSpeedReport(reportData);
-                const timeoutPromise = new Promise((_, reject) => 
-                    setTimeout(() => reject(new Error('PageSpeed API timeout')), 8000)
-                );
-                
-                pageSpeedData = await Promise.race([pageSpeedPromise, timeoutPromise]);
-                pageSpeedReportPath = await this.pageSpeedReport.generateHTMLReport(pageSpeedData);
+                let pageSpeedTimer;
+                const timeoutPromise = new Promise((_, reject) => {
+                    pageSpeedTimer = setTimeout(() => reject(new Error('PageSpeed API timeout')), 8000);
+                });
+
+                try {
+                    pageSpeedData = await Promise.race([pageSpeedPromise, timeoutPromise]);
+                } finally {
+                    // Rapor erken biterse zamanlayıcı süreci 8 saniye açık tutmasın
+                    clearTimeout(pageSpeedTimer);
+                }
+                pageSpeedReportPath = await this.pageSpeedReport.generateHTMLReport(pageSpeedData, {
+                    outputDir,
+                    filename: 'pagespeed-performance.html'
+                });
+                await this.reportManifest.addArtifact(sessionId, 'pagespeed', pageSpeedReportPath);
                 console.log('PageSpeed Insights HTML raporu oluşturuldu:', pageSpeedReportPath);
             } catch (error) {
                 console.warn('PageSpeed Insights raporu oluşturulamadı (timeout veya hata):', error.message);
             }
 
-            console.log('Mercury Performance HTML raporu oluşturuldu:', htmlReportPath);
+            // Gemini AI iyileştirme planı (GEMINI_API_KEY yoksa atlanır)
+            let geminiReportPath = null;
+            let geminiJsonPath = null;
+            if (this.geminiAnalyzer.isEnabled()) {
+                try {
+                    const analysis = await this.geminiAnalyzer.analyze(sessionData, reportData);
+                    geminiReportPath = await this.geminiReport.generateHTMLReport(analysis, {
+                        outputDir,
+                        filename: 'gemini-analysis.html'
+                    });
+                    await this.reportManifest.addArtifact(sessionId, 'gemini', geminiReportPath);
+                    geminiJsonPath = await this.reportManifest.writeArtifact(sessionId, 'gemini-json', 'gemini-analysis.json',
+                        JSON.stringify(analysis, null, 2));
+                    console.log('Gemini AI raporu oluşturuldu:', geminiReportPath);
+                } catch (error) {
+                    console.warn('Gemini AI raporu oluşturulamadı:', error.message);
+                }
+            }
             
             return {
                 html: htmlReportPath,
-                pagespeed: pageSpeedReportPath
+                json: jsonReportPath,
+                csv: csvReportPath,
+                har: harReportPath,
+                filmstrip: filmstripPath,
+                video: videoArtifact ? videoArtifact.path : null,
+                trace: traceArtifact ? traceArtifact.path : null,
+                'heap-start': heapStartArtifact ? heapStartArtifact.path : null,
+                'heap-end': heapEndArtifact ? heapEndArtifact.path : null,
+                pagespeed: pageSpeedReportPath,
+                gemini: geminiReportPath,
+                'gemini-json': geminiJsonPath
             };
 
         } catch (error) {
@@ -1287,6 +1793,18 @@ class BrowserAnalyzer {
         }
     }
 
+    async readFilmstrip(sessionId) {
+        const artifact = await this.reportManifest.resolve(sessionId, 'filmstrip');
+        if (!artifact) return null;
+
+        try {
+            return { ...JSON.parse(await fs.readFile(artifact.path, 'utf8')), path: artifact.path };
+        } catch (error) {
+            console.warn('Filmstrip okunamadı:', error.message);
+            return null;
+        }
+    }
+
     // Session'dan rapor verilerini al (session silindikten sonra kullanmak için)
     getReportData(sessionId) {
         const session = this.sessions.get(sessionId);
@@ -1297,6 +1815,10 @@ class BrowserAnalyzer {
         return {
             sessionId,
             browserType: session.browserType,
+            networkProfile: session.networkProfile || null,
+            cpuSlowdown: session.cpuSlowdown || 1,
+            device: session.device || null,
+            auth: session.auth || null,
             url: session.url,
             startTime: session.startTime,
             endTime: session.endTime,
@@ -0,0 +1,260 @@
+const fs = require('fs').promises;
+const path = require('path');
+const siteOf = require('./site-of');
+const { loadTimeOf, transferSizeOf } = require('./session-metrics');
+
+const DEFAULT_BUDGETS_PATH = path.join(__dirname, '../../budgets.json');
+
+// Budget dosyasındaki zamanlama anahtarları ve rapordaki karşılıkları
+const TIMING_METRICS = {
+    loadTime: { label: 'Load Time', unit: 'ms' },
+    ttfb: { label: 'Time to First Byte', unit: 'ms' },
+    fcp: { label: 'First Contentful Paint', unit: 'ms' },
+    lcp: { label: 'Largest Contentful Paint', unit: 'ms' },
+    cls: { label: 'Cumulative Layout Shift', unit: '' },
+    inp: { label: 'Interaction to Next Paint', unit: 'ms' },
+    totalBlockingTime: { label: 'Total Blocking Time', unit: 'ms' }
+};
+
+// budgets.json içindeki URL desenine göre her sayfayı limitlerle karşılaştırır.
+// Zamanlamalar ms, boyutlar KB cinsindendir; ilk eşleşen budget kullanılır.
+class BudgetEvaluator {
+    constructor(options = {}) {
+        this.configPath = options.configPath || process.env.BUDGETS_PATH || DEFAULT_BUDGETS_PATH;
+    }
+
+    // Dosya yoksa null döner (budget kontrolü yapılmaz)
+    async load() {
+        let content;
+        try {
+            content = await fs.readFile(this.configPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        let config;
+        try {
+            config = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`${this.configPath} geçerli JSON değil: ${error.message}`);
+        }
+
+        const budgets = Array.isArray(config) ? config : config.budgets;
+        if (!Array.isArray(budgets)) {
+            throw new Error(`${this.configPath} bir "budgets" dizisi içermeli`);
+        }
+
+        budgets.forEach((budget, index) => {
+            if (!budget || typeof budget !== 'object') {
+                throw new Error(`Budget ${index + 1} geçersiz`);
+            }
+            const unknown = Object.keys(budget.timings || {}).filter(metric => !TIMING_METRICS[metric]);
+            if (unknown.length > 0) {
+                throw new Error(`Budget ${index + 1}: bilinmeyen zamanlama metriği ${unknown.join(', ')}`);
+            }
+        });
+
+        return budgets.map(budget => ({ match: '*', ...budget }));
+    }
+
+    // Browser/journey session'ı (stopAnalysis reportData'sı)
+    async evaluateSession(reportData) {
+        const budgets = await this.load();
+        if (!budgets) return null;
+        return this.evaluatePages(budgets, this.pagesFromSession(reportData));
+    }
+
+    // WebPerformanceAnalyzer.analyzePerformance() sonucu (tek sayfa)
+    async evaluateAnalysis(results) {
+        const budgets = await this.load();
+        if (!budgets) return null;
+        return this.evaluatePages(budgets, this.pagesFromAnalysis(results));
+    }
+
+    evaluatePages(budgets, pages) {
+        const results = pages.map(page => {
+            const budget = budgets.find(candidate => this.matches(candidate.match, page.url));
+            if (!budget) {
+                return { url: page.url, match: null, status: 'unbudgeted', checks: [] };
+            }
+
+            const checks = [
+                ...this.checkTimings(budget.timings || {}, page),
+                ...this.checkRequestCounts(budget.requestCount, page.requests),
+                ...this.checkResourceSizes(budget.resourceSizes || {}, page.requests),
+                ...this.checkThirdParty(budget.thirdPartySize, page)
+            ];
+
+            return {
+                url: page.url,
+                match: budget.match,
+                status: checks.some(check => check.status === 'fail') ? 'fail' : 'pass',
+                checks
+            };
+        });
+
+        const checked = results.filter(result => result.status !== 'unbudgeted');
+        const violations = [];
+        checked.forEach(result => {
+            result.checks
+                .filter(check => check.status === 'fail')
+                .forEach(check => violations.push({ url: result.url, ...check }));
+        });
+
+        return {
+            configPath: this.configPath,
+            evaluatedAt: Date.now(),
+            status: checked.length === 0 ? 'skipped' : violations.length > 0 ? 'fail' : 'pass',
+            pages: results,
+            passed: checked.reduce((sum, result) => sum + result.checks.filter(check => check.status === 'pass').length, 0),
+            failed: violations.length,
+            violations
+        };
+    }
+
+    checkTimings(timings, page) {
+        return Object.entries(timings).map(([metric, limit]) =>
+            this.check('timing', metric, TIMING_METRICS[metric].label, page[metric], limit, TIMING_METRICS[metric].unit));
+    }
+
+    // requestCount: sayı (toplam) veya { total, script, image, ... }
+    checkRequestCounts(requestCount, requests) {
+        if (requestCount === undefined || requestCount === null) return [];
+        const limits = typeof requestCount === 'number' ? { total: requestCount } : requestCount;
+
+        return Object.entries(limits).map(([type, limit]) => {
+            const count = requests.filter(request => type === 'total' || request.resourceType === type).length;
+            return this.check('requestCount', type, `Requests (${type})`, count, limit, '');
+        });
+    }
+
+    checkResourceSizes(resourceSizes, requests) {
+        return Object.entries(resourceSizes).map(([type, limitKb]) => {
+            const bytes = requests
+                .filter(request => type === 'total' || request.resourceType === type)
+                .reduce((sum, request) => sum + request.size, 0);
+            return this.check('resourceSize', type, `Transfer size (${type})`, this.toKb(bytes), limitKb, 'KB');
+        });
+    }
+
+    checkThirdParty(limitKb, page) {
+        if (limitKb === undefined || limitKb === null) return [];
+        const bytes = page.requests
+            .filter(request => this.isThirdParty(request.url, page.url))
+            .reduce((sum, request) => sum + request.size, 0);
+        return [this.check('thirdParty', 'thirdPartySize', 'Third-party transfer size', this.toKb(bytes), limitKb, 'KB')];
+    }
+
+    check(category, metric, label, actual, limit, unit) {
+        const hasValue = actual !== null && actual !== undefined;
+        return {
+            category,
+            metric,
+            label,
+            limit,
+            actual: hasValue ? actual : null,
+            unit,
+            status: !hasValue ? 'unknown' : actual > limit ? 'fail' : 'pass',
+            overBy: hasValue && actual > limit ? Number((actual - limit).toFixed(3)) : 0
+        };
+    }
+
+    // Session'daki her navigation bir sayfa; istekler başladıkları andaki sayfaya atanır
+    pagesFromSession(reportData) {
+        const metrics = reportData.metrics || {};
+        const vitals = (metrics.webVitals || [])
+            .slice()
+            .sort((a, b) => (a.startedAt || 0) - (b.startedAt || 0));
+        const pageLoads = (metrics.navigationEvents || []).filter(event => loadTimeOf(event) !== null);
+
+        const pages = vitals.length > 0 ? vitals.map(entry => ({
+            url: entry.url,
+            startedAt: entry.startedAt || entry.timestamp || 0,
+            ttfb: entry.ttfb,
+            fcp: entry.fcp,
+            lcp: entry.lcp,
+            cls: entry.cls,
+            inp: entry.inp,
+            totalBlockingTime: entry.totalBlockingTime,
+            requests: []
+        })) : [{ url: reportData.url, startedAt: reportData.startTime || 0, requests: [] }];
+
+        pages.forEach(page => {
+            const load = pageLoads.find(event => event.url === page.url);
+            page.loadTime = load ? Math.round(loadTimeOf(load)) : null;
+        });
+
+        (metrics.networkRequests || []).forEach(request => {
+            const entry = {
+                url: request.url,
+                resourceType: request.resourceType || 'other',
+                size: transferSizeOf(request)
+            };
+
+            let owner = pages[0];
+            pages.forEach(page => {
+                if (page.startedAt <= (request.startTime || 0)) owner = page;
+            });
+            owner.requests.push(entry);
+        });
+
+        return pages;
+    }
+
+    pagesFromAnalysis(results) {
+        const lighthouse = results.lighthouseMetrics || {};
+        const performance = results.performanceMetrics || {};
+        // Resource Timing initiatorType değerlerini Playwright resourceType adlarına çevir
+        const types = { script: 'script', link: 'stylesheet', css: 'stylesheet', img: 'image', image: 'image', xmlhttprequest: 'xhr', fetch: 'fetch', video: 'media', audio: 'media' };
+
+        return [{
+            url: results.url,
+            loadTime: performance.pageLoad || null,
+            ttfb: lighthouse.timeToFirstByte,
+            fcp: lighthouse.firstContentfulPaint,
+            lcp: lighthouse.largestContentfulPaint,
+            cls: lighthouse.cumulativeLayoutShift,
+            inp: lighthouse.interactionToNextPaint,
+            totalBlockingTime: lighthouse.totalBlockingTime,
+            requests: (results.resourceTiming || []).map(resource => ({
+                url: resource.name,
+                resourceType: /\.woff2?($|\?)|\.ttf($|\?)/.test(resource.name) ? 'font' : types[resource.initiatorType] || 'other',
+                size: resource.transferSize || 0
+            }))
+        }];
+    }
+
+    // "*" her şeyle, "/checkout/*" path ile, "https://site.com/*" tam URL ile eşleşir
+    matches(pattern, url) {
+        if (!pattern || pattern === '*') return true;
+        if (!url) return false;
+
+        let target = url;
+        if (pattern.startsWith('/')) {
+            try {
+                target = new URL(url).pathname;
+            } catch (error) {
+                return false;
+            }
+        }
+
+        const regex = new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+        return regex.test(target);
+    }
+
+    // Alt alan adları (cdn.site.com) first-party sayılır
+    isThirdParty(requestUrl, pageUrl) {
+        const site = siteOf(pageUrl);
+        const requestSite = siteOf(requestUrl);
+        return Boolean(site && requestSite) && requestSite !== site;
+    }
+
+    toKb(bytes) {
+        return Math.round(bytes / 1024 * 10) / 10;
+    }
+}
+
+BudgetEvaluator.TIMING_METRICS = TIMING_METRICS;
+
+module.exports = BudgetEvaluator;
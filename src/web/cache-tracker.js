@@ -0,0 +1,57 @@
+// Bir sayfa yüklemesinde her isteğin nereden karşılandığını CDP Network event'leriyle sayar:
+// bellek cache'i, disk (HTTP) cache'i, service worker veya ağ. Sadece Chromium'da çalışır.
+class CacheTracker {
+    // İlk navigation'dan önce çağrılır; dönen nesnenin summary() ve detach() metodları vardır
+    async attach(context, page) {
+        const cdp = await context.newCDPSession(page);
+        const requests = new Map();
+        const entry = (requestId) => {
+            if (!requests.has(requestId)) {
+                requests.set(requestId, { source: 'network', status: null, transferredBytes: 0 });
+            }
+            return requests.get(requestId);
+        };
+
+        cdp.on('Network.requestWillBeSent', ({ requestId }) => entry(requestId));
+        cdp.on('Network.requestServedFromCache', ({ requestId }) => {
+            entry(requestId).source = 'memory';
+        });
+        cdp.on('Network.responseReceived', ({ requestId, response }) => {
+            const request = entry(requestId);
+            request.status = response.status;
+            if (response.fromServiceWorker) request.source = 'serviceWorker';
+            else if (response.fromDiskCache || response.fromPrefetchCache) request.source = 'disk';
+        });
+        cdp.on('Network.loadingFinished', ({ requestId, encodedDataLength }) => {
+            entry(requestId).transferredBytes = encodedDataLength || 0;
+        });
+        await cdp.send('Network.enable');
+
+        return {
+            summary: () => this.summarize(Array.from(requests.values())),
+            detach: () => cdp.detach().catch(() => {})
+        };
+    }
+
+    summarize(requests) {
+        const count = (source) => requests.filter(request => request.source === source).length;
+        const summary = {
+            requests: requests.length,
+            network: count('network'),
+            // 304: cache'teki kopya sunucuya doğrulatıldı, yine de bir ağ isteği
+            revalidated: requests.filter(request => request.source === 'network' && request.status === 304).length,
+            memoryCache: count('memory'),
+            diskCache: count('disk'),
+            serviceWorker: count('serviceWorker'),
+            transferredBytes: requests
+                .filter(request => request.source === 'network')
+                .reduce((sum, request) => sum + request.transferredBytes, 0)
+        };
+
+        summary.hits = summary.memoryCache + summary.diskCache + summary.serviceWorker;
+        summary.hitRatio = summary.requests > 0 ? Math.round(summary.hits / summary.requests * 1000) / 1000 : 0;
+        return summary;
+    }
+}
+
+module.exports = CacheTracker;
@@ -0,0 +1,501 @@
+const LighthouseCIReport = require('./lighthouse-ci-report');
+const NetworkThrottler = require('./network-throttler');
+const CpuThrottler = require('./cpu-throttler');
+const DeviceEmulator = require('./device-emulator');
+const ResponseOverrider = require('./response-overrider');
+const NetworkArchive = require('./network-archive');
+const siteOf = require('./site-of');
+const { transferSizeOf } = require('./session-metrics');
+
+// Ölçüm gürültüsü yüzünden küçük süre farkları değişim sayılmaz (%)
+const TIMING_TOLERANCE = 5;
+
+const SCORES = [
+    ['performance', 'Performance'],
+    ['accessibility', 'Accessibility'],
+    ['bestPractices', 'Best Practices'],
+    ['seo', 'SEO']
+];
+
+// İki session'ı processMetrics() çıktısı üzerinden karşılaştırır: a = baseline (önceki), b = aday (yeni).
+// Her fark improvement / regression / unchanged olarak işaretlenir.
+class ComparisonReport {
+    constructor() {
+        this.lighthouseCIReport = new LighthouseCIReport();
+    }
+
+    compare(baseline, candidate) {
+        const a = this.lighthouseCIReport.processMetrics(baseline.metrics || {});
+        const b = this.lighthouseCIReport.processMetrics(candidate.metrics || {});
+
+        const scores = SCORES.map(([key, label]) =>
+            this.delta(label, a.performanceScores[key], b.performanceScores[key], { higherIsBetter: true }));
+
+        const totals = [
+            this.delta('Average Load Time', a.summary.averageLoadTime, b.summary.averageLoadTime, { unit: 'ms', tolerance: TIMING_TOLERANCE }),
+            this.delta('Requests', a.networkStats.totalRequests, b.networkStats.totalRequests),
+            this.delta('Transferred', this.totalBytes(baseline.metrics || {}), this.totalBytes(candidate.metrics || {}), { unit: 'bytes' }),
+            this.delta('Errors', a.summary.totalErrors + a.networkStats.totalErrors, b.summary.totalErrors + b.networkStats.totalErrors)
+        ];
+
+        const pages = this.comparePages(a.pageLoadAnalysis.pages || [], b.pageLoadAnalysis.pages || []);
+        const resources = this.compareResourceTypes(baseline.metrics || {}, candidate.metrics || {});
+        const thirdParty = this.compareThirdParty(baseline.url, a, candidate.url, b);
+        const errors = this.compareErrors(baseline.metrics || {}, candidate.metrics || {});
+
+        // Farklı bağlantı profilleriyle alınan ölçümlerdeki süre farkları koddan kaynaklanmayabilir
+        const warnings = [];
+        if (this.networkKey(baseline.networkProfile) !== this.networkKey(candidate.networkProfile)) {
+            warnings.push(`Sessions used different network profiles (A: ${NetworkThrottler.describe(baseline.networkProfile)}, B: ${NetworkThrottler.describe(candidate.networkProfile)}); timing differences may come from throttling.`);
+        }
+        if (DeviceEmulator.describe(baseline.device) !== DeviceEmulator.describe(candidate.device)) {
+            warnings.push(`Sessions emulated different devices (A: ${DeviceEmulator.describe(baseline.device)}, B: ${DeviceEmulator.describe(candidate.device)}); layout and resource differences may come from the viewport.`);
+        }
+        if ((baseline.cpuSlowdown || 1) !== (candidate.cpuSlowdown || 1)) {
+            warnings.push(`Sessions used different CPU slowdown (A: ${baseline.cpuSlowdown || 1}x, B: ${candidate.cpuSlowdown || 1}x); script and rendering timings are not directly comparable.`);
+        }
+        // Override/bloklama ile alınan ölçüm canlı siteyi değil denenen değişikliği yansıtır
+        const [overridesA, overridesB] = [baseline, candidate].map(session => this.overridesOf(session));
+        if (overridesA.join('; ') !== overridesB.join('; ')) {
+            warnings.push(`Sessions ran with different response overrides (A: ${overridesA.join('; ') || 'none'}, B: ${overridesB.join('; ') || 'none'}); differences include the effect of the overridden responses.`);
+        }
+        const [archiveA, archiveB] = [baseline, candidate].map(session => this.archiveOf(session));
+        if (archiveA !== archiveB) {
+            warnings.push(`Sessions used different network sources (A: ${archiveA}, B: ${archiveB}); the live site may have changed or the archive may be incomplete.`);
+        }
+        const [blockedA, blockedB] = [baseline, candidate].map(session => this.blockedOf(session));
+        if (blockedA.join(', ') !== blockedB.join(', ')) {
+            warnings.push(`Sessions blocked different requests (A: ${blockedA.join(', ') || 'none'}, B: ${blockedB.join(', ') || 'none'}); differences include the effect of the blocked requests.`);
+        }
+
+        const deltas = [...scores, ...totals, ...pages, ...resources.flatMap(type => [type.count, type.bytes])];
+        const count = (status) => deltas.filter(item => item.status === status).length;
+
+        return {
+            baseline: this.describeSession(baseline),
+            candidate: this.describeSession(candidate),
+            generatedAt: Date.now(),
+            warnings,
+            summary: {
+                improvements: count('improvement'),
+                regressions: count('regression') + errors.added.length + thirdParty.added.length,
+                unchanged: count('unchanged')
+            },
+            scores,
+            totals,
+            pages,
+            resources,
+            thirdParty,
+            errors
+        };
+    }
+
+    describeSession(session) {
+        return {
+            sessionId: session.sessionId,
+            url: session.url,
+            browserType: session.browserType,
+            mode: session.mode || 'interactive',
+            networkProfile: session.networkProfile || null,
+            cpuSlowdown: session.cpuSlowdown || 1,
+            device: session.device || null,
+            overrides: this.overridesOf(session),
+            block: this.blockedOf(session),
+            archive: this.archiveOf(session),
+            startTime: session.startTime,
+            duration: session.duration || 0
+        };
+    }
+
+    overridesOf(session) {
+        const overrides = session.metrics && session.metrics.overrides;
+        return overrides ? overrides.rules.map(ResponseOverrider.describeRule) : [];
+    }
+
+    // Kayıt canlı ağdan yapıldığı için kayıt ile canlı session aynı kaynaktır
+    archiveOf(session) {
+        const archive = session.metrics && session.metrics.archive;
+        return NetworkArchive.describe(archive && archive.mode === 'replay' ? archive : null);
+    }
+
+    blockedOf(session) {
+        const blocking = session.metrics && session.metrics.blocking;
+        return blocking ? blocking.patterns : [];
+    }
+
+    // Uygulama yöntemi (CDP / route) değil, bağlantı değerleri karşılaştırılır
+    networkKey(profile) {
+        return profile ? `${profile.latency}/${profile.download}/${profile.upload}` : 'none';
+    }
+
+    // Düşük değerin iyi olduğu metrikler için varsayılan; skorlar higherIsBetter ile çağrılır
+    delta(label, before, after, options = {}) {
+        const hasBefore = typeof before === 'number' && Number.isFinite(before);
+        const hasAfter = typeof after === 'number' && Number.isFinite(after);
+        const result = {
+            label,
+            unit: options.unit || '',
+            before: hasBefore ? before : null,
+            after: hasAfter ? after : null,
+            change: null,
+            changePercent: null,
+            status: 'unchanged'
+        };
+
+        if (!hasBefore || !hasAfter) {
+            result.status = hasAfter ? 'added' : hasBefore ? 'removed' : 'unchanged';
+            return result;
+        }
+
+        result.change = after - before;
+        result.changePercent = before !== 0 ? Math.round(result.change / before * 1000) / 10 : null;
+
+        const tolerance = options.tolerance && before !== 0 ? Math.abs(before) * options.tolerance / 100 : 0;
+        if (Math.abs(result.change) <= tolerance || result.change === 0) {
+            result.status = 'unchanged';
+        } else {
+            const better = options.higherIsBetter ? result.change > 0 : result.change < 0;
+            result.status = better ? 'improvement' : 'regression';
+        }
+        return result;
+    }
+
+    // Aynı URL birden çok kez yüklendiyse ortalama yükleme süresi kullanılır
+    comparePages(pagesA, pagesB) {
+        const loadTimes = (pages) => {
+            const byUrl = new Map();
+            pages.filter(page => page.loadTime > 0).forEach(page => {
+                byUrl.set(page.url, (byUrl.get(page.url) || []).concat(page.loadTime));
+            });
+            const averages = new Map();
+            byUrl.forEach((times, url) => averages.set(url, Math.round(times.reduce((sum, time) => sum + time, 0) / times.length)));
+            return averages;
+        };
+
+        const before = loadTimes(pagesA);
+        const after = loadTimes(pagesB);
+        const urls = [...new Set([...before.keys(), ...after.keys()])];
+
+        return urls.map(url => this.delta(url, before.get(url), after.get(url), { unit: 'ms', tolerance: TIMING_TOLERANCE }));
+    }
+
+    // Playwright resourceType'a göre istek sayısı ve transfer boyutu (budget ile aynı byte'lar)
+    compareResourceTypes(metricsA, metricsB) {
+        const group = (metrics) => {
+            const types = {};
+            (metrics.networkRequests || []).forEach(request => {
+                const type = request.resourceType || 'other';
+                types[type] = types[type] || { count: 0, bytes: 0 };
+                types[type].count++;
+                types[type].bytes += transferSizeOf(request);
+            });
+            return types;
+        };
+
+        const before = group(metricsA);
+        const after = group(metricsB);
+        const types = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+        return types.map(type => ({
+            type,
+            count: this.delta(type, before[type] ? before[type].count : 0, after[type] ? after[type].count : 0),
+            bytes: this.delta(type, before[type] ? before[type].bytes : 0, after[type] ? after[type].bytes : 0, { unit: 'bytes' })
+        }));
+    }
+
+    compareThirdParty(urlA, a, urlB, b) {
+        const thirdPartyDomains = (pageUrl, processed) => {
+            // Alt alan adları (cdn.site.com) first-party sayılır
+            const site = siteOf(pageUrl);
+            return Object.entries(processed.networkStats.domains || {})
+                .filter(([hostname]) => siteOf(`https://${hostname}`) !== site);
+        };
+
+        const before = new Map(thirdPartyDomains(urlA, a));
+        const after = new Map(thirdPartyDomains(urlB, b));
+
+        return {
+            added: [...after.keys()].filter(domain => !before.has(domain)).map(domain => ({ domain, requests: after.get(domain) })),
+            removed: [...before.keys()].filter(domain => !after.has(domain)).map(domain => ({ domain, requests: before.get(domain) })),
+            unchanged: [...after.keys()].filter(domain => before.has(domain)).sort()
+        };
+    }
+
+    // Hatalar mesajlarına göre eşleştirilir; sadece b'de görülenler yeni hatadır
+    compareErrors(metricsA, metricsB) {
+        const collect = (metrics) => {
+            const errors = new Map();
+            (metrics.errors || []).forEach(error => {
+                const key = `${error.type}: ${error.message}`;
+                if (!errors.has(key)) errors.set(key, { type: error.type, message: error.message, url: error.url, count: 0 });
+                errors.get(key).count++;
+            });
+            (metrics.networkErrors || []).forEach(error => {
+                const key = `network_error: ${error.error} ${error.url}`;
+                if (!errors.has(key)) errors.set(key, { type: 'network_error', message: error.error, url: error.url, count: 0 });
+                errors.get(key).count++;
+            });
+            return errors;
+        };
+
+        const before = collect(metricsA);
+        const after = collect(metricsB);
+
+        return {
+            added: [...after.entries()].filter(([key]) => !before.has(key)).map(([, error]) => error),
+            resolved: [...before.entries()].filter(([key]) => !after.has(key)).map(([, error]) => error),
+            persisting: [...after.entries()].filter(([key]) => before.has(key)).map(([, error]) => error)
+        };
+    }
+
+    totalBytes(metrics) {
+        return (metrics.networkRequests || []).reduce((sum, request) => sum + transferSizeOf(request), 0);
+    }
+
+    generateHTML(comparison) {
+        const { baseline, candidate, warnings = [], summary, scores, totals, pages, resources, thirdParty, errors } = comparison;
+        const escape = (value) => this.lighthouseCIReport.escapeHtml(value);
+        const date = (time) => time ? new Date(time).toLocaleString('en-US') : 'N/A';
+
+        return `
+<!DOCTYPE html>
+<html lang="tr">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Mercury Comparison - ${escape(baseline.sessionId)} vs ${escape(candidate.sessionId)}</title>
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+
+        body {
+            font-family: 'Google Sans', 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            background: #f8f9fa;
+            color: #202124;
+            line-height: 1.6;
+        }
+
+        .header {
+            background: #fff;
+            border-bottom: 1px solid #dadce0;
+            padding: 1rem 2rem;
+        }
+
+        .header h1 {
+            font-size: 1.5rem;
+            font-weight: 500;
+        }
+
+        .container {
+            max-width: 1200px;
+            margin: 0 auto;
+            padding: 2rem;
+        }
+
+        .sessions {
+            display: grid;
+            grid-template-columns: 1fr 1fr;
+            gap: 1.5rem;
+            margin-bottom: 2rem;
+        }
+
+        .section, .session-card {
+            background: #fff;
+            border-radius: 8px;
+            padding: 1.5rem;
+            box-shadow: 0 1px 3px rgba(0, 0, 0, 0.12);
+        }
+
+        .section {
+            margin-bottom: 2rem;
+        }
+
+        .section h2, .session-card h2 {
+            font-size: 1.125rem;
+            font-weight: 500;
+            margin-bottom: 1rem;
+        }
+
+        .warning {
+            background: #fef7e0;
+            border-left: 4px solid #ffa400;
+            border-radius: 4px;
+            padding: 0.75rem 1rem;
+            font-size: 0.875rem;
+            margin-bottom: 2rem;
+        }
+
+        .session-card p {
+            font-size: 0.875rem;
+            color: #5f6368;
+            word-break: break-all;
+        }
+
+        .summary {
+            display: flex;
+            gap: 2rem;
+        }
+
+        .summary .value {
+            font-size: 2rem;
+            font-weight: 500;
+        }
+
+        .summary .label {
+            font-size: 0.875rem;
+            color: #5f6368;
+        }
+
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.875rem;
+        }
+
+        th, td {
+            padding: 0.5rem 0.75rem;
+            border-bottom: 1px solid #e8eaed;
+            text-align: left;
+        }
+
+        th {
+            color: #5f6368;
+            font-weight: 500;
+        }
+
+        td.url-cell {
+            word-break: break-all;
+        }
+
+        .improvement { color: #0cce6b; }
+        .regression { color: #ff4e42; }
+        .unchanged { color: #5f6368; }
+        .added { color: #ffa400; }
+        .removed { color: #5f6368; }
+
+        ul {
+            list-style: none;
+            font-size: 0.875rem;
+        }
+
+        li {
+            padding: 0.25rem 0;
+            word-break: break-all;
+        }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>☿ Mercury Session Comparison</h1>
+    </div>
+    <div class="container">
+        <div class="sessions">
+            ${[['Baseline (A)', baseline], ['Candidate (B)', candidate]].map(([title, session]) => `
+            <div class="session-card">
+                <h2>${title} - ${escape(session.sessionId)}</h2>
+                <p>${escape(session.url)}</p>
+                <p>${escape(session.browserType)} · ${escape(session.mode)} · ${escape(DeviceEmulator.describe(session.device))} · ${escape(NetworkThrottler.describe(session.networkProfile))} · ${CpuThrottler.describe(session.cpuSlowdown)} · ${date(session.startTime)} · ${Math.round(session.duration / 1000)}s</p>
+                ${session.overrides && session.overrides.length > 0 ? `<p>Overrides: ${escape(session.overrides.join('; '))}</p>` : ''}
+                ${session.archive && session.archive !== NetworkArchive.describe(null) ? `<p>${escape(session.archive)}</p>` : ''}
+                ${session.block && session.block.length > 0 ? `<p>Blocked: ${escape(session.block.join(', '))}</p>` : ''}
+            </div>`).join('')}
+        </div>
+
+        ${warnings.map(warning => `<div class="warning">⚠️ ${escape(warning)}</div>`).join('')}
+
+        <div class="section">
+            <h2>Summary</h2>
+            <div class="summary">
+                <div><div class="value improvement">${summary.improvements}</div><div class="label">Improvements</div></div>
+                <div><div class="value regression">${summary.regressions}</div><div class="label">Regressions</div></div>
+                <div><div class="value unchanged">${summary.unchanged}</div><div class="label">Unchanged</div></div>
+            </div>
+        </div>
+
+        ${this.renderDeltaTable('Scores', 'Metric', scores)}
+        ${this.renderDeltaTable('Totals', 'Metric', totals)}
+        ${this.renderDeltaTable('Page Load Times', 'Page', pages, true)}
+
+        <div class="section">
+            <h2>Resources by Type</h2>
+            <table>
+                <thead>
+                    <tr><th>Type</th><th>Requests (A → B)</th><th>Change</th><th>Bytes (A → B)</th><th>Change</th></tr>
+                </thead>
+                <tbody>
+                    ${resources.map(type => `
+                    <tr>
+                        <td>${escape(type.type)}</td>
+                        <td>${type.count.before} → ${type.count.after}</td>
+                        <td class="${type.count.status}">${this.formatChange(type.count)}</td>
+                        <td>${this.formatValue(type.bytes.before, 'bytes')} → ${this.formatValue(type.bytes.after, 'bytes')}</td>
+                        <td class="${type.bytes.status}">${this.formatChange(type.bytes)}</td>
+                    </tr>`).join('') || '<tr><td colspan="5">No network requests recorded</td></tr>'}
+                </tbody>
+            </table>
+        </div>
+
+        <div class="section">
+            <h2>Third-Party Domains</h2>
+            <ul>
+                ${thirdParty.added.map(item => `<li class="regression">+ ${escape(item.domain)} (${item.requests} requests)</li>`).join('')}
+                ${thirdParty.removed.map(item => `<li class="improvement">− ${escape(item.domain)} (${item.requests} requests)</li>`).join('')}
+                ${thirdParty.added.length + thirdParty.removed.length === 0 ? `<li class="unchanged">No third-party domains added or removed (${thirdParty.unchanged.length} unchanged)</li>` : ''}
+            </ul>
+        </div>
+
+        <div class="section">
+            <h2>Errors</h2>
+            <ul>
+                ${errors.added.map(error => `<li class="regression">New: [${escape(error.type)}] ${escape(error.message)} ${error.url ? `(${escape(error.url)})` : ''} ×${error.count}</li>`).join('')}
+                ${errors.resolved.map(error => `<li class="improvement">Resolved: [${escape(error.type)}] ${escape(error.message)}</li>`).join('')}
+                ${errors.added.length + errors.resolved.length === 0 ? `<li class="unchanged">No new or resolved errors (${errors.persisting.length} persisting)</li>` : ''}
+            </ul>
+        </div>
+    </div>
+</body>
+</html>`;
+    }
+
+    renderDeltaTable(title, column, rows, urlColumn = false) {
+        if (rows.length === 0) return '';
+
+        return `
+        <div class="section">
+            <h2>${title}</h2>
+            <table>
+                <thead>
+                    <tr><th>${column}</th><th>A</th><th>B</th><th>Change</th><th>Status</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                    <tr>
+                        <td${urlColumn ? ' class="url-cell"' : ''}>${this.lighthouseCIReport.escapeHtml(row.label)}</td>
+                        <td>${this.formatValue(row.before, row.unit)}</td>
+                        <td>${this.formatValue(row.after, row.unit)}</td>
+                        <td class="${row.status}">${this.formatChange(row)}</td>
+                        <td class="${row.status}">${row.status}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+        </div>`;
+    }
+
+    formatValue(value, unit) {
+        if (value === null || value === undefined) return '-';
+        if (unit === 'bytes') return this.lighthouseCIReport.formatBytes(value);
+        return `${value}${unit ? ` ${unit}` : ''}`;
+    }
+
+    formatChange(delta) {
+        if (delta.change === null) return '-';
+        const sign = delta.change > 0 ? '+' : delta.change < 0 ? '−' : '';
+        const percent = delta.changePercent !== null ? ` (${delta.changePercent > 0 ? '+' : ''}${delta.changePercent}%)` : '';
+        return `${sign}${this.formatValue(Math.abs(delta.change), delta.unit)}${percent}`;
+    }
+}
+
+module.exports = ComparisonReport;
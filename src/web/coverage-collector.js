@@ -0,0 +1,127 @@
+const NetworkThrottler = require('./network-throttler');
+const siteOf = require('./site-of');
+
+// Rapora ve session'a yazılan en fazla kaynak (toplamlar tüm kaynaklardan hesaplanır)
+const MAX_RESOURCES = 100;
+
+// Sayfa yüklemesi ve kullanıcı session'ı boyunca Chromium JS/CSS coverage'ını toplar ve
+// script/stylesheet başına kullanılmayan byte'ları, birinci/üçüncü taraf toplamlarını çıkarır.
+// Byte'lar sıkıştırılmamış kaynak metni üzerinden sayılır.
+class CoverageCollector {
+    isSupported(browserType) {
+        return NetworkThrottler.CHROMIUM_BROWSERS.includes(String(browserType).toLowerCase());
+    }
+
+    // İlk navigation'dan önce çağrılır; navigation'lar arasında coverage sıfırlanmaz.
+    // Dönen stop() { js, css } ham girdilerini verir ve birden çok kez çağrılabilir.
+    async start(page) {
+        await Promise.all([
+            page.coverage.startJSCoverage({ resetOnNavigation: false }),
+            page.coverage.startCSSCoverage({ resetOnNavigation: false })
+        ]);
+
+        let result = null;
+        return {
+            stop: () => {
+                if (!result) {
+                    result = Promise.all([page.coverage.stopJSCoverage(), page.coverage.stopCSSCoverage()])
+                        .then(([js, css]) => ({ js, css }));
+                }
+                return result;
+            }
+        };
+    }
+
+    summarize({ js = [], css = [] }, pageUrl) {
+        const pageSite = siteOf(pageUrl);
+        // Aynı URL birden çok navigation'da yüklendiyse kullanım birleştirilir;
+        // aynı URL'deki farklı içerikler (inline script'ler) ayrı sayılıp toplanır
+        const sources = new Map();
+        const add = (type, url, length, used) => {
+            const key = `${type} ${length} ${url}`;
+            const existing = sources.get(key);
+            if (existing) {
+                used.forEach((value, index) => { if (value) existing.used[index] = 1; });
+            } else {
+                sources.set(key, { type, url, used });
+            }
+        };
+
+        js.filter(entry => entry.url && typeof entry.source === 'string')
+            .forEach(entry => add('js', entry.url, entry.source.length, this.jsUsage(entry)));
+        css.filter(entry => entry.url && typeof entry.text === 'string')
+            .forEach(entry => add('css', entry.url, entry.text.length, this.cssUsage(entry)));
+
+        const resources = new Map();
+        sources.forEach(({ type, url, used }) => {
+            const key = `${type} ${url}`;
+            if (!resources.has(key)) {
+                const site = siteOf(url);
+                resources.set(key, {
+                    url,
+                    type,
+                    party: !site || !pageSite || site === pageSite ? 'firstParty' : 'thirdParty',
+                    totalBytes: 0,
+                    usedBytes: 0
+                });
+            }
+            const resource = resources.get(key);
+            resource.totalBytes += used.length;
+            resource.usedBytes += used.reduce((sum, value) => sum + value, 0);
+        });
+
+        const list = Array.from(resources.values()).map(resource => this.withUnused(resource));
+        list.sort((a, b) => b.unusedBytes - a.unusedBytes);
+
+        const total = (items) => this.withUnused({
+            totalBytes: items.reduce((sum, item) => sum + item.totalBytes, 0),
+            usedBytes: items.reduce((sum, item) => sum + item.usedBytes, 0)
+        });
+        const byType = (items) => ({
+            js: total(items.filter(item => item.type === 'js')),
+            css: total(items.filter(item => item.type === 'css')),
+            all: total(items)
+        });
+
+        return {
+            totals: byType(list),
+            firstParty: byType(list.filter(item => item.party === 'firstParty')),
+            thirdParty: byType(list.filter(item => item.party === 'thirdParty')),
+            resourceCount: list.length,
+            resources: list.slice(0, MAX_RESOURCES)
+        };
+    }
+
+    // V8 blok coverage'ı: aralıklar iç içe; içteki aralığın sayacı dıştakini ezer
+    jsUsage(entry) {
+        const used = new Uint8Array(entry.source.length);
+        const ranges = (entry.functions || []).flatMap(fn => fn.ranges || []);
+        ranges
+            .slice()
+            .sort((a, b) => a.startOffset - b.startOffset || b.endOffset - a.endOffset)
+            .forEach(range => {
+                used.fill(range.count > 0 ? 1 : 0, range.startOffset, Math.min(range.endOffset, used.length));
+            });
+        return used;
+    }
+
+    // CSS coverage sadece kullanılan kural aralıklarını verir
+    cssUsage(entry) {
+        const used = new Uint8Array(entry.text.length);
+        (entry.ranges || []).forEach(range => used.fill(1, range.start, Math.min(range.end, used.length)));
+        return used;
+    }
+
+    withUnused(item) {
+        const unusedBytes = item.totalBytes - item.usedBytes;
+        return {
+            ...item,
+            unusedBytes,
+            unusedPercent: item.totalBytes > 0 ? Math.round(unusedBytes / item.totalBytes * 1000) / 10 : 0
+        };
+    }
+}
+
+CoverageCollector.MAX_RESOURCES = MAX_RESOURCES;
+
+module.exports = CoverageCollector;
@@ -0,0 +1,63 @@
+const NetworkThrottler = require('./network-throttler');
+
+const MAX_SLOWDOWN = 20;
+
+// "4x" -> "4x CPU slowdown"; 1 yavaşlatma yok demektir
+function describeSlowdown(rate) {
+    return rate && rate > 1 ? `${rate}x CPU slowdown` : 'No CPU slowdown';
+}
+
+// Düşük donanımlı cihazları taklit etmek için CDP Emulation.setCPUThrottlingRate.
+// Firefox/WebKit'te CDP olmadığından sadece Chromium tabanlı tarayıcılarda desteklenir.
+class CpuThrottler {
+    // 4, "4" veya "4x" kabul eder; verilmezse 1 (yavaşlatma yok)
+    resolve(value, browserType = 'chrome') {
+        if (value === undefined || value === null || value === '') {
+            return 1;
+        }
+
+        const rate = Number(String(value).trim().replace(/x$/i, ''));
+        if (!Number.isFinite(rate) || rate < 1 || rate > MAX_SLOWDOWN) {
+            throw new Error(`CPU slowdown must be a number between 1 and ${MAX_SLOWDOWN} (e.g. 4 or 4x)`);
+        }
+
+        if (rate > 1 && !this.isSupported(browserType)) {
+            throw new Error(`CPU slowdown is only supported in Chromium based browsers (chrome, edge), not ${browserType}`);
+        }
+
+        return rate;
+    }
+
+    isSupported(browserType) {
+        return NetworkThrottler.CHROMIUM_BROWSERS.includes(String(browserType).toLowerCase());
+    }
+
+    // Context açıldıktan sonra, ilk navigation'dan önce çağrılır
+    async apply(context, page, rate) {
+        if (!rate || rate <= 1) return 1;
+
+        await this.emulate(context, page, rate);
+        // Yeni sekme/popup'lar da aynı oranla açılsın
+        context.on('page', newPage => {
+            this.emulate(context, newPage, rate).catch(error => console.warn('CPU throttling uygulanamadı:', error.message));
+        });
+        return rate;
+    }
+
+    async emulate(context, page, rate) {
+        const cdp = await context.newCDPSession(page);
+        await cdp.send('Emulation.setCPUThrottlingRate', { rate });
+        return cdp;
+    }
+
+    // emulate() ile açılan CDP oturumunda yavaşlatmayı kaldırır
+    async reset(cdp) {
+        await cdp.send('Emulation.setCPUThrottlingRate', { rate: 1 });
+        await cdp.detach();
+    }
+}
+
+CpuThrottler.MAX_SLOWDOWN = MAX_SLOWDOWN;
+CpuThrottler.describe = describeSlowdown;
+
+module.exports = CpuThrottler;
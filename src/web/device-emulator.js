@@ -0,0 +1,135 @@
+const { devices } = require('playwright');
+
+// Raporlarda gösterilen kısa açıklama
+function describeDevice(device) {
+    if (!device) return 'Desktop';
+    const { width, height } = device.viewport;
+    const traits = [device.isMobile ? 'mobile' : null, device.hasTouch ? 'touch' : null].filter(Boolean);
+    return `${device.name === 'custom' ? 'Custom device' : device.name} (${width}x${height} @${device.deviceScaleFactor}x${traits.length > 0 ? `, ${traits.join(', ')}` : ''})`;
+}
+
+// Playwright device descriptor'ları (iPhone 14, Pixel 7, Galaxy Tab S4...) veya özel
+// { width, height, deviceScaleFactor, isMobile, hasTouch, userAgent } profili ile context ayarları
+class DeviceEmulator {
+    // Cihaz adı (büyük/küçük harf duyarsız) veya özel profil; masaüstü için null
+    resolve(device) {
+        if (device === undefined || device === null || device === '') {
+            return null;
+        }
+
+        if (typeof device === 'string') {
+            const key = device.trim().toLowerCase();
+            if (key === 'desktop' || key === 'none') return null;
+
+            const name = Object.keys(devices).find(deviceName => deviceName.toLowerCase() === key);
+            if (!name) {
+                throw new Error(`Unknown device: ${device} (use a Playwright device name such as "iPhone 14" or "Pixel 7")`);
+            }
+            return this.fromDescriptor(name, devices[name]);
+        }
+
+        if (typeof device !== 'object') {
+            throw new Error('Device must be a device name or { width, height, deviceScaleFactor, isMobile, hasTouch, userAgent }');
+        }
+
+        // Kaydedilmiş bir session'ın cihazı tekrar verilirse descriptor'dan çözülür
+        if (device.name && devices[device.name]) {
+            return this.fromDescriptor(device.name, devices[device.name]);
+        }
+
+        const width = Number(device.width);
+        const height = Number(device.height);
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width < 200 || height < 200 || width > 7680 || height > 4320) {
+            throw new Error('Custom device needs integer "width" and "height" between 200x200 and 7680x4320');
+        }
+
+        const deviceScaleFactor = device.deviceScaleFactor !== undefined ? Number(device.deviceScaleFactor) : 1;
+        if (!Number.isFinite(deviceScaleFactor) || deviceScaleFactor <= 0 || deviceScaleFactor > 5) {
+            throw new Error('Custom device "deviceScaleFactor" must be between 0 and 5');
+        }
+
+        if (device.userAgent !== undefined && typeof device.userAgent !== 'string') {
+            throw new Error('Custom device "userAgent" must be a string');
+        }
+
+        return {
+            name: 'custom',
+            viewport: { width, height },
+            deviceScaleFactor,
+            isMobile: Boolean(device.isMobile),
+            hasTouch: Boolean(device.hasTouch),
+            userAgent: device.userAgent || null
+        };
+    }
+
+    fromDescriptor(name, descriptor) {
+        return {
+            name,
+            viewport: { ...descriptor.viewport },
+            screen: descriptor.screen ? { ...descriptor.screen } : undefined,
+            deviceScaleFactor: descriptor.deviceScaleFactor,
+            isMobile: descriptor.isMobile,
+            hasTouch: descriptor.hasTouch,
+            userAgent: descriptor.userAgent
+        };
+    }
+
+    // browser.newContext() için ayarlar; Firefox isMobile desteklemediği için o alan atlanır
+    contextOptions(device, browserType) {
+        const options = {
+            viewport: device.viewport,
+            deviceScaleFactor: device.deviceScaleFactor,
+            hasTouch: device.hasTouch
+        };
+        if (device.screen) options.screen = device.screen;
+        if (device.userAgent) options.userAgent = device.userAgent;
+        if (!this.isFirefox(browserType)) options.isMobile = device.isMobile;
+        return options;
+    }
+
+    isFirefox(browserType) {
+        return String(browserType).toLowerCase() === 'firefox';
+    }
+
+    // Session'a kaydedilen hali; Firefox'ta isMobile uygulanmadığı işaretlenir
+    applied(device, browserType) {
+        if (!device) return null;
+        return this.isFirefox(browserType) && device.isMobile
+            ? { ...device, isMobile: false, isMobileIgnored: true }
+            : device;
+    }
+
+    // navigator.platform taklidi cihazın UA'sı ile tutarlı olsun
+    platformFor(userAgent) {
+        if (/iPhone/.test(userAgent)) return 'iPhone';
+        if (/iPad/.test(userAgent)) return 'iPad';
+        if (/Android/.test(userAgent)) return 'Linux armv8l';
+        if (/Macintosh/.test(userAgent)) return 'MacIntel';
+        return 'Win32';
+    }
+
+    // Sec-Ch-Ua-Platform başlığı; cihaz yoksa masaüstü varsayılanı
+    clientHintPlatform(device) {
+        const userAgent = device && device.userAgent ? device.userAgent : '';
+        if (/iPhone|iPad/.test(userAgent)) return 'iOS';
+        if (/Android/.test(userAgent)) return 'Android';
+        if (/Macintosh/.test(userAgent)) return 'macOS';
+        return 'Windows';
+    }
+
+    // /api/web/devices listesi
+    list() {
+        return Object.entries(devices).map(([name, descriptor]) => ({
+            name,
+            width: descriptor.viewport.width,
+            height: descriptor.viewport.height,
+            deviceScaleFactor: descriptor.deviceScaleFactor,
+            isMobile: descriptor.isMobile,
+            hasTouch: descriptor.hasTouch
+        }));
+    }
+}
+
+DeviceEmulator.describe = describeDevice;
+
+module.exports = DeviceEmulator;
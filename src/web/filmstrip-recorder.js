@@ -0,0 +1,259 @@
+const zlib = require('zlib');
+const NetworkThrottler = require('./network-throttler');
+const sleep = require('./sleep');
+
+const DEFAULTS = {
+    maxWidth: 400,          // screencast kare boyutu (en/boy oranı korunur)
+    maxHeight: 400,
+    screenshotInterval: 250, // CDP'siz tarayıcılarda page.screenshot aralığı (ms)
+    maxFrames: 12,          // rapora/session'a yazılan en fazla kare
+    sampleLimit: 100000     // histogram için örneklenen en fazla piksel
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Ekran görüntüleri için yeterli PNG çözücü: 8 bit RGB/RGBA, interlace yok
+function decodePng(buffer) {
+    if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        throw new Error('Not a PNG image');
+    }
+
+    let offset = 8;
+    let header = null;
+    const data = [];
+    while (offset < buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') {
+            header = {
+                width: chunk.readUInt32BE(0),
+                height: chunk.readUInt32BE(4),
+                bitDepth: chunk[8],
+                colorType: chunk[9],
+                interlace: chunk[12]
+            };
+        } else if (type === 'IDAT') {
+            data.push(chunk);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += length + 12;
+    }
+
+    if (!header || header.bitDepth !== 8 || ![2, 6].includes(header.colorType) || header.interlace !== 0) {
+        throw new Error('Unsupported PNG format (expected 8-bit RGB/RGBA, not interlaced)');
+    }
+
+    const channels = header.colorType === 6 ? 4 : 3;
+    const stride = header.width * channels;
+    const raw = zlib.inflateSync(Buffer.concat(data));
+    const pixels = Buffer.alloc(stride * header.height);
+
+    // Satır filtrelerini geri al (None, Sub, Up, Average, Paeth)
+    for (let y = 0; y < header.height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const line = y * (stride + 1) + 1;
+        const row = y * stride;
+        for (let x = 0; x < stride; x++) {
+            const value = raw[line + x];
+            const left = x >= channels ? pixels[row + x - channels] : 0;
+            const up = y > 0 ? pixels[row - stride + x] : 0;
+            const upLeft = y > 0 && x >= channels ? pixels[row - stride + x - channels] : 0;
+            let predictor = 0;
+            if (filter === 1) predictor = left;
+            else if (filter === 2) predictor = up;
+            else if (filter === 3) predictor = (left + up) >> 1;
+            else if (filter === 4) {
+                const p = left + up - upLeft;
+                const pa = Math.abs(p - left);
+                const pb = Math.abs(p - up);
+                const pc = Math.abs(p - upLeft);
+                predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+            }
+            pixels[row + x] = (value + predictor) & 0xff;
+        }
+    }
+
+    return { width: header.width, height: header.height, channels, pixels };
+}
+
+// Yükleme sırasında periyodik ekran görüntüsü alır ve görsel ilerlemeden Speed Index,
+// Visually Complete ve Last Visual Change hesaplar (WebPageTest'in histogram yöntemi).
+// Chromium'da CDP Page.startScreencast, diğer tarayıcılarda zamanlı page.screenshot kullanılır.
+class FilmstripRecorder {
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+    }
+
+    // Navigation'dan hemen önce çağrılır; dönen stop() birden çok kez çağrılabilir
+    async start(context, page, browserType = 'chrome') {
+        const frames = [];
+        const screencast = NetworkThrottler.CHROMIUM_BROWSERS.includes(String(browserType).toLowerCase());
+        const stopCapture = screencast
+            ? await this.startScreencast(context, page, frames)
+            : this.startScreenshots(page, frames);
+        const navigationStart = Date.now();
+
+        let result = null;
+        return {
+            navigationStart,
+            stop: () => {
+                if (!result) {
+                    result = stopCapture().then(() => this.build(navigationStart, frames, screencast ? 'screencast' : 'screenshot'));
+                }
+                return result;
+            }
+        };
+    }
+
+    async startScreencast(context, page, frames) {
+        const cdp = await context.newCDPSession(page);
+        cdp.on('Page.screencastFrame', ({ data, metadata, sessionId }) => {
+            // metadata.timestamp saniye cinsinden duvar saati
+            frames.push({ timestamp: metadata && metadata.timestamp ? metadata.timestamp * 1000 : Date.now(), data });
+            cdp.send('Page.screencastFrameAck', { sessionId }).catch(() => {});
+        });
+        await cdp.send('Page.startScreencast', {
+            format: 'png',
+            maxWidth: this.options.maxWidth,
+            maxHeight: this.options.maxHeight,
+            everyNthFrame: 1
+        });
+
+        return async () => {
+            await cdp.send('Page.stopScreencast').catch(() => {});
+            await cdp.detach().catch(() => {});
+        };
+    }
+
+    startScreenshots(page, frames) {
+        let active = true;
+        const loop = (async () => {
+            while (active) {
+                const timestamp = Date.now();
+                try {
+                    const image = await page.screenshot({ type: 'png', scale: 'css' });
+                    frames.push({ timestamp, data: image.toString('base64') });
+                } catch (error) {
+                    // Sayfa kapandıysa kayıt biter
+                    break;
+                }
+                await sleep(Math.max(0, this.options.screenshotInterval - (Date.now() - timestamp)));
+            }
+        })();
+
+        return async () => {
+            active = false;
+            await loop;
+        };
+    }
+
+    build(navigationStart, captured, method) {
+        const frames = [];
+        captured.forEach(frame => {
+            try {
+                frames.push({
+                    time: Math.max(0, Math.round(frame.timestamp - navigationStart)),
+                    data: frame.data,
+                    histogram: this.histogram(decodePng(Buffer.from(frame.data, 'base64')))
+                });
+            } catch (error) {
+                console.warn('Filmstrip karesi çözülemedi:', error.message);
+            }
+        });
+        frames.sort((a, b) => a.time - b.time);
+
+        // Bir öncekinden farklı olmayan kareler görsel değişiklik değildir
+        const changes = frames.filter((frame, index) => index === 0 || this.distance(frame.histogram, frames[index - 1].histogram) > 0);
+        if (changes.length === 0) {
+            return { method, navigationStart, metrics: null, frames: [] };
+        }
+
+        const final = changes[changes.length - 1].histogram;
+        // Başlangıç boş (beyaz) sayfa kabul edilir
+        const blank = this.blankHistogram();
+        const total = this.distance(blank, final);
+        changes.forEach(frame => {
+            frame.progress = total > 0 ? Math.max(0, Math.round((1 - this.distance(frame.histogram, final) / total) * 1000) / 1000) : 1;
+        });
+
+        return {
+            method,
+            navigationStart,
+            metrics: this.visualMetrics(changes, blank),
+            frames: this.select(changes).map(({ time, progress, data }) => ({ time, progress, data }))
+        };
+    }
+
+    visualMetrics(frames, blank) {
+        const firstChange = frames.find(frame => this.distance(frame.histogram, blank) > 0);
+        const complete = frames.find(frame => frame.progress >= 1) || frames[frames.length - 1];
+
+        // Speed Index = ∫ (1 - görsel ilerleme) dt, navigation başlangıcından tamamlanana kadar
+        let speedIndex = 0;
+        let previousTime = 0;
+        let previousProgress = 0;
+        for (const frame of frames) {
+            if (frame.time > complete.time) break;
+            speedIndex += (1 - previousProgress) * (frame.time - previousTime);
+            previousTime = frame.time;
+            previousProgress = frame.progress;
+        }
+
+        return {
+            speedIndex: Math.round(speedIndex),
+            firstVisualChange: firstChange ? firstChange.time : null,
+            visuallyComplete: complete.time,
+            lastVisualChange: frames[frames.length - 1].time,
+            frames: frames.length,
+            progress: frames.map(({ time, progress }) => ({ time, progress }))
+        };
+    }
+
+    // İlk ve son kare her zaman kalır, aradakiler eşit aralıkla seçilir
+    select(frames) {
+        const { maxFrames } = this.options;
+        if (frames.length <= maxFrames) return frames;
+        const step = (frames.length - 1) / (maxFrames - 1);
+        return Array.from({ length: maxFrames }, (_, index) => frames[Math.round(index * step)]);
+    }
+
+    // Kanal başına (R, G, B) 256 kutulu renk histogramı; kare boyutu değişebildiği için oran olarak
+    histogram(image) {
+        const histogram = [new Array(256).fill(0), new Array(256).fill(0), new Array(256).fill(0)];
+        const pixelCount = image.width * image.height;
+        const step = Math.max(1, Math.ceil(pixelCount / this.options.sampleLimit));
+        for (let pixel = 0; pixel < pixelCount; pixel += step) {
+            const offset = pixel * image.channels;
+            histogram[0][image.pixels[offset]]++;
+            histogram[1][image.pixels[offset + 1]]++;
+            histogram[2][image.pixels[offset + 2]]++;
+        }
+        const samples = Math.ceil(pixelCount / step);
+        return histogram.map(channel => channel.map(count => count / samples));
+    }
+
+    blankHistogram() {
+        return [0, 1, 2].map(() => {
+            const channel = new Array(256).fill(0);
+            channel[255] = 1;
+            return channel;
+        });
+    }
+
+    distance(a, b) {
+        let sum = 0;
+        for (let channel = 0; channel < 3; channel++) {
+            for (let bin = 0; bin < 256; bin++) {
+                sum += Math.abs(a[channel][bin] - b[channel][bin]);
+            }
+        }
+        return sum;
+    }
+}
+
+FilmstripRecorder.DEFAULTS = DEFAULTS;
+FilmstripRecorder.decodePng = decodePng;
+
+module.exports = FilmstripRecorder;
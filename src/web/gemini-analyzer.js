@@ -0,0 +1,212 @@
+const LighthouseCIReport = require('./lighthouse-ci-report');
+const NetworkThrottler = require('./network-throttler');
+const CpuThrottler = require('./cpu-throttler');
+const DeviceEmulator = require('./device-emulator');
+
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+const IMPACT_ORDER = { high: 0, medium: 1, low: 2 };
+
+// processMetrics() çıktısını prompt'a çevirip Gemini'den öncelikli iyileştirme planı alır.
+// client { generateContent(prompt) => Promise<string> } verilirse API yerine o kullanılır (testler için stub).
+class GeminiAnalyzer {
+    constructor(options = {}) {
+        this.apiKey = options.apiKey !== undefined ? options.apiKey : process.env.GEMINI_API_KEY || '';
+        this.model = options.model || process.env.GEMINI_MODEL || DEFAULT_MODEL;
+        this.baseUrl = options.baseUrl || process.env.GEMINI_BASE_URL || undefined; // Yerel stub sunucu için
+        this.language = options.language || process.env.GEMINI_LANGUAGE || 'English';
+        this.timeout = options.timeout || parseInt(process.env.GEMINI_TIMEOUT, 10) || 30000;
+        this.client = options.client || null;
+        this.lighthouseCIReport = new LighthouseCIReport();
+    }
+
+    isEnabled() {
+        return Boolean(this.client || this.apiKey);
+    }
+
+    getClient() {
+        if (this.client) return this.client;
+        if (!this.apiKey) {
+            throw new Error('GEMINI_API_KEY tanımlı değil');
+        }
+
+        // Paket sadece gerçekten kullanılacaksa yüklensin
+        const { GoogleGenerativeAI } = require('@google/generative-ai');
+        const model = new GoogleGenerativeAI(this.apiKey).getGenerativeModel(
+            { model: this.model, generationConfig: { responseMimeType: 'application/json', temperature: 0.2 } },
+            { timeout: this.timeout, baseUrl: this.baseUrl }
+        );
+
+        this.client = {
+            generateContent: async (prompt) => {
+                const result = await model.generateContent(prompt);
+                return result.response.text();
+            }
+        };
+        return this.client;
+    }
+
+    async analyze(sessionData, reportData) {
+        const processedData = this.lighthouseCIReport.processMetrics(reportData.metrics || {});
+        const context = this.buildContext(sessionData, reportData, processedData);
+        const prompt = this.buildPrompt(context);
+
+        console.log(`Gemini analizi başlatılıyor: ${sessionData.url} (${this.model})`);
+        const text = await this.withTimeout(this.getClient().generateContent(prompt));
+        const result = this.parseResponse(text);
+
+        return {
+            sessionId: sessionData.sessionId,
+            url: sessionData.url,
+            browserType: sessionData.browserType,
+            networkProfile: sessionData.networkProfile || null,
+            cpuSlowdown: sessionData.cpuSlowdown || 1,
+            device: sessionData.device || null,
+            model: this.model,
+            language: this.language,
+            generatedAt: new Date().toISOString(),
+            scores: processedData.performanceScores,
+            ...result
+        };
+    }
+
+    // Modele giden özet; ham metrikler yerine sadece karar vermek için gereken alanlar
+    buildContext(sessionData, reportData, processedData) {
+        const { performanceScores, webVitals, summary, pageLoadAnalysis, resourceStats, networkStats, errorAnalysis, performanceRecommendations } = processedData;
+        const short = (url) => String(url || '').slice(0, 200);
+
+        return {
+            url: sessionData.url,
+            browser: sessionData.browserType,
+            // Throttled ölçümlerin gerçek kullanıcı bağlantısı/cihazı gibi yorumlanmaması için
+            device: DeviceEmulator.describe(sessionData.device),
+            connection: NetworkThrottler.describe(sessionData.networkProfile),
+            cpu: CpuThrottler.describe(sessionData.cpuSlowdown),
+            durationSeconds: Math.round((sessionData.duration || 0) / 1000),
+            scores: performanceScores,
+            webVitals: webVitals && webVitals.navigations > 0 ? {
+                lcp: webVitals.lcp,
+                cls: webVitals.cls,
+                inp: webVitals.inp,
+                fcp: webVitals.fcp,
+                ttfb: webVitals.ttfb,
+                totalBlockingTime: webVitals.totalBlockingTime,
+                longTasks: webVitals.longTasks,
+                ratings: webVitals.ratings
+            } : null,
+            summary,
+            pages: (pageLoadAnalysis.pages || [])
+                .filter(page => page.loadTime > 0)
+                .sort((a, b) => b.loadTime - a.loadTime)
+                .slice(0, 10)
+                .map(page => ({ url: short(page.url), loadTime: page.loadTime })),
+            resourceTypes: resourceStats.byType,
+            largestResources: (resourceStats.largestResources || []).slice(0, 10)
+                .map(resource => ({ url: short(resource.url), type: resource.type, size: resource.size })),
+            network: {
+                totalRequests: networkStats.totalRequests,
+                failedRequests: networkStats.failedRequests,
+                totalErrors: networkStats.totalErrors,
+                averageResponseTime: networkStats.performanceStats.averageResponseTime,
+                slowestRequest: networkStats.performanceStats.slowestRequest,
+                topDomains: Object.entries(networkStats.domains || {})
+                    .sort(([, a], [, b]) => b - a)
+                    .slice(0, 10)
+                    .map(([domain, requests]) => ({ domain, requests }))
+            },
+            commonErrors: errorAnalysis.mostCommonErrors,
+            ruleBasedFindings: [
+                ...(performanceRecommendations.critical || []).map(item => ({ level: 'critical', title: item.title, description: item.description })),
+                ...(performanceRecommendations.warning || []).map(item => ({ level: 'warning', title: item.title, description: item.description }))
+            ],
+            budgetViolations: reportData.budget && reportData.budget.violations
+                ? reportData.budget.violations.slice(0, 20).map(violation => ({
+                    url: short(violation.url),
+                    metric: violation.label,
+                    actual: violation.actual,
+                    limit: violation.limit,
+                    unit: violation.unit
+                }))
+                : [],
+            journey: reportData.journey ? {
+                name: reportData.journey.name,
+                status: reportData.journey.status,
+                slowestSteps: (reportData.journey.steps || [])
+                    .filter(step => step.duration !== undefined)
+                    .sort((a, b) => b.duration - a.duration)
+                    .slice(0, 5)
+                    .map(step => ({ action: step.action, target: short(step.target || step.selector), duration: step.duration, status: step.status }))
+            } : null
+        };
+    }
+
+    buildPrompt(context) {
+        return [
+            'You are a senior web performance engineer reviewing measurements collected with a real browser.',
+            `Write every text field in ${this.language}.`,
+            'Base each finding only on the data below; cite the metric or resource that supports it in "evidence".',
+            'Order priorities by expected user impact, most important first. Timings are milliseconds, sizes are bytes.',
+            '',
+            'Respond with JSON only, using this shape:',
+            JSON.stringify({
+                summary: 'two or three sentence overview',
+                assessment: 'good | needs-improvement | poor',
+                priorities: [{
+                    title: 'short action title',
+                    impact: 'high | medium | low',
+                    effort: 'high | medium | low',
+                    category: 'loading | rendering | javascript | network | images | errors | other',
+                    evidence: 'metric values that justify this item',
+                    actions: ['concrete step']
+                }],
+                quickWins: ['change that takes under an hour']
+            }, null, 2),
+            '',
+            'Measurements:',
+            JSON.stringify(context, null, 2)
+        ].join('\n');
+    }
+
+    // Model bazen JSON'u ```json bloğu içinde döndürür
+    parseResponse(text) {
+        const raw = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (error) {
+            throw new Error(`Gemini yanıtı JSON değil: ${error.message}`);
+        }
+
+        const level = (value, fallback) => IMPACT_ORDER[String(value).toLowerCase()] !== undefined ? String(value).toLowerCase() : fallback;
+        const priorities = (Array.isArray(data.priorities) ? data.priorities : [])
+            .filter(item => item && item.title)
+            .map((item, index) => ({
+                title: String(item.title),
+                impact: level(item.impact, 'medium'),
+                effort: level(item.effort, 'medium'),
+                category: item.category ? String(item.category) : 'other',
+                evidence: item.evidence ? String(item.evidence) : '',
+                actions: Array.isArray(item.actions) ? item.actions.map(String) : [],
+                order: index
+            }))
+            // Model sırası aynı etki seviyesi içinde korunur
+            .sort((a, b) => IMPACT_ORDER[a.impact] - IMPACT_ORDER[b.impact] || a.order - b.order)
+            .map(({ order, ...item }, index) => ({ rank: index + 1, ...item }));
+
+        return {
+            summary: data.summary ? String(data.summary) : '',
+            assessment: ['good', 'needs-improvement', 'poor'].includes(data.assessment) ? data.assessment : 'needs-improvement',
+            priorities,
+            quickWins: Array.isArray(data.quickWins) ? data.quickWins.map(String) : []
+        };
+    }
+
+    withTimeout(promise) {
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error('Gemini API timeout')), this.timeout);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+}
+
+module.exports = GeminiAnalyzer;
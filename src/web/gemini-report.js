@@ -0,0 +1,210 @@
+const fs = require('fs').promises;
+const path = require('path');
+const NetworkThrottler = require('./network-throttler');
+const CpuThrottler = require('./cpu-throttler');
+const DeviceEmulator = require('./device-emulator');
+
+const IMPACT_COLORS = {
+    high: '#ff4e42',
+    medium: '#ffa400',
+    low: '#0cce6b'
+};
+
+const ASSESSMENT_LABELS = {
+    good: 'Good',
+    'needs-improvement': 'Needs Improvement',
+    poor: 'Poor'
+};
+
+// GeminiAnalyzer.analyze() sonucundan öncelik sıralı iyileştirme raporu
+class GeminiReport {
+    async generateHTMLReport(analysis, options = {}) {
+        const html = this.generateHTML(analysis);
+
+        const reportsDir = options.outputDir || path.join(__dirname, '../../reports');
+        await fs.mkdir(reportsDir, { recursive: true });
+
+        const filename = options.filename || `gemini-analysis-${Date.now()}.html`;
+        const reportPath = path.join(reportsDir, filename);
+
+        await fs.writeFile(reportPath, html);
+        return reportPath;
+    }
+
+    generateHTML(analysis) {
+        const { sessionId, url, browserType, device, networkProfile, cpuSlowdown, model, generatedAt, summary, assessment, priorities = [], quickWins = [], scores = {} } = analysis;
+        const escape = (value) => this.escapeHtml(value);
+
+        return `
+<!DOCTYPE html>
+<html lang="tr">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Gemini AI Analysis - ${escape(sessionId)}</title>
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+
+        body {
+            font-family: 'Google Sans', 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            background: #f8f9fa;
+            color: #202124;
+            line-height: 1.6;
+        }
+
+        .header {
+            background: #fff;
+            border-bottom: 1px solid #dadce0;
+            padding: 1rem 2rem;
+        }
+
+        .header h1 {
+            font-size: 1.5rem;
+            font-weight: 500;
+        }
+
+        .header .meta {
+            font-size: 0.875rem;
+            color: #5f6368;
+            word-break: break-all;
+        }
+
+        .container {
+            max-width: 1000px;
+            margin: 0 auto;
+            padding: 2rem;
+        }
+
+        .section {
+            background: #fff;
+            border-radius: 8px;
+            padding: 1.5rem;
+            box-shadow: 0 1px 3px rgba(0, 0, 0, 0.12);
+            margin-bottom: 2rem;
+        }
+
+        .section h2 {
+            font-size: 1.125rem;
+            font-weight: 500;
+            margin-bottom: 1rem;
+        }
+
+        .assessment {
+            display: inline-block;
+            padding: 0.25rem 0.75rem;
+            border-radius: 16px;
+            font-size: 0.875rem;
+            font-weight: 500;
+            color: #fff;
+            margin-bottom: 1rem;
+        }
+
+        .assessment.good { background: #0cce6b; }
+        .assessment.needs-improvement { background: #ffa400; }
+        .assessment.poor { background: #ff4e42; }
+
+        .scores {
+            display: flex;
+            gap: 2rem;
+            margin-top: 1rem;
+            font-size: 0.875rem;
+            color: #5f6368;
+        }
+
+        .scores strong {
+            display: block;
+            font-size: 1.5rem;
+            color: #202124;
+        }
+
+        .priority {
+            border-left: 4px solid #dadce0;
+            padding: 0.75rem 1rem;
+            margin-bottom: 1rem;
+        }
+
+        .priority h3 {
+            font-size: 1rem;
+            font-weight: 500;
+        }
+
+        .priority .tags {
+            font-size: 0.75rem;
+            color: #5f6368;
+            margin: 0.25rem 0 0.5rem;
+        }
+
+        .priority .evidence {
+            font-size: 0.875rem;
+            color: #5f6368;
+            font-style: italic;
+            margin-bottom: 0.5rem;
+        }
+
+        ul {
+            padding-left: 1.25rem;
+            font-size: 0.875rem;
+        }
+
+        .disclaimer {
+            font-size: 0.75rem;
+            color: #5f6368;
+            text-align: center;
+        }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>🤖 Gemini AI Performance Analysis</h1>
+        <div class="meta">${escape(url)} · ${escape(browserType)} · ${escape(DeviceEmulator.describe(device))} · ${escape(NetworkThrottler.describe(networkProfile))} · ${CpuThrottler.describe(cpuSlowdown)} · ${escape(model)} · ${generatedAt ? new Date(generatedAt).toLocaleString('en-US') : ''}</div>
+    </div>
+    <div class="container">
+        <div class="section">
+            <h2>Overview</h2>
+            <span class="assessment ${escape(assessment)}">${ASSESSMENT_LABELS[assessment] || escape(assessment)}</span>
+            <p>${escape(summary)}</p>
+            <div class="scores">
+                <div><strong>${scores.performance !== undefined ? scores.performance : 'N/A'}</strong>Performance</div>
+                <div><strong>${scores.accessibility !== undefined ? scores.accessibility : 'N/A'}</strong>Accessibility</div>
+                <div><strong>${scores.bestPractices !== undefined ? scores.bestPractices : 'N/A'}</strong>Best Practices</div>
+                <div><strong>${scores.seo !== undefined ? scores.seo : 'N/A'}</strong>SEO</div>
+            </div>
+        </div>
+
+        <div class="section">
+            <h2>Prioritized Remediation Plan</h2>
+            ${priorities.length === 0 ? '<p>No remediation items were returned.</p>' : priorities.map(item => `
+            <div class="priority" style="border-left-color: ${IMPACT_COLORS[item.impact]}">
+                <h3>${item.rank}. ${escape(item.title)}</h3>
+                <div class="tags">Impact: ${escape(item.impact)} · Effort: ${escape(item.effort)} · ${escape(item.category)}</div>
+                ${item.evidence ? `<div class="evidence">${escape(item.evidence)}</div>` : ''}
+                ${item.actions.length > 0 ? `<ul>${item.actions.map(action => `<li>${escape(action)}</li>`).join('')}</ul>` : ''}
+            </div>`).join('')}
+        </div>
+
+        ${quickWins.length > 0 ? `
+        <div class="section">
+            <h2>⚡ Quick Wins</h2>
+            <ul>${quickWins.map(win => `<li>${escape(win)}</li>`).join('')}</ul>
+        </div>` : ''}
+
+        <p class="disclaimer">Generated by an AI model from the measurements in session ${escape(sessionId)}. Verify each recommendation before acting on it.</p>
+    </div>
+</body>
+</html>`;
+    }
+
+    escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+module.exports = GeminiReport;
@@ -0,0 +1,243 @@
+const { version } = require('../../package.json');
+const NetworkThrottler = require('./network-throttler');
+const CpuThrottler = require('./cpu-throttler');
+const DeviceEmulator = require('./device-emulator');
+
+// session.metrics.networkRequests/networkResponses/networkErrors kayıtlarını HAR 1.2 formatına çevirir.
+// Her ana frame document isteği bir page; diğer istekler başladıkları andaki page'e atanır.
+class HarExporter {
+    export(session, options = {}) {
+        const metrics = session.metrics || {};
+        const requests = (metrics.networkRequests || []).slice().sort((a, b) => this.startOf(a) - this.startOf(b));
+        const pages = this.buildPages(session, requests, metrics.navigationEvents || []);
+        const responses = metrics.networkResponses || [];
+        const failures = metrics.networkErrors || [];
+        const used = new Set();
+        const network = session.networkProfile ? `, network: ${NetworkThrottler.describe(session.networkProfile)}` : '';
+        const cpu = session.cpuSlowdown > 1 ? `, ${CpuThrottler.describe(session.cpuSlowdown)}` : '';
+        const device = session.device ? `, device: ${DeviceEmulator.describe(session.device)}` : '';
+
+        const entries = requests.map(request => {
+            const response = this.findResult(responses, request, used);
+            const failure = response ? null : this.findResult(failures, request, used);
+            return this.buildEntry(request, response, failure, this.pageFor(pages, request), options);
+        });
+
+        return {
+            log: {
+                version: '1.2',
+                creator: { name: 'Mercury Performance Tools', version },
+                browser: { name: session.browserType || 'unknown', version: '' },
+                pages: pages.map(({ startTime, ...page }) => page),
+                entries,
+                comment: `Session ${session.sessionId}${device}${network}${cpu}`
+            }
+        };
+    }
+
+    buildPages(session, requests, navigationEvents) {
+        let documents = requests.filter(request => request.navigation);
+        // navigation alanı olmayan eski kayıtlarda ana frame document istekleri kullanılır
+        if (documents.length === 0) {
+            documents = requests.filter(request => request.resourceType === 'document' && !request.frame);
+        }
+
+        const starts = documents.length > 0
+            ? documents.map(request => ({ url: request.url, startTime: this.startOf(request) }))
+            : [{ url: session.url, startTime: session.startTime || (requests[0] ? this.startOf(requests[0]) : Date.now()) }];
+
+        const loads = navigationEvents.filter(event => event.type === 'page_load');
+
+        return starts.map((start, index) => {
+            const next = starts[index + 1];
+            // Bu page'in yüklenmesi, sonraki navigation'dan önce gelen ilk load event'idir
+            const load = loads.find(event => event.timestamp >= start.startTime && (!next || event.timestamp < next.startTime));
+            const timing = load && load.data ? load.data : null;
+
+            return {
+                id: `page_${index + 1}`,
+                startedDateTime: new Date(start.startTime).toISOString(),
+                title: start.url,
+                pageTimings: {
+                    onContentLoad: timing && timing.domContentLoadedEventEnd > 0 ? Math.round(timing.domContentLoadedEventEnd) : -1,
+                    onLoad: timing && timing.loadEventEnd > 0 ? Math.round(timing.loadEventEnd) : -1
+                },
+                startTime: start.startTime
+            };
+        });
+    }
+
+    pageFor(pages, request) {
+        let owner = pages[0];
+        pages.forEach(page => {
+            if (page.startTime <= this.startOf(request)) owner = page;
+        });
+        return owner ? owner.id : undefined;
+    }
+
+    // requestId ile eşleşir; eski kayıtlarda aynı URL'nin istekten sonra gelen ilk kullanılmamış sonucu alınır
+    findResult(results, request, used) {
+        const match = request.id && results.some(result => result.requestId)
+            ? results.find(result => result.requestId === request.id && !used.has(result))
+            : results.find(result => result.url === request.url && (result.endTime || 0) >= (request.startTime || 0) && !used.has(result));
+        if (match) used.add(match);
+        return match || null;
+    }
+
+    buildEntry(request, response, failure, pageref, options) {
+        const timings = this.buildTimings(request, response || failure);
+        const entry = {
+            pageref,
+            startedDateTime: new Date(this.startOf(request)).toISOString(),
+            // ssl, connect süresinin içinde olduğu için toplama eklenmez
+            time: this.round(['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+                .reduce((sum, phase) => sum + Math.max(0, timings[phase]), 0)),
+            request: this.buildRequest(request),
+            response: response ? this.buildResponse(response, request, options) : this.emptyResponse(),
+            cache: {},
+            timings,
+            _resourceType: request.resourceType
+        };
+
+        if (!pageref) delete entry.pageref;
+        if (failure) entry._error = failure.error;
+        return entry;
+    }
+
+    buildRequest(request) {
+        const headers = this.toHeaders(request.headers);
+        const har = {
+            method: request.method || 'GET',
+            url: request.url,
+            httpVersion: '',
+            cookies: this.parseCookies(request.headers && request.headers.cookie),
+            headers,
+            queryString: this.parseQuery(request.url),
+            headersSize: request.sizes ? request.sizes.requestHeadersSize : -1,
+            bodySize: request.sizes ? request.sizes.requestBodySize : request.postData ? request.postData.length : 0
+        };
+
+        if (request.postData) {
+            har.postData = {
+                mimeType: this.headerValue(request.headers, 'content-type') || '',
+                text: request.postData
+            };
+        }
+        return har;
+    }
+
+    buildResponse(response, request, options) {
+        const mimeType = this.headerValue(response.headers, 'content-type') || '';
+        const contentLength = parseInt(this.headerValue(response.headers, 'content-length'), 10);
+        const bodySize = request.sizes ? request.sizes.responseBodySize : Number.isFinite(contentLength) ? contentLength : -1;
+
+        const content = {
+            size: response.responseSize || 0,
+            mimeType
+        };
+
+        // Gövdeler yakalanırken kısaltılır (RESPONSE_BODY_LIMIT); binary yanıtlar hiç yazılmaz
+        const body = response.responseBody;
+        if (options.includeBodies && body && body !== '[Binary or non-text response]') {
+            content.text = body;
+            if (response.bodyTruncated || body.length < (response.responseSize || 0)) {
+                content.comment = `Truncated to ${body.length} of ${response.responseSize} characters`;
+            }
+        }
+
+        return {
+            status: response.status,
+            statusText: response.statusText || '',
+            httpVersion: '',
+            cookies: [],
+            headers: this.toHeaders(response.headers),
+            content,
+            redirectURL: this.headerValue(response.headers, 'location') || '',
+            headersSize: request.sizes ? request.sizes.responseHeadersSize : -1,
+            bodySize
+        };
+    }
+
+    // Başarısız isteklerde HAR'ın beklediği boş yanıt (status 0)
+    emptyResponse() {
+        return {
+            status: 0,
+            statusText: '',
+            httpVersion: '',
+            cookies: [],
+            headers: [],
+            content: { size: 0, mimeType: 'x-unknown' },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: -1
+        };
+    }
+
+    // request.timing() değerleri startTime'a göre ms; ölçülemeyen fazlar -1
+    buildTimings(request, result) {
+        const timing = request.timing;
+        if (!timing || !(timing.responseStart >= 0)) {
+            return {
+                blocked: -1,
+                dns: -1,
+                connect: -1,
+                ssl: -1,
+                send: 0,
+                wait: Math.max(0, Math.round(result && result.duration ? result.duration : 0)),
+                receive: 0
+            };
+        }
+
+        const span = (start, end) => start >= 0 && end >= 0 && end >= start ? this.round(end - start) : -1;
+        const firstPhase = [timing.domainLookupStart, timing.connectStart, timing.requestStart].find(value => value >= 0);
+        const requestStart = timing.requestStart >= 0 ? timing.requestStart : 0;
+
+        return {
+            blocked: firstPhase !== undefined ? this.round(firstPhase) : -1,
+            dns: span(timing.domainLookupStart, timing.domainLookupEnd),
+            connect: span(timing.connectStart, timing.connectEnd),
+            ssl: span(timing.secureConnectionStart, timing.connectEnd),
+            send: 0,
+            wait: span(requestStart, timing.responseStart),
+            receive: Math.max(0, span(timing.responseStart, timing.responseEnd))
+        };
+    }
+
+    startOf(request) {
+        return request.timing && request.timing.startTime > 0 ? request.timing.startTime : request.startTime || 0;
+    }
+
+    toHeaders(headers = {}) {
+        return Object.entries(headers || {}).map(([name, value]) => ({ name, value: String(value) }));
+    }
+
+    headerValue(headers = {}, name) {
+        const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name);
+        return key ? headers[key] : null;
+    }
+
+    parseQuery(url) {
+        try {
+            return Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    parseCookies(header) {
+        if (!header) return [];
+        return header.split(';')
+            .map(part => part.trim())
+            .filter(Boolean)
+            .map(part => {
+                const index = part.indexOf('=');
+                return index === -1 ? { name: part, value: '' } : { name: part.slice(0, index), value: part.slice(index + 1) };
+            });
+    }
+
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
+
+module.exports = HarExporter;
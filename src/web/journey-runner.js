@@ -0,0 +1,336 @@
+const fs = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+const WebVitalsCollector = require('./web-vitals-collector');
+const { transferSizeOf } = require('./session-metrics');
+
+const ACTIONS = ['goto', 'click', 'fill', 'waitForSelector', 'assertText', 'mark'];
+const DEFAULT_STEP_TIMEOUT = 30000;
+
+// Adım sonucu -> adım sırasında başlayan isteklerin networkRequests içindeki [başlangıç, bitiş) aralığı.
+// Yanıtlar asenkron geldiği için adımın yanıtları sıradan değil bu isteklerin id'sinden bulunur
+const stepRequests = new WeakMap();
+
+// JSON/YAML ile tanımlanan adımları headless sayfada sırayla çalıştırır.
+// Her adım süresi, o adım sırasında oluşan network ve Web Vitals verisiyle birlikte kaydedilir.
+class JourneyRunner {
+    constructor(options = {}) {
+        this.webVitalsCollector = options.webVitalsCollector || new WebVitalsCollector();
+    }
+
+    // Obje veya JSON/YAML metni kabul eder
+    async load(source) {
+        if (source && typeof source === 'object') {
+            return this.normalize(source);
+        }
+
+        if (typeof source !== 'string' || !source.trim()) {
+            throw new Error('Journey tanımı boş');
+        }
+
+        // YAML, JSON'un üst kümesi olduğu için ikisi de aynı parser ile okunur
+        return this.normalize(YAML.parse(source));
+    }
+
+    // .json/.yaml/.yml dosyasından oku (CLI ve zamanlanmış çalıştırmalar için)
+    async loadFile(filePath) {
+        const content = await fs.readFile(path.resolve(filePath), 'utf8');
+        return this.load(content);
+    }
+
+    normalize(definition) {
+        const journey = Array.isArray(definition) ? { steps: definition } : { ...definition };
+        if (!Array.isArray(journey.steps) || journey.steps.length === 0) {
+            throw new Error('Journey en az bir adım içermeli');
+        }
+
+        journey.name = journey.name || 'Journey';
+        journey.timeout = Number(journey.timeout) || DEFAULT_STEP_TIMEOUT;
+        journey.steps = journey.steps.map((step, index) => this.normalizeStep(step, index));
+
+        // url verilmemişse ilk goto adımının adresi kullanılır; ikisi de yoksa rapor, geçmiş ve budget'ta URL olmaz
+        if (!journey.url) {
+            const firstGoto = journey.steps.find(step => step.action === 'goto');
+            if (!firstGoto) {
+                throw new Error('Journey url veya en az bir goto adımı içermeli');
+            }
+            journey.url = firstGoto.url;
+        }
+
+        return journey;
+    }
+
+    // { action: 'click', selector: '#a' } veya kısa yazım { click: '#a' }
+    normalizeStep(step, index) {
+        if (!step || typeof step !== 'object') {
+            throw new Error(`Adım ${index + 1} geçersiz`);
+        }
+
+        let normalized = { ...step };
+        if (!normalized.action) {
+            const action = Object.keys(step).find(key => ACTIONS.includes(key));
+            if (!action) {
+                throw new Error(`Adım ${index + 1}: action belirtilmemiş`);
+            }
+            const value = step[action];
+            delete normalized[action];
+            normalized.action = action;
+            if (value && typeof value === 'object') {
+                normalized = { ...normalized, ...value };
+            } else if (action === 'goto') {
+                normalized.url = value;
+            } else if (action === 'mark') {
+                normalized.name = value;
+            } else if (action === 'assertText') {
+                normalized.text = value;
+            } else {
+                normalized.selector = value;
+            }
+        }
+
+        if (!ACTIONS.includes(normalized.action)) {
+            throw new Error(`Adım ${index + 1}: desteklenmeyen action "${normalized.action}"`);
+        }
+
+        const required = {
+            goto: ['url'],
+            click: ['selector'],
+            fill: ['selector', 'value'],
+            waitForSelector: ['selector'],
+            assertText: ['text'],
+            mark: ['name']
+        }[normalized.action];
+        const missing = required.filter(field => normalized[field] === undefined || normalized[field] === null);
+        if (missing.length > 0) {
+            throw new Error(`Adım ${index + 1} (${normalized.action}): ${missing.join(', ')} gerekli`);
+        }
+
+        normalized.index = index;
+        return normalized;
+    }
+
+    async run(page, session, journey, onStep) {
+        const startTime = Date.now();
+        const results = [];
+        const transactions = [];
+        let currentTransaction = null;
+        let failed = false;
+
+        for (const step of journey.steps) {
+            if (failed) {
+                results.push({ ...this.describeStep(step), status: 'skipped' });
+                continue;
+            }
+
+            if (step.action === 'mark') {
+                // Yeni transaction öncekini kapatır
+                if (currentTransaction) this.closeTransaction(currentTransaction);
+                currentTransaction = { name: step.name, startTime: Date.now(), steps: [] };
+                transactions.push(currentTransaction);
+            }
+
+            const result = await this.runStep(page, session, step, journey.timeout);
+            if (currentTransaction) {
+                result.transaction = currentTransaction.name;
+                currentTransaction.steps.push(step.index);
+            }
+            results.push(result);
+
+            if (result.status === 'failed' && !step.continueOnError && !journey.continueOnError) {
+                failed = true;
+            }
+
+            if (onStep) {
+                try {
+                    onStep(result);
+                } catch (callbackError) {
+                    console.warn('Journey step callback hatası:', callbackError.message);
+                }
+            }
+        }
+
+        if (currentTransaction) this.closeTransaction(currentTransaction);
+
+        transactions.forEach(transaction => {
+            const stepResults = results.filter(result => transaction.steps.includes(result.index));
+            transaction.status = stepResults.some(result => result.status === 'failed') ? 'failed' : 'passed';
+        });
+
+        const endTime = Date.now();
+        const summary = {
+            name: journey.name,
+            url: journey.url,
+            status: results.some(result => result.status === 'failed') ? 'failed' : 'passed',
+            startTime,
+            endTime,
+            duration: endTime - startTime,
+            passed: results.filter(result => result.status === 'passed').length,
+            failed: results.filter(result => result.status === 'failed').length,
+            skipped: results.filter(result => result.status === 'skipped').length,
+            steps: results,
+            transactions
+        };
+        this.summarizeNetwork(summary, session.metrics);
+        return summary;
+    }
+
+    async runStep(page, session, step, defaultTimeout) {
+        const metrics = session.metrics;
+        const timeout = Number(step.timeout) || defaultTimeout;
+
+        // Adım başındaki dizi uzunlukları; adımın dilimi bu noktadan sonra eklenenlerdir
+        const offsets = {
+            networkRequests: metrics.networkRequests.length,
+            errors: metrics.errors.length
+        };
+
+        const startTime = Date.now();
+        let error = null;
+
+        try {
+            await this.executeStep(page, step, timeout);
+        } catch (stepError) {
+            error = stepError;
+        }
+
+        const endTime = Date.now();
+
+        // Adım sonrası güncel vitals değerlerini kaydet
+        const vitals = await this.webVitalsCollector.collect(page);
+        this.webVitalsCollector.record(metrics.webVitals, vitals);
+
+        const result = {
+            ...this.describeStep(step),
+            status: error ? 'failed' : 'passed',
+            error: error ? error.message.split('\n')[0] : null,
+            startTime,
+            endTime,
+            duration: endTime - startTime,
+            url: page.url(),
+            vitals: this.sliceVitals(metrics.webVitals, startTime),
+            pageErrors: metrics.errors.slice(offsets.errors).length
+        };
+        stepRequests.set(result, [offsets.networkRequests, metrics.networkRequests.length]);
+        // Şimdilik bilinen yanıtlarla; run sonunda ve session kapanınca yeniden hesaplanır
+        result.network = this.stepNetwork(result, metrics);
+        return result;
+    }
+
+    // Adımda başlayan istekler, onlara gelen yanıtlar/hatalar ve request.sizes() ile transfer boyutu
+    stepNetwork(result, metrics) {
+        const [from, to] = stepRequests.get(result);
+        const requests = metrics.networkRequests.slice(from, to);
+        const ids = new Set(requests.map(request => request.id));
+        const responses = metrics.networkResponses.filter(response => ids.has(response.requestId));
+        const networkErrors = metrics.networkErrors.filter(networkError => ids.has(networkError.requestId));
+
+        return {
+            requests: requests.length,
+            responses: responses.length,
+            errors: networkErrors.length,
+            transferredBytes: requests.reduce((sum, request) => sum + transferSizeOf(request), 0),
+            slowest: responses
+                .slice()
+                .sort((a, b) => (b.duration || 0) - (a.duration || 0))
+                .slice(0, 5)
+                .map(response => ({ url: response.url, status: response.status, duration: response.duration }))
+        };
+    }
+
+    // Adımdan sonra gelen yanıtlar ve boyutlar da sayılsın diye run sonunda ve context kapandıktan sonra çağrılır
+    summarizeNetwork(journey, metrics) {
+        journey.steps.forEach(result => {
+            if (stepRequests.has(result)) result.network = this.stepNetwork(result, metrics);
+        });
+        journey.transactions.forEach(transaction => {
+            transaction.network = this.sumNetwork(journey.steps.filter(result => transaction.steps.includes(result.index)));
+        });
+    }
+
+    async executeStep(page, step, timeout) {
+        switch (step.action) {
+            case 'goto':
+                await page.goto(step.url, { waitUntil: step.waitUntil || 'load', timeout });
+                break;
+
+            case 'click':
+                await page.locator(step.selector).first().click({ timeout });
+                break;
+
+            case 'fill':
+                await page.locator(step.selector).first().fill(String(step.value), { timeout });
+                break;
+
+            case 'waitForSelector':
+                await page.waitForSelector(step.selector, { state: step.state || 'visible', timeout });
+                break;
+
+            case 'assertText': {
+                const locator = page.locator(step.selector || 'body').first();
+                await locator.waitFor({ state: 'attached', timeout });
+                const deadline = Date.now() + timeout;
+                let text = '';
+                // Metin geç render edilebilir, timeout dolana kadar tekrar dene
+                while (Date.now() <= deadline) {
+                    text = await locator.innerText().catch(() => '');
+                    if (text.includes(String(step.text))) return;
+                    await page.waitForTimeout(250);
+                }
+                throw new Error(`"${step.text}" metni bulunamadı (${step.selector || 'body'})`);
+            }
+
+            case 'mark':
+                // Transaction başlangıcı; sayfada işlem yapılmaz
+                break;
+
+            default:
+                throw new Error(`Desteklenmeyen action: ${step.action}`);
+        }
+    }
+
+    describeStep(step) {
+        return {
+            index: step.index,
+            action: step.action,
+            name: step.name || null,
+            selector: step.selector || null,
+            target: step.url || null,
+            text: step.text !== undefined ? String(step.text) : null
+        };
+    }
+
+    // Adım sırasında güncellenen navigation'ların vitals değerleri
+    sliceVitals(entries, since) {
+        return entries
+            .filter(entry => entry.timestamp >= since)
+            .map(entry => ({
+                url: entry.url,
+                navigationId: entry.navigationId,
+                ttfb: entry.ttfb,
+                fcp: entry.fcp,
+                lcp: entry.lcp,
+                cls: entry.cls,
+                inp: entry.inp,
+                totalBlockingTime: entry.totalBlockingTime || 0
+            }));
+    }
+
+    closeTransaction(transaction) {
+        transaction.endTime = Date.now();
+        transaction.duration = transaction.endTime - transaction.startTime;
+    }
+
+    sumNetwork(stepResults) {
+        return stepResults.reduce((sum, result) => {
+            if (!result.network) return sum;
+            sum.requests += result.network.requests;
+            sum.errors += result.network.errors;
+            sum.transferredBytes += result.network.transferredBytes;
+            return sum;
+        }, { requests: 0, errors: 0, transferredBytes: 0 });
+    }
+}
+
+JourneyRunner.ACTIONS = ACTIONS;
+
+module.exports = JourneyRunner;
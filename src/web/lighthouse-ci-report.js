@@ -1,9 +1,16 @@
 const fs = require('fs').promises;
 const path = require('path');
+const WebVitalsCollector = require('./web-vitals-collector');
+const NetworkThrottler = require('./network-throttler');
+const CpuThrottler = require('./cpu-throttler');
+const DeviceEmulator = require('./device-emulator');
+const TraceRecorder = require('./trace-recorder');
+const NetworkArchive = require('./network-archive');
 
 class LighthouseCIReport {
     constructor() {
         this.templateDir = path.join(__dirname, '../templates');
+        this.webVitalsCollector = new WebVitalsCollector();
     }
 
     // English date format
@@ -22,7 +29,7 @@ class LighthouseCIReport {
         return `${day}-${month}-${year}-${hours}-${minutes}`;
     }
 
-    async generateHTMLReport(sessionData, reportData) {
+    async generateHTMLReport(sessionData, reportData, options = {}) {
         const {
             sessionId,
             browserType,
@@ -35,19 +42,71 @@ class LighthouseCIReport {
         const metrics = reportData.metrics;
 
         const processedData = this.processMetrics(metrics);
+        processedData.journey = reportData.journey || null;
+        processedData.budget = reportData.budget || null;
+        processedData.filmstrip = reportData.filmstrip || null;
+        processedData.visualMetrics = metrics.visualMetrics || (reportData.filmstrip ? reportData.filmstrip.metrics : null);
+        processedData.video = reportData.video || null;
+        processedData.mainThread = metrics.mainThread || null;
+        processedData.coverage = metrics.coverage || null;
+        processedData.blocking = metrics.blocking || null;
+        processedData.overrides = metrics.overrides || null;
+        processedData.archive = metrics.archive || null;
+        processedData.memory = metrics.memory ? { ...metrics.memory, timeline: (metrics.memoryUsage || []).filter(sample => sample.url) } : null;
         const html = this.generateHTML(sessionData, processedData);
         
-        const reportsDir = path.join(__dirname, '../../reports');
+        // outputDir verilirse rapor session dizinine yazılır
+        const reportsDir = options.outputDir || path.join(__dirname, '../../reports');
         await fs.mkdir(reportsDir, { recursive: true });
         
         const englishDate = this.formatEnglishDate(new Date());
-        const filename = `mercury-performance-${englishDate}.html`;
+        const filename = options.filename || `mercury-performance-${englishDate}.html`;
         const reportPath = path.join(reportsDir, filename);
         
         await fs.writeFile(reportPath, html);
         return reportPath;
     }
 
+    // Network isteklerini CSV olarak dışa aktar (her satır bir istek)
+    generateCSV(reportData) {
+        const processedData = this.processMetrics(reportData.metrics || {});
+        const requests = processedData.networkStats.detailedRequests || [];
+
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const headers = [
+            'URL',
+            'Method',
+            'Resource Type',
+            'Status',
+            'Start Time',
+            'Duration (ms)',
+            'Request Size (bytes)',
+            'Response Size (bytes)',
+            'API',
+            'External'
+        ];
+
+        const rows = requests.map(req => [
+            req.url,
+            req.method,
+            req.resourceType,
+            req.status,
+            req.startTime ? new Date(req.startTime).toISOString() : '',
+            req.duration !== null && req.duration !== undefined ? Math.round(req.duration) : '',
+            req.requestSize || 0,
+            req.responseSize || 0,
+            req.isApi ? 'yes' : 'no',
+            req.isExternal ? 'yes' : 'no'
+        ].map(escape).join(','));
+
+        return [headers.join(','), ...rows].join('\n');
+    }
+
     processMetrics(metrics) {
         const navigationEvents = metrics.navigationEvents || [];
         const resourceTiming = metrics.resourceTiming || [];
@@ -59,6 +118,7 @@ class LighthouseCIReport {
         const networkResponses = metrics.networkResponses || [];
         const networkErrors = metrics.networkErrors || [];
         const networkSummary = metrics.networkSummary || {};
+        const webVitals = this.webVitalsCollector.summarize(metrics.webVitals || []);
 
         // Tüm sayfa gezinmelerini analiz et
         const allNavigations = navigationEvents.filter(e => 
@@ -119,7 +179,7 @@ class LighthouseCIReport {
         
         // Performans skorları ve öneriler
         const performanceScores = this.calculatePerformanceScores(pageLoadTimes, resourceStats, errorStats);
-        const performanceRecommendations = this.generatePerformanceRecommendations(resourceStats, networkStats, errorStats, pageLoadTimes);
+        const performanceRecommendations = this.generatePerformanceRecommendations(resourceStats, networkStats, errorStats, pageLoadTimes, metrics.coverage);
         
         // Resource optimization analizi
         const resourceOptimization = this.analyzeResourceOptimization(resourceTiming, networkStats);
@@ -143,6 +203,7 @@ class LighthouseCIReport {
 
         return {
             performanceScores,
+            webVitals,
             performanceRecommendations,
             resourceOptimization,
             performanceTimeline,
@@ -431,7 +492,8 @@ class LighthouseCIReport {
             return {
                 totalErrors: 0,
                 byType: {},
-                bySeverity: {}
+                bySeverity: {},
+                errors: []
             };
         }
 
@@ -454,7 +516,8 @@ class LighthouseCIReport {
         return {
             totalErrors: errors.length,
             byType,
-            bySeverity
+            bySeverity,
+            errors
         };
     }
 
@@ -578,7 +641,7 @@ class LighthouseCIReport {
         return 'Poor';
     }
 
-    generatePerformanceRecommendations(resourceStats, networkStats, errorStats, pageLoadTimes) {
+    generatePerformanceRecommendations(resourceStats, networkStats, errorStats, pageLoadTimes, coverage = null) {
         const recommendations = {
             critical: [],
             warning: [],
@@ -622,7 +685,7 @@ class LighthouseCIReport {
                 description: `${errorStats.totalErrors} errors found during analysis`,
                 details: errorStats.errors.slice(0, 5).map(e => ({
                     type: e.type,
-                    message: e.message.substring(0, 100) + '...',
+                    message: String(e.message || '').substring(0, 100) + '...',
                     url: e.url || 'N/A'
                 })),
                 suggestion: 'Fix JavaScript errors and network issues to improve user experience'
@@ -680,6 +743,35 @@ class LighthouseCIReport {
             });
         }
 
+        // Coverage varsa kullanılmayan kod boyuttan tahmin edilmez, ölçülür
+        if (coverage) {
+            const unusedScripts = coverage.resources.filter(r => r.type === 'js' && r.unusedBytes >= 20480);
+            if (unusedScripts.length > 0) {
+                recommendations[coverage.totals.js.unusedBytes > 500000 ? 'critical' : 'warning'].push({
+                    title: 'Reduce Unused JavaScript',
+                    description: `${this.formatBytes(coverage.totals.js.unusedBytes)} of JavaScript (${coverage.totals.js.unusedPercent}%) was never executed`,
+                    details: unusedScripts.slice(0, 5).map(r => ({
+                        url: r.url,
+                        size: `${this.formatBytes(r.unusedBytes)} unused (${r.unusedPercent}%)`
+                    })),
+                    suggestion: 'Split bundles by route, lazy-load code that is not needed for the first view, and remove dead code and unused third-party scripts'
+                });
+            }
+
+            const unusedStylesheets = coverage.resources.filter(r => r.type === 'css' && r.unusedBytes >= 10240);
+            if (unusedStylesheets.length > 0) {
+                recommendations.warning.push({
+                    title: 'Reduce Unused CSS',
+                    description: `${this.formatBytes(coverage.totals.css.unusedBytes)} of CSS (${coverage.totals.css.unusedPercent}%) matched no element`,
+                    details: unusedStylesheets.slice(0, 5).map(r => ({
+                        url: r.url,
+                        size: `${this.formatBytes(r.unusedBytes)} unused (${r.unusedPercent}%)`
+                    })),
+                    suggestion: 'Inline critical CSS, load the rest per page, and purge unused rules at build time'
+                });
+            }
+        }
+
         return recommendations;
     }
 
@@ -949,9 +1041,21 @@ class LighthouseCIReport {
     }
 
     generateHTML(sessionData, reportData) {
-        const { sessionId, browserType, url, startTime, endTime, duration } = sessionData;
+        const { sessionId, browserType, networkProfile, cpuSlowdown, device, auth, url, startTime, endTime, duration } = sessionData;
         const { 
             performanceScores = {}, 
+            webVitals = null,
+            journey = null,
+            budget = null,
+            filmstrip = null,
+            visualMetrics = null,
+            video = null,
+            mainThread = null,
+            coverage = null,
+            blocking = null,
+            overrides = null,
+            archive = null,
+            memory = null,
             performanceRecommendations = {},
             resourceOptimization = {},
             performanceTimeline = {},
@@ -1469,6 +1573,79 @@ class LighthouseCIReport {
             color: #db4437;
         }
 
+        .main-thread-bar {
+            display: flex;
+            height: 24px;
+            border-radius: 4px;
+            overflow: hidden;
+            margin: 16px 0;
+            background: #e8eaed;
+        }
+
+        .main-thread-swatch {
+            display: inline-block;
+            width: 12px;
+            height: 12px;
+            border-radius: 2px;
+            margin-right: 8px;
+            vertical-align: middle;
+        }
+
+        .session-video {
+            width: 100%;
+            max-height: 480px;
+            background: #000;
+            border-radius: 8px;
+        }
+
+        .video-moments {
+            list-style: none;
+            padding: 0;
+        }
+
+        .video-moments li {
+            padding: 6px 0;
+            border-bottom: 1px solid #eee;
+            word-break: break-all;
+        }
+
+        .video-seek {
+            font-family: monospace;
+            font-weight: 600;
+            color: #1a73e8;
+        }
+
+        .filmstrip {
+            display: flex;
+            gap: 0.75rem;
+            overflow-x: auto;
+            padding-bottom: 0.5rem;
+        }
+
+        .filmstrip-frame {
+            flex: 0 0 auto;
+            text-align: center;
+        }
+
+        .filmstrip-frame img {
+            display: block;
+            max-height: 160px;
+            border: 1px solid #dadce0;
+            border-radius: 4px;
+        }
+
+        .filmstrip-frame .time {
+            font-size: 0.75rem;
+            font-weight: bold;
+            color: #202124;
+            margin-top: 0.25rem;
+        }
+
+        .filmstrip-frame .progress {
+            font-size: 0.75rem;
+            color: #5f6368;
+        }
+
         .metric .label {
             font-size: 0.75rem;
             color: #5f6368;
@@ -1603,7 +1780,7 @@ class LighthouseCIReport {
     <div class="header">
         <h1>☿ Mercury Performance Report</h1>
         <div class="meta">
-            ${new Date().toLocaleString('tr-TR')} | ${browserType} | ${url}
+            ${new Date().toLocaleString('tr-TR')} | ${browserType} | ${this.escapeHtml(DeviceEmulator.describe(device))} | ${this.escapeHtml(NetworkThrottler.describe(networkProfile))} | ${CpuThrottler.describe(cpuSlowdown)}${auth ? ` | Logged in: ${this.escapeHtml(auth)}` : ''}${overrides ? ` | ${overrides.rules.length} response override(s)` : ''}${archive ? ` | ${this.escapeHtml(NetworkArchive.describe(archive))}` : ''} | ${url}
         </div>
     </div>
 
@@ -1655,6 +1832,20 @@ class LighthouseCIReport {
             </div>
         </div>
 
+        ${this.generateBudgetSection(budget)}
+
+        ${this.generateJourneySection(journey)}
+
+        ${this.generateWebVitalsSection(webVitals)}
+
+        ${this.generateFilmstripSection(filmstrip, visualMetrics)}
+
+        ${this.generateMainThreadSection(mainThread)}
+
+        ${this.generateMemorySection(memory)}
+
+        ${this.generateVideoSection(sessionId, video, pageLoadAnalysis, errorStats)}
+
         <!-- Summary Metrics -->
         <div class="section">
             <h2>📊 Summary Metrics</h2>
@@ -1749,7 +1940,7 @@ class LighthouseCIReport {
                                  <td class="${dnsClass}">${dnsLookup}ms</td>
                                  <td class="${connectClass}">${connectTime}ms</td>
                                  <td class="${responseClass}">${responseTime}ms</td>
-                                 <td>${time}</td>
+                                 <td>${this.videoSeekLink(video, page.timestamp, time)}</td>
                              </tr>
                          `}).join('')}
                      </tbody>
@@ -1815,7 +2006,7 @@ class LighthouseCIReport {
                                     <h5>Details:</h5>
                                     <ul>
                                         ${rec.details.map(detail => `
-                                            <li>${detail.url || detail.metric || detail.type}: ${detail.size || detail.duration || detail.value || detail.message}</li>
+                                            <li>${this.escapeHtml(detail.url || detail.metric || detail.type)}: ${this.escapeHtml(detail.size || detail.duration || detail.value || detail.message)}</li>
                                         `).join('')}
                                     </ul>
                                 </div>
@@ -1841,7 +2032,7 @@ class LighthouseCIReport {
                                     <h5>Details:</h5>
                                     <ul>
                                         ${rec.details.map(detail => `
-                                            <li>${detail.url || detail.metric || detail.type}: ${detail.size || detail.duration || detail.value || detail.message}</li>
+                                            <li>${this.escapeHtml(detail.url || detail.metric || detail.type)}: ${this.escapeHtml(detail.size || detail.duration || detail.value || detail.message)}</li>
                                         `).join('')}
                                     </ul>
                                 </div>
@@ -2262,6 +2453,14 @@ class LighthouseCIReport {
         </div>
         ` : ''}
 
+        ${this.generateUnusedCodeSection(coverage)}
+
+        ${this.generateBlockedRequestsSection(blocking)}
+
+        ${this.generateOverridesSection(overrides)}
+
+        ${this.generateArchiveSection(archive)}
+
         ${performanceTimeline ? `
         <!-- Performance Timeline -->
         <div class="section">
@@ -2352,8 +2551,8 @@ class LighthouseCIReport {
                     <tbody>
                         ${errorAnalysis.javascriptErrors.slice(0, 10).map(error => `
                             <tr>
-                                <td>${error.message}</td>
-                                <td>${error.url}</td>
+                                <td>${this.escapeHtml(error.message)}</td>
+                                <td>${this.escapeHtml(error.url)}</td>
                                 <td>${error.line}</td>
                                 <td>${error.column}</td>
                             </tr>
@@ -2400,10 +2599,10 @@ class LighthouseCIReport {
                     <tbody>
                         ${errorStats.errors.slice(0, 10).map(error => `
                             <tr>
-                                <td>${error.type}</td>
-                                <td>${error.message}</td>
-                                <td>${error.url || 'N/A'}</td>
-                                <td>${this.formatEnglishDate(new Date(error.timestamp))}</td>
+                                <td>${this.escapeHtml(error.type)}</td>
+                                <td>${this.escapeHtml(error.message)}</td>
+                                <td>${this.escapeHtml(error.url || 'N/A')}</td>
+                                <td>${this.videoSeekLink(video, error.timestamp, this.formatEnglishDate(new Date(error.timestamp)))}</td>
                             </tr>
                         `).join('')}
                     </tbody>
@@ -2497,6 +2696,806 @@ class LighthouseCIReport {
 </html>`;
     }
 
+    generateWebVitalsSection(webVitals) {
+        if (!webVitals || webVitals.navigations === 0) {
+            return '';
+        }
+
+        const ratingClass = (rating) => rating === 'good' ? 'good' : rating === 'poor' ? 'critical' : rating === 'needs-improvement' ? 'warning' : '';
+        const formatMs = (value) => value === null || value === undefined ? 'N/A' : `${Math.round(value)}ms`;
+        const formatCls = (value) => value === null || value === undefined ? 'N/A' : value.toFixed(3);
+        const cell = (metric, value, formatted) => `<td class="${ratingClass(this.webVitalsCollector.rate(metric, value))}">${formatted}</td>`;
+
+        return `
+        <!-- Core Web Vitals -->
+        <div class="section">
+            <h2>🎯 Core Web Vitals</h2>
+            <div class="metrics-grid">
+                <div class="metric">
+                    <div class="value ${ratingClass(webVitals.ratings.lcp)}">${formatMs(webVitals.lcp)}</div>
+                    <div class="label">Largest Contentful Paint</div>
+                </div>
+                <div class="metric">
+                    <div class="value ${ratingClass(webVitals.ratings.cls)}">${formatCls(webVitals.cls)}</div>
+                    <div class="label">Cumulative Layout Shift</div>
+                </div>
+                <div class="metric">
+                    <div class="value ${ratingClass(webVitals.ratings.inp)}">${formatMs(webVitals.inp)}</div>
+                    <div class="label">Interaction to Next Paint</div>
+                </div>
+                <div class="metric">
+                    <div class="value ${ratingClass(webVitals.ratings.totalBlockingTime)}">${formatMs(webVitals.totalBlockingTime)}</div>
+                    <div class="label">Total Blocking Time</div>
+                </div>
+            </div>
+            <p class="recommendation-description">Worst value per metric across ${webVitals.navigations} navigation(s), measured with PerformanceObserver in the analyzed browser. ${webVitals.longTasks} long task(s) recorded.</p>
+            <div class="table-responsive">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Page</th>
+                            <th>TTFB</th>
+                            <th>FCP</th>
+                            <th>LCP</th>
+                            <th>CLS</th>
+                            <th>INP</th>
+                            <th>TBT</th>
+                            <th>LCP Element</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${webVitals.pages.map(page => `
+                            <tr>
+                                <td class="url-cell">${this.escapeHtml(page.url)}</td>
+                                ${cell('ttfb', page.ttfb, formatMs(page.ttfb))}
+                                ${cell('fcp', page.fcp, formatMs(page.fcp))}
+                                ${cell('lcp', page.lcp, formatMs(page.lcp))}
+                                ${cell('cls', page.cls, formatCls(page.cls))}
+                                ${cell('inp', page.inp, page.interactionCount > 0 ? formatMs(page.inp) : 'No interaction')}
+                                ${cell('totalBlockingTime', page.totalBlockingTime, formatMs(page.totalBlockingTime))}
+                                <td>${page.lcpElement ? this.escapeHtml(page.lcpElement) : 'N/A'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </div>`;
+    }
+
+    generateFilmstripSection(filmstrip, visualMetrics) {
+        if (!visualMetrics) {
+            return '';
+        }
+
+        const formatMs = (value) => value === null || value === undefined ? 'N/A' : `${Math.round(value)}ms`;
+        const frames = filmstrip && filmstrip.frames ? filmstrip.frames : [];
+
+        return `
+        <!-- Filmstrip -->
+        <div class="section">
+            <h2>🎞️ Filmstrip &amp; Visual Progress</h2>
+            <div class="metrics-grid">
+                <div class="metric">
+                    <div class="value">${formatMs(visualMetrics.speedIndex)}</div>
+                    <div class="label">Speed Index</div>
+                </div>
+                <div class="metric">
+                    <div class="value">${formatMs(visualMetrics.firstVisualChange)}</div>
+                    <div class="label">First Visual Change</div>
+                </div>
+                <div class="metric">
+                    <div class="value">${formatMs(visualMetrics.visuallyComplete)}</div>
+                    <div class="label">Visually Complete</div>
+                </div>
+                <div class="metric">
+                    <div class="value">${formatMs(visualMetrics.lastVisualChange)}</div>
+                    <div class="label">Last Visual Change</div>
+                </div>
+            </div>
+            ${frames.length > 0 ? `
+            <div class="filmstrip">
+                ${frames.map(frame => `
+                    <div class="filmstrip-frame">
+                        <img src="data:image/png;base64,${frame.data}" alt="${frame.time}ms">
+                        <div class="time">${(frame.time / 1000).toFixed(1)}s</div>
+                        <div class="progress">${Math.round(frame.progress * 100)}%</div>
+                    </div>
+                `).join('')}
+            </div>` : ''}
+            <p class="recommendation-description">Visual progress of the first page load, computed from ${visualMetrics.frames} screenshot(s) by comparing each frame's color histogram with the final frame. Times are measured from navigation start.</p>
+        </div>`;
+    }
+
+    generateMainThreadSection(mainThread) {
+        if (!mainThread) {
+            return '';
+        }
+
+        const formatMs = (value) => `${Math.round(value)}ms`;
+        const colors = { scripting: '#fbbc04', rendering: '#9c27b0', painting: '#34a853', loading: '#1a73e8', gc: '#ff9800', other: '#9aa0a6', idle: '#e8eaed' };
+        const groups = Object.keys(TraceRecorder.GROUP_LABELS).filter(group => mainThread.breakdown[group] > 0);
+        const share = (group) => mainThread.duration > 0 ? mainThread.breakdown[group] / mainThread.duration * 100 : 0;
+        const tbtClass = mainThread.totalBlockingTime > 600 ? 'critical' : mainThread.totalBlockingTime > 200 ? 'warning' : 'good';
+        const urlList = (urls) => urls.length > 0
+            ? urls.map(item => `${this.escapeHtml(item.url)} <small>(${formatMs(item.time)})</small>`).join('<br>')
+            : '<small>No script attributed</small>';
+
+        return `
+        <!-- Main Thread -->
+        <div class="section">
+            <h2>🧵 Main Thread Activity</h2>
+            <div class="metrics-grid">
+                <div class="metric">
+                    <div class="value">${formatMs(mainThread.busyTime)}</div>
+                    <div class="label">Main Thread Busy</div>
+                </div>
+                <div class="metric">
+                    <div class="value ${tbtClass}">${formatMs(mainThread.totalBlockingTime)}</div>
+                    <div class="label">Total Blocking Time (trace)</div>
+                </div>
+                <div class="metric">
+                    <div class="value ${mainThread.longTaskCount > 0 ? 'warning' : 'good'}">${mainThread.longTaskCount}</div>
+                    <div class="label">Long Tasks</div>
+                </div>
+                <div class="metric">
+                    <div class="value">${formatMs(mainThread.breakdown.scripting)}</div>
+                    <div class="label">Scripting</div>
+                </div>
+            </div>
+            <div class="main-thread-bar">
+                ${groups.map(group => `<div style="width: ${share(group).toFixed(2)}%; background: ${colors[group]};" title="${TraceRecorder.GROUP_LABELS[group]}: ${formatMs(mainThread.breakdown[group])}"></div>`).join('')}
+            </div>
+            <div class="table-responsive">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Activity</th>
+                            <th>Time</th>
+                            <th>Share</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${groups.map(group => `
+                            <tr>
+                                <td><span class="main-thread-swatch" style="background: ${colors[group]};"></span>${TraceRecorder.GROUP_LABELS[group]}</td>
+                                <td>${formatMs(mainThread.breakdown[group])}</td>
+                                <td>${share(group).toFixed(1)}%</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${mainThread.longTasks.length > 0 ? `
+            <h3>Long Tasks (${mainThread.longTaskCount})</h3>
+            <div class="table-responsive">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Start</th>
+                            <th>Duration</th>
+                            <th>Blocking Time</th>
+                            <th>Activity</th>
+                            <th>Scripts</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${mainThread.longTasks.map(task => `
+                            <tr>
+                                <td>${formatMs(task.start)}</td>
+                                <td class="${task.duration > 250 ? 'critical' : 'warning'}">${formatMs(task.duration)}</td>
+                                <td>${formatMs(task.blockingTime)}</td>
+                                <td>${TraceRecorder.GROUP_LABELS[task.group] || task.group}</td>
+                                <td class="url-cell">${urlList(task.urls)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>` : ''}
+            ${mainThread.scripts.length > 0 ? `
+            <h3>Scripting Time by URL</h3>
+            <div class="table-responsive">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Script</th>
+                            <th>Scripting Time</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${mainThread.scripts.map(script => `
+                            <tr>
+                                <td class="url-cell">${this.escapeHtml(script.url)}</td>
+                                <td>${formatMs(script.time)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>` : ''}
+            <p class="recommendation-description">Computed from the Chromium performance trace of the main renderer thread over ${formatMs(mainThread.duration)}. Times are self times, grouped like the DevTools Performance panel. Tasks longer than ${TraceRecorder.LONG_TASK_THRESHOLD}ms are long tasks; the time over ${TraceRecorder.LONG_TASK_THRESHOLD}ms after the first contentful paint adds up to Total Blocking Time. Open trace.json in the DevTools Performance panel for the full timeline.</p>
+        </div>`;
+    }
+
+    generateMemorySection(memory) {
+        if (!memory) {
+            return '';
+        }
+
+        const formatMb = (bytes) => bytes === null || bytes === undefined ? 'N/A' : `${(bytes / 1048576).toFixed(1)} MB`;
+        const formatCount = (value) => value === null || value === undefined ? 'N/A' : Math.round(value).toLocaleString('en-US');
+        const change = (metric, format) => metric
+            ? `${format(metric.start)} → ${format(metric.end)} <small class="${metric.growthPercent >= memory.leakThreshold ? 'warning' : ''}">(${metric.growthPercent > 0 ? '+' : ''}${metric.growthPercent}%)</small>`
+            : 'N/A';
+        const timeline = memory.timeline || [];
+        const startTime = timeline.length > 0 ? timeline[0].timestamp : 0;
+        const series = (key, scale = 1) => JSON.stringify(timeline.map(sample => (typeof sample[key] === 'number' ? Math.round(sample[key] / scale * 10) / 10 : null)));
+        const snapshots = memory.snapshots || null;
+
+        return `
+        <!-- Memory -->
+        <div class="section">
+            <h2>🧠 Memory Over Time</h2>
+            <div class="metrics-grid">
+                <div class="metric">
+                    <div class="value">${formatMb(memory.peakHeap)}</div>
+                    <div class="label">Peak JS Heap</div>
+                </div>
+                <div class="metric">
+                    <div class="value">${formatMb(memory.startHeap)} → ${formatMb(memory.endHeap)}</div>
+                    <div class="label">JS Heap Start → End</div>
+                </div>
+                <div class="metric">
+                    <div class="value">${memory.samples}</div>
+                    <div class="label">Samples (every ${Math.round(memory.interval / 1000)}s)</div>
+                </div>
+                <div class="metric">
+                    <div class="value ${memory.suspectedLeaks > 0 ? 'critical' : 'good'}">${memory.suspectedLeaks}</div>
+                    <div class="label">Suspected Leaks</div>
+                </div>
+            </div>
+            ${timeline.length > 1 ? `
+            <div class="chart-container">
+                <canvas id="memoryChart"></canvas>
+            </div>
+            <script>
+                new Chart(document.getElementById('memoryChart').getContext('2d'), {
+                    type: 'line',
+                    data: {
+                        labels: ${JSON.stringify(timeline.map(sample => `${Math.round((sample.timestamp - startTime) / 1000)}s`))},
+                        datasets: [
+                            { label: 'JS Heap (MB)', data: ${series('usedJSHeapSize', 1048576)}, borderColor: '#1a73e8', yAxisID: 'heap', tension: 0.2, pointRadius: 0 },
+                            { label: 'DOM Nodes', data: ${series('domNodes')}, borderColor: '#34a853', yAxisID: 'count', tension: 0.2, pointRadius: 0 },
+                            { label: 'Event Listeners', data: ${series('listeners')}, borderColor: '#fbbc04', yAxisID: 'count', tension: 0.2, pointRadius: 0 }
+                        ]
+                    },
+                    options: {
+                        responsive: true,
+                        maintainAspectRatio: false,
+                        interaction: { mode: 'index', intersect: false },
+                        scales: {
+                            heap: { type: 'linear', position: 'left', title: { display: true, text: 'MB' } },
+                            count: { type: 'linear', position: 'right', grid: { drawOnChartArea: false }, title: { display: true, text: 'Count' } }
+                        }
+                    }
+                });
+            </script>` : ''}
+            <h3>Memory by Page</h3>
+            <div class="table-responsive">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Page URL</th>
+                            <th>Time on Page</th>
+                            <th>JS Heap</th>
+                            <th>DOM Nodes</th>
+                            <th>Listeners</th>
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${memory.pages.map(page => `
+                            <tr>
+                                <td class="url-cell">${this.escapeHtml(page.url)}</td>
+                                <td>${Math.round(page.duration / 1000)}s (${page.samples} samples)</td>
+                                <td>${change(page.heap, formatMb)}</td>
+                                <td>${change(page.domNodes, formatCount)}</td>
+                                <td>${change(page.listeners, formatCount)}</td>
+                                <td>${page.suspectedLeak
+                                    ? `<span class="status-error">Suspected leak</span><br><small>${this.escapeHtml(page.reasons.join(', '))}</small>`
+                                    : '<span class="status-good">OK</span>'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${snapshots ? `
+            <h3>Heap Snapshots</h3>
+            <div class="metrics-grid">
+                <div class="metric">
+                    <div class="value">${formatMb(snapshots.start ? snapshots.start.heapAfterGc : null)}</div>
+                    <div class="label">Heap After GC (Start)</div>
+                </div>
+                <div class="metric">
+                    <div class="value">${formatMb(snapshots.end ? snapshots.end.heapAfterGc : null)}</div>
+                    <div class="label">Heap After GC (End)</div>
+                </div>
+                <div class="metric">
+                    <div class="value ${snapshots.growth > 0 ? 'warning' : 'good'}">${snapshots.growth === null ? 'N/A' : `${snapshots.growth > 0 ? '+' : ''}${formatMb(snapshots.growth)}`}</div>
+                    <div class="label">Retained Growth</div>
+                </div>
+            </div>
+            <p class="recommendation-description">Load ${[snapshots.start, snapshots.end].filter(Boolean).map(snapshot => this.escapeHtml(snapshot.filename)).join(' and ')} from the report directory in the DevTools Memory panel and use the Comparison view to see which objects were retained.</p>` : ''}
+            <p class="recommendation-description">JS heap, DOM nodes (including detached ones) and event listeners are sampled every ${Math.round(memory.interval / 1000)}s for the whole session. A page is flagged when a metric grows by at least ${memory.leakThreshold}% during a visit and keeps trending upward. Short visits with fewer than 3 samples are not judged.</p>
+        </div>`;
+    }
+
+    generateUnusedCodeSection(coverage) {
+        if (!coverage) {
+            return '';
+        }
+
+        const { totals, firstParty, thirdParty } = coverage;
+        const unusedClass = (percent) => percent > 50 ? 'critical' : percent > 25 ? 'warning' : 'good';
+        const row = (label, usage) => `
+                            <tr>
+                                <td>${label}</td>
+                                <td>${this.formatBytes(usage.totalBytes)}</td>
+                                <td>${this.formatBytes(usage.unusedBytes)}</td>
+                                <td class="${unusedClass(usage.unusedPercent)}">${usage.unusedPercent}%</td>
+                            </tr>`;
+
+        return `
+        <!-- Unused Code -->
+        <div class="section">
+            <h2>✂️ Unused Code</h2>
+            <div class="metrics-grid">
+                <div class="metric">
+                    <div class="value ${unusedClass(totals.js.unusedPercent)}">${this.formatBytes(totals.js.unusedBytes)}</div>
+                    <div class="label">Unused JavaScript (${totals.js.unusedPercent}%)</div>
+                </div>
+                <div class="metric">
+                    <div class="value ${unusedClass(totals.css.unusedPercent)}">${this.formatBytes(totals.css.unusedBytes)}</div>
+                    <div class="label">Unused CSS (${totals.css.unusedPercent}%)</div>
+                </div>
+                <div class="metric">
+                    <div class="value">${this.formatBytes(firstParty.all.unusedBytes)}</div>
+                    <div class="label">First-party Unused</div>
+                </div>
+                <div class="metric">
+                    <div class="value">${this.formatBytes(thirdParty.all.unusedBytes)}</div>
+                    <div class="label">Third-party Unused</div>
+                </div>
+            </div>
+            <div class="table-responsive">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Origin</th>
+                            <th>Total</th>
+                            <th>Unused</th>
+                            <th>Unused %</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${row('First-party JavaScript', firstParty.js)}
+                        ${row('First-party CSS', firstParty.css)}
+                        ${row('Third-party JavaScript', thirdParty.js)}
+                        ${row('Third-party CSS', thirdParty.css)}
+                    </tbody>
+                </table>
+            </div>
+            ${coverage.resources.length > 0 ? `
+            <h3>Scripts and Stylesheets by Potential Savings</h3>
+            <div class="table-responsive">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>URL</th>
+                            <th>Type</th>
+                            <th>Party</th>
+                            <th>Total</th>
+                            <th>Unused</th>
+                            <th>Unused %</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${coverage.resources.slice(0, 25).map(resource => `
+                            <tr>
+                                <td class="url-cell">${this.escapeHtml(resource.url)}</td>
+                                <td>${resource.type.toUpperCase()}</td>
+                                <td>${resource.party === 'firstParty' ? 'First-party' : 'Third-party'}</td>
+                                <td>${this.formatBytes(resource.totalBytes)}</td>
+                                <td>${this.formatBytes(resource.unusedBytes)}</td>
+                                <td class="${unusedClass(resource.unusedPercent)}">${resource.unusedPercent}%</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>` : ''}
+            <p class="recommendation-description">Measured with Chromium JS/CSS coverage from the first page load until the session ended, over ${coverage.resourceCount} script(s) and stylesheet(s). Sizes are uncompressed. Code that runs only after user interaction counts as used once the interaction happened during the session. Resources on the analyzed site's domain count as first-party.</p>
+        </div>`;
+    }
+
+    generateBlockedRequestsSection(blocking) {
+        if (!blocking) {
+            return '';
+        }
+
+        return `
+        <!-- Blocked Requests -->
+        <div class="section">
+            <h2>🚫 Blocked Requests</h2>
+            <div class="metrics-grid">
+                <div class="metric">
+                    <div class="value">${blocking.blockedRequests}</div>
+                    <div class="label">Requests Blocked</div>
+                </div>
+                <div class="metric">
+                    <div class="value">${blocking.domains.length}</div>
+                    <div class="label">Domains</div>
+                </div>
+                <div class="metric">
+                    <div class="value">${blocking.domains.filter(domain => domain.party === 'thirdParty').length}</div>
+                    <div class="label">Third-party Domains</div>
+                </div>
+            </div>
+            <p class="recommendation-description">Patterns: ${blocking.patterns.map(pattern => `<code>${this.escapeHtml(pattern)}</code>`).join(', ')}</p>
+            ${blocking.domains.length > 0 ? `
+            <div class="table-responsive">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Domain</th>
+                            <th>Party</th>
+                            <th>Blocked Requests</th>
+                            <th>Resource Types</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${blocking.domains.map(domain => `
+                            <tr>
+                                <td>${this.escapeHtml(domain.domain)}</td>
+                                <td>${domain.party === 'firstParty' ? 'First-party' : 'Third-party'}</td>
+                                <td>${domain.blockedRequests}</td>
+                                <td>${this.escapeHtml(domain.resourceTypes.join(', '))}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>` : ''}
+            <p class="recommendation-description">Every metric in this report was measured with these requests blocked. Compare it with a session of the same flow without blocking (Session Comparison) to see their impact.</p>
+        </div>`;
+    }
+
+    generateOverridesSection(overrides) {
+        if (!overrides) {
+            return '';
+        }
+
+        return `
+        <!-- Response Overrides -->
+        <div class="section">
+            <h2>🧪 Response Overrides</h2>
+            <div class="metrics-grid">
+                <div class="metric">
+                    <div class="value">${overrides.rules.length}</div>
+                    <div class="label">Override Rules</div>
+                </div>
+                <div class="metric">
+                    <div class="value">${overrides.hits}</div>
+                    <div class="label">Requests Overridden</div>
+                </div>
+                <div class="metric">
+                    <div class="value">${overrides.rules.filter(rule => rule.hits === 0).length}</div>
+                    <div class="label">Unused Rules</div>
+                </div>
+            </div>
+            <div class="table-responsive">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Match</th>
+                            <th>Response</th>
+                            <th>Status</th>
+                            <th>Added Delay</th>
+                            <th>Hits</th>
+                            <th>Sample URLs</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${overrides.rules.map(rule => `
+                            <tr>
+                                <td><code>${this.escapeHtml(rule.match)}</code></td>
+                                <td>${rule.action === 'file' ? `Local file <code>${this.escapeHtml(rule.file)}</code>` : rule.action === 'body' ? 'Mock body' : rule.action === 'status' ? 'Empty body' : 'Original response'}</td>
+                                <td>${rule.status !== null ? rule.status : (rule.action === 'delay' ? '-' : 200)}</td>
+                                <td>${rule.delay > 0 ? `${rule.delay} ms` : '-'}</td>
+                                <td>${rule.hits}</td>
+                                <td>${rule.urls.map(url => this.escapeHtml(url)).join('<br>') || '-'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <p class="recommendation-description">Every metric in this report was measured with these responses replaced or delayed, so it does not reflect the live site. Compare it with a session of the same flow without overrides (Session Comparison) to see the gain.</p>
+        </div>`;
+    }
+
+    // Replay'de arşivde bulunamayan istekler iptal edildiği için sayfa eksik yüklenmiş olabilir
+    generateArchiveSection(archive) {
+        if (!archive) {
+            return '';
+        }
+
+        return `
+        <!-- Network Archive -->
+        <div class="section">
+            <h2>📼 Network Archive</h2>
+            <p class="recommendation-description">${this.escapeHtml(NetworkArchive.describe(archive))}.</p>
+            ${archive.mode === 'record' ? `
+            <p class="recommendation-description">${archive.entries} request(s) were saved to <code>${this.escapeHtml(archive.name)}.har</code>. Replay it to measure this page version again without network access.</p>` : `
+            <div class="metrics-grid">
+                <div class="metric">
+                    <div class="value">${archive.requests}</div>
+                    <div class="label">Requests</div>
+                </div>
+                <div class="metric">
+                    <div class="value">${archive.missedRequests}</div>
+                    <div class="label">Not in Archive</div>
+                </div>
+            </div>
+            ${archive.missedRequests > 0 ? `
+            <p class="recommendation-description">Requests that were not in the archive were aborted, so the page may differ from the recording. Examples:<br>${archive.missedUrls.map(url => this.escapeHtml(url)).join('<br>')}</p>` : ''}`}
+        </div>`;
+    }
+
+    generateVideoSection(sessionId, video, pageLoadAnalysis, errorStats) {
+        if (!video) {
+            return '';
+        }
+
+        // Videoda atlanacak anlar: yavaş navigation'lar ve hatalar
+        const moments = [
+            ...(pageLoadAnalysis.pages || [])
+                .filter(page => page.loadTime > 3000)
+                .map(page => ({ timestamp: page.timestamp, type: 'warning', label: `Slow navigation (${page.loadTime}ms): ${page.url}` })),
+            ...(errorStats.errors || [])
+                .map(error => ({ timestamp: error.timestamp, type: 'critical', label: `${error.type}: ${error.message}` }))
+        ]
+            .filter(moment => this.videoOffset(video, moment.timestamp) !== null)
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        return `
+        <!-- Session Recording -->
+        <div class="section">
+            <h2>🎬 Session Recording</h2>
+            <video id="session-video" class="session-video" controls preload="metadata">
+                <source src="${this.escapeHtml(video.filename)}" type="video/webm">
+                <source src="/api/web/browser/download/${encodeURIComponent(sessionId)}?type=video" type="video/webm">
+            </video>
+            ${moments.length > 0 ? `
+            <h3>Key Moments (${moments.length})</h3>
+            <ul class="video-moments">
+                ${moments.slice(0, 20).map(moment => `
+                    <li class="${moment.type}">${this.videoSeekLink(video, moment.timestamp, this.formatVideoOffset(this.videoOffset(video, moment.timestamp)))} ${this.escapeHtml(moment.label)}</li>
+                `).join('')}
+            </ul>` : '<p class="status-good">No slow navigations or errors during the recording.</p>'}
+            <p class="recommendation-description">Click a moment, or a timestamp in the Page Load Analysis and Error Details tables, to jump to it in the recording. The video file is saved next to this report.</p>
+            <script>
+                function seekVideo(seconds) {
+                    const player = document.getElementById('session-video');
+                    player.currentTime = seconds;
+                    player.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                    player.play().catch(() => {});
+                }
+            </script>
+        </div>`;
+    }
+
+    // Zaman damgasının videodaki saniyesi; kayıt aralığı dışındaysa null
+    videoOffset(video, timestamp) {
+        if (!video || !timestamp) return null;
+        const offset = (timestamp - video.startTime) / 1000;
+        if (offset < 0 || (video.duration && offset * 1000 > video.duration)) return null;
+        return Math.round(offset * 10) / 10;
+    }
+
+    formatVideoOffset(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+    }
+
+    // Video varsa metni videoda o ana atlayan bağlantıya çevirir
+    videoSeekLink(video, timestamp, label) {
+        const offset = this.videoOffset(video, timestamp);
+        if (offset === null) {
+            return this.escapeHtml(label);
+        }
+        return `<a href="#session-video" class="video-seek" onclick="seekVideo(${offset}); return false;" title="Jump to ${this.formatVideoOffset(offset)} in the recording">${this.escapeHtml(label)}</a>`;
+    }
+
+    generateJourneySection(journey) {
+        if (!journey || !journey.steps) {
+            return '';
+        }
+
+        const statusClass = (status) => status === 'passed' ? 'status-good' : status === 'failed' ? 'status-error' : 'status-warning';
+        const stepLabel = (step) => {
+            switch (step.action) {
+                case 'goto': return `goto ${step.target}`;
+                case 'mark': return `mark "${step.name}"`;
+                case 'assertText': return `assertText "${step.text}"${step.selector ? ` in ${step.selector}` : ''}`;
+                default: return `${step.action} ${step.selector}`;
+            }
+        };
+        const vitalsLabel = (vitals) => {
+            if (!vitals || vitals.length === 0) return 'N/A';
+            const last = vitals[vitals.length - 1];
+            return [
+                last.lcp !== null && last.lcp !== undefined ? `LCP ${last.lcp}ms` : null,
+                last.cls !== null && last.cls !== undefined ? `CLS ${last.cls.toFixed(3)}` : null,
+                last.inp !== null && last.inp !== undefined ? `INP ${last.inp}ms` : null
+            ].filter(Boolean).join(' · ') || 'N/A';
+        };
+
+        return `
+        <!-- User Journey -->
+        <div class="section">
+            <h2>🧭 User Journey: ${this.escapeHtml(journey.name)}</h2>
+            <div class="metrics-grid">
+                <div class="metric">
+                    <div class="value ${journey.status === 'passed' ? 'good' : 'critical'}">${journey.status.toUpperCase()}</div>
+                    <div class="label">Journey Status</div>
+                </div>
+                <div class="metric">
+                    <div class="value">${journey.duration}ms</div>
+                    <div class="label">Total Duration</div>
+                </div>
+                <div class="metric">
+                    <div class="value good">${journey.passed}</div>
+                    <div class="label">Passed Steps</div>
+                </div>
+                <div class="metric">
+                    <div class="value ${journey.failed > 0 ? 'critical' : ''}">${journey.failed}</div>
+                    <div class="label">Failed Steps</div>
+                </div>
+            </div>
+            ${journey.transactions && journey.transactions.length > 0 ? `
+            <h3>Transactions</h3>
+            <div class="table-responsive">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Transaction</th>
+                            <th>Status</th>
+                            <th>Duration</th>
+                            <th>Requests</th>
+                            <th>Transferred</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${journey.transactions.map(transaction => `
+                            <tr>
+                                <td>${this.escapeHtml(transaction.name)}</td>
+                                <td class="${statusClass(transaction.status)}">${transaction.status}</td>
+                                <td>${transaction.duration}ms</td>
+                                <td>${transaction.network.requests}</td>
+                                <td>${this.formatBytes(transaction.network.transferredBytes)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ` : ''}
+            <h3>Steps</h3>
+            <div class="table-responsive">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Step</th>
+                            <th>Status</th>
+                            <th>Duration</th>
+                            <th>Requests</th>
+                            <th>Transferred</th>
+                            <th>Web Vitals</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${journey.steps.map(step => `
+                            <tr>
+                                <td>${step.index + 1}</td>
+                                <td class="url-cell">${this.escapeHtml(stepLabel(step))}${step.error ? `<br><small class="status-error">${this.escapeHtml(step.error)}</small>` : ''}</td>
+                                <td class="${statusClass(step.status)}">${step.status}</td>
+                                <td>${step.duration !== undefined ? `${step.duration}ms` : '-'}</td>
+                                <td>${step.network ? `${step.network.requests}${step.network.errors > 0 ? ` (${step.network.errors} failed)` : ''}` : '-'}</td>
+                                <td>${step.network ? this.formatBytes(step.network.transferredBytes) : '-'}</td>
+                                <td>${vitalsLabel(step.vitals)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </div>`;
+    }
+
+    generateBudgetSection(budget) {
+        if (!budget) {
+            return '';
+        }
+
+        if (budget.status === 'error') {
+            return `
+        <!-- Performance Budget -->
+        <div class="section">
+            <h2>💰 Performance Budget</h2>
+            <p class="status-error">Budget could not be evaluated: ${this.escapeHtml(budget.error)}</p>
+        </div>`;
+        }
+
+        const statusClass = (status) => status === 'pass' ? 'status-good' : status === 'fail' ? 'status-error' : 'status-warning';
+        const formatValue = (value, unit) => value === null || value === undefined ? 'N/A' : `${value}${unit ? ` ${unit}` : ''}`;
+        const budgetedPages = budget.pages.filter(page => page.status !== 'unbudgeted');
+
+        return `
+        <!-- Performance Budget -->
+        <div class="section">
+            <h2>💰 Performance Budget</h2>
+            <div class="metrics-grid">
+                <div class="metric">
+                    <div class="value ${budget.status === 'pass' ? 'good' : budget.status === 'fail' ? 'critical' : 'warning'}">${budget.status.toUpperCase()}</div>
+                    <div class="label">Budget Status</div>
+                </div>
+                <div class="metric">
+                    <div class="value good">${budget.passed}</div>
+                    <div class="label">Checks Passed</div>
+                </div>
+                <div class="metric">
+                    <div class="value ${budget.failed > 0 ? 'critical' : ''}">${budget.failed}</div>
+                    <div class="label">Limits Exceeded</div>
+                </div>
+                <div class="metric">
+                    <div class="value">${budgetedPages.length}/${budget.pages.length}</div>
+                    <div class="label">Pages Checked</div>
+                </div>
+            </div>
+            <p class="recommendation-description">Limits from ${this.escapeHtml(path.basename(budget.configPath || 'budgets.json'))}. Timings in ms, sizes in KB.</p>
+            ${budgetedPages.map(page => `
+            <h3 class="url-cell"><span class="${statusClass(page.status)}">${page.status.toUpperCase()}</span> ${this.escapeHtml(page.url)} <small>(${this.escapeHtml(page.match)})</small></h3>
+            <div class="table-responsive">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Metric</th>
+                            <th>Budget</th>
+                            <th>Actual</th>
+                            <th>Over By</th>
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${page.checks.map(check => `
+                            <tr>
+                                <td>${this.escapeHtml(check.label)}</td>
+                                <td>${formatValue(check.limit, check.unit)}</td>
+                                <td>${formatValue(check.actual, check.unit)}</td>
+                                <td>${check.overBy > 0 ? formatValue(check.overBy, check.unit) : '-'}</td>
+                                <td class="${statusClass(check.status)}">${check.status}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            `).join('')}
+        </div>`;
+    }
+
+    escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     formatBytes(bytes) {
         if (bytes === 0) return '0 Bytes';
         const k = 1024;
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const NetworkThrottler = require('./network-throttler');
+
+const DEFAULTS = {
+    interval: 5000,             // örnekleme aralığı (ms)
+    leakThreshold: 20,          // yüzde; sayfa ziyareti boyunca bundan fazla büyüme şüpheli sayılır
+    minHeapGrowth: 1048576,     // 1MB altındaki heap büyümesi yüzdesi ne olursa olsun yok sayılır
+    minNodeGrowth: 500,
+    minListenerGrowth: 100,
+    minSamples: 3               // sızıntı değerlendirmesi için sayfa başına gereken örnek
+};
+
+// Kısa dalgalanmalar sonucu etkilemesin diye baştaki/sondaki en fazla 3 örneğin medyanı.
+// Pencereler örneklerin yarısını geçmez; az örnekli ziyarette baş ve son aynı örneklere bakmasın
+function edgeMedian(values, fromEnd) {
+    const size = Math.max(1, Math.min(3, Math.floor(values.length / 2)));
+    const edge = (fromEnd ? values.slice(-size) : values.slice(0, size)).sort((a, b) => a - b);
+    return edge[Math.floor(edge.length / 2)];
+}
+
+// Etkileşimli session boyunca belirli aralıklarla JS heap, DOM node ve event listener sayısını örnekler.
+// Chromium'da CDP Performance.getMetrics (detached node'lar dahil), diğer tarayıcılarda sayfa içi ölçüm kullanılır.
+// Her ziyaret edilen sayfada sürekli büyüme sızıntı şüphesi olarak işaretlenir.
+class MemoryMonitor {
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+    }
+
+    // Heap snapshot sadece Chromium'da (CDP HeapProfiler) alınabilir
+    resolveSnapshots(value, browserType = 'chrome') {
+        const enabled = value === true || value === 'true';
+        if (enabled && !this.isSupported(browserType)) {
+            throw new Error(`Heap snapshots are only supported in Chromium based browsers (chrome, edge), not ${browserType}`);
+        }
+        return enabled;
+    }
+
+    isSupported(browserType) {
+        return NetworkThrottler.CHROMIUM_BROWSERS.includes(String(browserType).toLowerCase());
+    }
+
+    // onSample her örnekte çağrılır; dönen stop() son bir örnek alıp örneklemeyi durdurur
+    async start(context, page, browserType, onSample) {
+        const cdp = this.isSupported(browserType) ? await context.newCDPSession(page) : null;
+        if (cdp) {
+            await cdp.send('Performance.enable');
+        }
+
+        let timer = null;
+        let stopped = false;
+        let pending = Promise.resolve();
+        const sample = () => {
+            pending = this.sample(page, cdp)
+                .then(value => { if (value) onSample(value); })
+                .catch(() => {});
+            return pending;
+        };
+        // Sayfa kapanınca (kullanıcı pencereyi kapattı) örnekleme kendiliğinden biter
+        const schedule = () => {
+            timer = setTimeout(() => {
+                sample().then(() => { if (!stopped && !page.isClosed()) schedule(); });
+            }, this.options.interval);
+        };
+
+        await sample();
+        schedule();
+
+        return {
+            stop: async () => {
+                if (stopped) return;
+                stopped = true;
+                clearTimeout(timer);
+                await pending;
+                await sample();
+                if (cdp) await cdp.detach().catch(() => {});
+            }
+        };
+    }
+
+    async sample(page, cdp) {
+        if (page.isClosed()) return null;
+
+        if (cdp) {
+            const { metrics } = await cdp.send('Performance.getMetrics');
+            const value = (name) => {
+                const metric = metrics.find(item => item.name === name);
+                return metric ? metric.value : null;
+            };
+            return {
+                timestamp: Date.now(),
+                url: page.url(),
+                usedJSHeapSize: value('JSHeapUsedSize'),
+                totalJSHeapSize: value('JSHeapTotalSize'),
+                domNodes: value('Nodes'),
+                listeners: value('JSEventListeners'),
+                documents: value('Documents')
+            };
+        }
+
+        const measured = await page.evaluate(() => ({
+            usedJSHeapSize: performance.memory ? performance.memory.usedJSHeapSize : null,
+            totalJSHeapSize: performance.memory ? performance.memory.totalJSHeapSize : null,
+            domNodes: document.getElementsByTagName('*').length
+        }));
+        return { timestamp: Date.now(), url: page.url(), ...measured, listeners: null, documents: null };
+    }
+
+    // GC sonrası tam heap snapshot'ı; parçalar geldikçe dosyaya yazılır
+    async takeSnapshot(context, page, filePath) {
+        const cdp = await context.newCDPSession(page);
+        const stream = fs.createWriteStream(filePath);
+        let size = 0;
+        cdp.on('HeapProfiler.addHeapSnapshotChunk', ({ chunk }) => {
+            size += Buffer.byteLength(chunk);
+            stream.write(chunk);
+        });
+
+        try {
+            await cdp.send('HeapProfiler.enable');
+            await cdp.send('HeapProfiler.collectGarbage');
+            await cdp.send('Performance.enable');
+            const { metrics } = await cdp.send('Performance.getMetrics');
+            const heap = metrics.find(item => item.name === 'JSHeapUsedSize');
+            await cdp.send('HeapProfiler.takeHeapSnapshot', { reportProgress: false });
+
+            return { timestamp: Date.now(), url: page.url(), size, heapAfterGc: heap ? heap.value : null };
+        } finally {
+            await new Promise((resolve, reject) => stream.end(error => (error ? reject(error) : resolve())));
+            await cdp.detach().catch(() => {});
+        }
+    }
+
+    analyze(samples) {
+        const usable = samples.filter(sample => sample.url && sample.url !== 'about:blank');
+        if (usable.length === 0) {
+            return null;
+        }
+
+        // Ardışık aynı URL'li örnekler bir sayfa ziyaretidir
+        const visits = [];
+        usable.forEach(sample => {
+            const last = visits[visits.length - 1];
+            if (last && last.url === sample.url) {
+                last.samples.push(sample);
+            } else {
+                visits.push({ url: sample.url, samples: [sample] });
+            }
+        });
+
+        const pages = visits.map(visit => this.analyzeVisit(visit));
+        const heapValues = usable.map(sample => sample.usedJSHeapSize).filter(value => typeof value === 'number');
+
+        return {
+            interval: this.options.interval,
+            leakThreshold: this.options.leakThreshold,
+            samples: usable.length,
+            duration: usable[usable.length - 1].timestamp - usable[0].timestamp,
+            peakHeap: heapValues.length > 0 ? Math.max(...heapValues) : null,
+            startHeap: heapValues.length > 0 ? heapValues[0] : null,
+            endHeap: heapValues.length > 0 ? heapValues[heapValues.length - 1] : null,
+            suspectedLeaks: pages.filter(page => page.suspectedLeak).length,
+            pages
+        };
+    }
+
+    analyzeVisit({ url, samples }) {
+        const start = samples[0].timestamp;
+        const end = samples[samples.length - 1].timestamp;
+        const heap = this.growth(samples, 'usedJSHeapSize');
+        const domNodes = this.growth(samples, 'domNodes');
+        const listeners = this.growth(samples, 'listeners');
+
+        const reasons = [];
+        if (samples.length >= this.options.minSamples) {
+            const { leakThreshold, minHeapGrowth, minNodeGrowth, minListenerGrowth } = this.options;
+            const grew = (metric, minimum) => metric && metric.growth >= minimum && metric.growthPercent >= leakThreshold && metric.slopePerMinute > 0;
+            if (grew(heap, minHeapGrowth)) reasons.push(`JS heap grew ${heap.growthPercent}%`);
+            if (grew(domNodes, minNodeGrowth)) reasons.push(`DOM nodes grew ${domNodes.growthPercent}%`);
+            if (grew(listeners, minListenerGrowth)) reasons.push(`Event listeners grew ${listeners.growthPercent}%`);
+        }
+
+        return {
+            url,
+            start,
+            end,
+            duration: end - start,
+            samples: samples.length,
+            heap,
+            domNodes,
+            listeners,
+            suspectedLeak: reasons.length > 0,
+            reasons
+        };
+    }
+
+    // Baş/son değerler ve en küçük kareler eğimi (dakika başına)
+    growth(samples, key) {
+        const points = samples
+            .filter(sample => typeof sample[key] === 'number')
+            .map(sample => ({ time: sample.timestamp, value: sample[key] }));
+        if (points.length === 0) return null;
+
+        const values = points.map(point => point.value);
+        const first = edgeMedian(values, false);
+        const last = edgeMedian(values, true);
+
+        const meanTime = points.reduce((sum, point) => sum + point.time, 0) / points.length;
+        const meanValue = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const covariance = points.reduce((sum, point) => sum + (point.time - meanTime) * (point.value - meanValue), 0);
+        const variance = points.reduce((sum, point) => sum + (point.time - meanTime) ** 2, 0);
+
+        return {
+            start: first,
+            end: last,
+            peak: Math.max(...values),
+            growth: last - first,
+            growthPercent: first > 0 ? Math.round((last - first) / first * 1000) / 10 : 0,
+            slopePerMinute: variance > 0 ? Math.round(covariance / variance * 60000) : 0
+        };
+    }
+}
+
+MemoryMonitor.DEFAULTS = DEFAULTS;
+
+module.exports = MemoryMonitor;
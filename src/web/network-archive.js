@@ -0,0 +1,202 @@
+const fs = require('fs').promises;
+const path = require('path');
+const NetworkThrottler = require('./network-throttler');
+const sleep = require('./sleep');
+
+const DEFAULT_ARCHIVE_DIR = path.join(__dirname, '../../data/archives');
+const MAX_LATENCY = 10000;
+
+// Rapora yazılan, arşivde bulunamayan örnek URL sayısı
+const SAMPLE_URLS = 5;
+
+// Session trafiğini HAR arşivine kaydeder (Playwright recordHar) ve sonraki analizlerde aynı yanıtları
+// routeFromHAR ile ağa çıkmadan verir; böylece sitenin aynı sürümü farklı kod/tarayıcı ayarlarıyla tekrar ölçülür.
+// Arşivde olmayan istekler iptal edilir. Replay'de yanıtlar ağdan geçmediği için gecikme burada eklenir.
+class NetworkArchive {
+    constructor(options = {}) {
+        this.archiveDir = options.archiveDir || process.env.ARCHIVE_DIR || DEFAULT_ARCHIVE_DIR;
+        this.networkThrottler = new NetworkThrottler();
+    }
+
+    // record veya replay (ikisi birden değil); arşiv adı ya da allowPaths ise .har dosya yolu.
+    // Hiçbiri verilmezse null (canlı ağ)
+    async resolve({ record, replay, latency } = {}, options = {}) {
+        const empty = (value) => value === undefined || value === null || value === '' || value === false;
+        if (empty(record) && empty(replay)) {
+            if (!empty(latency)) {
+                throw new Error('Replay latency requires a replay archive');
+            }
+            return null;
+        }
+        if (!empty(record) && !empty(replay)) {
+            throw new Error('Record and replay cannot be used together');
+        }
+
+        const mode = empty(record) ? 'replay' : 'record';
+        const value = String(mode === 'record' ? record : replay);
+        const filePath = this.pathOf(value, options.allowPaths);
+        if (mode === 'replay') {
+            const stat = await fs.stat(filePath).catch(() => null);
+            if (!stat || !stat.isFile()) {
+                throw new Error(`Network archive "${value}" not found`);
+            }
+        } else if (!empty(latency)) {
+            throw new Error('Replay latency cannot be used while recording');
+        }
+
+        return {
+            mode,
+            name: path.basename(filePath, '.har'),
+            path: filePath,
+            latency: mode === 'replay' ? this.resolveLatency(latency) : null
+        };
+    }
+
+    // API'den sadece arşiv dizinindeki isimler; CLI .har dosya yolu da verebilir
+    pathOf(value, allowPaths = false) {
+        if (allowPaths && (value.endsWith('.har') || value.includes('/') || value.includes(path.sep))) {
+            if (!value.endsWith('.har')) {
+                throw new Error(`Network archive file must end with .har: ${value}`);
+            }
+            return path.resolve(value);
+        }
+        if (!/^[\w.-]+$/.test(value) || value === '.' || value === '..') {
+            throw new Error(`Invalid network archive name "${value}"`);
+        }
+        return path.join(this.archiveDir, `${value.replace(/\.har$/, '')}.har`);
+    }
+
+    // Kayıt aynı isimli arşivin üzerine yazacaksa true; API bunu ancak açıkça istenirse yapar
+    async exists(archive) {
+        if (!archive || archive.mode !== 'record') return false;
+        const stat = await fs.stat(archive.path).catch(() => null);
+        return Boolean(stat && stat.isFile());
+    }
+
+    // İstek başına sabit ms, "recorded" (kayıttaki süreler) veya null (seçili network profili, yoksa 0)
+    resolveLatency(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        if (value === 'recorded') {
+            return value;
+        }
+        const latency = Number(value);
+        if (!Number.isFinite(latency) || latency < 0 || latency > MAX_LATENCY) {
+            throw new Error(`Replay latency must be between 0 and ${MAX_LATENCY}ms or "recorded"`);
+        }
+        return latency;
+    }
+
+    // UI ve API için kayıtlı arşivler, en yeni önce
+    async list() {
+        let files;
+        try {
+            files = await fs.readdir(this.archiveDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const archives = await Promise.all(files
+            .filter(file => file.endsWith('.har'))
+            .map(async file => {
+                const stat = await fs.stat(path.join(this.archiveDir, file));
+                return { name: path.basename(file, '.har'), size: stat.size, modified: stat.mtimeMs };
+            }));
+        return archives.sort((a, b) => b.modified - a.modified);
+    }
+
+    // Kayıt context oluşturulurken açılır; arşiv context kapanınca yazılır
+    async contextOptions(archive) {
+        if (!archive || archive.mode !== 'record') return {};
+        await fs.mkdir(path.dirname(archive.path), { recursive: true });
+        return { recordHar: { path: archive.path, content: 'embed', mode: 'full' } };
+    }
+
+    // Throttling route'undan sonra, override ve bloklama route'larından önce kaydedilir
+    async apply(context, archive, options = {}) {
+        if (!archive || archive.mode !== 'replay') return null;
+
+        const entries = this.entriesOf(await this.read(archive.path));
+        const profile = options.networkProfile || null;
+        let requests = 0;
+        let missedRequests = 0;
+        const missedUrls = [];
+
+        await context.routeFromHAR(archive.path, { notFound: 'abort' });
+        // routeFromHAR'dan sonra kaydedildiği için önce çalışır: bekler, sonra yanıtı arşive bırakır
+        await context.route('**/*', async route => {
+            const request = route.request();
+            const entry = entries.get(`${request.method()} ${request.url()}`);
+            requests += 1;
+            if (!entry) {
+                // Arşivde yok; routeFromHAR isteği iptal eder
+                missedRequests += 1;
+                if (missedUrls.length < SAMPLE_URLS) missedUrls.push(request.url());
+                return route.fallback().catch(() => {});
+            }
+
+            let delay = 0;
+            if (archive.latency === 'recorded') {
+                delay = entry.time;
+            } else if (archive.latency !== null) {
+                delay = archive.latency;
+            } else if (profile) {
+                delay = profile.latency + this.networkThrottler.transferTime(entry.size, profile.download);
+            }
+            if (delay > 0) await sleep(delay);
+            return route.fallback().catch(() => {});
+        });
+
+        return {
+            summary: () => ({ requests, missedRequests, missedUrls: missedUrls.slice() })
+        };
+    }
+
+    async read(filePath) {
+        try {
+            return JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Network archive ${path.basename(filePath)} could not be read: ${error.message}`);
+        }
+    }
+
+    // "METHOD URL" -> kayıttaki süre ve gövde boyutu (aynı istek birden çok kez kaydedildiyse ilki)
+    entriesOf(har) {
+        const entries = new Map();
+        ((har.log && har.log.entries) || []).forEach(entry => {
+            const key = `${entry.request.method} ${entry.request.url}`;
+            if (entries.has(key)) return;
+            const content = entry.response.content || {};
+            entries.set(key, {
+                time: Math.max(0, Math.round(entry.time || 0)),
+                size: entry.response.bodySize > 0 ? entry.response.bodySize : (content.size || 0)
+            });
+        });
+        return entries;
+    }
+
+    // Rapora ve session'a yazılan kayıt; kayıt modunda context kapandıktan sonra çağrılır
+    async summarize(archive, replay = null) {
+        const summary = { mode: archive.mode, name: archive.name, latency: archive.latency };
+        if (archive.mode === 'replay') {
+            return { ...summary, ...(replay ? replay.summary() : {}) };
+        }
+
+        const [stat, har] = await Promise.all([fs.stat(archive.path), this.read(archive.path)]);
+        return { ...summary, entries: ((har.log && har.log.entries) || []).length, size: stat.size };
+    }
+}
+
+// Rapor başlığı, CLI ve karşılaştırma uyarıları için kısa açıklama
+function describe(archive) {
+    if (!archive) return 'Live network';
+    if (archive.mode === 'record') return `Recorded to ${archive.name}`;
+    const latency = archive.latency === 'recorded' ? 'recorded latency' : archive.latency !== null ? `${archive.latency}ms latency` : 'network profile latency';
+    return `Replayed from ${archive.name} (${latency})`;
+}
+
+NetworkArchive.describe = describe;
+
+module.exports = NetworkArchive;
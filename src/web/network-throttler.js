@@ -0,0 +1,160 @@
+const sleep = require('./sleep');
+
+// WebPageTest bağlantı profilleri (kbps, RTT ms)
+const PROFILES = {
+    'slow-3g': { label: 'Slow 3G', latency: 400, download: 400, upload: 400 },
+    'fast-3g': { label: 'Fast 3G', latency: 150, download: 1600, upload: 768 },
+    '4g': { label: '4G', latency: 170, download: 9000, upload: 9000 },
+    'cable': { label: 'Cable', latency: 28, download: 5000, upload: 1000 }
+};
+
+const CHROMIUM_BROWSERS = ['chrome', 'chromium', 'edge'];
+
+// Raporlarda gösterilen kısa açıklama
+function describeProfile(profile) {
+    if (!profile) return 'No throttling';
+    return `${profile.label} (${profile.latency}ms RTT, ${profile.download}/${profile.upload} kbps${profile.method === 'route' ? ', route delays' : ''})`;
+}
+
+// Analizlere bağlantı profili uygular: Chromium'da CDP Network.emulateNetworkConditions,
+// Firefox/WebKit'te CDP olmadığı için route seviyesinde gecikme (gecikme + tahmini aktarım süresi).
+class NetworkThrottler {
+    // "slow-3g" gibi bir ad veya { latency, download, upload } (ms, kbps); throttling yoksa null
+    resolve(profile) {
+        if (profile === undefined || profile === null || profile === '') {
+            return null;
+        }
+
+        if (typeof profile === 'string') {
+            const key = profile.toLowerCase();
+            if (key === 'none') return null;
+            if (!PROFILES[key]) {
+                throw new Error(`Unknown network profile: ${profile} (use ${Object.keys(PROFILES).join(', ')}, none or custom values)`);
+            }
+            return { name: key, ...PROFILES[key] };
+        }
+
+        if (typeof profile !== 'object') {
+            throw new Error('Network profile must be a name or { latency, download, upload }');
+        }
+
+        // Kaydedilmiş bir session'ın profili tekrar verilirse isimli profil olarak çözülür
+        if (profile.name && PROFILES[String(profile.name).toLowerCase()]) {
+            return this.resolve(profile.name);
+        }
+
+        const custom = {};
+        ['latency', 'download', 'upload'].forEach(field => {
+            const value = Number(profile[field]);
+            if (profile[field] === undefined || !Number.isFinite(value) || value < 0) {
+                throw new Error(`Custom network profile needs a non-negative "${field}"`);
+            }
+            custom[field] = value;
+        });
+        if (custom.download === 0 || custom.upload === 0) {
+            throw new Error('Custom network profile throughput must be greater than 0 kbps');
+        }
+
+        return {
+            name: 'custom',
+            label: `Custom (${custom.latency}ms, ${custom.download}/${custom.upload} kbps)`,
+            ...custom
+        };
+    }
+
+    // Context açıldıktan sonra, ilk navigation'dan önce çağrılır
+    async apply(context, page, browserType, profile) {
+        if (!profile) return null;
+
+        if (CHROMIUM_BROWSERS.includes(String(browserType).toLowerCase())) {
+            await this.emulate(context, page, profile);
+            // Yeni sekme/popup'lar da aynı profille açılsın
+            context.on('page', newPage => {
+                this.emulate(context, newPage, profile).catch(error => console.warn('Network throttling uygulanamadı:', error.message));
+            });
+            return { ...profile, method: 'cdp' };
+        }
+
+        await this.routeDelays(context, profile);
+        return { ...profile, method: 'route' };
+    }
+
+    async emulate(context, page, profile) {
+        const cdp = await context.newCDPSession(page);
+        await cdp.send('Network.enable');
+        await cdp.send('Network.emulateNetworkConditions', this.cdpConditions(profile));
+        return cdp;
+    }
+
+    // emulate() ile açılan CDP oturumunda throttling'i kaldırır
+    async reset(cdp) {
+        await cdp.send('Network.emulateNetworkConditions', { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 });
+        await cdp.detach();
+    }
+
+    cdpConditions(profile) {
+        return {
+            offline: false,
+            latency: profile.latency,
+            downloadThroughput: profile.download * 1000 / 8, // kbps -> bytes/s
+            uploadThroughput: profile.upload * 1000 / 8
+        };
+    }
+
+    // CDP'siz tarayıcılarda her istek RTT + gövde boyutu / bant genişliği kadar bekletilir.
+    // İstekler birbirinden bağımsız bekler; paylaşılan bant genişliği modellenmez.
+    async routeDelays(context, profile) {
+        await context.route('**/*', async route => {
+            const request = route.request();
+            const uploadBytes = request.postDataBuffer() ? request.postDataBuffer().length : 0;
+            await sleep(profile.latency + this.transferTime(uploadBytes, profile.upload));
+
+            // GET dışı istekler (form POST -> 303) iki kez gönderilmesin diye tarayıcıya bırakılır;
+            // bunlarda sadece gecikme ve yükleme süresi uygulanır
+            if (!['GET', 'HEAD'].includes(request.method())) {
+                return route.continue().catch(() => {});
+            }
+
+            try {
+                const response = await route.fetch({ maxRedirects: 0 });
+                // Yönlendirmeyi tarayıcı kendisi takip etsin; adres ve göreli URL'ler hedefe göre çözülür.
+                // Küçük 3xx yanıtı bu yüzden iki kez alınır
+                if (response.status() >= 300 && response.status() < 400 && response.headers().location) {
+                    return await route.continue();
+                }
+
+                const body = await response.body();
+                await sleep(this.transferTime(body.length, profile.download));
+                await route.fulfill({ response, body });
+            } catch (error) {
+                // İstek başarısız oldu ya da sayfa/context yanıt beklenirken kapandı
+                await route.abort('failed').catch(() => {});
+            }
+        });
+    }
+
+    transferTime(bytes, kbps) {
+        return bytes > 0 ? Math.round(bytes * 8 / kbps) : 0; // bit / (kbit/s) = ms
+    }
+
+    // navigator.connection taklidi seçilen profille tutarlı olsun (Network Information API eşikleri)
+    connectionInfo(profile) {
+        if (!profile) {
+            return { effectiveType: '4g', rtt: 50, downlink: 10, saveData: false };
+        }
+
+        const downlink = profile.download / 1000; // Mbps
+        let effectiveType = '4g';
+        if (profile.latency >= 2000 || downlink < 0.05) effectiveType = 'slow-2g';
+        else if (profile.latency >= 1400 || downlink < 0.07) effectiveType = '2g';
+        else if (profile.latency >= 270 || downlink < 0.7) effectiveType = '3g';
+
+        return { effectiveType, rtt: profile.latency, downlink, saveData: false };
+    }
+}
+
+NetworkThrottler.PROFILES = PROFILES;
+NetworkThrottler.CHROMIUM_BROWSERS = CHROMIUM_BROWSERS;
+NetworkThrottler.describe = describeProfile;
+
+module.exports = NetworkThrottler;
@@ -22,16 +22,16 @@ class PageSpeedReport {
         return `${day}-${month}-${year}-${hours}-${minutes}`;
     }
 
-    async generateHTMLReport(pageSpeedData) {
+    async generateHTMLReport(pageSpeedData, options = {}) {
         const { sessionData, mobileAnalysis, desktopAnalysis, generatedAt } = pageSpeedData;
         
         const html = this.generateHTML(pageSpeedData);
         
-        const reportsDir = path.join(__dirname, '../../reports');
+        const reportsDir = options.outputDir || path.join(__dirname, '../../reports');
         await fs.mkdir(reportsDir, { recursive: true });
         
         const englishDate = this.formatEnglishDate(new Date());
-        const filename = `pagespeed-performance-${englishDate}.html`;
+        const filename = options.filename || `pagespeed-performance-${englishDate}.html`;
         const reportPath = path.join(reportsDir, filename);
         
         await fs.writeFile(reportPath, html);
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const LighthouseCIReport = require('./lighthouse-ci-report');
+const NetworkThrottler = require('./network-throttler');
+const CpuThrottler = require('./cpu-throttler');
+const DeviceEmulator = require('./device-emulator');
+
+const COLORS = {
+    good: '#0cce6b',
+    warning: '#ffa400',
+    critical: '#ff4e42',
+    text: '#202124',
+    muted: '#5f6368'
+};
+
+// Mercury raporunun yazdırılabilir özeti (skorlar, budget, Web Vitals, özet metrikler, öneriler, journey)
+class PdfReport {
+    constructor() {
+        this.lighthouseCIReport = new LighthouseCIReport();
+    }
+
+    async generatePDFReport(sessionData, reportData, outputPath) {
+        const processedData = this.lighthouseCIReport.processMetrics(reportData.metrics || {});
+        processedData.journey = reportData.journey || null;
+        processedData.budget = reportData.budget || null;
+
+        await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+
+        const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Mercury Performance Report - ${sessionData.url}` } });
+        const stream = fs.createWriteStream(outputPath);
+        const finished = new Promise((resolve, reject) => {
+            stream.on('finish', resolve);
+            stream.on('error', reject);
+        });
+        doc.pipe(stream);
+
+        this.renderHeader(doc, sessionData);
+        this.renderScores(doc, processedData.performanceScores);
+        this.renderBudget(doc, processedData.budget);
+        this.renderWebVitals(doc, processedData.webVitals);
+        this.renderSummary(doc, processedData.summary);
+        this.renderJourney(doc, processedData.journey);
+        this.renderRecommendations(doc, processedData.performanceRecommendations);
+
+        doc.end();
+        await finished;
+        return outputPath;
+    }
+
+    renderHeader(doc, sessionData) {
+        const { url, browserType, networkProfile, cpuSlowdown, device, startTime, duration } = sessionData;
+
+        doc.fillColor(COLORS.text).fontSize(22).text('Mercury Performance Report');
+        doc.moveDown(0.5);
+        doc.fontSize(10).fillColor(COLORS.muted);
+        doc.text(`URL: ${url || 'N/A'}`);
+        doc.text(`Browser: ${browserType || 'N/A'}`);
+        doc.text(`Device: ${DeviceEmulator.describe(device)}`);
+        doc.text(`Network: ${NetworkThrottler.describe(networkProfile)}`);
+        doc.text(`CPU: ${CpuThrottler.describe(cpuSlowdown)}`);
+        doc.text(`Started: ${startTime ? new Date(startTime).toISOString() : 'N/A'}`);
+        doc.text(`Duration: ${Math.round((duration || 0) / 1000)}s`);
+        doc.moveDown();
+    }
+
+    renderScores(doc, scores = {}) {
+        this.heading(doc, 'Performance Scores');
+        [
+            ['Performance', scores.performance],
+            ['Accessibility', scores.accessibility],
+            ['Best Practices', scores.bestPractices],
+            ['SEO', scores.seo]
+        ].forEach(([label, score]) => {
+            const color = score >= 90 ? COLORS.good : score >= 50 ? COLORS.warning : COLORS.critical;
+            this.row(doc, label, score !== undefined ? `${score}/100` : 'N/A', color);
+        });
+        doc.moveDown();
+    }
+
+    renderBudget(doc, budget) {
+        if (!budget || budget.status === 'skipped') return;
+
+        this.heading(doc, 'Performance Budget');
+        if (budget.status === 'error') {
+            doc.fontSize(10).fillColor(COLORS.critical).text(`Budget could not be evaluated: ${budget.error}`);
+            doc.moveDown();
+            return;
+        }
+
+        this.row(doc, 'Status', budget.status.toUpperCase(), budget.status === 'pass' ? COLORS.good : COLORS.critical);
+        budget.violations.forEach(violation => {
+            this.row(doc, `${violation.label} - ${violation.url}`, `${violation.actual} / ${violation.limit} ${violation.unit}`.trim(), COLORS.critical);
+        });
+        doc.moveDown();
+    }
+
+    renderWebVitals(doc, webVitals) {
+        if (!webVitals || webVitals.navigations === 0) return;
+
+        const ratingColor = (rating) => rating === 'good' ? COLORS.good : rating === 'poor' ? COLORS.critical : rating === 'needs-improvement' ? COLORS.warning : COLORS.muted;
+        const formatMs = (value) => value === null || value === undefined ? 'N/A' : `${Math.round(value)}ms`;
+
+        this.heading(doc, 'Core Web Vitals');
+        this.row(doc, 'Largest Contentful Paint', formatMs(webVitals.lcp), ratingColor(webVitals.ratings.lcp));
+        this.row(doc, 'Cumulative Layout Shift', webVitals.cls === null ? 'N/A' : webVitals.cls.toFixed(3), ratingColor(webVitals.ratings.cls));
+        this.row(doc, 'Interaction to Next Paint', formatMs(webVitals.inp), ratingColor(webVitals.ratings.inp));
+        this.row(doc, 'First Contentful Paint', formatMs(webVitals.fcp), ratingColor(webVitals.ratings.fcp));
+        this.row(doc, 'Time to First Byte', formatMs(webVitals.ttfb), ratingColor(webVitals.ratings.ttfb));
+        this.row(doc, 'Total Blocking Time', formatMs(webVitals.totalBlockingTime), ratingColor(webVitals.ratings.totalBlockingTime));
+        doc.moveDown();
+    }
+
+    renderSummary(doc, summary = {}) {
+        this.heading(doc, 'Summary Metrics');
+        this.row(doc, 'Pages Analyzed', summary.totalPages || 0);
+        this.row(doc, 'Resources', summary.totalResources || 0);
+        this.row(doc, 'Total Size', this.lighthouseCIReport.formatBytes(summary.totalSize || 0));
+        this.row(doc, 'Average Load Time', `${summary.averageLoadTime || 0}ms`);
+        this.row(doc, 'Errors', summary.totalErrors || 0, summary.totalErrors > 0 ? COLORS.critical : null);
+        doc.moveDown();
+    }
+
+    renderJourney(doc, journey) {
+        if (!journey || !journey.steps) return;
+
+        this.heading(doc, `User Journey: ${journey.name}`);
+        this.row(doc, 'Status', journey.status.toUpperCase(), journey.status === 'passed' ? COLORS.good : COLORS.critical);
+        this.row(doc, 'Duration', `${journey.duration}ms`);
+        doc.moveDown(0.5);
+
+        journey.steps.forEach(step => {
+            const color = step.status === 'passed' ? COLORS.good : step.status === 'failed' ? COLORS.critical : COLORS.muted;
+            const label = `${step.index + 1}. ${step.action} ${step.target || step.selector || step.name || step.text || ''}`.trim();
+            this.row(doc, label, step.duration !== undefined ? `${step.status} (${step.duration}ms)` : step.status, color);
+            if (step.error) {
+                doc.fontSize(9).fillColor(COLORS.critical).text(`   ${step.error}`);
+            }
+        });
+        doc.moveDown();
+    }
+
+    renderRecommendations(doc, recommendations = {}) {
+        const items = [
+            ...(recommendations.critical || []).map(item => ({ ...item, level: 'critical' })),
+            ...(recommendations.warning || []).map(item => ({ ...item, level: 'warning' }))
+        ];
+        if (items.length === 0) return;
+
+        this.heading(doc, 'Recommendations');
+        items.forEach(item => {
+            doc.fontSize(11).fillColor(COLORS[item.level]).text(item.title);
+            doc.fontSize(9).fillColor(COLORS.text).text(item.description);
+            if (item.suggestion) {
+                doc.fillColor(COLORS.muted).text(item.suggestion);
+            }
+            doc.moveDown(0.5);
+        });
+    }
+
+    heading(doc, title) {
+        doc.fontSize(14).fillColor(COLORS.text).text(title);
+        doc.moveDown(0.3);
+    }
+
+    row(doc, label, value, color = null) {
+        const y = doc.y;
+        doc.fontSize(10).fillColor(COLORS.text).text(String(label), doc.page.margins.left, y, { width: 330 });
+        const labelBottom = doc.y;
+        doc.fillColor(color || COLORS.text).text(String(value), doc.page.margins.left + 340, y, { width: 155, align: 'right' });
+        doc.y = Math.max(labelBottom, doc.y);
+        doc.x = doc.page.margins.left;
+    }
+}
+
+module.exports = PdfReport;
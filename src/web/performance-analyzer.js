@@ -1,12 +1,53 @@
 const { chromium } = require('playwright');
 const fs = require('fs').promises;
 const path = require('path');
+const WebVitalsCollector = require('./web-vitals-collector');
+const NetworkThrottler = require('./network-throttler');
+const CpuThrottler = require('./cpu-throttler');
+const DeviceEmulator = require('./device-emulator');
+const RunStatistics = require('./run-statistics');
+const CacheTracker = require('./cache-tracker');
+const CoverageCollector = require('./coverage-collector');
+const FilmstripRecorder = require('./filmstrip-recorder');
+const TraceRecorder = require('./trace-recorder');
+const RequestBlocker = require('./request-blocker');
+const ResponseOverrider = require('./response-overrider');
+const NetworkArchive = require('./network-archive');
+
+const DEFAULT_CONTEXT_OPTIONS = {
+    viewport: { width: 1920, height: 1080 },
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+};
+
+// Tekrar ziyaret karşılaştırmasında gösterilen metrikler
+const REPEAT_VIEW_METRICS = [
+    ['performanceMetrics', 'serverResponse'],
+    ['performanceMetrics', 'domContentLoaded'],
+    ['performanceMetrics', 'pageLoad'],
+    ['lighthouseMetrics', 'firstContentfulPaint'],
+    ['lighthouseMetrics', 'largestContentfulPaint'],
+    ['lighthouseMetrics', 'timeToFirstByte'],
+    ['lighthouseMetrics', 'speedIndex'],
+    ['lighthouseMetrics', 'visuallyComplete']
+];
 
 class WebPerformanceAnalyzer {
     constructor() {
         this.browser = null;
         this.context = null;
         this.page = null;
+        this.webVitalsCollector = new WebVitalsCollector();
+        this.networkThrottler = new NetworkThrottler();
+        this.cpuThrottler = new CpuThrottler();
+        this.deviceEmulator = new DeviceEmulator();
+        this.runStatistics = new RunStatistics();
+        this.cacheTracker = new CacheTracker();
+        this.coverageCollector = new CoverageCollector();
+        this.filmstripRecorder = new FilmstripRecorder();
+        this.traceRecorder = new TraceRecorder();
+        this.requestBlocker = new RequestBlocker();
+        this.responseOverrider = new ResponseOverrider();
+        this.networkArchive = new NetworkArchive();
         this.metrics = {
             navigationTiming: {},
             resourceTiming: [],
@@ -30,11 +71,7 @@ class WebPerformanceAnalyzer {
                 ]
             });
 
-            this.context = await this.browser.newContext({
-                viewport: { width: 1920, height: 1080 },
-                userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-            });
-
+            this.context = await this.createContext();
             this.page = await this.context.newPage();
             
             // Performance event listener'ları ekle
@@ -48,6 +85,19 @@ class WebPerformanceAnalyzer {
         }
     }
 
+    // Viewport/DPR/isMobile context oluşturulurken sabitlenir; cihaz verilmezse masaüstü.
+    // Arşiv kaydı da (recordHar) context oluşturulurken açılır
+    async createContext(device = null, archive = null) {
+        const context = await this.browser.newContext({
+            ...(device ? this.deviceEmulator.contextOptions(device, 'chrome') : DEFAULT_CONTEXT_OPTIONS),
+            ...await this.networkArchive.contextOptions(archive)
+        });
+
+        // Buffered PerformanceObserver'lar ile gerçek LCP/CLS/INP ölçümü
+        await this.webVitalsCollector.attach(context);
+        return context;
+    }
+
     async setupPerformanceListeners() {
         // Navigation timing events
         this.page.on('load', () => {
@@ -75,10 +125,109 @@ class WebPerformanceAnalyzer {
             throw new Error('Analyzer başlatılmamış. Önce initialize() çağırın.');
         }
 
+        // Geçersiz profil, oran, cihaz veya run sayısı analiz başlamadan hata verir
+        const conditions = {
+            networkProfile: this.networkThrottler.resolve(options.networkProfile),
+            cpuSlowdown: this.cpuThrottler.resolve(options.cpuSlowdown),
+            device: this.deviceEmulator.resolve(options.device),
+            overrides: await this.responseOverrider.resolve(options.overrides, { baseDir: options.overridesDir }),
+            archive: await this.networkArchive.resolve({ record: options.record, replay: options.replay, latency: options.replayLatency }, { allowPaths: options.archivePaths })
+        };
+        const runs = this.runStatistics.resolveRuns(options.runs);
+        const varianceThreshold = this.runStatistics.resolveThreshold(options.varianceThreshold);
+        const repeatView = Boolean(options.repeatView);
+        if (repeatView && runs > 1) {
+            throw new Error('Repeat view cannot be combined with multiple runs');
+        }
+        const block = this.requestBlocker.resolve(options.block);
+        if (block && (runs > 1 || repeatView)) {
+            throw new Error('Request blocking cannot be combined with multiple runs or repeat view');
+        }
+        // Her yükleme arşivin üzerine yazacağı için kayıt tek yüklemede yapılır; replay her modla çalışır
+        if (conditions.archive && conditions.archive.mode === 'record' && (runs > 1 || repeatView || block)) {
+            throw new Error('Recording cannot be combined with multiple runs, repeat view or request blocking');
+        }
+
+        if (block) {
+            return this.measureBlocking(url, conditions, block);
+        }
+
+        if (runs === 1) {
+            // Cihaz, override veya arşiv seçildiyse ya da ilk ziyaret soğuk cache ile ölçülecekse bu analiz için ayrı context açılır
+            const results = await this.measure(url, conditions, Boolean(conditions.device || conditions.overrides || conditions.archive) || repeatView, repeatView);
+            // Kaydedilen arşiv context kapanınca yazılır
+            if (conditions.archive && conditions.archive.mode === 'record') {
+                results.archive = await this.networkArchive.summarize(conditions.archive).catch(error => {
+                    results.errors.push(`Network archive could not be written: ${error.message}`);
+                    return null;
+                });
+            }
+            return results;
+        }
+
+        // Her run soğuk cache ile ayrı context'te; detaylı sonuçlar medyan run'dan gelir
+        console.log(`${runs} run ile analiz: ${url}`);
+        const runResults = [];
+        for (let run = 0; run < runs; run++) {
+            runResults.push(await this.measure(url, conditions, true));
+        }
+        return this.runStatistics.combine(runResults, { varianceThreshold });
+    }
+
+    // Baseline ve bloklu yükleme arka arkaya, her biri soğuk cache ile ayrı context'te.
+    // Birden çok alan adı bloklandıysa her alan adı ayrıca tek başına bloklanarak yüklenir.
+    // Dönen sonuç baseline yüklemesidir; karşılaştırma blocking alanındadır.
+    async measureBlocking(url, conditions, patterns) {
+        console.log(`Request blocking deneyi: ${url} (${patterns.join(', ')})`);
+        const baseline = await this.measure(url, conditions, true, false, true);
+        const blocked = await this.measure(url, { ...conditions, block: { patterns } }, true, false, true);
+
+        const failed = [baseline, blocked].find(result => result.errors.length > 0);
+        if (failed) {
+            baseline.errors = failed === baseline ? baseline.errors : blocked.errors.map(error => `Blocked load: ${error}`);
+            delete baseline.experimentView;
+            return baseline;
+        }
+
+        const domains = this.requestBlocker.blockedDomains(blocked.experimentView);
+        const isolated = [];
+        if (domains.length > 1) {
+            for (const { domain } of domains.slice(0, RequestBlocker.MAX_ISOLATED_DOMAINS)) {
+                const result = await this.measure(url, { ...conditions, block: { patterns, site: domain } }, true, false, true);
+                if (result.errors.length === 0) {
+                    isolated.push({ domain, view: result.experimentView });
+                } else {
+                    console.warn(`${domain} tek başına bloklanarak ölçülemedi:`, result.errors.join('; '));
+                }
+            }
+        }
+
+        baseline.blocking = this.requestBlocker.compare(patterns, url, baseline.experimentView, blocked.experimentView, isolated);
+        delete baseline.experimentView;
+        return baseline;
+    }
+
+    // Tek sayfa yüklemesi; fresh ise ortak sayfa yerine yeni context açılır ve sonunda kapatılır.
+    // repeatView ise aynı context'te sayfa ikinci kez yüklenir ve iki ziyaretin cache istatistikleri eklenir.
+    // experiment ise yükleme trace'lenir ve istekler siteye göre sayılır (experimentView); conditions.block
+    // verilmişse desene uyan istekler kesilir. conditions.overrides kuralları ve conditions.archive (kayıt/replay)
+    // da uygulanır. Bunlar sadece fresh context'te kullanılır (route'lar context'te kalır).
+    async measure(url, conditions, fresh, repeatView = false, experiment = false) {
+        const { networkProfile, cpuSlowdown, device } = conditions;
+        let cdp = null;
+        let cpuCdp = null;
+
+        let context = this.context;
+        let page = this.page;
+        let freshContext = null;
+
         const startTime = Date.now();
         const results = {
             url,
             timestamp: new Date().toISOString(),
+            networkProfile: networkProfile ? { ...networkProfile, method: 'cdp' } : null,
+            cpuSlowdown,
+            device,
             navigationTiming: {},
             resourceTiming: [],
             performanceMetrics: {},
@@ -89,82 +238,69 @@ class WebPerformanceAnalyzer {
         try {
             console.log(`Analiz başlatılıyor: ${url}`);
 
-            // Sayfa yükleme süresini ölç
-            const navigationStart = Date.now();
-            const response = await this.page.goto(url, {
-                waitUntil: 'networkidle',
-                timeout: 30000
-            });
-            const navigationEnd = Date.now();
+            if (fresh) {
+                freshContext = await this.createContext(device, conditions.archive);
+                context = freshContext;
+                page = await freshContext.newPage();
+            }
 
-            // Navigation timing bilgilerini al
-            const navigationTiming = await this.page.evaluate(() => {
-                const timing = performance.timing;
-                return {
-                    navigationStart: timing.navigationStart,
-                    fetchStart: timing.fetchStart,
-                    domainLookupStart: timing.domainLookupStart,
-                    domainLookupEnd: timing.domainLookupEnd,
-                    connectStart: timing.connectStart,
-                    connectEnd: timing.connectEnd,
-                    requestStart: timing.requestStart,
-                    responseStart: timing.responseStart,
-                    responseEnd: timing.responseEnd,
-                    domLoading: timing.domLoading,
-                    domInteractive: timing.domInteractive,
-                    domContentLoadedEventStart: timing.domContentLoadedEventStart,
-                    domContentLoadedEventEnd: timing.domContentLoadedEventEnd,
-                    domComplete: timing.domComplete,
-                    loadEventStart: timing.loadEventStart,
-                    loadEventEnd: timing.loadEventEnd
-                };
-            });
+            if (networkProfile) {
+                cdp = await this.networkThrottler.emulate(context, page, networkProfile);
+            }
+            if (cpuSlowdown > 1) {
+                cpuCdp = await this.cpuThrottler.emulate(context, page, cpuSlowdown);
+            }
 
-            // Performance metrics
-            const performanceMetrics = await this.page.evaluate(() => {
-                const navigation = performance.getEntriesByType('navigation')[0];
-                const paint = performance.getEntriesByType('paint');
-                
-                return {
-                    // Navigation timing
-                    dnsLookup: navigation.domainLookupEnd - navigation.domainLookupStart,
-                    tcpConnection: navigation.connectEnd - navigation.connectStart,
-                    serverResponse: navigation.responseEnd - navigation.requestStart,
-                    domParsing: navigation.domContentLoadedEventEnd - navigation.responseEnd,
-                    domContentLoaded: navigation.domContentLoadedEventEnd - navigation.navigationStart,
-                    pageLoad: navigation.loadEventEnd - navigation.navigationStart,
-                    
-                    // Paint timing
-                    firstPaint: paint.find(p => p.name === 'first-paint')?.startTime || 0,
-                    firstContentfulPaint: paint.find(p => p.name === 'first-contentful-paint')?.startTime || 0,
-                    
-                    // Resource timing
-                    resourceCount: performance.getEntriesByType('resource').length
-                };
-            });
+            // Replay route'ları throttling'den sonra, override ve bloklamadan önce kaydedilir
+            const archiveReplay = conditions.archive ? await this.networkArchive.apply(context, conditions.archive, { networkProfile }) : null;
+            const overriding = conditions.overrides ? await this.responseOverrider.apply(context, conditions.overrides, { networkProfile }) : null;
+            // Override'dan sonra kaydedilir ki bloklanan istekler önce kesilsin
+            const blocking = conditions.block
+                ? await this.requestBlocker.apply(context, conditions.block.patterns, { site: conditions.block.site })
+                : null;
+            const network = experiment ? await this.requestBlocker.track(context, page) : null;
+            const tracing = experiment ? await this.traceRecorder.start(this.browser, page) : null;
 
-            // Resource timing bilgilerini al
-            const resourceTiming = await this.page.evaluate(() => {
-                const resources = performance.getEntriesByType('resource');
-                return resources.map(resource => ({
-                    name: resource.name,
-                    entryType: resource.entryType,
-                    startTime: resource.startTime,
-                    duration: resource.duration,
-                    initiatorType: resource.initiatorType,
-                    transferSize: resource.transferSize,
-                    encodedBodySize: resource.encodedBodySize,
-                    decodedBodySize: resource.decodedBodySize
-                }));
+            const cache = repeatView ? await this.cacheTracker.attach(context, page) : null;
+            const coverage = await this.coverageCollector.start(page).catch(error => {
+                console.warn('Coverage başlatılamadı:', error.message);
+                return null;
             });
+            let coverageEntries = null;
+            let trace = null;
+            try {
+                Object.assign(results, await this.loadPage(context, page, url));
+            } finally {
+                // Ortak sayfada coverage açık kalırsa sonraki analiz başlatamaz
+                if (coverage) coverageEntries = await coverage.stop().catch(() => null);
+                if (tracing) trace = await tracing.stop().catch(() => null);
+            }
+            if (coverageEntries) {
+                results.coverage = this.coverageCollector.summarize(coverageEntries, url);
+            }
+            if (overriding) {
+                results.overrides = overriding.summary();
+            }
+            if (archiveReplay) {
+                results.archive = await this.networkArchive.summarize(conditions.archive, archiveReplay);
+            }
 
-            // Lighthouse benzeri metrikler
-            const lighthouseMetrics = await this.calculateLighthouseMetrics();
+            if (experiment) {
+                let mainThread = null;
+                try {
+                    mainThread = trace ? this.traceRecorder.analyze(JSON.parse(trace.toString()), { scriptLimit: Infinity }) : null;
+                } catch (error) {
+                    console.warn('Trace okunamadı:', error.message);
+                }
+                results.experimentView = this.requestBlocker.view(results, network.requests(), mainThread, blocking ? blocking.blocked() : []);
+                await network.detach();
+            }
 
-            results.navigationTiming = navigationTiming;
-            results.performanceMetrics = performanceMetrics;
-            results.resourceTiming = resourceTiming;
-            results.lighthouseMetrics = lighthouseMetrics;
+            if (cache) {
+                results.cache = cache.summary();
+                await cache.detach();
+                results.repeatView = await this.measureRepeatView(context, page, url, conditions, results);
+            }
             results.totalAnalysisTime = Date.now() - startTime;
 
             console.log(`Analiz tamamlandı: ${url}`);
@@ -174,70 +310,220 @@ class WebPerformanceAnalyzer {
             results.errors.push(error.message);
             console.error(`Analiz hatası: ${error.message}`);
             return results;
+        } finally {
+            if (freshContext) {
+                await freshContext.close().catch(() => {});
+            } else {
+                // Aynı sayfa sonraki analizlerde de kullanıldığı için throttling kaldırılır
+                if (cdp) await this.networkThrottler.reset(cdp).catch(() => {});
+                if (cpuCdp) await this.cpuThrottler.reset(cpuCdp).catch(() => {});
+            }
         }
     }
 
-    async calculateLighthouseMetrics() {
+    // Navigation + timing/paint/resource/web vitals ölçümleri ve yükleme sırasındaki filmstrip
+    async loadPage(context, page, url) {
+        // Ortak sayfada önceki analizin ekranı filmstrip'in ilk karesi olmasın
+        if (page.url() !== 'about:blank') {
+            await page.goto('about:blank');
+        }
+
+        let recording = null;
         try {
-            const metrics = await this.page.evaluate(() => {
-                // Core Web Vitals benzeri metrikler
-                const navigation = performance.getEntriesByType('navigation')[0];
-                const paint = performance.getEntriesByType('paint');
-                const resources = performance.getEntriesByType('resource');
-                
-                // First Contentful Paint
-                const fcp = paint.find(p => p.name === 'first-contentful-paint')?.startTime || 0;
-                
-                // Largest Contentful Paint (basit hesaplama)
-                const lcp = Math.max(...resources.map(r => r.startTime + r.duration));
-                
-                // Cumulative Layout Shift (basit hesaplama)
-                const cls = 0; // Gerçek CLS hesaplaması daha karmaşık
-                
-                // First Input Delay (basit hesaplama)
-                const fid = navigation.domInteractive - navigation.domContentLoadedEventEnd;
+            recording = await this.filmstripRecorder.start(context, page);
+        } catch (error) {
+            console.warn('Filmstrip kaydı başlatılamadı:', error.message);
+        }
+
+        // Sayfa yükleme süresini ölç
+        const navigationStart = Date.now();
+        let response;
+        let filmstrip = null;
+        try {
+            response = await page.goto(url, {
+                waitUntil: 'networkidle',
+                timeout: 30000
+            });
+        } finally {
+            if (recording) filmstrip = await recording.stop();
+        }
+        const navigationEnd = Date.now();
+
+        // Navigation timing bilgilerini al
+        const navigationTiming = await page.evaluate(() => {
+            const timing = performance.timing;
+            return {
+                navigationStart: timing.navigationStart,
+                fetchStart: timing.fetchStart,
+                domainLookupStart: timing.domainLookupStart,
+                domainLookupEnd: timing.domainLookupEnd,
+                connectStart: timing.connectStart,
+                connectEnd: timing.connectEnd,
+                requestStart: timing.requestStart,
+                responseStart: timing.responseStart,
+                responseEnd: timing.responseEnd,
+                domLoading: timing.domLoading,
+                domInteractive: timing.domInteractive,
+                domContentLoadedEventStart: timing.domContentLoadedEventStart,
+                domContentLoadedEventEnd: timing.domContentLoadedEventEnd,
+                domComplete: timing.domComplete,
+                loadEventStart: timing.loadEventStart,
+                loadEventEnd: timing.loadEventEnd
+            };
+        });
+
+        // Performance metrics
+        const performanceMetrics = await page.evaluate(() => {
+            const navigation = performance.getEntriesByType('navigation')[0];
+            const paint = performance.getEntriesByType('paint');
+            
+            return {
+                // Navigation timing
+                dnsLookup: navigation.domainLookupEnd - navigation.domainLookupStart,
+                tcpConnection: navigation.connectEnd - navigation.connectStart,
+                serverResponse: navigation.responseEnd - navigation.requestStart,
+                domParsing: navigation.domContentLoadedEventEnd - navigation.responseEnd,
+                // PerformanceNavigationTiming'de navigationStart yok; süreler startTime'a (0) göredir
+                domContentLoaded: navigation.domContentLoadedEventEnd - navigation.startTime,
+                pageLoad: navigation.loadEventEnd - navigation.startTime,
                 
-                // Time to Interactive
-                const tti = navigation.domInteractive;
+                // Paint timing
+                firstPaint: paint.find(p => p.name === 'first-paint')?.startTime || 0,
+                firstContentfulPaint: paint.find(p => p.name === 'first-contentful-paint')?.startTime || 0,
                 
-                // Speed Index (basit hesaplama)
-                const speedIndex = fcp + (lcp - fcp) * 0.5;
+                // Resource timing
+                resourceCount: performance.getEntriesByType('resource').length
+            };
+        });
+
+        // Resource timing bilgilerini al
+        const resourceTiming = await page.evaluate(() => {
+            const resources = performance.getEntriesByType('resource');
+            return resources.map(resource => ({
+                name: resource.name,
+                entryType: resource.entryType,
+                startTime: resource.startTime,
+                duration: resource.duration,
+                initiatorType: resource.initiatorType,
+                transferSize: resource.transferSize,
+                encodedBodySize: resource.encodedBodySize,
+                decodedBodySize: resource.decodedBodySize
+            }));
+        });
+
+        // Lighthouse benzeri metrikler
+        const lighthouseMetrics = await this.calculateLighthouseMetrics(page, filmstrip ? filmstrip.metrics : null);
+
+        return { navigationTiming, performanceMetrics, resourceTiming, lighthouseMetrics, filmstrip };
+    }
+
+    // İlk ziyaretin HTTP cache'i ve service worker'ı context'te kalır; yeni sekme açıldığı için bellek cache'i paylaşılmaz
+    async measureRepeatView(context, firstPage, url, conditions, firstView) {
+        const page = await context.newPage();
+        await firstPage.close();
+
+        if (conditions.networkProfile) {
+            await this.networkThrottler.emulate(context, page, conditions.networkProfile);
+        }
+        if (conditions.cpuSlowdown > 1) {
+            await this.cpuThrottler.emulate(context, page, conditions.cpuSlowdown);
+        }
+
+        console.log(`Tekrar ziyaret ölçülüyor: ${url}`);
+        const cache = await this.cacheTracker.attach(context, page);
+        const view = {
+            timestamp: new Date().toISOString(),
+            ...await this.loadPage(context, page, url)
+        };
+        view.cache = cache.summary();
+        await cache.detach();
+        view.comparison = this.compareViews(firstView, view);
+        return view;
+    }
+
+    // İlk ve tekrar ziyaretin ana metrikleri yan yana; change negatifse tekrar ziyaret daha hızlı
+    compareViews(firstView, repeatView) {
+        const comparison = {};
+        REPEAT_VIEW_METRICS.forEach(([group, key]) => {
+            const first = firstView[group][key];
+            const repeat = repeatView[group][key];
+            if (typeof first !== 'number' || typeof repeat !== 'number') return;
+            comparison[key] = {
+                firstView: first,
+                repeatView: repeat,
+                change: Math.round((repeat - first) * 1000) / 1000,
+                changePercent: first !== 0 ? Math.round((repeat - first) / first * 1000) / 10 : null
+            };
+        });
+        return comparison;
+    }
+
+    async calculateLighthouseMetrics(page = this.page, visualMetrics = null) {
+        try {
+            const vitals = await this.webVitalsCollector.collect(page) || {};
+
+            const metrics = await page.evaluate(() => {
+                const navigation = performance.getEntriesByType('navigation')[0];
+                const paint = performance.getEntriesByType('paint');
                 
                 return {
-                    firstContentfulPaint: fcp,
-                    largestContentfulPaint: lcp,
-                    cumulativeLayoutShift: cls,
-                    firstInputDelay: fid,
-                    timeToInteractive: tti,
-                    speedIndex: speedIndex,
-                    
-                    // Performance skorları (basit hesaplama)
-                    performanceScore: Math.max(0, 100 - (fcp / 10) - (lcp / 25)),
-                    accessibilityScore: 95, // Basit varsayım
-                    bestPracticesScore: 90, // Basit varsayım
-                    seoScore: 85 // Basit varsayım
+                    firstContentfulPaint: paint.find(p => p.name === 'first-contentful-paint')?.startTime || 0,
+                    timeToInteractive: navigation ? navigation.domInteractive : 0
                 };
             });
 
-            return metrics;
+            // First Contentful Paint
+            const fcp = vitals.fcp !== null && vitals.fcp !== undefined ? vitals.fcp : metrics.firstContentfulPaint;
+            
+            // Largest Contentful Paint, CLS ve TBT PerformanceObserver kayıtlarından gelir
+            const lcp = vitals.lcp !== undefined ? vitals.lcp : null;
+            const cls = vitals.cls !== undefined ? vitals.cls : null;
+            const tbt = vitals.totalBlockingTime !== undefined ? vitals.totalBlockingTime : null;
+            
+            // Speed Index, Visually Complete ve Last Visual Change filmstrip'in görsel ilerlemesinden gelir
+            const visual = visualMetrics || {};
+            
+            return {
+                firstContentfulPaint: fcp,
+                largestContentfulPaint: lcp,
+                largestContentfulPaintElement: vitals.lcpElement || null,
+                cumulativeLayoutShift: cls,
+                interactionToNextPaint: vitals.inp !== undefined ? vitals.inp : null,
+                totalBlockingTime: tbt,
+                timeToFirstByte: vitals.ttfb !== undefined ? vitals.ttfb : null,
+                longTasks: vitals.longTasks || [],
+                timeToInteractive: metrics.timeToInteractive,
+                speedIndex: visual.speedIndex !== undefined ? visual.speedIndex : null,
+                firstVisualChange: visual.firstVisualChange !== undefined ? visual.firstVisualChange : null,
+                visuallyComplete: visual.visuallyComplete !== undefined ? visual.visuallyComplete : null,
+                lastVisualChange: visual.lastVisualChange !== undefined ? visual.lastVisualChange : null,
+                
+                // Performance skorları (basit hesaplama)
+                performanceScore: Math.max(0, 100 - (fcp / 10) - ((lcp || fcp) / 25)),
+                accessibilityScore: 95, // Basit varsayım
+                bestPracticesScore: 90, // Basit varsayım
+                seoScore: 85 // Basit varsayım
+            };
         } catch (error) {
             console.error('Lighthouse metrikleri hesaplanamadı:', error);
             return {};
         }
     }
 
-    async generateReport(results, format = 'json') {
+    async generateReport(results, format = 'json', outputDir = path.join(process.cwd(), 'reports')) {
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
         const filename = `performance-report-${timestamp}`;
 
+        await fs.mkdir(outputDir, { recursive: true });
+
         switch (format.toLowerCase()) {
             case 'json':
-                const jsonPath = path.join(process.cwd(), 'reports', `${filename}.json`);
+                const jsonPath = path.join(outputDir, `${filename}.json`);
                 await fs.writeFile(jsonPath, JSON.stringify(results, null, 2));
                 return jsonPath;
 
             case 'csv':
-                const csvPath = path.join(process.cwd(), 'reports', `${filename}.csv`);
+                const csvPath = path.join(outputDir, `${filename}.csv`);
                 const csvContent = this.convertToCSV(results);
                 await fs.writeFile(csvPath, csvContent);
                 return csvPath;
@@ -251,6 +537,9 @@ class WebPerformanceAnalyzer {
         const headers = [
             'URL',
             'Timestamp',
+            'Network Profile',
+            'CPU Slowdown',
+            'Device',
             'DNS Lookup (ms)',
             'TCP Connection (ms)',
             'Server Response (ms)',
@@ -258,12 +547,20 @@ class WebPerformanceAnalyzer {
             'Page Load (ms)',
             'First Contentful Paint (ms)',
             'Largest Contentful Paint (ms)',
+            'Cumulative Layout Shift',
+            'Total Blocking Time (ms)',
+            'Speed Index (ms)',
+            'Visually Complete (ms)',
+            'Last Visual Change (ms)',
             'Performance Score'
         ];
 
         const row = [
             results.url,
             results.timestamp,
+            results.networkProfile ? results.networkProfile.name : 'none',
+            `${results.cpuSlowdown || 1}x`,
+            results.device ? `"${results.device.name}"` : 'desktop',
             results.performanceMetrics.dnsLookup || 0,
             results.performanceMetrics.tcpConnection || 0,
             results.performanceMetrics.serverResponse || 0,
@@ -271,10 +568,79 @@ class WebPerformanceAnalyzer {
             results.performanceMetrics.pageLoad || 0,
             results.lighthouseMetrics.firstContentfulPaint || 0,
             results.lighthouseMetrics.largestContentfulPaint || 0,
+            results.lighthouseMetrics.cumulativeLayoutShift || 0,
+            results.lighthouseMetrics.totalBlockingTime || 0,
+            results.lighthouseMetrics.speedIndex || 0,
+            results.lighthouseMetrics.visuallyComplete || 0,
+            results.lighthouseMetrics.lastVisualChange || 0,
             results.lighthouseMetrics.performanceScore || 0
         ];
 
-        return [headers.join(','), row.join(',')].join('\n');
+        const lines = [headers.join(','), row.join(',')];
+
+        // Çoklu run: satırdaki değerler medyan run'a ait, altına metrik istatistikleri eklenir
+        if (results.runs) {
+            const { count, successful, medianRun, stable } = results.runs;
+            lines.push('', `Runs,${count},Successful,${successful},Median Run,${medianRun},Stable,${stable}`);
+            lines.push(['Metric', 'Median', 'p75', 'p95', 'Min', 'Max', 'CV (%)'].join(','));
+            Object.values(results.runs.statistics).forEach(stats => {
+                const label = stats.unit ? `${stats.label} (${stats.unit})` : stats.label;
+                lines.push([label, stats.median, stats.p75, stats.p95, stats.min, stats.max, stats.cv].join(','));
+            });
+        }
+
+        // Tekrar ziyaret: ilk ve tekrar ziyaret metrikleri yan yana, altında cache istatistikleri
+        if (results.repeatView) {
+            lines.push('', ['Metric', 'First View', 'Repeat View', 'Change (%)'].join(','));
+            Object.entries(results.repeatView.comparison).forEach(([metric, values]) => {
+                lines.push([metric, values.firstView, values.repeatView, values.changePercent !== null ? values.changePercent : ''].join(','));
+            });
+            lines.push('', ['View', 'Requests', 'Network', 'Revalidated (304)', 'Memory Cache', 'Disk Cache', 'Service Worker', 'Cache Hit Ratio', 'Transferred Bytes'].join(','));
+            [['First View', results.cache], ['Repeat View', results.repeatView.cache]].forEach(([view, cache]) => {
+                lines.push([view, cache.requests, cache.network, cache.revalidated, cache.memoryCache, cache.diskCache, cache.serviceWorker, cache.hitRatio, cache.transferredBytes].join(','));
+            });
+        }
+
+        // Request blocking: baseline ve bloklu yükleme, altında bloklanan alan adları
+        if (results.blocking) {
+            const { blocking } = results;
+            lines.push('', `Blocked Patterns,"${blocking.patterns.join(' ').replace(/"/g, '""')}",Blocked Requests,${blocking.blockedRequests}`);
+            lines.push(['Metric', 'Baseline', 'Blocked', 'Change', 'Change (%)'].join(','));
+            Object.values(blocking.delta).forEach(values => {
+                const label = values.unit ? `${values.label} (${values.unit})` : values.label;
+                lines.push([label, values.baseline, values.blocked, values.change, values.changePercent !== null ? values.changePercent : ''].join(','));
+            });
+            lines.push('', ['Domain', 'Party', 'Blocked Requests', 'Baseline Requests', 'Baseline Bytes', 'Baseline Main Thread (ms)', 'Page Load Change (ms)', 'FCP Change (ms)', 'LCP Change (ms)', 'Bytes Change', 'Main Thread Change (ms)'].join(','));
+            blocking.domains.forEach(domain => {
+                const change = (key) => (domain.delta && domain.delta[key] ? domain.delta[key].change : '');
+                lines.push([domain.domain, domain.party, domain.blockedRequests, domain.baseline.requests, domain.baseline.transferredBytes, domain.baseline.mainThreadTime,
+                    change('pageLoad'), change('firstContentfulPaint'), change('largestContentfulPaint'), change('transferredBytes'), change('mainThreadTime')].join(','));
+            });
+        }
+
+        // Response override'ları: sonuçlar bu kurallarla değiştirilmiş yanıtlarla ölçüldü
+        if (results.overrides) {
+            lines.push('', ['Override Match', 'Action', 'File', 'Status', 'Delay (ms)', 'Hits'].join(','));
+            results.overrides.rules.forEach(rule => {
+                lines.push([`"${rule.match.replace(/"/g, '""')}"`, rule.action, rule.file || '', rule.status !== null ? rule.status : '', rule.delay, rule.hits].join(','));
+            });
+        }
+
+        // Ağ kaynağı: canlı değilse kayıt/replay edilen arşiv
+        if (results.archive) {
+            const { archive } = results;
+            lines.push('', `Network Archive,"${NetworkArchive.describe(archive).replace(/"/g, '""')}",${archive.mode === 'replay' ? `Requests Not In Archive,${archive.missedRequests}` : `Entries,${archive.entries}`}`);
+        }
+
+        // Kullanılmayan kod: en çok tasarruf sağlayacak kaynaklar önce
+        if (results.coverage) {
+            lines.push('', ['Resource', 'Type', 'Party', 'Total Bytes', 'Unused Bytes', 'Unused (%)'].join(','));
+            results.coverage.resources.forEach(resource => {
+                lines.push([`"${resource.url.replace(/"/g, '""')}"`, resource.type, resource.party, resource.totalBytes, resource.unusedBytes, resource.unusedPercent].join(','));
+            });
+        }
+
+        return lines.join('\n');
     }
 
     async close() {
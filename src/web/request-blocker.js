@@ -0,0 +1,231 @@
+const siteOf = require('./site-of');
+
+const MAX_PATTERNS = 50;
+
+// Birden çok alan adı bloklandığında her biri tek başına da ölçülür; en çok istek bloklanan bu kadarı
+const MAX_ISOLATED_DOMAINS = 5;
+
+// Baseline ile bloklu yükleme arasında karşılaştırılan metrikler: [anahtar, etiket, birim]
+const METRICS = [
+    ['pageLoad', 'Page Load', 'ms'],
+    ['firstContentfulPaint', 'First Contentful Paint', 'ms'],
+    ['largestContentfulPaint', 'Largest Contentful Paint', 'ms'],
+    ['transferredBytes', 'Transferred Bytes', 'bytes'],
+    ['requests', 'Requests', ''],
+    ['mainThreadTime', 'Main Thread Time', 'ms']
+].map(([key, label, unit]) => ({ key, label, unit }));
+
+// "example.com" ve "*.example.com" alan adı ve alt alan adlarıyla eşleşir;
+// "/" içeren desenler URL'nin herhangi bir yerinde aranır, "*" her şeyle eşleşir
+function compile(pattern) {
+    const domain = pattern.replace(/^\*\./, '').toLowerCase();
+    if (!domain.includes('/') && !domain.includes('*')) {
+        return (url) => {
+            let hostname;
+            try {
+                hostname = new URL(url).hostname;
+            } catch (error) {
+                return false;
+            }
+            return hostname === domain || hostname.endsWith(`.${domain}`);
+        };
+    }
+
+    const regex = new RegExp(pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*'), 'i');
+    return (url) => regex.test(url);
+}
+
+// URL/alan adı desenine uyan istekleri context.route ile keser (üçüncü taraf etki deneyleri için).
+// Baseline ve bloklu yüklemeden gelen görünümleri karşılaştırıp farkı bloklanan alan adlarına dağıtır.
+class RequestBlocker {
+    // Dizi veya virgül/satır ile ayrılmış metin; boşsa null (bloklama yok)
+    resolve(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+
+        const list = Array.isArray(value) ? value : String(value).split(/[\n,]/);
+        const patterns = Array.from(new Set(list.map(item => String(item).trim()).filter(Boolean)));
+        if (patterns.length === 0) {
+            return null;
+        }
+        if (patterns.length > MAX_PATTERNS) {
+            throw new Error(`At most ${MAX_PATTERNS} block patterns are allowed`);
+        }
+
+        const invalid = patterns.find(pattern => /\s/.test(pattern) || pattern.replace(/\*/g, '') === '');
+        if (invalid !== undefined) {
+            throw new Error(`Invalid block pattern "${invalid}"`);
+        }
+        return patterns;
+    }
+
+    // site verilirse sadece o siteye giden eşleşmeler (tek alan adının etkisini ölçmek için)
+    matcher(patterns, site = null) {
+        const tests = patterns.map(compile);
+        return (url) => (!site || siteOf(url) === site) && tests.some(test => test(url));
+    }
+
+    // Throttling route'undan sonra kaydedilmeli: son kaydedilen route önce çalışır,
+    // böylece bloklanan istek gecikme beklemeden iptal edilir, diğerleri fallback ile ona düşer
+    async apply(context, patterns, options = {}) {
+        const matches = this.matcher(patterns, options.site);
+        const blocked = [];
+        const requests = new WeakSet();
+
+        await context.route('**/*', route => {
+            const request = route.request();
+            const url = request.url();
+            if (!matches(url)) {
+                return route.fallback();
+            }
+
+            requests.add(request);
+            blocked.push({ url, domain: siteOf(url), resourceType: request.resourceType(), timestamp: Date.now() });
+            return route.abort('blockedbyclient').catch(() => {});
+        });
+
+        return {
+            blocked: () => blocked.slice(),
+            // requestfailed listener'ları bloklanan istekleri network hatası saymasın
+            isBlocked: (request) => requests.has(request)
+        };
+    }
+
+    // Tamamlanan isteklerin URL'si ve sıkıştırılmış transfer boyutu (CDP; cross-origin dahil)
+    async track(context, page) {
+        const cdp = await context.newCDPSession(page);
+        const urls = new Map();
+        const finished = [];
+
+        cdp.on('Network.requestWillBeSent', ({ requestId, request }) => urls.set(requestId, request.url));
+        cdp.on('Network.loadingFinished', ({ requestId, encodedDataLength }) => {
+            const url = urls.get(requestId);
+            if (url) finished.push({ url, transferredBytes: encodedDataLength || 0 });
+        });
+        await cdp.send('Network.enable');
+
+        return {
+            requests: () => finished.slice(),
+            detach: () => cdp.detach().catch(() => {})
+        };
+    }
+
+    // Tek yüklemenin karşılaştırılan metrikleri ve site başına istek, byte ve script süresi
+    view(results, requests, mainThread, blocked = []) {
+        const domains = {};
+        const domain = (site) => {
+            if (!domains[site]) domains[site] = { requests: 0, transferredBytes: 0, mainThreadTime: 0 };
+            return domains[site];
+        };
+
+        requests.forEach(request => {
+            const site = siteOf(request.url);
+            if (!site) return;
+            domain(site).requests += 1;
+            domain(site).transferredBytes += request.transferredBytes;
+        });
+        (mainThread ? mainThread.scripts : []).forEach(script => {
+            const site = siteOf(script.url);
+            if (site) domain(site).mainThreadTime += script.time;
+        });
+
+        return {
+            pageLoad: results.performanceMetrics.pageLoad,
+            firstContentfulPaint: results.lighthouseMetrics.firstContentfulPaint,
+            largestContentfulPaint: results.lighthouseMetrics.largestContentfulPaint,
+            transferredBytes: requests.reduce((sum, request) => sum + request.transferredBytes, 0),
+            requests: requests.length,
+            mainThreadTime: mainThread ? mainThread.busyTime : null,
+            domains,
+            blocked
+        };
+    }
+
+    // Bloklu yüklemede istek kesilen siteler, en çok istek bloklanan önce
+    blockedDomains(view) {
+        const counts = new Map();
+        view.blocked.forEach(request => {
+            if (request.domain) counts.set(request.domain, (counts.get(request.domain) || 0) + 1);
+        });
+        return Array.from(counts.entries())
+            .sort((a, b) => b[1] - a[1])
+            .map(([domain, requests]) => ({ domain, requests }));
+    }
+
+    // isolated: [{ domain, view }] - sadece o alan adı bloklanarak yapılan yüklemeler
+    compare(patterns, pageUrl, baseline, blocked, isolated = []) {
+        const pageSite = siteOf(pageUrl);
+        return {
+            patterns,
+            baseline: this.metricsOf(baseline),
+            blocked: this.metricsOf(blocked),
+            delta: this.delta(baseline, blocked),
+            blockedRequests: blocked.blocked.length,
+            domains: this.blockedDomains(blocked).map(({ domain, requests }) => {
+                const cost = baseline.domains[domain] || { requests: 0, transferredBytes: 0, mainThreadTime: 0 };
+                const run = isolated.find(item => item.domain === domain);
+                return {
+                    domain,
+                    party: domain === pageSite ? 'firstParty' : 'thirdParty',
+                    blockedRequests: requests,
+                    // Baseline'da bu siteden gelen istekler ve script'lerinin ana thread süresi
+                    baseline: {
+                        requests: cost.requests,
+                        transferredBytes: cost.transferredBytes,
+                        mainThreadTime: Math.round(cost.mainThreadTime * 10) / 10
+                    },
+                    delta: run ? this.delta(baseline, run.view) : null
+                };
+            })
+        };
+    }
+
+    metricsOf(view) {
+        const metrics = {};
+        METRICS.forEach(({ key }) => { metrics[key] = Number.isFinite(view[key]) ? view[key] : null; });
+        return metrics;
+    }
+
+    // change negatifse bloklu yükleme daha hızlı/küçük
+    delta(baseline, blocked) {
+        const delta = {};
+        METRICS.forEach(({ key, label, unit }) => {
+            const before = baseline[key];
+            const after = blocked[key];
+            // Ölçülemeyen (NaN) metrik farka girmez
+            if (!Number.isFinite(before) || !Number.isFinite(after)) return;
+            delta[key] = {
+                label,
+                unit,
+                baseline: before,
+                blocked: after,
+                change: Math.round((after - before) * 10) / 10,
+                changePercent: before !== 0 ? Math.round((after - before) / before * 1000) / 10 : null
+            };
+        });
+        return delta;
+    }
+
+    // Etkileşimli session/journey'de bloklanan istekler (baseline yüklemesi yapılmaz)
+    summarize(patterns, blocked, pageUrl) {
+        const pageSite = siteOf(pageUrl);
+        return {
+            patterns,
+            blockedRequests: blocked.length,
+            domains: this.blockedDomains({ blocked }).map(({ domain, requests }) => ({
+                domain,
+                party: domain === pageSite ? 'firstParty' : 'thirdParty',
+                blockedRequests: requests,
+                resourceTypes: Array.from(new Set(blocked.filter(request => request.domain === domain).map(request => request.resourceType)))
+            }))
+        };
+    }
+}
+
+RequestBlocker.MAX_PATTERNS = MAX_PATTERNS;
+RequestBlocker.MAX_ISOLATED_DOMAINS = MAX_ISOLATED_DOMAINS;
+RequestBlocker.METRICS = METRICS;
+RequestBlocker.compile = compile;
+
+module.exports = RequestBlocker;
@@ -0,0 +1,206 @@
+const fs = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+const NetworkThrottler = require('./network-throttler');
+const RequestBlocker = require('./request-blocker');
+const sleep = require('./sleep');
+
+const DEFAULT_OVERRIDES_DIR = path.join(__dirname, '../../overrides');
+const MAX_RULES = 50;
+const MAX_DELAY = 60000;
+
+// Kural başına rapora yazılan örnek URL sayısı
+const SAMPLE_URLS = 5;
+
+// Desene uyan isteklere yerel dosya, sabit gövde, yapay status kodu veya ek gecikme uygular
+// ("sıkıştırılmış bundle / küçültülmüş görsel / hızlı API olsaydı" denemeleri için).
+// Desenler RequestBlocker ile aynıdır; bir isteğe ilk eşleşen kural uygulanır.
+class ResponseOverrider {
+    constructor() {
+        this.networkThrottler = new NetworkThrottler();
+    }
+
+    // Dizi, { overrides: [...] } veya JSON/YAML metni. Dosya yolları baseDir'e göredir ve dışına çıkamaz
+    async resolve(value, options = {}) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+
+        let rules = value;
+        if (typeof rules === 'string') {
+            try {
+                rules = YAML.parse(rules);
+            } catch (error) {
+                throw new Error(`Overrides could not be parsed: ${error.message}`);
+            }
+        }
+        if (rules && !Array.isArray(rules) && Array.isArray(rules.overrides)) {
+            rules = rules.overrides;
+        }
+        if (!Array.isArray(rules)) {
+            throw new Error('Overrides must be a list of rules');
+        }
+        if (rules.length === 0) {
+            return null;
+        }
+        if (rules.length > MAX_RULES) {
+            throw new Error(`At most ${MAX_RULES} override rules are allowed`);
+        }
+
+        const baseDir = path.resolve(options.baseDir || process.env.OVERRIDES_DIR || DEFAULT_OVERRIDES_DIR);
+        const resolved = [];
+        for (const [index, rule] of rules.entries()) {
+            resolved.push(await this.normalize(rule, index, baseDir));
+        }
+        return resolved;
+    }
+
+    async normalize(rule, index, baseDir) {
+        const label = `Override ${index + 1}`;
+        if (!rule || typeof rule !== 'object' || typeof rule.match !== 'string' || !rule.match.trim()) {
+            throw new Error(`${label}: match pattern is required`);
+        }
+        const match = rule.match.trim();
+        if (/\s/.test(match) || match.replace(/\*/g, '') === '') {
+            throw new Error(`${label}: invalid match pattern "${match}"`);
+        }
+        if (rule.file === undefined && rule.body === undefined && rule.status === undefined && rule.delay === undefined) {
+            throw new Error(`${label}: one of file, body, status or delay is required`);
+        }
+        if (rule.file !== undefined && rule.body !== undefined) {
+            throw new Error(`${label}: file and body cannot be used together`);
+        }
+
+        const status = rule.status !== undefined ? Number(rule.status) : null;
+        if (status !== null && (!Number.isInteger(status) || status < 100 || status > 599)) {
+            throw new Error(`${label}: status must be an HTTP status code (100-599)`);
+        }
+        const delay = rule.delay !== undefined ? Number(rule.delay) : 0;
+        if (!Number.isFinite(delay) || delay < 0 || delay > MAX_DELAY) {
+            throw new Error(`${label}: delay must be between 0 and ${MAX_DELAY}ms`);
+        }
+        if (rule.headers !== undefined && (typeof rule.headers !== 'object' || Array.isArray(rule.headers))) {
+            throw new Error(`${label}: headers must be an object`);
+        }
+
+        let file = null;
+        if (rule.file !== undefined) {
+            file = path.resolve(baseDir, String(rule.file));
+            // API'den gelen kurallar sunucudaki rastgele dosyaları sayfaya veremesin
+            if (path.relative(baseDir, file).startsWith('..') || path.isAbsolute(path.relative(baseDir, file))) {
+                throw new Error(`${label}: file must be inside ${baseDir}`);
+            }
+            const stat = await fs.stat(file).catch(() => null);
+            if (!stat || !stat.isFile()) {
+                throw new Error(`${label}: file ${rule.file} not found in ${baseDir}`);
+            }
+        }
+
+        // Obje gövde JSON olarak gönderilir
+        const jsonBody = rule.body !== undefined && typeof rule.body === 'object';
+        return {
+            match,
+            file,
+            body: rule.body !== undefined ? (jsonBody ? JSON.stringify(rule.body) : String(rule.body)) : null,
+            status,
+            delay,
+            contentType: rule.contentType || (jsonBody ? 'application/json' : null),
+            headers: rule.headers ? Object.fromEntries(Object.entries(rule.headers).map(([key, headerValue]) => [key.toLowerCase(), String(headerValue)])) : {}
+        };
+    }
+
+    // Throttling route'undan sonra, bloklama route'undan önce kaydedilir (bloklama önce çalışır).
+    // Fulfill edilen yanıt ağdan geçmez; ne CDP throttling'i ne de throttling route'u onu geciktirir,
+    // bu yüzden profilin gecikmesi ve aktarım süresi burada eklenir
+    async apply(context, rules, options = {}) {
+        const matchers = rules.map(rule => RequestBlocker.compile(rule.match));
+        const hits = rules.map(() => ({ count: 0, urls: [] }));
+        const profile = options.networkProfile || null;
+
+        await context.route('**/*', async route => {
+            const request = route.request();
+            const url = request.url();
+            const index = matchers.findIndex(matches => matches(url));
+            if (index === -1) {
+                return route.fallback();
+            }
+
+            const rule = rules[index];
+            hits[index].count += 1;
+            if (hits[index].urls.length < SAMPLE_URLS && !hits[index].urls.includes(url)) {
+                hits[index].urls.push(url);
+            }
+
+            try {
+                if (rule.delay > 0) await sleep(rule.delay);
+
+                // Sadece gecikme: istek gerçek sunucuya gider
+                if (!rule.file && rule.body === null && rule.status === null) {
+                    return await route.fallback();
+                }
+
+                const body = rule.file ? await fs.readFile(rule.file) : Buffer.from(rule.body || '');
+                if (profile) {
+                    await sleep(profile.latency + this.networkThrottler.transferTime(body.length, profile.download));
+                }
+                await route.fulfill({
+                    status: rule.status || 200,
+                    headers: { ...this.corsHeaders(request), ...rule.headers },
+                    // path verilince Playwright içerik tipini uzantıdan bulur
+                    ...(rule.file && !rule.contentType ? { path: rule.file } : { body }),
+                    ...(rule.contentType ? { contentType: rule.contentType } : {})
+                });
+            } catch (error) {
+                // Dosya silinmiş olabilir veya sayfa kapanıyordur; istek navigation timeout'una kadar asılı kalmasın
+                console.warn('Override uygulanamadı:', error.message);
+                await route.abort('failed').catch(() => {});
+            }
+        });
+
+        return {
+            summary: () => this.summarize(rules, hits)
+        };
+    }
+
+    // Başka origin'deki API taklit edildiğinde fetch CORS yüzünden reddetmesin
+    corsHeaders(request) {
+        const origin = request.headers().origin;
+        if (!origin) return {};
+        return {
+            'access-control-allow-origin': origin,
+            'access-control-allow-credentials': 'true'
+        };
+    }
+
+    // Rapora ve session'a yazılan kayıt; dosyalar sadece adıyla
+    summarize(rules, hits = []) {
+        const described = rules.map((rule, index) => ({
+            match: rule.match,
+            action: rule.file ? 'file' : rule.body !== null ? 'body' : rule.status !== null ? 'status' : 'delay',
+            file: rule.file ? path.basename(rule.file) : null,
+            status: rule.status,
+            delay: rule.delay,
+            hits: hits[index] ? hits[index].count : 0,
+            urls: hits[index] ? hits[index].urls : []
+        }));
+        return {
+            rules: described,
+            hits: described.reduce((sum, rule) => sum + rule.hits, 0)
+        };
+    }
+}
+
+// "*/app.js -> app.min.js, +120ms" biçiminde kısa açıklama (rapor başlığı ve karşılaştırma uyarıları)
+function describeRule(rule) {
+    const parts = [];
+    if (rule.file) parts.push(rule.file);
+    if (rule.action === 'body') parts.push('mock body');
+    if (rule.status !== null && rule.status !== undefined) parts.push(String(rule.status));
+    if (rule.delay > 0) parts.push(`+${rule.delay}ms`);
+    return `${rule.match} -> ${parts.join(', ')}`;
+}
+
+ResponseOverrider.MAX_RULES = MAX_RULES;
+ResponseOverrider.describeRule = describeRule;
+
+module.exports = ResponseOverrider;
@@ -0,0 +1,207 @@
+const DEFAULTS = {
+    maxRuns: 20,
+    varianceThreshold: 15 // yüzde; CV bunun üstündeyse ölçüm kararsız sayılır
+};
+
+// Özetlenen metrikler: [grup, alan, etiket, birim]
+const METRICS = [
+    ['performanceMetrics', 'dnsLookup', 'DNS Lookup', 'ms'],
+    ['performanceMetrics', 'tcpConnection', 'TCP Connection', 'ms'],
+    ['performanceMetrics', 'serverResponse', 'Server Response', 'ms'],
+    ['performanceMetrics', 'domParsing', 'DOM Parsing', 'ms'],
+    ['performanceMetrics', 'domContentLoaded', 'DOM Content Loaded', 'ms'],
+    ['performanceMetrics', 'pageLoad', 'Page Load', 'ms'],
+    ['performanceMetrics', 'firstPaint', 'First Paint', 'ms'],
+    ['performanceMetrics', 'resourceCount', 'Resource Count', ''],
+    ['lighthouseMetrics', 'firstContentfulPaint', 'First Contentful Paint', 'ms'],
+    ['lighthouseMetrics', 'largestContentfulPaint', 'Largest Contentful Paint', 'ms'],
+    ['lighthouseMetrics', 'cumulativeLayoutShift', 'Cumulative Layout Shift', ''],
+    ['lighthouseMetrics', 'totalBlockingTime', 'Total Blocking Time', 'ms'],
+    ['lighthouseMetrics', 'timeToFirstByte', 'Time to First Byte', 'ms'],
+    ['lighthouseMetrics', 'timeToInteractive', 'Time to Interactive', 'ms'],
+    ['lighthouseMetrics', 'speedIndex', 'Speed Index', 'ms'],
+    ['lighthouseMetrics', 'visuallyComplete', 'Visually Complete', 'ms'],
+    ['lighthouseMetrics', 'lastVisualChange', 'Last Visual Change', 'ms'],
+    ['lighthouseMetrics', 'performanceScore', 'Performance Score', '']
+].map(([group, key, label, unit]) => ({ group, key, label, unit }));
+
+// Medyan run seçilirken bakılan metrikler
+const REPRESENTATIVE_METRICS = ['firstContentfulPaint', 'largestContentfulPaint', 'pageLoad'];
+
+// Sıralı dizide lineer interpolasyonlu yüzdelik
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const index = (sorted.length - 1) * p / 100;
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+// Aynı koşullarda yapılan N ölçümü tek sonuca indirger: metrik başına medyan/p75/p95/min/max/CV,
+// detaylı waterfall için medyana en yakın run ve varyansı yüksek metrikler.
+class RunStatistics {
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+    }
+
+    // Verilmezse 1; 1..maxRuns arası tam sayı olmalı
+    resolveRuns(value) {
+        if (value === undefined || value === null || value === '') {
+            return 1;
+        }
+
+        const runs = Number(value);
+        if (!Number.isInteger(runs) || runs < 1 || runs > this.options.maxRuns) {
+            throw new Error(`Runs must be an integer between 1 and ${this.options.maxRuns}`);
+        }
+        return runs;
+    }
+
+    // CV eşiği (yüzde); verilmezse varsayılan
+    resolveThreshold(value) {
+        if (value === undefined || value === null || value === '') {
+            return this.options.varianceThreshold;
+        }
+
+        const threshold = Number(value);
+        if (!Number.isFinite(threshold) || threshold < 0) {
+            throw new Error('Variance threshold must be a non-negative percentage');
+        }
+        return threshold;
+    }
+
+    combine(results, options = {}) {
+        const varianceThreshold = this.resolveThreshold(options.varianceThreshold);
+
+        const successful = results.filter(result => result.errors.length === 0);
+
+        // Hiçbir run başarılı değilse ilk run döner, hatalar run numarasıyla birleştirilir
+        if (successful.length === 0) {
+            return {
+                ...results[0],
+                errors: results.flatMap((result, index) => result.errors.map(error => `Run ${index + 1}: ${error}`)),
+                runs: {
+                    count: results.length,
+                    successful: 0,
+                    failed: results.length,
+                    medianRun: null,
+                    varianceThreshold,
+                    stable: false,
+                    highVariance: [],
+                    statistics: {},
+                    runs: results.map((result, index) => this.runSummary(result, index, {}))
+                }
+            };
+        }
+
+        const statistics = {};
+        METRICS.forEach(metric => {
+            const values = successful.map(result => this.valueOf(result, metric)).filter(value => value !== null);
+            if (values.length > 0) {
+                statistics[metric.key] = { label: metric.label, unit: metric.unit, ...this.summarize(values) };
+            }
+        });
+
+        const highVariance = Object.entries(statistics)
+            .filter(([, stats]) => stats.samples > 1 && stats.cv > varianceThreshold)
+            .map(([metric, stats]) => ({ metric, label: stats.label, cv: stats.cv }));
+
+        const median = this.medianResult(successful, statistics);
+        const medianRun = results.indexOf(median) + 1;
+
+        return {
+            ...median,
+            runs: {
+                count: results.length,
+                successful: successful.length,
+                failed: results.length - successful.length,
+                medianRun,
+                varianceThreshold,
+                stable: highVariance.length === 0,
+                highVariance,
+                statistics,
+                runs: results.map((result, index) => this.runSummary(result, index, statistics))
+            }
+        };
+    }
+
+    summarize(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        // Örneklem standart sapması (n - 1)
+        const stdDev = values.length > 1
+            ? Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1))
+            : 0;
+
+        return {
+            p25: this.round(percentile(sorted, 25)),
+            median: this.round(percentile(sorted, 50)),
+            p75: this.round(percentile(sorted, 75)),
+            p95: this.round(percentile(sorted, 95)),
+            min: this.round(sorted[0]),
+            max: this.round(sorted[sorted.length - 1]),
+            mean: this.round(mean),
+            stdDev: this.round(stdDev),
+            cv: mean !== 0 ? this.round(stdDev / Math.abs(mean) * 100) : 0,
+            samples: values.length
+        };
+    }
+
+    // FCP/LCP/Page Load medyanlarına göreli uzaklığı en küçük olan run
+    medianResult(results, statistics) {
+        let best = results[0];
+        let bestDistance = Infinity;
+
+        results.forEach(result => {
+            const distance = REPRESENTATIVE_METRICS.reduce((sum, key) => {
+                const metric = METRICS.find(item => item.key === key);
+                const value = this.valueOf(result, metric);
+                const stats = statistics[key];
+                if (value === null || !stats || stats.median === 0) return sum;
+                return sum + ((value - stats.median) / stats.median) ** 2;
+            }, 0);
+
+            if (distance < bestDistance) {
+                best = result;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    // Run'ın metrikleri ve Tukey (1.5 x IQR) sınırları dışında kalanlar
+    runSummary(result, index, statistics) {
+        const metrics = {};
+        const outliers = [];
+
+        METRICS.forEach(metric => {
+            const value = this.valueOf(result, metric);
+            metrics[metric.key] = value;
+
+            const stats = statistics[metric.key];
+            if (value === null || !stats || stats.samples < 4 || result.errors.length > 0) return;
+            const iqr = stats.p75 - stats.p25;
+            if (value < stats.p25 - 1.5 * iqr || value > stats.p75 + 1.5 * iqr) {
+                outliers.push(metric.key);
+            }
+        });
+
+        return { run: index + 1, errors: result.errors, outliers, metrics };
+    }
+
+    valueOf(result, metric) {
+        const group = result[metric.group] || {};
+        const value = group[metric.key];
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
+
+RunStatistics.DEFAULTS = DEFAULTS;
+RunStatistics.METRICS = METRICS;
+RunStatistics.percentile = percentile;
+
+module.exports = RunStatistics;
@@ -0,0 +1,20 @@
+// Session kayıtlarından yükleme süresi ve transfer boyutu; budget, geçmiş, karşılaştırma ve journey
+// aynı session için aynı değerleri göstersin diye hepsi bunları kullanır
+
+// Navigation başlangıcına göre loadEventEnd (ms). page_load event'indeki loadTime sadece
+// onload handler'larının süresidir; ölçülemediyse null
+function loadTimeOf(event) {
+    if (!event || event.type !== 'page_load' || !event.data) return null;
+    const loadEventEnd = event.data.loadEventEnd;
+    return Number.isFinite(loadEventEnd) && loadEventEnd > 0 ? loadEventEnd : null;
+}
+
+// İstek bitince request.sizes() ile alınan, ağdan aktarılan byte'lar (header + sıkıştırılmış gövde).
+// Bitmeyen veya önbellekten gelen istekler 0
+function transferSizeOf(request) {
+    const sizes = request && request.sizes;
+    if (!sizes) return 0;
+    return Math.max(0, sizes.responseHeadersSize || 0) + Math.max(0, sizes.responseBodySize || 0);
+}
+
+module.exports = { loadTimeOf, transferSizeOf };
@@ -0,0 +1,22 @@
+// İkinci seviye alan adları (example.com.tr, example.co.uk) site olarak üç etiketle alınır
+const SECOND_LEVEL_LABELS = ['com', 'co', 'org', 'net', 'gov', 'edu', 'ac', 'gen', 'k12', 'bel'];
+
+// URL'nin sitesi; "www.example.com" ve "cdn.example.com" aynı site sayılır.
+// First/third-party ayrımı yapan coverage, bloklama, budget ve karşılaştırma bunu kullanır
+function siteOf(url) {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname;
+    } catch (error) {
+        return null;
+    }
+
+    const labels = hostname.split('.');
+    if (labels.length <= 2 || /^\d+$/.test(labels[labels.length - 1])) {
+        return hostname;
+    }
+    const count = labels[labels.length - 1].length === 2 && SECOND_LEVEL_LABELS.includes(labels[labels.length - 2]) ? 3 : 2;
+    return labels.slice(-count).join('.');
+}
+
+module.exports = siteOf;
@@ -0,0 +1,6 @@
+// Throttling, override, arşiv replay ve filmstrip gecikmeleri için ortak bekleme
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = sleep;
@@ -0,0 +1,244 @@
+const NetworkThrottler = require('./network-throttler');
+
+// DevTools Performance panelinin kaydettiği kategorilere yakın bir set
+const CATEGORIES = [
+    '-*',
+    'devtools.timeline',
+    'disabled-by-default-devtools.timeline',
+    'disabled-by-default-devtools.timeline.frame',
+    'disabled-by-default-devtools.timeline.stack',
+    'toplevel',
+    'loading',
+    'latencyInfo',
+    'blink.console',
+    'blink.user_timing',
+    'v8',
+    'v8.execute',
+    'disabled-by-default-v8.gc'
+];
+
+// 50ms üstü görevler long task; aşan kısım Total Blocking Time'a eklenir
+const LONG_TASK_THRESHOLD = 50;
+
+// Trace event adı -> ana thread grubu; listede olmayan event'ler üst event'in grubunu alır
+const GROUPS = {
+    scripting: [
+        'EvaluateScript', 'v8.evaluateModule', 'FunctionCall', 'TimerFire', 'FireIdleCallback',
+        'FireAnimationFrame', 'RunMicrotasks', 'V8.Execute', 'EventDispatch', 'XHRReadyStateChange',
+        'XHRLoad', 'v8.compile', 'v8.compileModule', 'v8.parseOnBackground', 'v8.produceCache',
+        'v8.produceModuleCache', 'v8.deserializeOnBackground'
+    ],
+    rendering: [
+        'ScheduleStyleRecalculation', 'RecalculateStyles', 'UpdateLayoutTree', 'InvalidateLayout',
+        'Layout', 'UpdateLayerTree', 'HitTest', 'PrePaint', 'Layerize', 'ScrollLayer'
+    ],
+    painting: [
+        'Paint', 'PaintSetup', 'PaintImage', 'Decode Image', 'ImageDecodeTask', 'Rasterize',
+        'RasterTask', 'CompositeLayers', 'Commit', 'UpdateLayer'
+    ],
+    loading: ['ParseHTML', 'ParseAuthorStyleSheet'],
+    gc: ['GCEvent', 'MinorGC', 'MajorGC', 'BlinkGC.AtomicPhase', 'ThreadState::performIdleLazySweep', 'ThreadState::completeSweep']
+};
+
+const GROUP_BY_NAME = new Map(Object.entries(GROUPS).flatMap(([group, names]) => names.map(name => [name, group])));
+
+const GROUP_LABELS = {
+    scripting: 'Scripting',
+    rendering: 'Rendering',
+    painting: 'Painting',
+    loading: 'Loading',
+    gc: 'Garbage Collection',
+    other: 'Other',
+    idle: 'Idle'
+};
+
+// Analiz sırasında Chromium performans trace'i kaydeder (browser.startTracing) ve
+// trace'i ana thread dağılımına, script'lere atfedilen long task'lara ve TBT'ye çevirir.
+// Kaydedilen JSON DevTools Performance panelinde açılabilir.
+class TraceRecorder {
+    // true/"true" kabul eder; trace sadece Chromium tabanlı tarayıcılarda alınabilir
+    resolve(value, browserType = 'chrome') {
+        const enabled = value === true || value === 'true';
+        if (enabled && !NetworkThrottler.CHROMIUM_BROWSERS.includes(String(browserType).toLowerCase())) {
+            throw new Error(`Performance tracing is only supported in Chromium based browsers (chrome, edge), not ${browserType}`);
+        }
+        return enabled;
+    }
+
+    // İlk navigation'dan önce çağrılır; dönen stop() trace'i Buffer olarak verir ve birden çok kez çağrılabilir
+    async start(browser, page) {
+        await browser.startTracing(page, { categories: CATEGORIES, screenshots: false });
+
+        let result = null;
+        return {
+            stop: () => {
+                if (!result) {
+                    result = browser.stopTracing();
+                }
+                return result;
+            }
+        };
+    }
+
+    // scriptLimit: listelenen script sayısı (request blocking deneyi site başına süre için hepsini ister)
+    analyze(trace, options = {}) {
+        const events = Array.isArray(trace) ? trace : (trace.traceEvents || []);
+        const thread = this.findMainThread(events);
+        if (!thread) {
+            return null;
+        }
+
+        const roots = this.buildTree(events.filter(event => event.pid === thread.pid && event.tid === thread.tid));
+        if (roots.length === 0) {
+            return null;
+        }
+
+        const breakdown = { scripting: 0, rendering: 0, painting: 0, loading: 0, gc: 0, other: 0, idle: 0 };
+        const scripts = new Map();
+        const firstContentfulPaint = events
+            .filter(event => event.name === 'firstContentfulPaint' && event.pid === thread.pid)
+            .reduce((first, event) => Math.min(first, event.ts / 1000), Infinity);
+
+        const longTasks = [];
+        roots.forEach(root => {
+            const urls = new Map();
+            const groups = new Map();
+            this.walk(root, null, (node) => {
+                breakdown[node.group] += node.selfTime;
+                groups.set(node.group, (groups.get(node.group) || 0) + node.selfTime);
+                if (node.group === 'scripting' && node.url) {
+                    urls.set(node.url, (urls.get(node.url) || 0) + node.selfTime);
+                    scripts.set(node.url, (scripts.get(node.url) || 0) + node.selfTime);
+                }
+            });
+
+            if (root.duration > LONG_TASK_THRESHOLD) {
+                // TBT ilk First Contentful Paint'ten sonrası için hesaplanır (Lighthouse ile aynı)
+                const start = Math.max(root.start, Number.isFinite(firstContentfulPaint) ? firstContentfulPaint : root.start);
+                const blockingTime = Math.max(0, root.start + root.duration - start - LONG_TASK_THRESHOLD);
+                longTasks.push({
+                    start: root.start,
+                    duration: this.round(root.duration),
+                    blockingTime: this.round(blockingTime),
+                    // Görevde en çok zaman alan aktivite
+                    group: Array.from(groups.entries()).sort((a, b) => b[1] - a[1])[0][0],
+                    urls: this.top(urls, 3)
+                });
+            }
+        });
+
+        const traceStart = roots[0].start;
+        const traceEnd = roots.reduce((end, root) => Math.max(end, root.start + root.duration), 0);
+        const busy = roots.reduce((sum, root) => sum + root.duration, 0);
+        breakdown.idle = Math.max(0, traceEnd - traceStart - busy);
+        Object.keys(breakdown).forEach(group => { breakdown[group] = this.round(breakdown[group]); });
+
+        return {
+            duration: this.round(traceEnd - traceStart),
+            busyTime: this.round(busy),
+            breakdown,
+            totalBlockingTime: this.round(longTasks.reduce((sum, task) => sum + task.blockingTime, 0)),
+            firstContentfulPaint: Number.isFinite(firstContentfulPaint) ? this.round(firstContentfulPaint - traceStart) : null,
+            longTasks: longTasks
+                .sort((a, b) => b.duration - a.duration)
+                .slice(0, 20)
+                .map(task => ({ ...task, start: this.round(task.start - traceStart) })),
+            longTaskCount: longTasks.length,
+            scripts: this.top(scripts, options.scriptLimit || 10)
+        };
+    }
+
+    // Birden çok renderer varsa (about:blank, iframe'ler) en çok iş yapan CrRendererMain seçilir
+    findMainThread(events) {
+        const candidates = events
+            .filter(event => event.ph === 'M' && event.name === 'thread_name' && event.args && event.args.name === 'CrRendererMain')
+            .map(event => ({ pid: event.pid, tid: event.tid, busy: 0 }));
+
+        events.forEach(event => {
+            if (event.ph !== 'X' || !event.dur) return;
+            const candidate = candidates.find(item => item.pid === event.pid && item.tid === event.tid);
+            if (candidate) candidate.busy += event.dur;
+        });
+
+        return candidates.sort((a, b) => b.busy - a.busy)[0] || null;
+    }
+
+    // Tam (X) ve B/E çiftli event'lerden iç içe görev ağacı; süreler ms
+    buildTree(events) {
+        const spans = [];
+        const open = [];
+        events.forEach(event => {
+            if (event.ph === 'X' && event.dur !== undefined) {
+                spans.push({ name: event.name, args: event.args, start: event.ts / 1000, duration: event.dur / 1000 });
+            } else if (event.ph === 'B') {
+                open.push(event);
+            } else if (event.ph === 'E') {
+                const index = open.map(item => item.name).lastIndexOf(event.name);
+                if (index === -1) return;
+                const [begin] = open.splice(index, 1);
+                spans.push({ name: begin.name, args: begin.args, start: begin.ts / 1000, duration: (event.ts - begin.ts) / 1000 });
+            }
+        });
+        spans.sort((a, b) => a.start - b.start || b.duration - a.duration);
+
+        const roots = [];
+        const stack = [];
+        spans.forEach(span => {
+            span.children = [];
+            while (stack.length > 0 && stack[stack.length - 1].start + stack[stack.length - 1].duration <= span.start) {
+                stack.pop();
+            }
+            const parent = stack[stack.length - 1];
+            // Üst event'ten taşan event'ler (saat kayması) ayrı görev sayılır
+            if (parent && span.start + span.duration <= parent.start + parent.duration + 0.001) {
+                parent.children.push(span);
+            } else {
+                stack.length = 0;
+                roots.push(span);
+            }
+            stack.push(span);
+        });
+        return roots;
+    }
+
+    // Grup ve URL üst event'ten miras alınır; self time çocukların süresi düşülerek bulunur
+    walk(node, parent, visit) {
+        node.group = this.groupOf(node.name) || (parent ? parent.group : 'other');
+        node.url = this.urlOf(node.args) || (parent ? parent.url : null);
+        node.selfTime = Math.max(0, node.duration - node.children.reduce((sum, child) => sum + child.duration, 0));
+        visit(node);
+        node.children.forEach(child => this.walk(child, node, visit));
+    }
+
+    groupOf(name) {
+        if (GROUP_BY_NAME.has(name)) return GROUP_BY_NAME.get(name);
+        if (name.startsWith('V8.GC') || name.startsWith('BlinkGC')) return 'gc';
+        return null;
+    }
+
+    urlOf(args) {
+        const data = args && (args.data || args.beginData);
+        if (!data) return null;
+        if (data.url) return data.url;
+        if (data.scriptName) return data.scriptName;
+        if (Array.isArray(data.stackTrace) && data.stackTrace[0] && data.stackTrace[0].url) return data.stackTrace[0].url;
+        return null;
+    }
+
+    top(map, limit) {
+        return Array.from(map.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([url, time]) => ({ url, time: this.round(time) }));
+    }
+
+    round(value) {
+        return Math.round(value * 10) / 10;
+    }
+}
+
+TraceRecorder.CATEGORIES = CATEGORIES;
+TraceRecorder.LONG_TASK_THRESHOLD = LONG_TASK_THRESHOLD;
+TraceRecorder.GROUP_LABELS = GROUP_LABELS;
+
+module.exports = TraceRecorder;
@@ -0,0 +1,118 @@
+const HistoryStore = require('../storage/history-store');
+
+const DEFAULTS = {
+    window: 10,           // baseline için bakılan önceki çalıştırma sayısı
+    minSamples: 5,        // bundan az önceki çalıştırma varsa karar verilmez
+    zThreshold: 2,        // baseline ortalamasından kaç standart sapma uzakta
+    minChangePercent: 10  // küçük ama istikrarlı sapmalar regresyon sayılmaz
+};
+
+// Her çalıştırmayı kendinden önceki N çalıştırmanın ortalama/standart sapmasıyla karşılaştırır.
+// Bir noktanın regresyon sayılması için hem z-skoru hem de yüzde değişim eşiği aşılmalı.
+class TrendAnalyzer {
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+        this.metrics = options.metrics || HistoryStore.METRICS;
+    }
+
+    analyze(runs) {
+        const series = {};
+        const regressions = [];
+
+        this.metrics.forEach(metric => {
+            series[metric] = runs.map(run => ({
+                sessionId: run.sessionId,
+                timestamp: run.startTime,
+                value: this.valueOf(run, metric)
+            }));
+
+            series[metric].forEach((point, index) => {
+                const regression = this.checkPoint(series[metric], index);
+                if (regression) {
+                    point.regression = true;
+                    regressions.push({ metric, ...regression });
+                }
+            });
+        });
+
+        const latest = runs.length > 0 ? runs[runs.length - 1].sessionId : null;
+
+        return {
+            runs: runs.length,
+            series,
+            baseline: this.baselineSummary(series),
+            regressions,
+            latestRegressions: regressions.filter(regression => regression.sessionId === latest)
+        };
+    }
+
+    checkPoint(points, index) {
+        const point = points[index];
+        if (point.value === null || point.value === undefined) return null;
+
+        const baseline = this.baselineValues(points, index);
+        if (baseline.length < this.options.minSamples) return null;
+
+        const { mean, std } = this.stats(baseline);
+        if (mean <= 0) return null;
+
+        const changePercent = (point.value - mean) / mean * 100;
+        if (changePercent < this.options.minChangePercent) return null;
+
+        // Neredeyse sabit baseline'da std sıfıra yakın olur; z-skoru anlamsız derecede büyümesin
+        const zScore = (point.value - mean) / Math.max(std, mean * 0.01);
+        if (zScore < this.options.zThreshold) return null;
+
+        return {
+            sessionId: point.sessionId,
+            timestamp: point.timestamp,
+            value: point.value,
+            baselineMean: this.round(mean),
+            baselineStd: this.round(std),
+            zScore: this.round(zScore),
+            changePercent: this.round(changePercent)
+        };
+    }
+
+    baselineValues(points, index) {
+        return points
+            .slice(Math.max(0, index - this.options.window), index)
+            .map(point => point.value)
+            .filter(value => value !== null && value !== undefined);
+    }
+
+    // Grafikteki baseline çizgisi için son çalıştırmadan önceki pencere
+    baselineSummary(series) {
+        const summary = {};
+        Object.entries(series).forEach(([metric, points]) => {
+            const values = this.baselineValues(points, points.length - 1);
+            summary[metric] = values.length > 0 ? { ...this.stats(values), samples: values.length } : null;
+            if (summary[metric]) {
+                summary[metric].mean = this.round(summary[metric].mean);
+                summary[metric].std = this.round(summary[metric].std);
+            }
+        });
+        return summary;
+    }
+
+    valueOf(run, metric) {
+        const value = run.metrics ? run.metrics[metric] : null;
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+
+    stats(values) {
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const variance = values.length > 1
+            ? values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1)
+            : 0;
+        return { mean, std: Math.sqrt(variance) };
+    }
+
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
+
+TrendAnalyzer.DEFAULTS = DEFAULTS;
+
+module.exports = TrendAnalyzer;
@@ -0,0 +1,255 @@
+const BINDING_NAME = '__mercuryReportWebVitals';
+
+// Core Web Vitals eşik değerleri (web.dev önerileri)
+const THRESHOLDS = {
+    lcp: { good: 2500, poor: 4000 },
+    cls: { good: 0.1, poor: 0.25 },
+    inp: { good: 200, poor: 500 },
+    fcp: { good: 1800, poor: 3000 },
+    ttfb: { good: 800, poor: 1800 },
+    totalBlockingTime: { good: 200, poor: 600 }
+};
+
+// Sayfa içinde, site script'lerinden önce çalışır. Buffered PerformanceObserver'lar
+// her navigation (document) için ayrı bir ölçüm nesnesi doldurur.
+function webVitalsInitScript(bindingName) {
+    if (window.__mercuryWebVitals || window.top !== window) {
+        return;
+    }
+
+    const vitals = {
+        navigationId: `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+        url: location.href,
+        startedAt: Date.now(),
+        ttfb: null,
+        fcp: null,
+        lcp: null,
+        lcpElement: null,
+        cls: 0,
+        layoutShifts: [],
+        inp: null,
+        interactionCount: 0,
+        longTasks: [],
+        totalBlockingTime: 0
+    };
+    window.__mercuryWebVitals = vitals;
+
+    const interactions = new Map();
+    let clsWindowValue = 0;
+    let clsWindowStart = 0;
+    let clsWindowLast = 0;
+    let reportTimer = null;
+
+    const describeElement = (element) => {
+        if (!element || !element.tagName) return null;
+        let description = element.tagName.toLowerCase();
+        if (element.id) description += `#${element.id}`;
+        if (element.classList && element.classList.length > 0) {
+            description += '.' + Array.from(element.classList).slice(0, 3).join('.');
+        }
+        return description;
+    };
+
+    const updateBlockingTime = () => {
+        const fcp = vitals.fcp || 0;
+        vitals.totalBlockingTime = Math.round(vitals.longTasks
+            .filter(task => task.startTime >= fcp)
+            .reduce((sum, task) => sum + Math.max(0, task.duration - 50), 0));
+    };
+
+    const report = (immediate) => {
+        if (typeof window[bindingName] !== 'function') return;
+        const send = () => {
+            reportTimer = null;
+            vitals.url = location.href;
+            try {
+                window[bindingName](JSON.parse(JSON.stringify(vitals)));
+            } catch (e) {
+                // Binding sayfa kapanırken kullanılamayabilir
+            }
+        };
+        if (immediate) {
+            if (reportTimer) clearTimeout(reportTimer);
+            send();
+        } else if (!reportTimer) {
+            reportTimer = setTimeout(send, 500);
+        }
+    };
+
+    const observe = (type, callback, options = {}) => {
+        try {
+            const observer = new PerformanceObserver(list => {
+                list.getEntries().forEach(callback);
+                report(false);
+            });
+            observer.observe({ type, buffered: true, ...options });
+        } catch (e) {
+            // Bu entry tipi tarayıcı tarafından desteklenmiyor
+        }
+    };
+
+    observe('navigation', entry => {
+        vitals.ttfb = Math.round(entry.responseStart);
+    });
+
+    observe('paint', entry => {
+        if (entry.name === 'first-contentful-paint') {
+            vitals.fcp = Math.round(entry.startTime);
+            updateBlockingTime();
+        }
+    });
+
+    observe('largest-contentful-paint', entry => {
+        vitals.lcp = Math.round(entry.startTime);
+        vitals.lcpElement = describeElement(entry.element) || entry.url || null;
+    });
+
+    // CLS: 1s aralıklı, en fazla 5s süren oturum pencerelerinin en büyüğü
+    observe('layout-shift', entry => {
+        if (entry.hadRecentInput) return;
+
+        if (clsWindowValue > 0 && entry.startTime - clsWindowLast < 1000 && entry.startTime - clsWindowStart < 5000) {
+            clsWindowValue += entry.value;
+        } else {
+            clsWindowValue = entry.value;
+            clsWindowStart = entry.startTime;
+        }
+        clsWindowLast = entry.startTime;
+
+        vitals.cls = Math.max(vitals.cls, Number(clsWindowValue.toFixed(4)));
+        vitals.layoutShifts.push({
+            startTime: Math.round(entry.startTime),
+            value: Number(entry.value.toFixed(4)),
+            sources: (entry.sources || []).map(source => describeElement(source.node)).filter(Boolean).slice(0, 3)
+        });
+    });
+
+    // INP: her interaction'ın en uzun event süresi, 50 interaction'da bir aykırı değer atlanır
+    observe('event', entry => {
+        if (!entry.interactionId) return;
+
+        const previous = interactions.get(entry.interactionId) || 0;
+        interactions.set(entry.interactionId, Math.max(previous, entry.duration));
+
+        const durations = Array.from(interactions.values()).sort((a, b) => b - a);
+        vitals.interactionCount = durations.length;
+        vitals.inp = Math.round(durations[Math.min(Math.floor(durations.length / 50), durations.length - 1)]);
+    }, { durationThreshold: 16 });
+
+    observe('longtask', entry => {
+        vitals.longTasks.push({
+            startTime: Math.round(entry.startTime),
+            duration: Math.round(entry.duration)
+        });
+        updateBlockingTime();
+    });
+
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') report(true);
+    });
+    window.addEventListener('pagehide', () => report(true));
+}
+
+class WebVitalsCollector {
+    constructor() {
+        this.bindingName = BINDING_NAME;
+    }
+
+    // Context'e binding ve init script ekle; her rapor onReport(page, vitals) ile iletilir
+    async attach(context, onReport) {
+        if (onReport) {
+            await context.exposeBinding(this.bindingName, (source, vitals) => {
+                if (source.frame !== source.page.mainFrame()) return;
+                onReport(source.page, vitals);
+            });
+        }
+        await context.addInitScript(webVitalsInitScript, this.bindingName);
+    }
+
+    // Sayfadaki güncel ölçümleri doğrudan oku
+    async collect(page) {
+        try {
+            if (page.isClosed()) return null;
+            return await page.evaluate(() => window.__mercuryWebVitals ? JSON.parse(JSON.stringify(window.__mercuryWebVitals)) : null);
+        } catch (error) {
+            console.warn('Web Vitals okunamadı:', error.message);
+            return null;
+        }
+    }
+
+    // Aynı navigation için gelen raporları tek kayıtta birleştir
+    record(entries, vitals) {
+        if (!vitals || !vitals.navigationId) return;
+
+        const entry = {
+            ...vitals,
+            timestamp: Date.now()
+        };
+        const index = entries.findIndex(e => e.navigationId === vitals.navigationId);
+        if (index >= 0) {
+            entries[index] = entry;
+        } else {
+            entries.push(entry);
+        }
+    }
+
+    rate(metric, value) {
+        const threshold = THRESHOLDS[metric];
+        if (!threshold || value === null || value === undefined) return 'unknown';
+        if (value <= threshold.good) return 'good';
+        if (value <= threshold.poor) return 'needs-improvement';
+        return 'poor';
+    }
+
+    // Navigation bazlı ölçümleri rapor için özetle (sayfa başına en kötü değerler)
+    summarize(entries = []) {
+        const pick = (metric) => entries
+            .map(e => e[metric])
+            .filter(v => v !== null && v !== undefined);
+        const worst = (metric) => {
+            const values = pick(metric);
+            return values.length > 0 ? Math.max(...values) : null;
+        };
+
+        const summary = {
+            navigations: entries.length,
+            lcp: worst('lcp'),
+            cls: worst('cls'),
+            inp: worst('inp'),
+            fcp: worst('fcp'),
+            ttfb: worst('ttfb'),
+            totalBlockingTime: worst('totalBlockingTime'),
+            longTasks: entries.reduce((sum, e) => sum + (e.longTasks ? e.longTasks.length : 0), 0),
+            pages: entries.map(e => ({
+                navigationId: e.navigationId,
+                url: e.url,
+                timestamp: e.timestamp,
+                ttfb: e.ttfb,
+                fcp: e.fcp,
+                lcp: e.lcp,
+                lcpElement: e.lcpElement,
+                cls: e.cls,
+                inp: e.inp,
+                interactionCount: e.interactionCount || 0,
+                totalBlockingTime: e.totalBlockingTime || 0,
+                longTasks: e.longTasks ? e.longTasks.length : 0
+            }))
+        };
+
+        summary.ratings = {
+            lcp: this.rate('lcp', summary.lcp),
+            cls: this.rate('cls', summary.cls),
+            inp: this.rate('inp', summary.inp),
+            fcp: this.rate('fcp', summary.fcp),
+            ttfb: this.rate('ttfb', summary.ttfb),
+            totalBlockingTime: this.rate('totalBlockingTime', summary.totalBlockingTime)
+        };
+
+        return summary;
+    }
+}
+
+WebVitalsCollector.THRESHOLDS = THRESHOLDS;
+WebVitalsCollector.initScript = webVitalsInitScript;
+
+module.exports = WebVitalsCollector;
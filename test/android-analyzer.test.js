@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AndroidPerformanceAnalyzer = require('../src/mobile/android-analyzer');
+const { installFakeAdb } = require('./helpers/fake-adb');
+
+describe('AndroidPerformanceAnalyzer', () => {
+    let adb;
+    let analyzer;
+
+    beforeEach(async () => {
+        adb = installFakeAdb();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        analyzer = new AndroidPerformanceAnalyzer();
+        await analyzer.initialize();
+    });
+
+    afterEach(async () => {
+        await analyzer.stopMonitoring();
+        jest.restoreAllMocks();
+        adb.restore();
+    });
+
+    test('lists devices from adb', () => {
+        expect(analyzer.devices).toEqual([{ id: 'emulator-5554', status: 'device' }]);
+    });
+
+    test('rejects devices that adb did not report', async () => {
+        await expect(analyzer.selectDevice('emulator-5554; reboot')).rejects.toThrow('Cihaz bulunamadı');
+    });
+
+    test('validates package names', () => {
+        expect(AndroidPerformanceAnalyzer.isValidPackageName('com.example.app')).toBe(true);
+        expect(AndroidPerformanceAnalyzer.isValidPackageName('com.example_app2')).toBe(true);
+        expect(AndroidPerformanceAnalyzer.isValidPackageName('com.example;reboot')).toBe(false);
+        expect(AndroidPerformanceAnalyzer.isValidPackageName('$(reboot)')).toBe(false);
+        expect(AndroidPerformanceAnalyzer.isValidPackageName('../../etc/passwd')).toBe(false);
+        expect(AndroidPerformanceAnalyzer.isValidPackageName(undefined)).toBe(false);
+    });
+
+    test('passes the package to adb as a single argument', async () => {
+        await analyzer.selectDevice('emulator-5554');
+        await analyzer.collectMemoryMetrics('com.example.app');
+
+        expect(adb.calls()).toContainEqual(['-s', 'emulator-5554', 'shell', 'dumpsys', 'meminfo', 'com.example.app']);
+        expect(analyzer.metrics.memory[0].memoryUsageKB).toBe(20480);
+    });
+
+    test('looks up the pid before sampling cpu', async () => {
+        await analyzer.selectDevice('emulator-5554');
+        await analyzer.collectCPUMetrics('com.example.app');
+
+        const calls = adb.calls().slice(-2);
+        expect(calls[0]).toEqual(['-s', 'emulator-5554', 'shell', 'pidof', 'com.example.app']);
+        expect(calls[1]).toEqual(['-s', 'emulator-5554', 'shell', 'top', '-n', '1', '-p', '4321']);
+        expect(analyzer.metrics.cpu[0]).toMatchObject({ cpuUsage: 12.5, processId: '4321' });
+    });
+
+    test('refuses to launch or monitor an unsafe package name', async () => {
+        await analyzer.selectDevice('emulator-5554');
+        const before = adb.calls().length;
+
+        await expect(analyzer.launchApp('com.example;reboot')).rejects.toThrow('Geçersiz paket adı');
+        await expect(analyzer.startMonitoring('$(reboot)', 1000)).rejects.toThrow('Geçersiz paket adı');
+        expect(analyzer.monitoring).toBe(false);
+        expect(adb.calls()).toHaveLength(before);
+    });
+
+    test('does not write reports outside the reports directory', async () => {
+        await expect(analyzer.generateReport('../../tmp/evil', 'json')).rejects.toThrow('Geçersiz paket adı');
+        await expect(analyzer.generateReport('com.example.app', 'xml')).rejects.toThrow('Desteklenmeyen format');
+    });
+
+    test('writes the report under the working directory', async () => {
+        const cwd = process.cwd();
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'android-report-'));
+        process.chdir(dir);
+        try {
+            const reportPath = await analyzer.generateReport('com.example.app', 'csv');
+            expect(path.dirname(reportPath)).toBe(path.join(dir, 'reports'));
+            expect(path.basename(reportPath)).toMatch(/^android-performance-com\.example\.app-.*\.csv$/);
+        } finally {
+            process.chdir(cwd);
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
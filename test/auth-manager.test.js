@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AuthManager = require('../src/web/auth-manager');
+
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+const seconds = (ms) => ms / 1000;
+const cookie = (name, expires) => ({ name, value: 'x', domain: 'shop.com', path: '/', expires });
+
+describe('AuthManager', () => {
+    let dir;
+    let manager;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-manager-'));
+        manager = new AuthManager({ configPath: path.join(dir, 'auth-profiles.json'), stateDir: path.join(dir, 'state') });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('isExpired', () => {
+        const saved = (cookies, savedAt = NOW - 60 * 1000) => ({ state: { cookies }, savedAt });
+
+        test('expires when any persistent cookie has expired', () => {
+            const profile = { maxAge: null, cookies: null };
+            expect(manager.isExpired(saved([cookie('sid', seconds(NOW) + 3600), cookie('pref', -1)]), profile, NOW)).toBe(false);
+            expect(manager.isExpired(saved([cookie('sid', seconds(NOW) + 3600), cookie('old', seconds(NOW) - 1)]), profile, NOW)).toBe(true);
+            expect(manager.isExpired(saved([]), profile, NOW)).toBe(false);
+        });
+
+        test('only watches the listed cookies and requires them to exist', () => {
+            const profile = { maxAge: null, cookies: ['sid'] };
+            // İzlenmeyen cookie'nin süresinin dolması önemsiz
+            expect(manager.isExpired(saved([cookie('sid', -1), cookie('old', seconds(NOW) - 1)]), profile, NOW)).toBe(false);
+            expect(manager.isExpired(saved([cookie('sid', seconds(NOW))]), profile, NOW)).toBe(true);
+            expect(manager.isExpired(saved([cookie('other', seconds(NOW) + 3600)]), profile, NOW)).toBe(true);
+            expect(manager.isExpired({ state: {}, savedAt: NOW }, profile, NOW)).toBe(true);
+        });
+
+        test('expires after maxAge seconds regardless of cookies', () => {
+            const profile = { maxAge: 3600, cookies: null };
+            expect(manager.isExpired(saved([], NOW - 3600 * 1000), profile, NOW)).toBe(false);
+            expect(manager.isExpired(saved([], NOW - 3600 * 1000 - 1), profile, NOW)).toBe(true);
+        });
+    });
+
+    describe('normalize', () => {
+        const login = { url: 'https://shop.com/login', usernameSelector: '#user', passwordSelector: '#pass', usernameEnv: 'SHOP_USER', passwordEnv: 'SHOP_PASS' };
+
+        test('fills defaults and resolves storageState next to the profiles file', () => {
+            expect(manager.normalize('shop', { storageState: 'states/shop.json', login: { ...login, timeout: 5000 }, maxAge: '600', cookies: ['sid'] })).toEqual({
+                name: 'shop',
+                description: null,
+                storageState: path.join(dir, 'states/shop.json'),
+                login: { ...login, timeout: 5000 },
+                maxAge: 600,
+                cookies: ['sid']
+            });
+            expect(manager.normalize('shop', { login, maxAge: -5, cookies: 'sid' })).toMatchObject({
+                storageState: null,
+                login: { ...login, timeout: 30000 },
+                maxAge: null,
+                cookies: null
+            });
+        });
+
+        test('rejects unsafe names, empty profiles and missing login fields', () => {
+            expect(() => manager.normalize('../etc', { storageState: 'a.json' })).toThrow('Geçersiz auth profil adı: ../etc');
+            expect(() => manager.normalize('..', { storageState: 'a.json' })).toThrow('Geçersiz auth profil adı');
+            expect(() => manager.normalize('shop', {})).toThrow('Auth profili "shop": storageState veya login tanımlanmalı');
+            expect(() => manager.normalize('shop', null)).toThrow('storageState veya login tanımlanmalı');
+            const { passwordSelector, passwordEnv, ...partial } = login;
+            expect(() => manager.normalize('shop', { login: partial })).toThrow('Auth profili "shop": login için passwordSelector, passwordEnv gerekli');
+        });
+    });
+
+    describe('storageState', () => {
+        test('uses a fresh saved state and rejects an expired one without a login flow', async () => {
+            const profile = manager.normalize('shop', { storageState: 'shop.json', cookies: ['sid'] });
+            fs.writeFileSync(profile.storageState, JSON.stringify({ cookies: [cookie('sid', seconds(Date.now()) + 3600)], origins: [] }));
+            await expect(manager.storageState(null, profile)).resolves.toMatchObject({ cookies: [{ name: 'sid' }] });
+
+            fs.writeFileSync(profile.storageState, JSON.stringify({ cookies: [], origins: [] }));
+            await expect(manager.storageState(null, profile)).rejects.toThrow('storage state has expired and no login flow is configured');
+
+            fs.rmSync(profile.storageState);
+            await expect(manager.storageState(null, profile)).rejects.toThrow(`storage state file ${profile.storageState} not found`);
+        });
+    });
+});
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BrowserAnalyzer = require('../src/web/browser-analyzer');
+const BudgetEvaluator = require('../src/web/budget-evaluator');
+const ReportManifest = require('../src/storage/report-manifest');
+const HistoryStore = require('../src/storage/history-store');
+const { MemorySessionStore } = require('../src/storage/session-store');
+
+describe('BrowserAnalyzer', () => {
+    let dir;
+    let analyzer;
+    let browserClosed;
+    let video;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'browser-analyzer-'));
+        fs.writeFileSync(path.join(dir, 'budgets.json'), JSON.stringify({ budgets: [{ match: '*', requestCount: 10 }] }));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        let closed = false;
+        browserClosed = false;
+        video = null;
+        const context = {
+            on() {},
+            addInitScript: async () => {},
+            exposeBinding: async () => {},
+            exposeFunction: async () => {},
+            route: async () => {},
+            newCDPSession: async () => { throw new Error('CDP not available'); },
+            close: async () => { closed = true; }
+        };
+        const page = {
+            on() {},
+            isClosed: () => closed,
+            evaluate: async () => ({}),
+            addInitScript: async () => {},
+            url: () => 'https://shop.example.com/',
+            goto: async () => {},
+            waitForLoadState: async () => {},
+            waitForTimeout: async () => {},
+            title: async () => 'Shop',
+            video: () => video,
+            context: () => context
+        };
+        context.newPage = async () => page;
+
+        analyzer = new BrowserAnalyzer({
+            store: new MemorySessionStore(),
+            history: new HistoryStore({ type: 'memory' }),
+            reportManifest: new ReportManifest(path.join(dir, 'reports')),
+            budgetEvaluator: new BudgetEvaluator({ configPath: path.join(dir, 'budgets.json') })
+        });
+        analyzer.launchBrowser = async () => ({ newContext: async () => context, close: async () => { browserClosed = true; } });
+        analyzer.pageSpeedAnalyzer.generatePageSpeedReport = async () => { throw new Error('offline'); };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('builds the same report data for a running and a stopped session', async () => {
+        const reports = [];
+        const generate = analyzer.generateReportWithData.bind(analyzer);
+        analyzer.generateReportWithData = async (reportData) => {
+            reports.push(reportData);
+            return generate(reportData);
+        };
+
+        const sessionId = await analyzer.startAnalysis('https://shop.example.com/', 'firefox');
+        await analyzer.generateReport(sessionId);
+        await analyzer.stopAnalysis(sessionId);
+
+        const [running, stopped] = reports;
+        expect(Object.keys(running).sort()).toEqual(Object.keys(stopped).filter(key => key !== 'filmstrip').sort());
+        expect(running).toMatchObject({ mode: stopped.mode, video: null, budget: { status: 'pass' } });
+        expect(running.metrics.networkSummary).toEqual(stopped.metrics.networkSummary);
+    });
+
+    test('saves the video before the browser closes', async () => {
+        // Playwright'ta video artifact'i tarayıcıya bağlıdır; tarayıcı kapanınca saveAs hata verir
+        video = {
+            saveAs: async (videoPath) => {
+                if (browserClosed) throw new Error('Target page, context or browser has been closed');
+                fs.writeFileSync(videoPath, 'webm');
+            },
+            delete: async () => {
+                if (browserClosed) throw new Error('Target page, context or browser has been closed');
+            }
+        };
+
+        const sessionId = await analyzer.startAnalysis('https://shop.example.com/', 'chrome', { recordVideo: true });
+        const result = await analyzer.stopAnalysis(sessionId);
+
+        expect(result.video).toMatchObject({ filename: 'session.webm' });
+        expect(fs.existsSync(path.join(analyzer.reportManifest.sessionDir(sessionId), 'session.webm'))).toBe(true);
+        expect(console.warn).not.toHaveBeenCalledWith('Video kaydedilemedi:', expect.anything());
+    });
+});
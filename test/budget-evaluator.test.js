@@ -0,0 +1,101 @@
+const BudgetEvaluator = require('../src/web/budget-evaluator');
+
+const sizes = (responseHeadersSize, responseBodySize) => ({ requestHeadersSize: 300, requestBodySize: 0, responseHeadersSize, responseBodySize });
+
+describe('BudgetEvaluator', () => {
+    const evaluator = new BudgetEvaluator({ configPath: '/nonexistent/budgets.json' });
+
+    test('treats other sites under the same country domain as third-party', () => {
+        expect(evaluator.isThirdParty('https://cdn.shop.com.tr/app.js', 'https://www.shop.com.tr/')).toBe(false);
+        expect(evaluator.isThirdParty('https://tags.other.com.tr/t.js', 'https://www.shop.com.tr/')).toBe(true);
+        expect(evaluator.isThirdParty('https://static.bbc.co.uk/a.css', 'https://news.bbc.co.uk/')).toBe(false);
+        expect(evaluator.isThirdParty('https://ads.example.co.uk/a.js', 'https://news.bbc.co.uk/')).toBe(true);
+        expect(evaluator.isThirdParty('not a url', 'https://news.bbc.co.uk/')).toBe(false);
+    });
+
+    test('sizes session requests by the bytes transferred over the network', () => {
+        const [page] = evaluator.pagesFromSession({
+            url: 'https://www.shop.com.tr/',
+            startTime: 0,
+            metrics: {
+                networkRequests: [
+                    { id: '1', url: 'https://www.shop.com.tr/', resourceType: 'document', startTime: 10, sizes: sizes(400, 5000) },
+                    { id: '2', url: 'https://www.shop.com.tr/app.js', resourceType: 'script', startTime: 20, sizes: sizes(300, 20000) },
+                    // Önbellekten geldi
+                    { id: '3', url: 'https://www.shop.com.tr/logo.png', resourceType: 'image', startTime: 30, sizes: sizes(0, 0) },
+                    // Sayfa kapanırken bitmedi
+                    { id: '4', url: 'https://tags.other.com.tr/t.js', resourceType: 'script', startTime: 40 }
+                ],
+                // Açılmış gövde ve content-length boyut için kullanılmaz
+                networkResponses: [
+                    { requestId: '2', url: 'https://www.shop.com.tr/app.js', headers: { 'content-length': '999999' }, responseSize: 80000, endTime: 25 },
+                    { requestId: '4', url: 'https://tags.other.com.tr/t.js', headers: {}, responseSize: 5000, endTime: 45 }
+                ]
+            }
+        });
+
+        expect(page.requests.map(request => request.size)).toEqual([5400, 20300, 0, 0]);
+    });
+
+    test('checks resource size budgets against transfer sizes', () => {
+        const result = evaluator.evaluatePages(
+            [{ match: '*', resourceSizes: { script: 20 }, thirdPartySize: 1 }],
+            [{
+                url: 'https://www.shop.com.tr/',
+                requests: [
+                    { url: 'https://www.shop.com.tr/app.js', resourceType: 'script', size: 20300 },
+                    { url: 'https://tags.other.com.tr/t.js', resourceType: 'script', size: 2048 }
+                ]
+            }]
+        );
+
+        expect(result.status).toBe('fail');
+        expect(result.pages[0].checks).toEqual([
+            expect.objectContaining({ metric: 'script', actual: 21.8, status: 'fail' }),
+            expect.objectContaining({ metric: 'thirdPartySize', actual: 2, status: 'fail' })
+        ]);
+    });
+
+    test('assigns each request to the page that was open when it started', () => {
+        const pages = evaluator.pagesFromSession({
+            url: 'https://www.shop.com.tr/',
+            metrics: {
+                webVitals: [
+                    { navigationId: 'b', url: 'https://www.shop.com.tr/cart', startedAt: 1000, lcp: 900 },
+                    { navigationId: 'a', url: 'https://www.shop.com.tr/', startedAt: 0, lcp: 1200 }
+                ],
+                networkRequests: [
+                    { url: 'https://www.shop.com.tr/', startTime: 5, sizes: sizes(100, 1000) },
+                    { url: 'https://www.shop.com.tr/cart', startTime: 1005, sizes: sizes(100, 2000) },
+                    { url: 'https://www.shop.com.tr/cart.js', startTime: 1010, sizes: sizes(100, 3000) }
+                ]
+            }
+        });
+
+        expect(pages.map(page => [page.url, page.requests.length])).toEqual([
+            ['https://www.shop.com.tr/', 1],
+            ['https://www.shop.com.tr/cart', 2]
+        ]);
+    });
+
+    test('measures session load time from navigation start, not the onload handlers', () => {
+        const [page] = evaluator.pagesFromSession({
+            url: 'https://www.shop.com.tr/',
+            metrics: {
+                navigationEvents: [{
+                    type: 'page_load',
+                    url: 'https://www.shop.com.tr/',
+                    // loadEventEnd - loadEventStart
+                    loadTime: 4.2,
+                    data: { domContentLoadedEventEnd: 2100.4, loadEventStart: 3615.3, loadEventEnd: 3619.5 }
+                }]
+            }
+        });
+        expect(page.loadTime).toBe(3620);
+
+        const result = evaluator.evaluatePages([{ match: '*', timings: { loadTime: 3000 } }], [page]);
+        expect(result.pages[0].checks).toEqual([
+            expect.objectContaining({ metric: 'loadTime', actual: 3620, status: 'fail' })
+        ]);
+    });
+});
@@ -0,0 +1,88 @@
+const ComparisonReport = require('../src/web/comparison-report');
+
+const sizes = (responseHeadersSize, responseBodySize) => ({ requestHeadersSize: 300, requestBodySize: 0, responseHeadersSize, responseBodySize });
+
+const request = (url, resourceType, size) => ({ url, method: 'GET', resourceType, startTime: 10, sizes: sizes(200, size - 200) });
+
+// responseSize açılmış gövdenin metin uzunluğu; karşılaştırma bunu değil transfer boyutunu kullanır
+const response = (url, responseSize) => ({ url, status: 200, responseSize, duration: 50, endTime: 60, headers: {} });
+
+const session = (sessionId, requests, responses, extra = {}) => ({
+    sessionId,
+    url: 'https://www.shop.com/',
+    browserType: 'chrome',
+    startTime: 1000,
+    metrics: { networkRequests: requests, networkResponses: responses, errors: [], networkErrors: [], ...extra }
+});
+
+describe('ComparisonReport', () => {
+    const report = new ComparisonReport();
+    const processed = (domains) => ({ networkStats: { domains } });
+
+    test('compares third-party domains by registrable site', () => {
+        const thirdParty = report.compareThirdParty(
+            'https://www.shop.com.tr/',
+            processed({ 'www.shop.com.tr': 10, 'cdn.shop.com.tr': 4, 'tags.other.com.tr': 2 }),
+            'https://www.shop.com.tr/',
+            processed({ 'www.shop.com.tr': 12, 'cdn.shop.com.tr': 5, 'ads.partner.co.uk': 3 })
+        );
+
+        expect(thirdParty).toEqual({
+            added: [{ domain: 'ads.partner.co.uk', requests: 3 }],
+            removed: [{ domain: 'tags.other.com.tr', requests: 2 }],
+            unchanged: []
+        });
+    });
+
+    test('compares transfer sizes per resource type and in total', () => {
+        const baseline = session('a', [
+            request('https://www.shop.com/', 'document', 6000),
+            request('https://www.shop.com/app.js', 'script', 40000),
+            request('https://www.shop.com/hero.jpg', 'image', 300000)
+        ], [
+            response('https://www.shop.com/', 25000),
+            response('https://www.shop.com/app.js', 160000),
+            response('https://www.shop.com/hero.jpg', 280000)
+        ]);
+        const candidate = session('b', [
+            request('https://www.shop.com/', 'document', 6000),
+            request('https://www.shop.com/app.js', 'script', 20000),
+            request('https://www.shop.com/hero.jpg', 'image', 120000),
+            request('https://tags.other.com/t.js', 'script', 8000)
+        ], [
+            response('https://www.shop.com/', 25000),
+            response('https://www.shop.com/app.js', 80000),
+            response('https://www.shop.com/hero.jpg', 110000),
+            response('https://tags.other.com/t.js', 30000)
+        ], { errors: [{ type: 'javascript', message: 'x is undefined' }] });
+
+        const comparison = report.compare(baseline, candidate);
+
+        expect(comparison.totals.find(item => item.label === 'Transferred')).toMatchObject({
+            before: 346000,
+            after: 154000,
+            change: -192000,
+            status: 'improvement'
+        });
+        expect(comparison.totals.find(item => item.label === 'Requests')).toMatchObject({ before: 3, after: 4, status: 'regression' });
+        expect(comparison.resources.map(({ type, count, bytes }) => [type, count.after, bytes.before, bytes.after, bytes.status])).toEqual([
+            ['document', 1, 6000, 6000, 'unchanged'],
+            ['image', 1, 300000, 120000, 'improvement'],
+            ['script', 2, 40000, 28000, 'improvement']
+        ]);
+        expect(comparison.thirdParty.added).toEqual([{ domain: 'tags.other.com', requests: 1 }]);
+        expect(comparison.errors.added).toEqual([expect.objectContaining({ message: 'x is undefined', count: 1 })]);
+        expect(comparison.warnings).toEqual([]);
+    });
+
+    test('warns when sessions ran under different conditions', () => {
+        const comparison = report.compare(
+            session('a', [], []),
+            { ...session('b', [], []), networkProfile: { name: 'fast-3g', latency: 150, download: 1600, upload: 768 }, cpuSlowdown: 4 }
+        );
+        expect(comparison.warnings).toEqual([
+            expect.stringContaining('different network profiles'),
+            expect.stringContaining('different CPU slowdown')
+        ]);
+    });
+});
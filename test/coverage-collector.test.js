@@ -0,0 +1,76 @@
+const CoverageCollector = require('../src/web/coverage-collector');
+
+const source = (length) => 'x'.repeat(length);
+const range = (startOffset, endOffset, count) => ({ startOffset, endOffset, count });
+
+describe('CoverageCollector', () => {
+    const collector = new CoverageCollector();
+
+    test('lets inner V8 block ranges override the outer ones', () => {
+        // [0,100) çalıştı, [20,50) çalışmadı, onun içindeki [30,40) çalıştı; ayrı fonksiyonda [60,70) çalışmadı
+        const used = collector.jsUsage({
+            source: source(100),
+            functions: [
+                { ranges: [range(20, 50, 0), range(0, 100, 1), range(30, 40, 2)] },
+                { ranges: [range(60, 70, 0)] }
+            ]
+        });
+        const usedAt = (start, end) => Array.from(used.slice(start, end)).every(value => value === 1);
+        const unusedAt = (start, end) => Array.from(used.slice(start, end)).every(value => value === 0);
+
+        expect(used.reduce((sum, value) => sum + value, 0)).toBe(70);
+        expect(usedAt(0, 20) && usedAt(30, 40) && usedAt(50, 60) && usedAt(70, 100)).toBe(true);
+        expect(unusedAt(20, 30) && unusedAt(40, 50) && unusedAt(60, 70)).toBe(true);
+    });
+
+    test('clamps ranges to the source length', () => {
+        expect(Array.from(collector.jsUsage({ source: source(4), functions: [{ ranges: [range(2, 10, 1)] }] }))).toEqual([0, 0, 1, 1]);
+        expect(Array.from(collector.cssUsage({ text: source(4), ranges: [{ start: 3, end: 10 }] }))).toEqual([0, 0, 0, 1]);
+    });
+
+    test('summarizes unused bytes per resource and party', () => {
+        const app = 'https://shop.com/app.js';
+        const summary = collector.summarize({
+            js: [
+                { url: app, source: source(100), functions: [{ ranges: [range(0, 100, 1), range(20, 50, 0)] }] },
+                // İkinci navigation'da aynı script: [30,40) burada çalıştı, kullanım birleştirilir
+                { url: app, source: source(100), functions: [{ ranges: [range(0, 100, 1), range(20, 30, 0), range(30, 40, 1)] }] },
+                // Aynı sayfadaki iki inline script toplanır
+                { url: 'https://shop.com/', source: source(10), functions: [{ ranges: [range(0, 10, 1)] }] },
+                { url: 'https://shop.com/', source: source(6), functions: [{ ranges: [range(0, 6, 0)] }] },
+                { url: 'https://cdn.other.net/widget.js', source: source(50), functions: [{ ranges: [range(0, 50, 0)] }] },
+                { url: '', source: source(30), functions: [] },
+                { url: 'https://shop.com/no-source.js' }
+            ],
+            css: [{ url: 'https://static.shop.com/site.css', text: source(40), ranges: [{ start: 0, end: 10 }] }]
+        }, 'https://www.shop.com/');
+
+        expect(summary.resourceCount).toBe(4);
+        expect(summary.resources.map(({ url, type, party, totalBytes, usedBytes, unusedBytes }) => [url, type, party, totalBytes, usedBytes, unusedBytes])).toEqual([
+            ['https://cdn.other.net/widget.js', 'js', 'thirdParty', 50, 0, 50],
+            ['https://static.shop.com/site.css', 'css', 'firstParty', 40, 10, 30],
+            [app, 'js', 'firstParty', 100, 90, 10],
+            ['https://shop.com/', 'js', 'firstParty', 16, 10, 6]
+        ]);
+        expect(summary.totals).toEqual({
+            js: { totalBytes: 166, usedBytes: 100, unusedBytes: 66, unusedPercent: 39.8 },
+            css: { totalBytes: 40, usedBytes: 10, unusedBytes: 30, unusedPercent: 75 },
+            all: { totalBytes: 206, usedBytes: 110, unusedBytes: 96, unusedPercent: 46.6 }
+        });
+        expect(summary.firstParty.all).toEqual({ totalBytes: 156, usedBytes: 110, unusedBytes: 46, unusedPercent: 29.5 });
+        expect(summary.thirdParty.css).toEqual({ totalBytes: 0, usedBytes: 0, unusedBytes: 0, unusedPercent: 0 });
+    });
+
+    test('caps the resource list but not the totals', () => {
+        const js = Array.from({ length: CoverageCollector.MAX_RESOURCES + 5 }, (_, index) => ({
+            url: `https://shop.com/${index}.js`,
+            source: source(2),
+            functions: [{ ranges: [range(0, 2, 0)] }]
+        }));
+        const summary = collector.summarize({ js }, 'https://shop.com/');
+
+        expect(summary.resourceCount).toBe(CoverageCollector.MAX_RESOURCES + 5);
+        expect(summary.resources).toHaveLength(CoverageCollector.MAX_RESOURCES);
+        expect(summary.totals.js.unusedBytes).toBe((CoverageCollector.MAX_RESOURCES + 5) * 2);
+    });
+});
@@ -0,0 +1,105 @@
+const FilmstripRecorder = require('../src/web/filmstrip-recorder');
+const { encodePng, solidFrame } = require('./helpers/png');
+
+// Her satırda ve kanalda farklı değerler; filtrelerin tahmin farkları sıfır olmasın
+const gradient = (width, height, channels) => Buffer.from(
+    Array.from({ length: width * height * channels }, (_, index) => (index * 37 + Math.floor(index / 7) * 11) & 0xff)
+);
+
+describe('FilmstripRecorder', () => {
+    const recorder = new FilmstripRecorder();
+    const { decodePng } = FilmstripRecorder;
+
+    test.each([[3, 'RGB'], [4, 'RGBA']])('decodes %i-channel (%s) PNGs with all five row filters', (channels) => {
+        const pixels = gradient(7, 10, channels);
+        const image = decodePng(encodePng({ width: 7, height: 10, channels, pixels, filters: [0, 1, 2, 3, 4] }));
+
+        expect(image).toMatchObject({ width: 7, height: 10, channels });
+        expect(image.pixels.equals(pixels)).toBe(true);
+    });
+
+    test.each([0, 1, 2, 3, 4])('decodes an image that only uses filter %i', (filter) => {
+        const pixels = gradient(5, 6, 3);
+        expect(decodePng(encodePng({ width: 5, height: 6, pixels, filters: [filter] })).pixels.equals(pixels)).toBe(true);
+    });
+
+    test('rejects data that is not a supported PNG', () => {
+        expect(() => decodePng(Buffer.from('GIF89a........'))).toThrow('Not a PNG image');
+        expect(() => decodePng(encodePng({ width: 1, height: 1, pixels: Buffer.alloc(6), bitDepth: 16 }))).toThrow('Unsupported PNG format');
+    });
+
+    test('builds per-channel histograms as fractions of the sampled pixels', () => {
+        const image = { width: 2, height: 2, channels: 3, pixels: Buffer.from([0, 0, 0, 255, 255, 255, 0, 128, 255, 255, 255, 255]) };
+        const histogram = recorder.histogram(image);
+
+        expect(histogram[0][0]).toBe(0.5);
+        expect(histogram[0][255]).toBe(0.5);
+        expect(histogram[1][128]).toBe(0.25);
+        expect(histogram[2][255]).toBe(0.75);
+        expect(histogram.map(channel => channel.reduce((sum, value) => sum + value, 0))).toEqual([1, 1, 1]);
+
+        // sampleLimit aşılınca her step'inci piksel örneklenir
+        const sampled = new FilmstripRecorder({ sampleLimit: 2 }).histogram(image);
+        expect(sampled[0][0]).toBe(1);
+        expect(sampled[1][128]).toBe(0.5);
+    });
+
+    describe('visual metrics', () => {
+        const navigationStart = 50000;
+        const capture = (frames) => frames.map(([time, png]) => ({ timestamp: navigationStart + time, data: png.toString('base64') }));
+
+        test('computes Speed Index from visual progress', () => {
+            const result = recorder.build(navigationStart, capture([
+                [0, solidFrame()],
+                [400, solidFrame({ filled: 5, filters: [1, 4] })],
+                [1000, solidFrame({ filled: 10, filters: [2, 3] })],
+                // Değişiklik yok; görsel değişiklik sayılmaz
+                [1600, solidFrame({ filled: 10 })]
+            ]), 'screencast');
+
+            // 400ms boyunca %0, 600ms boyunca %50 eksik: 400 + 300
+            expect(result.metrics).toEqual({
+                speedIndex: 700,
+                firstVisualChange: 400,
+                visuallyComplete: 1000,
+                lastVisualChange: 1000,
+                frames: 3,
+                progress: [{ time: 0, progress: 0 }, { time: 400, progress: 0.5 }, { time: 1000, progress: 1 }]
+            });
+            expect(result.frames.map(frame => frame.time)).toEqual([0, 400, 1000]);
+        });
+
+        test('separates Visually Complete from the Last Visual Change', () => {
+            const result = recorder.build(navigationStart, capture([
+                [200, solidFrame({ filled: 2 })],
+                [800, solidFrame({ filled: 10 })],
+                // Spinner/banner geçici olarak içeriği değiştirir, sonra son hale döner
+                [1300, solidFrame({ filled: 10, color: [255, 0, 0] })],
+                [2100, solidFrame({ filled: 10 })]
+            ]), 'screenshot');
+
+            // 200ms boş, 600ms %20 dolu
+            expect(result.metrics).toMatchObject({
+                speedIndex: 680,
+                firstVisualChange: 200,
+                visuallyComplete: 800,
+                lastVisualChange: 2100,
+                frames: 4
+            });
+        });
+
+        test('ignores frames that cannot be decoded and returns no metrics without frames', () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const result = recorder.build(navigationStart, [{ timestamp: navigationStart, data: Buffer.from('broken').toString('base64') }], 'screenshot');
+            expect(result).toEqual({ method: 'screenshot', navigationStart, metrics: null, frames: [] });
+            expect(console.warn).toHaveBeenCalledWith('Filmstrip karesi çözülemedi:', 'Not a PNG image');
+            jest.restoreAllMocks();
+        });
+
+        test('keeps the first and last frame when selecting frames for the report', () => {
+            const frames = Array.from({ length: 30 }, (_, index) => ({ time: index * 100 }));
+            const selected = new FilmstripRecorder({ maxFrames: 4 }).select(frames);
+            expect(selected.map(frame => frame.time)).toEqual([0, 1000, 1900, 2900]);
+        });
+    });
+});
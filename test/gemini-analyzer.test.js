@@ -0,0 +1,102 @@
+const GeminiAnalyzer = require('../src/web/gemini-analyzer');
+
+const response = {
+    summary: 'LCP is slow because of a large hero image.',
+    assessment: 'poor',
+    priorities: [
+        { title: 'Defer chat widget', impact: 'low', effort: 'low', category: 'javascript', evidence: 'chat.js 300 KB', actions: ['load on interaction'] },
+        { title: 'Compress hero image', impact: 'HIGH', effort: 'low', category: 'images', evidence: 'hero.jpg 1.2 MB', actions: ['serve AVIF'] },
+        { title: 'Preconnect CDN', impact: 'medium', effort: 'low', actions: 'not a list' },
+        { title: 'Split main bundle', impact: 'high', effort: 'unknown' },
+        { impact: 'high' }
+    ],
+    quickWins: ['Add width/height to images', 42]
+};
+
+describe('GeminiAnalyzer', () => {
+    const analyzer = new GeminiAnalyzer({ apiKey: '' });
+
+    test('defaults to a currently served model', () => {
+        expect(analyzer.model).toBe('gemini-2.5-flash');
+        expect(new GeminiAnalyzer({ model: 'gemini-2.5-pro' }).model).toBe('gemini-2.5-pro');
+    });
+
+    test('parses code-fenced JSON and sorts priorities by impact', () => {
+        const result = analyzer.parseResponse('```json\n' + JSON.stringify(response) + '\n```');
+
+        expect(result.summary).toBe(response.summary);
+        expect(result.assessment).toBe('poor');
+        // Aynı etki seviyesinde modelin sırası korunur; başlıksız madde atlanır
+        expect(result.priorities.map(item => [item.rank, item.title, item.impact])).toEqual([
+            [1, 'Compress hero image', 'high'],
+            [2, 'Split main bundle', 'high'],
+            [3, 'Preconnect CDN', 'medium'],
+            [4, 'Defer chat widget', 'low']
+        ]);
+        expect(result.priorities[1]).toMatchObject({ effort: 'medium', category: 'other', evidence: '', actions: [] });
+        expect(result.priorities[2].actions).toEqual([]);
+        expect(result.quickWins).toEqual(['Add width/height to images', '42']);
+    });
+
+    test('fills defaults for a minimal response', () => {
+        expect(analyzer.parseResponse('{"assessment":"great"}')).toEqual({
+            summary: '',
+            assessment: 'needs-improvement',
+            priorities: [],
+            quickWins: []
+        });
+    });
+
+    test('rejects responses that are not JSON', () => {
+        expect(() => analyzer.parseResponse('Sorry, I cannot help with that.')).toThrow('Gemini yanıtı JSON değil');
+        expect(() => analyzer.parseResponse('')).toThrow('Gemini yanıtı JSON değil');
+    });
+
+    test('analyzes a session with a stub client', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const prompts = [];
+        const stub = new GeminiAnalyzer({
+            language: 'Turkish',
+            client: {
+                generateContent: async (prompt) => {
+                    prompts.push(prompt);
+                    return JSON.stringify(response);
+                }
+            }
+        });
+
+        expect(stub.isEnabled()).toBe(true);
+        const result = await stub.analyze(
+            { sessionId: 's1', url: 'https://shop.example.com/', browserType: 'chrome', cpuSlowdown: 4, duration: 12000 },
+            { metrics: {}, budget: { violations: [{ url: 'https://shop.example.com/', label: 'LCP', actual: 4100, limit: 2500, unit: 'ms' }] } }
+        );
+
+        expect(result).toMatchObject({
+            sessionId: 's1',
+            url: 'https://shop.example.com/',
+            cpuSlowdown: 4,
+            model: 'gemini-2.5-flash',
+            language: 'Turkish',
+            assessment: 'poor'
+        });
+        expect(result.priorities[0].title).toBe('Compress hero image');
+
+        expect(prompts).toHaveLength(1);
+        expect(prompts[0]).toContain('Write every text field in Turkish.');
+        const context = JSON.parse(prompts[0].slice(prompts[0].indexOf('Measurements:') + 'Measurements:'.length));
+        expect(context).toMatchObject({ url: 'https://shop.example.com/', durationSeconds: 12, budgetViolations: [{ metric: 'LCP', actual: 4100, limit: 2500 }] });
+        jest.restoreAllMocks();
+    });
+
+    test('times out a client that does not answer', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const stub = new GeminiAnalyzer({ timeout: 10, client: { generateContent: () => new Promise(() => {}) } });
+        await expect(stub.analyze({ url: 'https://shop.example.com/' }, { metrics: {} })).rejects.toThrow('Gemini API timeout');
+        jest.restoreAllMocks();
+    });
+
+    test('requires an API key without a client', () => {
+        expect(analyzer.isEnabled()).toBe(false);
+        expect(() => analyzer.getClient()).toThrow('GEMINI_API_KEY tanımlı değil');
+    });
+});
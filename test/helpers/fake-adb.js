@@ -0,0 +1,43 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Geçici dizine yazılan sahte adb: her çağrının argümanlarını log dosyasına yazar,
+// cihaz ve metrik komutlarına sabit çıktı verir. Dizini PATH'in başına eklenir,
+// restore() PATH'i geri alır
+const script = (log) => `#!/bin/sh
+for arg in "$@"; do printf '%s\\037' "$arg"; done >> '${log}'
+echo >> '${log}'
+case "$*" in
+    version) echo "Android Debug Bridge version 1.0.41" ;;
+    devices) printf 'List of devices attached\\nemulator-5554\\tdevice\\n' ;;
+    *"pidof"*) echo "4321" ;;
+    *"top -n 1 -p 4321"*) echo "4321 u0_a1 10 -10 1.2G 100M 50M S 12.5 3.0 0:01.00 com.example.app" ;;
+    *"dumpsys meminfo"*) echo "   TOTAL PSS:    20480" ;;
+    *"dumpsys battery"*) printf '  level: 80\\n  temperature: 300\\n' ;;
+esac
+`;
+
+function installFakeAdb() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-adb-'));
+    const log = path.join(dir, 'calls.log');
+    const adbPath = path.join(dir, 'adb');
+    fs.writeFileSync(adbPath, script(log), { mode: 0o755 });
+    fs.writeFileSync(log, '');
+
+    const originalPath = process.env.PATH;
+    process.env.PATH = `${dir}${path.delimiter}${originalPath}`;
+
+    return {
+        adbPath,
+        // Her çağrı argüman dizisi olarak
+        calls: () => fs.readFileSync(log, 'utf8').split('\n').filter(Boolean)
+            .map(line => line.split('\x1f').slice(0, -1)),
+        restore: () => {
+            process.env.PATH = originalPath;
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = { installFakeAdb };
@@ -0,0 +1,78 @@
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+function paeth(left, up, upLeft) {
+    const p = left + up - upLeft;
+    const pa = Math.abs(p - left);
+    const pb = Math.abs(p - up);
+    const pc = Math.abs(p - upLeft);
+    return pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+}
+
+// Test kareleri için PNG kodlayıcı: satır y, filters[y % filters.length] filtresiyle yazılır
+// (0 None, 1 Sub, 2 Up, 3 Average, 4 Paeth); IDAT iki parçaya bölünür
+function encodePng({ width, height, channels = 3, pixels, filters = [0], bitDepth = 8 }) {
+    const stride = width * channels;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const filter = filters[y % filters.length];
+        raw[y * (stride + 1)] = filter;
+        for (let x = 0; x < stride; x++) {
+            const value = pixels[y * stride + x];
+            const left = x >= channels ? pixels[y * stride + x - channels] : 0;
+            const up = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+            const upLeft = y > 0 && x >= channels ? pixels[(y - 1) * stride + x - channels] : 0;
+            const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter];
+            raw[y * (stride + 1) + 1 + x] = (value - predictor) & 0xff;
+        }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = bitDepth;
+    header[9] = channels === 4 ? 6 : 2;
+    const data = zlib.deflateSync(raw);
+    const half = Math.floor(data.length / 2);
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', data.subarray(0, half)),
+        chunk('IDAT', data.subarray(half)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// Üstten itibaren ilk filled satırı renkli (RGB), kalanı beyaz kare
+function solidFrame({ width = 10, height = 10, filled = 0, color = [0, 0, 0], filters = [0] } = {}) {
+    const pixels = Buffer.alloc(width * height * 3, 255);
+    for (let y = 0; y < filled; y++) {
+        for (let x = 0; x < width; x++) {
+            pixels.set(color, (y * width + x) * 3);
+        }
+    }
+    return encodePng({ width, height, pixels, filters });
+}
+
+module.exports = { encodePng, solidFrame };
@@ -0,0 +1,96 @@
+const HistoryStore = require('../src/storage/history-store');
+const BudgetEvaluator = require('../src/web/budget-evaluator');
+
+const sizes = (responseHeadersSize, responseBodySize) => ({ requestHeadersSize: 300, requestBodySize: 0, responseHeadersSize, responseBodySize });
+
+const session = (sessionId, startTime, overrides = {}) => ({
+    sessionId,
+    url: 'https://www.shop.com/?utm_source=mail&b=2&a=1#top',
+    browserType: 'Chrome',
+    startTime,
+    duration: 5000,
+    metrics: {
+        webVitals: [
+            { url: 'https://www.shop.com/', startedAt: 0, fcp: 800, lcp: 1900, cls: 0.02 },
+            { url: 'https://www.shop.com/cart', startedAt: 3000, fcp: 700, lcp: 2400, cls: 0.1 }
+        ],
+        navigationEvents: [
+            // loadTime sadece onload handler'larının süresi
+            { type: 'page_load', url: 'https://www.shop.com/', loadTime: 3, data: { loadEventStart: 2797, loadEventEnd: 2800 } },
+            { type: 'page_load', url: 'https://www.shop.com/cart', loadTime: 5, data: { loadEventStart: 2195, loadEventEnd: 2200 } },
+            { type: 'navigation', url: 'https://www.shop.com/cart' }
+        ],
+        networkRequests: [
+            { url: 'https://www.shop.com/', resourceType: 'document', startTime: 10, sizes: sizes(400, 5000) },
+            { url: 'https://www.shop.com/app.js', resourceType: 'script', startTime: 20, sizes: sizes(300, 20000) },
+            { url: 'https://www.shop.com/logo.png', resourceType: 'image', startTime: 30 }
+        ],
+        // Açılmış gövde ve content-length transfer boyutuna girmez
+        networkResponses: [
+            { url: 'https://www.shop.com/app.js', headers: { 'content-length': '999999' }, responseSize: 80000 }
+        ],
+        errors: [{ message: 'x is undefined' }],
+        networkErrors: []
+    },
+    ...overrides
+});
+
+describe('HistoryStore', () => {
+    let history;
+
+    beforeEach(() => {
+        history = new HistoryStore({ type: 'memory' });
+    });
+
+    test('normalizes URLs so the same page lands in one series', () => {
+        expect(history.normalizeUrl('https://WWW.Shop.com/cart/?utm_source=x&b=2&a=1#reviews')).toBe('https://www.shop.com/cart?a=1&b=2');
+        expect(history.normalizeUrl('https://www.shop.com/?gclid=abc')).toBe('https://www.shop.com');
+        expect(history.normalizeUrl(' not a url ')).toBe('not a url');
+    });
+
+    test('extracts load time and transfer size the same way as budgets', () => {
+        const reportData = session('s1', 1000);
+        const metrics = history.extractMetrics(reportData);
+
+        expect(metrics).toEqual({
+            loadTime: 2500,
+            fcp: 800,
+            lcp: 2400,
+            cls: 0.1,
+            transferSize: 25700,
+            errorCount: 1,
+            requestCount: 3
+        });
+
+        const pages = new BudgetEvaluator({ configPath: '/nonexistent/budgets.json' }).pagesFromSession(reportData);
+        expect(pages.flatMap(page => page.requests).reduce((sum, request) => sum + request.size, 0)).toBe(metrics.transferSize);
+        expect(pages.map(page => page.loadTime)).toEqual([2800, 2200]);
+    });
+
+    test('records runs and queries them oldest first by url and settings', async () => {
+        await history.record(session('s2', 2000));
+        await history.record(session('s1', 1000));
+        await history.record(session('s3', 3000, { browserType: 'firefox' }));
+        await history.record(session('s4', 4000, { networkProfile: { name: 'fast-3g' } }));
+
+        const runs = await history.query({ url: 'https://www.shop.com/?a=1&b=2', browserType: 'CHROME', network: 'none' });
+        expect(runs.map(run => run.sessionId)).toEqual(['s1', 's2']);
+        expect(runs[0]).toMatchObject({ url: 'https://www.shop.com?a=1&b=2', device: 'desktop', cpuSlowdown: 1, mode: 'interactive' });
+        expect((await history.query({ limit: 1 })).map(run => run.sessionId)).toEqual(['s4']);
+
+        const [entry] = await history.listUrls();
+        expect(entry).toMatchObject({ runs: 4, browsers: ['chrome', 'firefox'], lastRun: 4000 });
+    });
+
+    test('backfills only completed sessions that are not recorded yet', async () => {
+        await history.record(session('s1', 1000));
+        const sessions = [
+            { ...session('s1', 1000), status: 'completed' },
+            { ...session('s2', 2000), status: 'completed' },
+            { ...session('s3', 3000), status: 'running' }
+        ];
+
+        expect(await history.backfill({ list: async () => sessions })).toBe(1);
+        expect((await history.query()).map(run => run.sessionId)).toEqual(['s1', 's2']);
+    });
+});
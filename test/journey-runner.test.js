@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JourneyRunner = require('../src/web/journey-runner');
+
+const sizes = (responseHeadersSize, responseBodySize) => ({ requestHeadersSize: 300, requestBodySize: 0, responseHeadersSize, responseBodySize });
+
+// Adımlar sırasında sayfa dinleyicileri gibi session metriklerine istek/yanıt ekleyen sahte sayfa
+function fakeSession() {
+    const metrics = { networkRequests: [], networkResponses: [], networkErrors: [], errors: [], webVitals: [] };
+    let nextId = 1;
+    let currentUrl = 'about:blank';
+
+    const request = (url) => {
+        const entry = { id: String(nextId++), url, resourceType: 'fetch', startTime: Date.now() };
+        metrics.networkRequests.push(entry);
+        return entry;
+    };
+    // Boyutlar requestfinished'da request.sizes() ile eklenir; responseSize açılmış gövdenin uzunluğu
+    const respond = (entry, duration, size) => {
+        metrics.networkResponses.push({ requestId: entry.id, url: entry.url, status: 200, duration, responseSize: 99999 });
+        entry.sizes = sizes(200, size - 200);
+    };
+
+    const page = {
+        url: () => currentUrl,
+        goto: async (url) => {
+            currentUrl = url;
+            respond(request(url), 120, 6000);
+        },
+        locator: (selector) => ({
+            first: () => ({
+                click: async () => {
+                    if (selector === '#missing') throw new Error('Timeout 100ms exceeded.\n  waiting for locator');
+                    // Yanıtı bir sonraki adım sırasında gelen istek
+                    page.pending = request('https://shop.com/api/cart');
+                },
+                fill: async () => {}
+            })
+        }),
+        waitForSelector: async () => {
+            if (page.pending) {
+                respond(page.pending, 900, 3000);
+                page.pending = null;
+            }
+        },
+        waitForTimeout: async () => {}
+    };
+
+    return { page, session: { metrics } };
+}
+
+describe('JourneyRunner', () => {
+    const runner = new JourneyRunner({ webVitalsCollector: { collect: async () => null, record() {} } });
+
+    test('parses YAML with short step syntax', async () => {
+        const journey = await runner.load([
+            'name: Checkout',
+            'steps:',
+            '  - goto: https://shop.com/',
+            '  - mark: Add to cart',
+            '  - click: "#add"',
+            '  - fill: { selector: "#qty", value: 2 }',
+            '  - assertText: Added',
+            '  - waitForSelector: .cart'
+        ].join('\n'));
+
+        expect(journey).toMatchObject({ name: 'Checkout', url: 'https://shop.com/', timeout: 30000 });
+        expect(journey.steps).toEqual([
+            { action: 'goto', url: 'https://shop.com/', index: 0 },
+            { action: 'mark', name: 'Add to cart', index: 1 },
+            { action: 'click', selector: '#add', index: 2 },
+            { action: 'fill', selector: '#qty', value: 2, index: 3 },
+            { action: 'assertText', text: 'Added', index: 4 },
+            { action: 'waitForSelector', selector: '.cart', index: 5 }
+        ]);
+    });
+
+    test('parses JSON files and step arrays', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journey-'));
+        const file = path.join(dir, 'login.json');
+        fs.writeFileSync(file, JSON.stringify({ url: 'https://shop.com/login', timeout: 5000, steps: [{ action: 'goto', url: 'https://shop.com/login' }] }));
+        try {
+            expect(await runner.loadFile(file)).toMatchObject({ name: 'Journey', url: 'https://shop.com/login', timeout: 5000 });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+
+        expect((await runner.load([{ goto: 'https://shop.com/' }])).url).toBe('https://shop.com/');
+    });
+
+    test('rejects invalid journeys and steps', async () => {
+        await expect(runner.load('')).rejects.toThrow('Journey tanımı boş');
+        await expect(runner.load({ steps: [] })).rejects.toThrow('en az bir adım');
+        await expect(runner.load({ steps: [{ click: '#a' }] })).rejects.toThrow('Journey url veya en az bir goto adımı içermeli');
+        await expect(runner.load([{ goto: 'https://shop.com/' }, 'click'])).rejects.toThrow('Adım 2 geçersiz');
+        await expect(runner.load([{ goto: 'https://shop.com/' }, { hover: '#a' }])).rejects.toThrow('Adım 2: action belirtilmemiş');
+        await expect(runner.load([{ action: 'hover', selector: '#a' }])).rejects.toThrow('desteklenmeyen action "hover"');
+        await expect(runner.load([{ goto: 'https://shop.com/' }, { fill: { selector: '#q' } }])).rejects.toThrow('Adım 2 (fill): value gerekli');
+    });
+
+    test('attributes responses to the step whose request started them', async () => {
+        const { page, session } = fakeSession();
+        const journey = await runner.load([
+            { goto: 'https://shop.com/' },
+            { mark: 'Cart' },
+            { click: '#add' },
+            { waitForSelector: '.cart' }
+        ]);
+
+        const result = await runner.run(page, session, journey);
+
+        expect(result).toMatchObject({ url: 'https://shop.com/', status: 'passed', passed: 4 });
+        expect(result.steps.map(step => [step.action, step.network.requests, step.network.responses, step.network.transferredBytes])).toEqual([
+            ['goto', 1, 1, 6000],
+            ['mark', 0, 0, 0],
+            ['click', 1, 1, 3000],
+            ['waitForSelector', 0, 0, 0]
+        ]);
+        expect(result.steps[2].network.slowest).toEqual([{ url: 'https://shop.com/api/cart', status: 200, duration: 900 }]);
+        expect(result.transactions).toEqual([expect.objectContaining({ name: 'Cart', status: 'passed', network: { requests: 1, errors: 0, transferredBytes: 3000 } })]);
+    });
+
+    test('counts responses and sizes that arrive after the journey ends', async () => {
+        const { page, session } = fakeSession();
+        const result = await runner.run(page, session, await runner.load([{ goto: 'https://shop.com/' }, { click: '#add' }]));
+        expect(result.steps[1].network).toMatchObject({ requests: 1, responses: 0, transferredBytes: 0 });
+
+        // Session kapanmadan önce gelen yanıt
+        session.metrics.networkResponses.push({ requestId: page.pending.id, url: page.pending.url, status: 200, duration: 1500 });
+        page.pending.sizes = sizes(200, 2800);
+        runner.summarizeNetwork(result, session.metrics);
+        expect(result.steps[1].network).toMatchObject({ requests: 1, responses: 1, transferredBytes: 3000 });
+    });
+
+    test('skips the remaining steps after a failure', async () => {
+        const { page, session } = fakeSession();
+        const result = await runner.run(page, session, await runner.load([
+            { goto: 'https://shop.com/' },
+            { click: '#missing', timeout: 100 },
+            { click: '#add' }
+        ]));
+
+        expect(result).toMatchObject({ status: 'failed', passed: 1, failed: 1, skipped: 1 });
+        expect(result.steps[1].error).toBe('Timeout 100ms exceeded.');
+        expect(result.steps[2]).toMatchObject({ status: 'skipped', selector: '#add' });
+    });
+});
@@ -0,0 +1,88 @@
+const MemoryMonitor = require('../src/web/memory-monitor');
+
+const MB = 1024 * 1024;
+
+// interval ms aralıklı örnekler
+const samples = (url, heaps, { start = 0, interval = 5000, domNodes = null } = {}) => heaps.map((heap, index) => ({
+    timestamp: start + index * interval,
+    url,
+    usedJSHeapSize: heap === null ? null : heap * MB,
+    totalJSHeapSize: null,
+    domNodes: domNodes ? domNodes[index] : 800,
+    listeners: null,
+    documents: null
+}));
+
+describe('MemoryMonitor', () => {
+    const monitor = new MemoryMonitor();
+
+    test('measures growth from edge medians and a least-squares slope', () => {
+        const growth = monitor.growth(samples('https://a.com/', [10, 30, 11, 12, 13, 14, 50, 15]), 'usedJSHeapSize');
+
+        // Baş: medyan(10, 30, 11) = 11, son: medyan(14, 50, 15) = 15; tek sıçrama sonucu belirlemez
+        expect(growth).toMatchObject({ start: 11 * MB, end: 15 * MB, peak: 50 * MB, growth: 4 * MB, growthPercent: 36.4 });
+        expect(growth.slopePerMinute).toBeGreaterThan(0);
+        expect(monitor.growth(samples('https://a.com/', [null, null]), 'usedJSHeapSize')).toBeNull();
+    });
+
+    test.each([
+        [3, [10, 13, 16]],
+        [4, [10, 12, 14, 16]],
+        [5, [10, 11.5, 13, 14.5, 16]]
+    ])('detects growth in a %i-sample visit', (count, heaps) => {
+        const growth = monitor.growth(samples('https://a.com/', heaps), 'usedJSHeapSize');
+        expect(growth.start).toBeLessThan(growth.end);
+        expect(growth.growthPercent).toBeGreaterThanOrEqual(monitor.options.leakThreshold);
+
+        const [page] = monitor.analyze(samples('https://a.com/', heaps)).pages;
+        expect(page).toMatchObject({ samples: count, suspectedLeak: true });
+        expect(page.reasons[0]).toMatch(/^JS heap grew/);
+    });
+
+    test('does not flag visits with too few samples, small growth or a flat heap', () => {
+        const analysis = monitor.analyze([
+            ...samples('https://a.com/short', [10, 20], { start: 0 }),
+            ...samples('https://a.com/small', [1, 1.2, 1.4, 1.6], { start: 20000 }),
+            ...samples('https://a.com/flat', [40, 41, 40, 39, 40, 41], { start: 50000 })
+        ]);
+
+        expect(analysis.pages.map(page => [page.url, page.suspectedLeak])).toEqual([
+            ['https://a.com/short', false],
+            ['https://a.com/small', false],
+            ['https://a.com/flat', false]
+        ]);
+        expect(analysis.suspectedLeaks).toBe(0);
+    });
+
+    test('groups consecutive samples into visits and summarizes the session', () => {
+        const analysis = monitor.analyze([
+            { timestamp: 0, url: 'about:blank', usedJSHeapSize: 1 * MB },
+            ...samples('https://a.com/', [10, 12, 11], { start: 1000 }),
+            ...samples('https://a.com/list', [20, 30, 40, 50, 60, 70], { start: 16000, domNodes: [1000, 1400, 1800, 2200, 2600, 3000] }),
+            ...samples('https://a.com/', [14, 14, 14], { start: 46000 })
+        ]);
+
+        expect(analysis).toMatchObject({
+            interval: 5000,
+            samples: 12,
+            duration: 55000,
+            peakHeap: 70 * MB,
+            startHeap: 10 * MB,
+            endHeap: 14 * MB,
+            suspectedLeaks: 1
+        });
+        expect(analysis.pages.map(page => [page.url, page.samples, page.suspectedLeak])).toEqual([
+            ['https://a.com/', 3, false],
+            ['https://a.com/list', 6, true],
+            ['https://a.com/', 3, false]
+        ]);
+        expect(analysis.pages[1].reasons).toEqual(['JS heap grew 100%', 'DOM nodes grew 85.7%']);
+        expect(monitor.analyze([{ timestamp: 0, url: 'about:blank' }])).toBeNull();
+    });
+
+    test('rejects heap snapshots outside Chromium', () => {
+        expect(monitor.resolveSnapshots('true', 'chrome')).toBe(true);
+        expect(monitor.resolveSnapshots(undefined, 'firefox')).toBe(false);
+        expect(() => monitor.resolveSnapshots(true, 'firefox')).toThrow('Heap snapshots are only supported in Chromium based browsers');
+    });
+});
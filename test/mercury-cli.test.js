@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SESSION_STORE = 'memory';
+
+// Headless Chromium yerine sabit sonuç döndüren analizci
+const mockResults = { current: null };
+jest.mock('../src/web/performance-analyzer', () => class {
+    async initialize() { return true; }
+    async analyzePerformance(url) { return { url, ...mockResults.current }; }
+    async generateReport() { return 'reports/report.json'; }
+    async close() {}
+});
+
+const MercuryCli = require('../src/cli/mercury-cli');
+
+const { EXIT_CODES } = MercuryCli;
+
+describe('MercuryCli', () => {
+    let dir;
+    let out;
+    let cli;
+
+    const run = (...args) => cli.run(args);
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mercury-cli-'));
+        process.env.HISTORY_PATH = path.join(dir, 'history.jsonl');
+        out = { stdout: [], stderr: [] };
+        cli = new MercuryCli({
+            stdout: (line) => out.stdout.push(line),
+            stderr: (line) => out.stderr.push(line)
+        });
+        mockResults.current = {
+            errors: [],
+            performanceMetrics: { pageLoad: 2400, domContentLoaded: 1200 },
+            lighthouseMetrics: { performanceScore: 91, largestContentfulPaint: 1800 },
+            resourceTiming: []
+        };
+    });
+
+    afterEach(() => {
+        delete process.env.HISTORY_PATH;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('prints usage and returns 2 without a command', async () => {
+        expect(await run()).toBe(EXIT_CODES.USAGE);
+        expect(out.stdout[0]).toMatch(/^Usage: mercury <command>/);
+        expect(await run('help')).toBe(EXIT_CODES.OK);
+    });
+
+    test.each([
+        [['deploy'], 'Unknown command: deploy'],
+        [['analyze'], 'Expected <url>'],
+        [['analyze', 'https://a.com', 'https://b.com'], 'Expected <url>'],
+        [['analyze', 'https://a.com', '--colour'], "Unknown option '--colour'"],
+        [['analyze', 'https://a.com', '--format', 'xml'], '--format must be one of: json, csv'],
+        [['analyze', 'https://a.com', '--network', '5g'], '--network:'],
+        [['analyze', 'https://a.com', '--runs', '0'], '--runs:'],
+        [['analyze', 'https://a.com', '--runs', '3', '--repeat-view'], '--repeat-view cannot be combined with --runs'],
+        [['report', 'missing-session.json'], 'Session file could not be read'],
+        [['report', 'session.json', '--format', 'docx'], '--format must be one of: html, json, csv, pdf, har']
+    ])('returns 2 for %j', async (args, message) => {
+        expect(await run(...args)).toBe(EXIT_CODES.USAGE);
+        expect(out.stderr[0]).toContain(message);
+        expect(out.stderr[1]).toBe('Run "mercury help" for usage.');
+    });
+
+    test('returns 4 when a budget is exceeded and 1 when the analysis fails', async () => {
+        const budgets = path.join(dir, 'budgets.json');
+        fs.writeFileSync(budgets, JSON.stringify({ budgets: [{ match: '*', timings: { loadTime: 2000 } }] }));
+
+        expect(await run('analyze', 'https://shop.example.com/', '--budgets', budgets)).toBe(EXIT_CODES.BUDGET);
+        expect(out.stdout).toContain('Budget: fail (0 passed, 1 exceeded)');
+
+        mockResults.current.performanceMetrics.pageLoad = 1500;
+        expect(await run('analyze', 'https://shop.example.com/', '--budgets', budgets)).toBe(EXIT_CODES.OK);
+
+        mockResults.current.errors = ['net::ERR_NAME_NOT_RESOLVED'];
+        expect(await run('analyze', 'https://shop.example.com/', '--budgets', budgets)).toBe(EXIT_CODES.FAILED);
+        expect(out.stderr).toContain('Analysis failed: net::ERR_NAME_NOT_RESOLVED');
+
+        expect(await run('analyze', 'https://shop.example.com/', '--budgets', path.join(dir, 'none.json'))).toBe(EXIT_CODES.USAGE);
+    });
+
+    test("validates --cpu-slowdown against the journey's browser", async () => {
+        const journey = path.join(dir, 'journey.yaml');
+        fs.writeFileSync(journey, 'browser: firefox\nsteps:\n  - goto: https://shop.example.com/\n');
+
+        expect(await run('journey', journey, '--cpu-slowdown', '4')).toBe(EXIT_CODES.USAGE);
+        expect(out.stderr[0]).toContain('--cpu-slowdown: CPU slowdown is only supported in Chromium based browsers (chrome, edge), not firefox');
+    });
+
+    describe('report', () => {
+        let sessionFile;
+
+        beforeEach(() => {
+            sessionFile = path.join(dir, 'session.json');
+            fs.writeFileSync(sessionFile, JSON.stringify({
+                sessionId: 'abc',
+                url: 'https://shop.example.com/',
+                browserType: 'chrome',
+                startTime: 1000,
+                endTime: 6000,
+                duration: 5000,
+                budget: { status: 'pass', pages: [], passed: 0, failed: 0, violations: [] },
+                metrics: {
+                    networkRequests: [{ id: '1', url: 'https://shop.example.com/', method: 'GET', resourceType: 'document', startTime: 1100, headers: {} }],
+                    networkResponses: [{ requestId: '1', url: 'https://shop.example.com/', status: 200, statusText: 'OK', headers: { 'content-type': 'text/html' }, startTime: 1100, endTime: 1300, duration: 200, responseSize: 5, responseBody: '<html' }],
+                    networkErrors: [],
+                    errors: [],
+                    webVitals: [],
+                    navigationEvents: [],
+                    resourceTiming: [],
+                    userInteractions: [],
+                    consoleLogs: [],
+                    clicks: [],
+                    memoryUsage: [],
+                    cpuUsage: [],
+                    pageLoadTimes: []
+                }
+            }));
+        });
+
+        test('rejects a file without metrics', async () => {
+            fs.writeFileSync(sessionFile, JSON.stringify({ sessionId: 'abc' }));
+            expect(await run('report', sessionFile)).toBe(EXIT_CODES.USAGE);
+            expect(out.stderr[0]).toContain('Session file has no metrics');
+        });
+
+        test.each(['html', 'json', 'csv', 'har'])('writes a %s report into the output directory', async (format) => {
+            const outputDir = path.join(dir, 'out') + path.sep;
+            expect(await run('report', sessionFile, '--format', format, '--output', outputDir)).toBe(EXIT_CODES.OK);
+
+            const outputPath = path.join(dir, 'out', `mercury-report-abc.${format}`);
+            expect(out.stdout).toContain(`Report: ${outputPath}`);
+            const content = fs.readFileSync(outputPath, 'utf8');
+            if (format === 'html') expect(content).toContain('https://shop.example.com/');
+            if (format === 'json') expect(JSON.parse(content)).toMatchObject({ session: { sessionId: 'abc' }, budget: { status: 'pass' } });
+            if (format === 'csv') expect(content.split('\n')[1]).toContain('https://shop.example.com/');
+            if (format === 'har') expect(JSON.parse(content).log.entries).toHaveLength(1);
+        });
+    });
+});
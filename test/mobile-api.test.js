@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+const { installFakeAdb } = require('./helpers/fake-adb');
+
+process.env.SESSION_STORE = 'memory';
+const PerformanceMonitorServer = require('../src/web-server');
+
+describe('mobile monitoring API', () => {
+    let adb;
+    let server;
+    let baseUrl;
+    let cwd;
+    let reportsDir;
+    let client;
+
+    const post = async (route, body) => {
+        const response = await fetch(`${baseUrl}${route}`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    beforeEach(async () => {
+        adb = installFakeAdb();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        // Rapor process.cwd()/reports altına yazılır
+        cwd = process.cwd();
+        reportsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mobile-api-'));
+        process.chdir(reportsDir);
+
+        server = new PerformanceMonitorServer(0);
+                await new Promise(resolve => server.server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+    });
+
+    // Koşulu sağlayan ilk event
+    const nextEvent = (name, predicate = () => true) => new Promise(resolve => {
+        const listener = (payload) => {
+            if (predicate(payload)) {
+                client.off(name, listener);
+                resolve(payload);
+            }
+        };
+        client.on(name, listener);
+    });
+
+    const connect = async () => {
+        client = io(baseUrl, { transports: ['websocket'], forceNew: true });
+        await new Promise(resolve => client.once('connect', resolve));
+    };
+
+    afterEach(async () => {
+        if (client) {
+            client.close();
+            client = null;
+        }
+        server.stopMobileMetricsStream();
+        await server.androidAnalyzer.stopMonitoring();
+        server.io.close();
+        await new Promise(resolve => server.server.close(resolve));
+        process.chdir(cwd);
+        fs.rmSync(reportsDir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+        adb.restore();
+    });
+
+    test('rejects package names that are not Android package names', async () => {
+        const response = await post('/api/mobile/monitor/start', { packageName: 'com.example.app; reboot' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.message).toMatch(/Geçersiz paket adı/);
+        expect(adb.calls()).toEqual([]);
+    });
+
+    test('rejects devices that adb does not list', async () => {
+        const response = await post('/api/mobile/monitor/start', { packageName: 'com.example.app', deviceId: 'emulator-5554 reboot' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.message).toMatch(/Bilinmeyen cihaz/);
+        expect(server.androidAnalyzer.monitoring).toBe(false);
+    });
+
+    test('starts only one session when two requests arrive together', async () => {
+        const body = { packageName: 'com.example.app', deviceId: 'emulator-5554', launch: false };
+        const responses = await Promise.all([
+            post('/api/mobile/monitor/start', body),
+            post('/api/mobile/monitor/start', body)
+        ]);
+
+        expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+        expect(server.mobileSession.packageName).toBe('com.example.app');
+    });
+
+    test('keeps the session running when the report format is not supported', async () => {
+        await post('/api/mobile/monitor/start', { packageName: 'com.example.app', launch: false });
+
+        const rejected = await post('/api/mobile/monitor/stop', { format: 'xml' });
+        expect(rejected.status).toBe(400);
+        expect(server.mobileSession).not.toBeNull();
+        expect(server.androidAnalyzer.monitoring).toBe(true);
+
+        const stopped = await post('/api/mobile/monitor/stop', { format: 'csv' });
+        expect(stopped.status).toBe(200);
+        expect(path.dirname(stopped.body.data.reportPath)).toBe(path.join(fs.realpathSync(reportsDir), 'reports'));
+        expect(server.mobileSession).toBeNull();
+    });
+
+    test('streams mobile-metrics while monitoring and announces the end', async () => {
+        await connect();
+        await post('/api/mobile/monitor/start', { packageName: 'com.example.app', deviceId: 'emulator-5554', launch: false });
+
+        // İlk CPU örneği saniyede bir alınır; yayın da saniyede bir
+        const metrics = await nextEvent('mobile-metrics', payload => payload.metrics.cpu.length > 0);
+        expect(metrics).toMatchObject({
+            packageName: 'com.example.app',
+            device: { id: 'emulator-5554' },
+            monitoring: true
+        });
+        expect(metrics.metrics.cpu[0]).toMatchObject({ cpuUsage: 12.5, processId: '4321' });
+
+        const complete = nextEvent('mobile-monitor-complete');
+        await post('/api/mobile/monitor/stop', { format: 'json' });
+        expect(await complete).toMatchObject({ packageName: 'com.example.app', summary: expect.any(Object) });
+        expect(server.mobileMetricsInterval).toBeNull();
+    });
+
+    test('sends a mobile-metrics snapshot on request', async () => {
+        await connect();
+        const snapshot = nextEvent('mobile-metrics');
+        client.emit('mobile-metrics-request');
+
+        expect(await snapshot).toMatchObject({
+            packageName: null,
+            monitoring: false,
+            metrics: { cpu: [], memory: [], battery: [], fps: [] }
+        });
+    });
+});
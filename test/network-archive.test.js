@@ -0,0 +1,304 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chromium } = require('playwright');
+const NetworkArchive = require('../src/web/network-archive');
+const BrowserAnalyzer = require('../src/web/browser-analyzer');
+const ReportManifest = require('../src/storage/report-manifest');
+const HistoryStore = require('../src/storage/history-store');
+const { MemorySessionStore } = require('../src/storage/session-store');
+
+// shop.har: https://shop.example.com/ ve başlığı değiştiren /app.js
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+const har = (entries) => ({
+    log: {
+        version: '1.2',
+        creator: { name: 'Playwright', version: '1.40.0' },
+        pages: [],
+        entries: entries.map(([url, body, time]) => ({
+            startedDateTime: new Date(0).toISOString(),
+            time,
+            request: { method: 'GET', url, httpVersion: 'HTTP/1.1', cookies: [], headers: [], queryString: [], headersSize: -1, bodySize: 0 },
+            response: {
+                status: 200,
+                statusText: 'OK',
+                httpVersion: 'HTTP/1.1',
+                cookies: [],
+                headers: [{ name: 'content-type', value: url.endsWith('.js') ? 'application/javascript' : 'text/html' }],
+                content: { size: body.length, mimeType: url.endsWith('.js') ? 'application/javascript' : 'text/html', text: body },
+                redirectURL: '',
+                headersSize: -1,
+                bodySize: body.length
+            },
+            cache: {},
+            timings: { send: 0, wait: time, receive: 0 }
+        }))
+    }
+});
+
+// Playwright'ın route sırası: son kaydedilen önce çalışır, fallback bir öncekine geçer.
+// routeFromHAR arşivdekini fulfill eder, olmayanı iptal eder; hiçbir route karar vermezse istek ağa çıkar
+function fakeContext(harFile) {
+    const routes = [];
+    const outcomes = [];
+    const context = {
+        on() {},
+        addInitScript: async () => {},
+        exposeBinding: async () => {},
+        exposeFunction: async () => {},
+        newCDPSession: async () => { throw new Error('CDP not available'); },
+        close: async () => {},
+        route: async (pattern, handler) => { routes.push(handler); },
+        routeFromHAR: async (file, options) => {
+            const urls = new Set(JSON.parse(fs.readFileSync(file, 'utf8')).log.entries.map(entry => entry.request.url));
+            context.harOptions = options;
+            routes.push(async route => (urls.has(route.request().url()) ? route.fulfill({}) : route.abort()));
+        }
+    };
+
+    context.load = async (url) => {
+        const request = { method: () => 'GET', url: () => url, headers: () => ({}), resourceType: () => 'script' };
+        for (let index = routes.length - 1; index >= 0; index -= 1) {
+            let outcome = 'unhandled';
+            await routes[index]({
+                request: () => request,
+                fallback: async () => { outcome = 'fallback'; },
+                continue: async () => { outcome = 'network'; },
+                fetch: async () => { outcome = 'network'; return { body: async () => Buffer.alloc(0), headers: () => ({}), status: () => 200 }; },
+                fulfill: async () => { outcome = 'archive'; },
+                abort: async () => { outcome = 'aborted'; }
+            });
+            if (outcome !== 'fallback') {
+                outcomes.push({ url, outcome });
+                return;
+            }
+        }
+        outcomes.push({ url, outcome: 'network' });
+    };
+
+    context.outcomes = outcomes;
+    return context;
+}
+
+describe('NetworkArchive', () => {
+    let archiveDir;
+    let networkArchive;
+
+    beforeEach(() => {
+        archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'archives-'));
+        networkArchive = new NetworkArchive({ archiveDir });
+    });
+
+    afterEach(() => {
+        fs.rmSync(archiveDir, { recursive: true, force: true });
+    });
+
+    test('reports whether a recording would replace an existing archive', async () => {
+        fs.writeFileSync(path.join(archiveDir, 'site.har'), JSON.stringify(har([])));
+
+        expect(await networkArchive.exists(await networkArchive.resolve({ record: 'site' }))).toBe(true);
+        expect(await networkArchive.exists(await networkArchive.resolve({ record: 'other' }))).toBe(false);
+        expect(await networkArchive.exists(await networkArchive.resolve({ replay: 'site' }))).toBe(false);
+        expect(await networkArchive.exists(null)).toBe(false);
+    });
+
+    test('rejects archive names that leave the archive directory', async () => {
+        await expect(networkArchive.resolve({ record: '../site' })).rejects.toThrow('Invalid network archive name');
+        await expect(networkArchive.resolve({ replay: 'missing' })).rejects.toThrow('not found');
+    });
+});
+
+describe('archive API', () => {
+    let archiveDir;
+    let server;
+    let baseUrl;
+
+    const post = async (route, body) => {
+        const response = await fetch(`${baseUrl}${route}`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    beforeEach(async () => {
+        process.env.SESSION_STORE = 'memory';
+        const PerformanceMonitorServer = require('../src/web-server');
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'archives-'));
+        fs.writeFileSync(path.join(archiveDir, 'site.har'), JSON.stringify(har([])));
+        server = new PerformanceMonitorServer(0);
+        server.networkArchive = new NetworkArchive({ archiveDir });
+        await new Promise(resolve => server.server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+    });
+
+    afterEach(async () => {
+        server.io.close();
+        await new Promise(resolve => server.server.close(resolve));
+        fs.rmSync(archiveDir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    test('does not record over an existing archive without overwriteArchive', async () => {
+        const analyze = await post('/api/web/analyze', { url: 'https://shop.example.com/', record: 'site' });
+        expect(analyze.status).toBe(409);
+        expect(analyze.body.error).toMatch(/"site" already exists/);
+
+        const session = await post('/api/web/browser/start', { url: 'https://shop.example.com/', browser: 'chrome', record: 'site' });
+        expect(session.status).toBe(409);
+        expect(session.body).toMatchObject({ success: false });
+
+        const journey = await post('/api/web/journey/run', {
+            journey: { name: 'Checkout', url: 'https://shop.example.com/', record: 'site', steps: [{ goto: 'https://shop.example.com/' }] }
+        });
+        expect(journey.status).toBe(409);
+    });
+});
+
+describe('BrowserAnalyzer replaying an archive', () => {
+    let dir;
+    let analyzer;
+    let context;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-session-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        context = fakeContext(path.join(FIXTURES, 'shop.har'));
+        let closed = false;
+        context.close = async () => { closed = true; };
+        const page = {
+            on() {},
+            isClosed: () => closed,
+            evaluate: async () => ({}),
+            addInitScript: async () => {},
+            url: () => 'https://shop.example.com/',
+            goto: async (url) => {
+                await context.load(url);
+                await context.load('https://shop.example.com/app.js');
+                await context.load('https://analytics.example.net/tag.js');
+            },
+            waitForLoadState: async () => {},
+            waitForTimeout: async () => {},
+            title: async () => 'Shop',
+            video: () => null,
+            context: () => context
+        };
+        context.newPage = async () => page;
+
+        analyzer = new BrowserAnalyzer({
+            store: new MemorySessionStore(),
+            history: new HistoryStore({ type: 'memory' }),
+            reportManifest: new ReportManifest(path.join(dir, 'reports')),
+            archiveDir: FIXTURES
+        });
+        analyzer.launchBrowser = async () => ({ newContext: async () => context, close: async () => {} });
+        analyzer.pageSpeedAnalyzer.generatePageSpeedReport = async () => { throw new Error('offline'); };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('serves the page from the archive without touching the network', async () => {
+        const sessionId = await analyzer.startAnalysis('https://shop.example.com/', 'firefox', { replay: 'shop', replayLatency: 0, networkProfile: 'fast-3g' });
+        const results = await analyzer.stopAnalysis(sessionId);
+
+        expect(context.harOptions).toEqual({ notFound: 'abort' });
+        expect(context.outcomes).toEqual([
+            { url: 'https://shop.example.com/', outcome: 'archive' },
+            { url: 'https://shop.example.com/app.js', outcome: 'archive' },
+            { url: 'https://analytics.example.net/tag.js', outcome: 'aborted' }
+        ]);
+        expect(results.metrics.archive).toMatchObject({
+            mode: 'replay',
+            name: 'shop',
+            latency: 0,
+            requests: 3,
+            missedRequests: 1,
+            missedUrls: ['https://analytics.example.net/tag.js']
+        });
+        expect(fs.readFileSync(results.reports.html, 'utf8')).toContain('Replayed from shop (0ms latency)');
+    });
+});
+
+// Chromium yüklü değilse (ör. playwright install çalıştırılmamışsa) atlanır
+const hasChromium = (() => {
+    try {
+        return fs.existsSync(chromium.executablePath());
+    } catch (error) {
+        return false;
+    }
+})();
+
+(hasChromium ? describe : describe.skip)('NetworkArchive in Chromium', () => {
+    test('replays a recorded page after the server is gone', async () => {
+        const http = require('http');
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-chromium-'));
+        const networkArchive = new NetworkArchive({ archiveDir: dir });
+        const server = http.createServer((req, res) => {
+            res.setHeader('content-type', req.url === '/app.js' ? 'application/javascript' : 'text/html');
+            res.end(req.url === '/app.js' ? 'document.title = "from archive";' : '<script src="/app.js"></script>');
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const url = `http://127.0.0.1:${server.address().port}/`;
+        const browser = await chromium.launch();
+
+        try {
+            const record = await networkArchive.resolve({ record: 'local' });
+            let context = await browser.newContext(await networkArchive.contextOptions(record));
+            await (await context.newPage()).goto(url);
+            await context.close();
+            await new Promise(resolve => server.close(resolve));
+
+            const replay = await networkArchive.resolve({ replay: 'local' });
+            context = await browser.newContext();
+            const session = await networkArchive.apply(context, replay);
+            const page = await context.newPage();
+            await page.goto(url);
+
+            expect(await page.title()).toBe('from archive');
+            expect(session.summary()).toMatchObject({ requests: 2, missedRequests: 0 });
+            await context.close();
+        } finally {
+            await browser.close();
+            if (server.listening) server.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }, 30000);
+
+    test('replays the fixture archive through a BrowserAnalyzer session', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-analyzer-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const analyzer = new BrowserAnalyzer({
+            store: new MemorySessionStore(),
+            history: new HistoryStore({ type: 'memory' }),
+            reportManifest: new ReportManifest(path.join(dir, 'reports')),
+            archiveDir: FIXTURES
+        });
+        analyzer.pageSpeedAnalyzer.generatePageSpeedReport = async () => { throw new Error('offline'); };
+
+        try {
+            // shop.example.com çözülemez; sayfa sadece arşivden gelebilir
+            const sessionId = await analyzer.startAnalysis('https://shop.example.com/', 'chrome', { replay: 'shop', replayLatency: 0, headless: true });
+            expect(await analyzer.sessions.get(sessionId).page.title()).toBe('from archive');
+
+            const results = await analyzer.stopAnalysis(sessionId);
+            expect(results.metrics.archive).toMatchObject({ mode: 'replay', name: 'shop', latency: 0 });
+            expect(results.metrics.archive.requests).toBeGreaterThanOrEqual(2);
+            expect(results.metrics.archive.missedUrls).not.toContain('https://shop.example.com/app.js');
+            expect(fs.readFileSync(results.reports.html, 'utf8')).toContain('Replayed from shop (0ms latency)');
+        } finally {
+            jest.restoreAllMocks();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }, 60000);
+});
@@ -0,0 +1,78 @@
+const NetworkThrottler = require('../src/web/network-throttler');
+
+// Tek route handler'ı kaydeden context ve çağrıları kaydeden route
+async function routeHandler(throttler, profile) {
+    let handler = null;
+    await throttler.routeDelays({ route: async (pattern, callback) => { handler = callback; } }, profile);
+    return handler;
+}
+
+function fakeRoute({ method = 'GET', response = null, fetchError = null, bodyError = null, fulfillError = null } = {}) {
+    const calls = [];
+    return {
+        calls,
+        request: () => ({ method: () => method, postDataBuffer: () => null }),
+        fetch: async (options) => {
+            calls.push(['fetch', options]);
+            if (fetchError) throw fetchError;
+            return {
+                status: () => response.status,
+                headers: () => response.headers || {},
+                body: async () => {
+                    if (bodyError) throw bodyError;
+                    return Buffer.from(response.body || '');
+                }
+            };
+        },
+        fulfill: async () => {
+            calls.push(['fulfill']);
+            if (fulfillError) throw fulfillError;
+        },
+        continue: async () => { calls.push(['continue']); },
+        abort: async (reason) => { calls.push(['abort', reason]); }
+    };
+}
+
+describe('NetworkThrottler.routeDelays', () => {
+    const profile = { label: 'Test', latency: 1, download: 100000, upload: 100000 };
+    let handler;
+
+    beforeEach(async () => {
+        handler = await routeHandler(new NetworkThrottler(), profile);
+    });
+
+    test('fulfills responses after the transfer delay', async () => {
+        const route = fakeRoute({ response: { status: 200, body: 'hello' } });
+        await handler(route);
+        expect(route.calls).toEqual([['fetch', { maxRedirects: 0 }], ['fulfill']]);
+    });
+
+    test('lets the browser follow redirects', async () => {
+        const route = fakeRoute({ response: { status: 302, headers: { location: '/login' } } });
+        await handler(route);
+        expect(route.calls).toEqual([['fetch', { maxRedirects: 0 }], ['continue']]);
+    });
+
+    test('sends non-GET requests once, through the browser', async () => {
+        const route = fakeRoute({ method: 'POST', response: { status: 303, headers: { location: '/done' } } });
+        await handler(route);
+        expect(route.calls).toEqual([['continue']]);
+    });
+
+    test('aborts when the request fails', async () => {
+        const route = fakeRoute({ fetchError: new Error('net::ERR_CONNECTION_REFUSED') });
+        await handler(route);
+        expect(route.calls).toEqual([['fetch', { maxRedirects: 0 }], ['abort', 'failed']]);
+    });
+
+    test('does not reject when the page closes while the body is read or fulfilled', async () => {
+        const closed = new Error('Target page, context or browser has been closed');
+        const reading = fakeRoute({ response: { status: 200 }, bodyError: closed });
+        const fulfilling = fakeRoute({ response: { status: 200, body: 'x' }, fulfillError: closed });
+        fulfilling.abort = async () => { throw closed; };
+
+        await expect(handler(reading)).resolves.toBeUndefined();
+        await expect(handler(fulfilling)).resolves.toBeUndefined();
+        expect(reading.calls[reading.calls.length - 1]).toEqual(['abort', 'failed']);
+    });
+});
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ReportManifest = require('../src/storage/report-manifest');
+
+describe('ReportManifest', () => {
+    let reportsDir;
+
+    beforeEach(() => {
+        reportsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reports-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(reportsDir, { recursive: true, force: true });
+    });
+
+    test('keeps every artifact written to a session in parallel', async () => {
+        const manifest = new ReportManifest(reportsDir);
+        const other = new ReportManifest(reportsDir);
+        const sessionId = 'c7b1e2a4-5d0f-4c1e-9a57-3f2b8d6e0a11';
+
+        await Promise.all([
+            manifest.writeArtifact(sessionId, 'html', 'report.html', '<html></html>'),
+            manifest.writeArtifact(sessionId, 'json', 'session.json', '{}'),
+            manifest.writeArtifact(sessionId, 'csv', 'report.csv', 'a,b'),
+            other.writeArtifact(sessionId, 'har', 'network.har', '{}'),
+            other.writeArtifact(sessionId, 'pdf', 'report.pdf', '%PDF')
+        ]);
+
+        const saved = await manifest.read(sessionId);
+        expect(Object.keys(saved.artifacts).sort()).toEqual(['csv', 'har', 'html', 'json', 'pdf']);
+        expect((await manifest.resolve(sessionId, 'csv')).contentType).toBe('text/csv');
+    });
+
+    test('does not record an artifact whose file is missing', async () => {
+        const manifest = new ReportManifest(reportsDir);
+        const dir = await manifest.ensureSessionDir('s1');
+
+        await Promise.all([
+            expect(manifest.addArtifact('s1', 'html', path.join(dir, 'missing.html'))).rejects.toThrow(),
+            manifest.writeArtifact('s1', 'json', 'session.json', '{}')
+        ]);
+
+        expect(Object.keys((await manifest.read('s1')).artifacts)).toEqual(['json']);
+    });
+
+    test('rejects session IDs that leave the reports directory', () => {
+        const manifest = new ReportManifest(reportsDir);
+        expect(() => manifest.sessionDir('../etc')).toThrow('Geçersiz session ID');
+        expect(manifest.isValidSessionId('c7b1e2a4-5d0f-4c1e-9a57-3f2b8d6e0a11')).toBe(true);
+    });
+});
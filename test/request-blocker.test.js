@@ -0,0 +1,86 @@
+const RequestBlocker = require('../src/web/request-blocker');
+
+const view = (pageLoad, overrides = {}) => ({
+    pageLoad,
+    firstContentfulPaint: 900,
+    largestContentfulPaint: 1800,
+    transferredBytes: 500000,
+    requests: 40,
+    mainThreadTime: 600,
+    domains: {},
+    blocked: [],
+    ...overrides
+});
+
+describe('RequestBlocker', () => {
+    const blocker = new RequestBlocker();
+
+    test('compiles domain patterns to the domain and its subdomains', () => {
+        const matches = RequestBlocker.compile('*.tags.com');
+        expect(matches('https://tags.com/t.js')).toBe(true);
+        expect(matches('https://cdn.tags.com/t.js')).toBe(true);
+        expect(matches('https://mytags.com/t.js')).toBe(false);
+        expect(matches('https://shop.com/?ref=tags.com')).toBe(false);
+        expect(matches('not a url')).toBe(false);
+    });
+
+    test('compiles path and wildcard patterns against the whole URL', () => {
+        const matches = RequestBlocker.compile('/ads/*.js');
+        expect(matches('https://shop.com/ads/banner.js')).toBe(true);
+        expect(matches('https://shop.com/ADS/banner.js?v=1')).toBe(true);
+        expect(matches('https://shop.com/ads/banner.css')).toBe(false);
+        expect(RequestBlocker.compile('https://shop.com/a+b.js')('https://shop.com/a+b.js')).toBe(true);
+    });
+
+    test('computes the change from baseline to the blocked load', () => {
+        const delta = blocker.delta(view(3000), view(2400, { transferredBytes: 300000, requests: 30 }));
+        expect(delta.pageLoad).toEqual({ label: 'Page Load', unit: 'ms', baseline: 3000, blocked: 2400, change: -600, changePercent: -20 });
+        expect(delta.transferredBytes).toMatchObject({ change: -200000, changePercent: -40 });
+        expect(delta.firstContentfulPaint).toMatchObject({ change: 0, changePercent: 0 });
+    });
+
+    test('leaves unmeasured metrics out of the delta', () => {
+        const delta = blocker.delta(view(NaN, { mainThreadTime: null }), view(2400));
+        expect(delta.pageLoad).toBeUndefined();
+        expect(delta.mainThreadTime).toBeUndefined();
+        expect(blocker.metricsOf(view(NaN)).pageLoad).toBeNull();
+    });
+
+    test('attributes the blocked load to each blocked domain', () => {
+        const baseline = view(3000, {
+            domains: {
+                'tags.com': { requests: 6, transferredBytes: 120000, mainThreadTime: 180.26 },
+                'shop.com': { requests: 30, transferredBytes: 350000, mainThreadTime: 300 }
+            }
+        });
+        const blocked = view(2500, {
+            blocked: [
+                { url: 'https://cdn.tags.com/a.js', domain: 'tags.com' },
+                { url: 'https://cdn.tags.com/b.js', domain: 'tags.com' },
+                { url: 'https://shop.com/chat.js', domain: 'shop.com' }
+            ]
+        });
+        const isolated = [{ domain: 'tags.com', view: view(2700) }];
+
+        const comparison = blocker.compare(['tags.com', 'shop.com/chat.js'], 'https://www.shop.com/', baseline, blocked, isolated);
+
+        expect(comparison.blockedRequests).toBe(3);
+        expect(comparison.delta.pageLoad.change).toBe(-500);
+        expect(comparison.domains).toEqual([
+            {
+                domain: 'tags.com',
+                party: 'thirdParty',
+                blockedRequests: 2,
+                baseline: { requests: 6, transferredBytes: 120000, mainThreadTime: 180.3 },
+                delta: expect.objectContaining({ pageLoad: expect.objectContaining({ change: -300, changePercent: -10 }) })
+            },
+            {
+                domain: 'shop.com',
+                party: 'firstParty',
+                blockedRequests: 1,
+                baseline: { requests: 30, transferredBytes: 350000, mainThreadTime: 300 },
+                delta: null
+            }
+        ]);
+    });
+});
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ResponseOverrider = require('../src/web/response-overrider');
+
+function fakeRoute(url, { fulfillError = null } = {}) {
+    const calls = [];
+    return {
+        calls,
+        request: () => ({ url: () => url, headers: () => ({}) }),
+        fulfill: async (options) => {
+            calls.push(['fulfill', options]);
+            if (fulfillError) throw fulfillError;
+        },
+        fallback: async () => { calls.push(['fallback']); },
+        abort: async (reason) => { calls.push(['abort', reason]); }
+    };
+}
+
+describe('ResponseOverrider', () => {
+    const overrider = new ResponseOverrider();
+    let baseDir;
+
+    beforeEach(() => {
+        baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'overrides-'));
+        fs.writeFileSync(path.join(baseDir, 'app.min.js'), 'console.log(1)');
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(baseDir, { recursive: true, force: true });
+    });
+
+    test('resolves YAML rules against the overrides directory', async () => {
+        const rules = await overrider.resolve([
+            'overrides:',
+            '  - match: "*/app.js"',
+            '    file: app.min.js',
+            '    delay: 120',
+            '  - match: "*/api/cart"',
+            '    body: { items: [] }',
+            '    headers: { X-Mock: yes }',
+            '  - match: "*/slow"',
+            '    delay: 500'
+        ].join('\n'), { baseDir });
+
+        expect(rules).toEqual([
+            { match: '*/app.js', file: path.join(baseDir, 'app.min.js'), body: null, status: null, delay: 120, contentType: null, headers: {} },
+            { match: '*/api/cart', file: null, body: '{"items":[]}', status: null, delay: 0, contentType: 'application/json', headers: { 'x-mock': 'yes' } },
+            { match: '*/slow', file: null, body: null, status: null, delay: 500, contentType: null, headers: {} }
+        ]);
+        expect(await overrider.resolve('', { baseDir })).toBeNull();
+        expect(await overrider.resolve([], { baseDir })).toBeNull();
+    });
+
+    test('rejects files outside the overrides directory', async () => {
+        const outside = path.join(os.tmpdir(), `outside-${process.pid}.js`);
+        fs.writeFileSync(outside, 'secret');
+        try {
+            await expect(overrider.resolve([{ match: '*/a.js', file: '../etc/passwd' }], { baseDir }))
+                .rejects.toThrow(`Override 1: file must be inside ${baseDir}`);
+            await expect(overrider.resolve([{ match: '*/a.js', file: outside }], { baseDir }))
+                .rejects.toThrow('file must be inside');
+            await expect(overrider.resolve([{ match: '*/a.js', file: 'missing.js' }], { baseDir }))
+                .rejects.toThrow('Override 1: file missing.js not found');
+        } finally {
+            fs.rmSync(outside, { force: true });
+        }
+    });
+
+    test('validates rule fields', async () => {
+        const invalid = (rule) => overrider.resolve([rule], { baseDir });
+        await expect(invalid({ file: 'app.min.js' })).rejects.toThrow('match pattern is required');
+        await expect(invalid({ match: '**' })).rejects.toThrow('invalid match pattern');
+        await expect(invalid({ match: '*/a.js' })).rejects.toThrow('one of file, body, status or delay is required');
+        await expect(invalid({ match: '*/a.js', file: 'app.min.js', body: 'x' })).rejects.toThrow('file and body cannot be used together');
+        await expect(invalid({ match: '*/a.js', status: 700 })).rejects.toThrow('status must be an HTTP status code');
+        await expect(invalid({ match: '*/a.js', delay: -1 })).rejects.toThrow('delay must be between 0');
+        await expect(overrider.resolve('- match: [', { baseDir })).rejects.toThrow('Overrides could not be parsed');
+    });
+
+    test('aborts the request when the override cannot be fulfilled', async () => {
+        let handler = null;
+        const rules = await overrider.resolve([{ match: '*/app.js', file: 'app.min.js' }, { match: '*/api', body: 'ok' }], { baseDir });
+        const overriding = await overrider.apply({ route: async (pattern, callback) => { handler = callback; } }, rules);
+
+        // resolve'dan sonra dosya silindi
+        fs.rmSync(path.join(baseDir, 'app.min.js'));
+        const missingFile = fakeRoute('https://shop.com/app.js');
+        await handler(missingFile);
+        expect(missingFile.calls).toEqual([['abort', 'failed']]);
+
+        const closedPage = fakeRoute('https://shop.com/api', { fulfillError: new Error('Target closed') });
+        await handler(closedPage);
+        expect(closedPage.calls.map(([name]) => name)).toEqual(['fulfill', 'abort']);
+
+        const unmatched = fakeRoute('https://shop.com/logo.png');
+        await handler(unmatched);
+        expect(unmatched.calls).toEqual([['fallback']]);
+
+        expect(overriding.summary().hits).toBe(2);
+    });
+});
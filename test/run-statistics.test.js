@@ -0,0 +1,82 @@
+const RunStatistics = require('../src/web/run-statistics');
+
+const run = (pageLoad, fcp, lcp, extra = {}) => ({
+    url: 'https://shop.example.com/',
+    errors: [],
+    performanceMetrics: { pageLoad, domContentLoaded: pageLoad / 2, ...extra },
+    lighthouseMetrics: { firstContentfulPaint: fcp, largestContentfulPaint: lcp }
+});
+
+describe('RunStatistics', () => {
+    const statistics = new RunStatistics();
+
+    test('interpolates percentiles between sorted values', () => {
+        const { percentile } = RunStatistics;
+        expect(percentile([], 50)).toBeNull();
+        expect(percentile([7], 95)).toBe(7);
+        expect(percentile([10, 20, 30, 40], 50)).toBe(25);
+        expect(percentile([10, 20, 30, 40], 75)).toBe(32.5);
+        expect(percentile([10, 20, 30, 40, 50], 95)).toBe(48);
+    });
+
+    test('summarizes samples with sample standard deviation and CV', () => {
+        expect(statistics.summarize([1000, 1200, 800, 1000])).toEqual({
+            p25: 950,
+            median: 1000,
+            p75: 1050,
+            p95: 1170,
+            min: 800,
+            max: 1200,
+            mean: 1000,
+            stdDev: 163.299,
+            cv: 16.33,
+            samples: 4
+        });
+        expect(statistics.summarize([500])).toMatchObject({ median: 500, stdDev: 0, cv: 0, samples: 1 });
+    });
+
+    test('includes page load in the statistics and the median run choice', () => {
+        // FCP/LCP aynı; medyan run'ı sadece Page Load belirler
+        const results = [run(3000, 900, 1500), run(2000, 900, 1500), run(2500, 900, 1500)];
+        const combined = statistics.combine(results);
+
+        expect(combined.runs.statistics.pageLoad).toMatchObject({ label: 'Page Load', median: 2500, samples: 3 });
+        expect(combined.runs.medianRun).toBe(3);
+        expect(combined.performanceMetrics.pageLoad).toBe(2500);
+    });
+
+    test('picks the run closest to the medians', () => {
+        const results = [run(2600, 1000, 2000), run(2400, 1400, 2900), run(2500, 1050, 2100)];
+        const median = statistics.medianResult(results, {
+            pageLoad: { median: 2500 },
+            firstContentfulPaint: { median: 1050 },
+            largestContentfulPaint: { median: 2100 }
+        });
+        expect(median).toBe(results[2]);
+    });
+
+    test('flags metrics whose CV is above the threshold', () => {
+        const results = [run(2000, 1000, 2000), run(2020, 1010, 3000), run(1980, 990, 4000)];
+        const combined = statistics.combine(results, { varianceThreshold: 10 });
+
+        expect(combined.runs.stable).toBe(false);
+        expect(combined.runs.highVariance).toEqual([
+            { metric: 'largestContentfulPaint', label: 'Largest Contentful Paint', cv: 33.333 }
+        ]);
+        expect(statistics.combine(results, { varianceThreshold: 50 }).runs.stable).toBe(true);
+    });
+
+    test('ignores missing and non-finite values', () => {
+        const results = [run(NaN, 1000, 2000), run(2000, 1000, 2000)];
+        const combined = statistics.combine(results);
+        expect(combined.runs.statistics.pageLoad.samples).toBe(1);
+        expect(combined.runs.runs[0].metrics.pageLoad).toBeNull();
+    });
+
+    test('combines failed runs with numbered errors', () => {
+        const failed = { ...run(2000, 1000, 2000), errors: ['timeout'] };
+        const combined = statistics.combine([failed, { ...failed, errors: ['net::ERR'] }]);
+        expect(combined.errors).toEqual(['Run 1: timeout', 'Run 2: net::ERR']);
+        expect(combined.runs).toMatchObject({ successful: 0, failed: 2, medianRun: null, stable: false });
+    });
+});
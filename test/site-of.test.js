@@ -0,0 +1,21 @@
+const siteOf = require('../src/web/site-of');
+
+describe('siteOf', () => {
+    test('groups subdomains under the registrable domain', () => {
+        expect(siteOf('https://www.example.com/')).toBe('example.com');
+        expect(siteOf('https://cdn.static.example.com/app.js')).toBe('example.com');
+        expect(siteOf('https://example.com')).toBe('example.com');
+    });
+
+    test('keeps three labels for second-level country domains', () => {
+        expect(siteOf('https://www.shop.com.tr/')).toBe('shop.com.tr');
+        expect(siteOf('https://img.other.com.tr/a.png')).toBe('other.com.tr');
+        expect(siteOf('https://news.bbc.co.uk/')).toBe('bbc.co.uk');
+    });
+
+    test('returns hosts without a domain as they are', () => {
+        expect(siteOf('http://localhost:3000/')).toBe('localhost');
+        expect(siteOf('http://192.168.1.20/')).toBe('192.168.1.20');
+        expect(siteOf('not a url')).toBeNull();
+    });
+});
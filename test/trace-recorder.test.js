@@ -0,0 +1,79 @@
+const TraceRecorder = require('../src/web/trace-recorder');
+
+const MAIN = { pid: 1, tid: 10 };
+const ms = (value) => value * 1000;
+const x = (name, start, duration, args = {}, thread = MAIN) => ({ ph: 'X', name, ts: ms(start), dur: ms(duration), args, ...thread });
+const begin = (name, start, args = {}) => ({ ph: 'B', name, ts: ms(start), args, ...MAIN });
+const end = (name, start) => ({ ph: 'E', name, ts: ms(start), ...MAIN });
+const threadName = (thread, name) => ({ ph: 'M', name: 'thread_name', args: { name }, ...thread });
+
+// Ana thread: 120ms long task (script + layout), 30ms görev (paint) ve B/E çiftli ParseHTML.
+// about:blank renderer'ı ve compositor thread'i sayılmamalı
+const trace = {
+    traceEvents: [
+        threadName(MAIN, 'CrRendererMain'),
+        threadName({ pid: 2, tid: 20 }, 'CrRendererMain'),
+        threadName({ pid: 1, tid: 11 }, 'Compositor'),
+        x('RunTask', 1000, 120),
+        x('EvaluateScript', 1005, 80, { data: { url: 'https://shop.com/app.js' } }),
+        begin('FunctionCall', 1010, { data: { url: 'https://cdn.lib.com/lib.js' } }),
+        end('FunctionCall', 1045),
+        x('Layout', 1090, 20),
+        { ph: 'I', name: 'firstContentfulPaint', ts: ms(1050), pid: 1, tid: 10 },
+        x('RunTask', 1200, 30),
+        x('Paint', 1205, 10),
+        begin('ParseHTML', 1300),
+        end('ParseHTML', 1310),
+        // Eşi olmayan E yok sayılır
+        end('RecalculateStyles', 1320),
+        x('RunTask', 1000, 5, {}, { pid: 2, tid: 20 }),
+        x('RunTask', 1000, 500, {}, { pid: 1, tid: 11 })
+    ]
+};
+
+describe('TraceRecorder', () => {
+    const recorder = new TraceRecorder();
+
+    test('analyzes the busiest renderer main thread', () => {
+        expect(recorder.analyze(trace)).toEqual({
+            duration: 310,
+            busyTime: 160,
+            breakdown: { scripting: 80, rendering: 20, painting: 10, loading: 10, gc: 0, other: 40, idle: 150 },
+            // Long task FCP'den (1050) sonra 70ms sürdü: 70 - 50
+            totalBlockingTime: 20,
+            firstContentfulPaint: 50,
+            longTasks: [{
+                start: 0,
+                duration: 120,
+                blockingTime: 20,
+                group: 'scripting',
+                urls: [{ url: 'https://shop.com/app.js', time: 45 }, { url: 'https://cdn.lib.com/lib.js', time: 35 }]
+            }],
+            longTaskCount: 1,
+            scripts: [{ url: 'https://shop.com/app.js', time: 45 }, { url: 'https://cdn.lib.com/lib.js', time: 35 }]
+        });
+    });
+
+    test('nests B/E spans under the complete event that contains them', () => {
+        const [root] = recorder.buildTree([x('RunTask', 0, 100), begin('FunctionCall', 10), x('Layout', 20, 5), end('FunctionCall', 60)]);
+        expect(root.name).toBe('RunTask');
+        expect(root.children.map(child => child.name)).toEqual(['FunctionCall']);
+        expect(root.children[0].children.map(child => [child.name, child.start, child.duration])).toEqual([['Layout', 20, 5]]);
+    });
+
+    test('accepts a bare event array and limits the script list', () => {
+        const result = recorder.analyze(trace.traceEvents, { scriptLimit: 1 });
+        expect(result.scripts).toEqual([{ url: 'https://shop.com/app.js', time: 45 }]);
+    });
+
+    test('returns null without a renderer main thread or its events', () => {
+        expect(recorder.analyze({ traceEvents: [x('RunTask', 0, 100)] })).toBeNull();
+        expect(recorder.analyze([threadName(MAIN, 'CrRendererMain')])).toBeNull();
+    });
+
+    test('allows tracing only in Chromium based browsers', () => {
+        expect(recorder.resolve('true', 'edge')).toBe(true);
+        expect(recorder.resolve(undefined, 'firefox')).toBe(false);
+        expect(() => recorder.resolve(true, 'safari')).toThrow('Performance tracing is only supported in Chromium based browsers');
+    });
+});
@@ -0,0 +1,57 @@
+const TrendAnalyzer = require('../src/web/trend-analyzer');
+
+const runs = (values, metric = 'loadTime') => values.map((value, index) => ({
+    sessionId: `s${index + 1}`,
+    startTime: (index + 1) * 1000,
+    metrics: { [metric]: value }
+}));
+
+describe('TrendAnalyzer', () => {
+    const analyzer = new TrendAnalyzer({ metrics: ['loadTime'] });
+
+    test('flags a run well above its rolling baseline', () => {
+        const result = analyzer.analyze(runs([2000, 2100, 1900, 2050, 1950, 2600]));
+
+        expect(result.regressions).toEqual([{
+            metric: 'loadTime',
+            sessionId: 's6',
+            timestamp: 6000,
+            value: 2600,
+            baselineMean: 2000,
+            baselineStd: 79.057,
+            zScore: 7.589,
+            changePercent: 30
+        }]);
+        expect(result.latestRegressions).toHaveLength(1);
+        expect(result.series.loadTime[5].regression).toBe(true);
+        expect(result.baseline.loadTime).toEqual({ mean: 2000, std: 79.057, samples: 5 });
+    });
+
+    test('does not decide before minSamples previous runs', () => {
+        expect(analyzer.analyze(runs([2000, 2000, 2000, 2000, 4000])).regressions).toEqual([]);
+    });
+
+    test('needs both the z-score and the percentage change', () => {
+        // Gürültülü baseline: %30 artış ama z-skoru 2'nin altında
+        expect(analyzer.analyze(runs([1000, 3000, 1000, 3000, 2000, 2600])).regressions).toEqual([]);
+        // Sabit baseline: z-skoru yüksek ama %5 artış
+        expect(analyzer.analyze(runs([2000, 2000, 2000, 2000, 2000, 2100])).regressions).toEqual([]);
+        // Sabit baseline'da std sıfırken de karar verilebilir
+        expect(analyzer.analyze(runs([2000, 2000, 2000, 2000, 2000, 2400])).regressions).toHaveLength(1);
+    });
+
+    test('uses only the last window runs as baseline', () => {
+        const windowed = new TrendAnalyzer({ metrics: ['loadTime'], window: 5 });
+        // İlk çalıştırmalar yavaştı; son 5 çalıştırmaya göre 2600 regresyon
+        const values = [4000, 4000, 4000, 2000, 2100, 1900, 2050, 1950, 2600];
+        expect(windowed.analyze(runs(values)).latestRegressions).toHaveLength(1);
+        expect(new TrendAnalyzer({ metrics: ['loadTime'], window: 10 }).analyze(runs(values)).latestRegressions).toEqual([]);
+    });
+
+    test('skips missing values in the series and baseline', () => {
+        const result = analyzer.analyze(runs([2000, null, 2000, NaN, 2000, 2000, 2000, 2600]));
+        expect(result.series.loadTime[1].value).toBeNull();
+        expect(result.series.loadTime[3].value).toBeNull();
+        expect(result.latestRegressions).toEqual([expect.objectContaining({ sessionId: 's8', baselineMean: 2000 })]);
+    });
+});
@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { pathToFileURL } = require('url');
+const { chromium } = require('playwright');
+const WebVitalsCollector = require('../src/web/web-vitals-collector');
+const LighthouseCIReport = require('../src/web/lighthouse-ci-report');
+
+const FIXTURE_PAGE = path.join(__dirname, 'fixtures/web-vitals.html');
+
+// Init script'i Playwright gibi kaynak metninden çalıştırır; PerformanceObserver girdileri elle verilir
+function runInitScript(collector, options = {}) {
+    const observers = [];
+    const listeners = {};
+    const reports = [];
+    const sandbox = {
+        location: { href: 'https://example.com/' },
+        document: { visibilityState: 'visible', addEventListener: (type, listener) => { listeners[type] = listener; } },
+        addEventListener: (type, listener) => { listeners[type] = listener; },
+        PerformanceObserver: class {
+            constructor(callback) {
+                this.callback = callback;
+            }
+            observe(observeOptions) {
+                observers.push({ type: observeOptions.type, callback: this.callback });
+            }
+        },
+        setTimeout,
+        clearTimeout,
+        [collector.bindingName]: (vitals) => reports.push(vitals)
+    };
+    sandbox.window = sandbox;
+    sandbox.top = options.iframe ? {} : sandbox;
+    vm.createContext(sandbox);
+    vm.runInContext(`(${WebVitalsCollector.initScript})(${JSON.stringify(collector.bindingName)})`, sandbox);
+
+    return {
+        vitals: () => sandbox.__mercuryWebVitals,
+        reports,
+        emit: (type, entries) => observers
+            .filter(observer => observer.type === type)
+            .forEach(observer => observer.callback({ getEntries: () => entries })),
+        fire: (type) => listeners[type]()
+    };
+}
+
+describe('WebVitalsCollector init script', () => {
+    let collector;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        collector = new WebVitalsCollector();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('records paint timings and describes the LCP element', () => {
+        const page = runInitScript(collector);
+        page.emit('navigation', [{ responseStart: 120.4 }]);
+        page.emit('paint', [{ name: 'first-paint', startTime: 250 }, { name: 'first-contentful-paint', startTime: 300.2 }]);
+        page.emit('largest-contentful-paint', [{ startTime: 900.6, element: { tagName: 'H1', id: 'hero', classList: ['title', 'big'] } }]);
+
+        expect(page.vitals()).toMatchObject({ ttfb: 120, fcp: 300, lcp: 901, lcpElement: 'h1#hero.title.big' });
+    });
+
+    test('takes the largest layout shift session window and ignores input shifts', () => {
+        const page = runInitScript(collector);
+        page.emit('layout-shift', [
+            { startTime: 100, value: 0.05, hadRecentInput: false },
+            { startTime: 600, value: 0.05, hadRecentInput: false },
+            { startTime: 700, value: 0.3, hadRecentInput: true },
+            { startTime: 3000, value: 0.02, hadRecentInput: false }
+        ]);
+
+        expect(page.vitals().cls).toBe(0.1);
+        expect(page.vitals().layoutShifts).toHaveLength(3);
+    });
+
+    test('uses the longest event of each interaction for INP', () => {
+        const page = runInitScript(collector);
+        page.emit('event', [
+            { interactionId: 1, duration: 40 },
+            { interactionId: 1, duration: 120 },
+            { interactionId: 2, duration: 80 },
+            { interactionId: 0, duration: 400 }
+        ]);
+
+        expect(page.vitals().inp).toBe(120);
+        expect(page.vitals().interactionCount).toBe(2);
+    });
+
+    test('counts blocking time of long tasks after FCP only', () => {
+        const page = runInitScript(collector);
+        page.emit('longtask', [{ startTime: 100, duration: 200 }]);
+        page.emit('paint', [{ name: 'first-contentful-paint', startTime: 300 }]);
+        page.emit('longtask', [{ startTime: 500, duration: 150 }, { startTime: 800, duration: 40 }]);
+
+        expect(page.vitals().totalBlockingTime).toBe(100);
+        expect(page.vitals().longTasks).toHaveLength(3);
+    });
+
+    test('batches observer reports and sends immediately on pagehide', () => {
+        const page = runInitScript(collector);
+        page.emit('navigation', [{ responseStart: 80 }]);
+        page.emit('paint', [{ name: 'first-contentful-paint', startTime: 200 }]);
+        expect(page.reports).toHaveLength(0);
+
+        jest.advanceTimersByTime(500);
+        expect(page.reports).toHaveLength(1);
+
+        page.emit('largest-contentful-paint', [{ startTime: 700, url: 'https://example.com/hero.jpg' }]);
+        page.fire('pagehide');
+        expect(page.reports).toHaveLength(2);
+        expect(page.reports[1]).toMatchObject({ lcp: 700, lcpElement: 'https://example.com/hero.jpg' });
+    });
+
+    test('does not run inside iframes', () => {
+        const page = runInitScript(collector, { iframe: true });
+        expect(page.vitals()).toBeUndefined();
+    });
+});
+
+describe('WebVitalsCollector', () => {
+    const collector = new WebVitalsCollector();
+
+    test('attaches the binding and forwards main frame reports only', async () => {
+        const mainFrame = {};
+        const page = { mainFrame: () => mainFrame };
+        let binding = null;
+        const context = {
+            exposeBinding: async (name, callback) => { binding = { name, callback }; },
+            addInitScript: jest.fn(async () => {})
+        };
+        const reports = [];
+
+        await collector.attach(context, (reportPage, vitals) => reports.push(vitals));
+        binding.callback({ frame: mainFrame, page }, { navigationId: 'a' });
+        binding.callback({ frame: {}, page }, { navigationId: 'b' });
+
+        expect(binding.name).toBe(collector.bindingName);
+        expect(context.addInitScript).toHaveBeenCalledWith(WebVitalsCollector.initScript, collector.bindingName);
+        expect(reports).toEqual([{ navigationId: 'a' }]);
+    });
+
+    test('keeps the latest report per navigation and summarizes the worst values', () => {
+        const entries = [];
+        collector.record(entries, { navigationId: 'a', url: 'https://example.com/', lcp: 1200, cls: 0.02, inp: null, fcp: 500, ttfb: 100 });
+        collector.record(entries, { navigationId: 'a', url: 'https://example.com/', lcp: 2100, cls: 0.05, inp: 90, fcp: 500, ttfb: 100 });
+        collector.record(entries, { navigationId: 'b', url: 'https://example.com/cart', lcp: 4500, cls: 0.01, inp: null, fcp: 900, ttfb: 300 });
+
+        const summary = collector.summarize(entries);
+        expect(summary.navigations).toBe(2);
+        expect(summary).toMatchObject({ lcp: 4500, cls: 0.05, inp: 90, fcp: 900, ttfb: 300 });
+        expect(summary.ratings).toMatchObject({ lcp: 'poor', cls: 'good', inp: 'good' });
+        expect(summary.pages.map(page => page.lcp)).toEqual([2100, 4500]);
+    });
+
+    test('escapes page URLs and LCP elements in the report', () => {
+        const summary = collector.summarize([{
+            navigationId: 'a',
+            url: 'https://example.com/?q=<script>alert(1)</script>',
+            lcp: 1000,
+            lcpElement: 'https://example.com/"><img src=x onerror=alert(1)>',
+            cls: 0
+        }]);
+
+        const html = new LighthouseCIReport().generateWebVitalsSection(summary);
+        expect(html).not.toContain('<script>');
+        expect(html).not.toContain('<img');
+        expect(html).toContain('?q=&lt;script&gt;alert(1)&lt;/script&gt;');
+    });
+});
+
+// Chromium yüklü değilse (ör. playwright install çalıştırılmamışsa) atlanır
+const hasChromium = (() => {
+    try {
+        return fs.existsSync(chromium.executablePath());
+    } catch (error) {
+        return false;
+    }
+})();
+
+(hasChromium ? describe : describe.skip)('WebVitalsCollector on a fixture page', () => {
+    let browser;
+
+    beforeAll(async () => {
+        browser = await chromium.launch();
+    });
+
+    afterAll(async () => {
+        if (browser) await browser.close();
+    });
+
+    test('collects LCP, CLS, long tasks and INP from the page', async () => {
+        const collector = new WebVitalsCollector();
+        const context = await browser.newContext();
+        const entries = [];
+        await collector.attach(context, (page, vitals) => collector.record(entries, vitals));
+
+        const page = await context.newPage();
+        await page.goto(pathToFileURL(FIXTURE_PAGE).href);
+        await page.waitForTimeout(1000);
+        await page.click('#slow');
+        await page.waitForTimeout(1000);
+
+        const vitals = await collector.collect(page);
+        await context.close();
+
+        expect(vitals.fcp).toBeGreaterThan(0);
+        expect(vitals.lcpElement).toBe('h1#hero.title');
+        expect(vitals.cls).toBeGreaterThan(0);
+        expect(vitals.longTasks.length).toBeGreaterThanOrEqual(1);
+        expect(vitals.interactionCount).toBe(1);
+        expect(vitals.inp).toBeGreaterThanOrEqual(90);
+        expect(entries.length).toBe(1);
+    }, 30000);
+});